@@ -1,5 +1,6 @@
 // Background service worker for the extension
 import CONFIG from "./config.js";
+import LiveSuggestionSocket from "./liveSuggestions.js";
 
 // Note: API keys are now handled by your server
 // The extension authenticates with your server using JWT tokens
@@ -14,6 +15,7 @@ let meetingStartTime = null;
 let transcriptData = [];
 let suggestionsData = {};
 let refreshInterval = null;
+let liveSuggestionSocket = null;
 
 // Initialize extension
 chrome.runtime.onInstalled.addListener(() => {
@@ -358,6 +360,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
       // Start data refresh interval
       startDataRefresh();
+      startLiveSuggestions();
 
       // Broadcast status update
       broadcastMessage({
@@ -376,6 +379,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
       // Stop data refresh interval
       stopDataRefresh();
+      stopLiveSuggestions();
 
       // Broadcast status update
       broadcastMessage({
@@ -846,6 +850,72 @@ async function handleGetAISuggestions(request, sendResponse) {
   }
 }
 
+// Find the user's live call on the server
+async function findActiveCall() {
+  for (const status of ["active", "in_progress"]) {
+    const response = await fetch(
+      `${CONFIG.API.BASE_URL}${CONFIG.API.ENDPOINTS.CALLS}?status=${status}&limit=1`,
+      { headers: { Authorization: `Bearer ${authToken}` } }
+    );
+    if (!response.ok) continue;
+
+    const data = await response.json();
+    const call = data.data?.calls?.[0];
+    if (call) return call;
+  }
+  return null;
+}
+
+// Relay streamed suggestions from the call room to the panel
+async function startLiveSuggestions() {
+  if (!authToken || liveSuggestionSocket) return;
+
+  try {
+    const call = await findActiveCall();
+    if (!call) {
+      console.log("No active call found, live suggestions not started");
+      return;
+    }
+
+    liveSuggestionSocket = new LiveSuggestionSocket(
+      CONFIG.API.BASE_URL,
+      authToken,
+      (event, payload) => {
+        if (event === "suggestionStart") {
+          broadcastMessage({
+            type: "SUGGESTION_STREAM_START",
+            suggestionId: payload.suggestionId,
+          });
+        } else if (event === "suggestionDelta") {
+          broadcastMessage({
+            type: "SUGGESTION_STREAM_DELTA",
+            suggestionId: payload.suggestionId,
+            delta: payload.delta,
+          });
+        } else if (event === "suggestionEnd") {
+          broadcastMessage({
+            type: "SUGGESTION_STREAM_END",
+            suggestionId: payload.suggestionId,
+            text: payload.text,
+            discarded: !!payload.discarded,
+          });
+        }
+      }
+    );
+    liveSuggestionSocket.connect(call._id);
+    console.log("Live suggestions connected for call:", call._id);
+  } catch (error) {
+    console.error("Failed to start live suggestions:", error);
+  }
+}
+
+function stopLiveSuggestions() {
+  if (liveSuggestionSocket) {
+    liveSuggestionSocket.close();
+    liveSuggestionSocket = null;
+  }
+}
+
 function startDataRefresh() {
   if (refreshInterval) {
     clearInterval(refreshInterval);
@@ -685,6 +685,40 @@ function updatePanelContent(type, content, append = false) {
 }
 // Legacy functions removed - using new implementation above
 
+// Render a live suggestion as its tokens stream in from the server
+function updateStreamingSuggestion(request) {
+  const container = document.getElementById('sales-ai-suggestions');
+  if (!container) return;
+
+  const cardId = `sales-ai-suggestion-${request.suggestionId}`;
+  let card = document.getElementById(cardId);
+
+  if (!card) {
+    if (request.type === 'SUGGESTION_STREAM_END' && request.discarded) return;
+
+    // Drop the "suggestions will appear here" placeholder
+    container.querySelectorAll(':scope > p').forEach(el => el.remove());
+
+    card = document.createElement('div');
+    card.id = cardId;
+    card.style.cssText = 'margin-bottom: 12px; padding: 10px; background: #e8f4fd; border-radius: 6px; border-left: 3px solid #2196f3; color: #333;';
+    container.appendChild(card);
+  }
+
+  if (request.type === 'SUGGESTION_STREAM_DELTA') {
+    card.textContent += request.delta;
+  } else if (request.type === 'SUGGESTION_STREAM_END') {
+    if (request.discarded) {
+      card.remove();
+      return;
+    }
+    // The final text replaces whatever was streamed
+    if (request.text) card.textContent = request.text;
+  }
+
+  container.scrollTop = container.scrollHeight;
+}
+
 // Handle messages from background script
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   console.log('Content script received message:', request.type, request);
@@ -722,6 +756,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       }
       break;
       
+    case 'SUGGESTION_STREAM_START':
+    case 'SUGGESTION_STREAM_DELTA':
+    case 'SUGGESTION_STREAM_END':
+      updateStreamingSuggestion(request);
+      break;
+      
     case 'TRANSCRIPTION_ERROR':
       console.error('Transcription error:', request.error);
       updatePanelContent('transcript', `Error: ${request.error}`);
@@ -0,0 +1,81 @@
+// Live suggestion stream for the extension.
+// Speaks just enough of the Socket.IO v4 protocol over a plain WebSocket to
+// join a call room and receive suggestionStart/suggestionDelta/suggestionEnd.
+
+const RECONNECT_DELAY = 3000;
+
+export default class LiveSuggestionSocket {
+  constructor(baseUrl, token, onEvent) {
+    this.url =
+      baseUrl.replace(/^http/, "ws") + "/socket.io/?EIO=4&transport=websocket";
+    this.token = token;
+    this.onEvent = onEvent;
+    this.ws = null;
+    this.callId = null;
+    this.lastSeq = 0;
+    this.closed = false;
+  }
+
+  connect(callId) {
+    this.callId = callId;
+    this.closed = false;
+    this.ws = new WebSocket(this.url);
+
+    this.ws.onmessage = (message) => this.handlePacket(message.data);
+    this.ws.onclose = () => {
+      if (!this.closed) {
+        console.warn("Live suggestion socket closed, reconnecting...");
+        setTimeout(() => this.connect(this.callId), RECONNECT_DELAY);
+      }
+    };
+    this.ws.onerror = (error) => {
+      console.error("Live suggestion socket error:", error);
+    };
+  }
+
+  handlePacket(data) {
+    if (data.startsWith("0")) {
+      // Engine.IO open: connect to the default namespace with our JWT
+      this.send("40" + JSON.stringify({ token: this.token }));
+    } else if (data === "2") {
+      // Engine.IO ping
+      this.send("3");
+    } else if (data.startsWith("40")) {
+      this.emit("joinCall", { callId: this.callId, lastSeq: this.lastSeq });
+    } else if (data.startsWith("44")) {
+      console.error("Live suggestion socket rejected:", data.slice(2));
+      this.close();
+    } else if (data.startsWith("42")) {
+      // Event packet, optionally with an ack id before the payload
+      const [event, payload] = JSON.parse(data.slice(data.indexOf("[")));
+      this.trackSeq(payload?.seq);
+      this.onEvent(event, payload);
+    }
+  }
+
+  // Acknowledge room events so the server knows what to replay on rejoin
+  trackSeq(seq) {
+    if (typeof seq !== "number" || seq <= this.lastSeq) return;
+    this.lastSeq = seq;
+    this.emit("ackEvents", { callId: this.callId, seq });
+  }
+
+  emit(event, payload) {
+    this.send("42" + JSON.stringify([event, payload]));
+  }
+
+  send(packet) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(packet);
+    }
+  }
+
+  close() {
+    this.closed = true;
+    if (this.ws) {
+      this.send("41");
+      this.ws.close();
+      this.ws = null;
+    }
+  }
+}
@@ -206,6 +206,8 @@ document.addEventListener("DOMContentLoaded", () => {
         updateTranscript(request.transcript);
       } else if (request.type === "UPDATE_SUGGESTIONS") {
         updateSuggestions(request.suggestions);
+      } else if (request.type.startsWith("SUGGESTION_STREAM_")) {
+        updateStreamingSuggestion(request);
       }
     });
   }
@@ -293,6 +295,41 @@ document.addEventListener("DOMContentLoaded", () => {
     transcriptContainer.scrollTop = transcriptContainer.scrollHeight;
   }
 
+  // Render a live suggestion as its tokens stream in from the server
+  function updateStreamingSuggestion(request) {
+    let section = document.getElementById(
+      `live-suggestion-${request.suggestionId}`
+    );
+
+    if (!section) {
+      if (request.type === "SUGGESTION_STREAM_END" && request.discarded) return;
+
+      suggestionsContainer.querySelector(".empty-state")?.remove();
+      section = document.createElement("div");
+      section.id = `live-suggestion-${request.suggestionId}`;
+      section.className = "suggestion-section live-suggestion";
+      section.innerHTML = "<h4>Live Suggestion</h4><p></p>";
+      suggestionsContainer.appendChild(section);
+    }
+
+    const text = section.querySelector("p");
+    if (request.type === "SUGGESTION_STREAM_DELTA") {
+      text.textContent += request.delta;
+    } else if (request.type === "SUGGESTION_STREAM_END") {
+      if (request.discarded) {
+        section.remove();
+        return;
+      }
+      if (request.text) text.textContent = request.text;
+    }
+
+    section.classList.toggle(
+      "streaming",
+      request.type !== "SUGGESTION_STREAM_END"
+    );
+    suggestionsContainer.scrollTop = suggestionsContainer.scrollHeight;
+  }
+
   function updateSuggestions(suggestions) {
     if (!suggestions || Object.keys(suggestions).length === 0) {
       suggestionsContainer.innerHTML =
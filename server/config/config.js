@@ -29,6 +29,12 @@ const optionalEnvVars = [
   'TRANSCRIPTION_MODEL' // Added transcription model as optional
 ];
 
+// Per-feature LLM routing, e.g. LLM_PROVIDER_SUGGESTIONS=local, LLM_MODEL_SUGGESTIONS=llama3.1
+const llmFeature = (feature) => ({
+  provider: process.env[`LLM_PROVIDER_${feature}`],
+  model: process.env[`LLM_MODEL_${feature}`]
+});
+
 const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
 
 if (missingEnvVars.length > 0) {
@@ -63,6 +69,29 @@ export default {
   OPENAI_API_KEY: process.env.OPENAI_API_KEY,
   OPENAI_MODEL: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
   
+  // LLM Provider Configuration
+  LLM: {
+    PROVIDER: process.env.LLM_PROVIDER || 'openai', // openai, local, mock
+    FEATURES: {
+      suggestions: llmFeature('SUGGESTIONS'),
+      analysis: llmFeature('ANALYSIS'),
+      documents: llmFeature('DOCUMENTS'),
+      summaries: llmFeature('SUMMARIES'),
+      email: llmFeature('EMAIL'),
+      enrichment: llmFeature('ENRICHMENT')
+    },
+    // OpenAI-compatible self-hosted endpoint (Ollama, vLLM, ...)
+    LOCAL_BASE_URL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    LOCAL_API_KEY: process.env.LOCAL_LLM_API_KEY || 'local',
+    LOCAL_MODEL: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    LOCAL_EMBEDDING_MODEL: process.env.LOCAL_LLM_EMBEDDING_MODEL || 'nomic-embed-text',
+    LOCAL_STRUCTURED_MODE: process.env.LOCAL_LLM_STRUCTURED_MODE || 'json' // json, tools
+  },
+  
+  // Embeddings Configuration (provider defaults to OpenAI when a key is set, otherwise offline hashing)
+  EMBEDDING_PROVIDER: process.env.EMBEDDING_PROVIDER, // hash, openai, local, mock
+  EMBEDDING_MODEL: process.env.EMBEDDING_MODEL,
+  
   // AssemblyAI Configuration
   ASSEMBLYAI_API_KEY: process.env.ASSEMBLYAI_API_KEY,
   
@@ -90,8 +119,157 @@ export default {
   AI_SUGGESTION_INTERVAL: parseInt(process.env.AI_SUGGESTION_INTERVAL) || 30000,
   TRANSCRIPTION_LANGUAGE: process.env.TRANSCRIPTION_LANGUAGE || 'en-US',
   AI_CONFIDENCE_THRESHOLD: parseFloat(process.env.AI_CONFIDENCE_THRESHOLD) || 0.8,
+  CALL_SESSION_IDLE_TIMEOUT_MS: parseInt(process.env.CALL_SESSION_IDLE_TIMEOUT_MS) || 30 * 60 * 1000, // 30 minutes
+  CALL_SESSION_RECONNECT_GRACE_MS: parseInt(process.env.CALL_SESSION_RECONNECT_GRACE_MS) || 2 * 60 * 1000, // kept after the last socket leaves
   TRANSCRIPTION_MODEL: process.env.TRANSCRIPTION_MODEL || 'deepgram', // Default to Deepgram
-  TRANSCRIPTION_PROVIDER: process.env.TRANSCRIPTION_PROVIDER || 'deepgram', // deepgram, assemblyai, openai
+  TRANSCRIPTION_PROVIDER: process.env.TRANSCRIPTION_PROVIDER || 'deepgram', // deepgram, assemblyai, openai, local
+  
+  // Server-side Speech-to-Text for audio streamed over the audioData socket event
+  STT: {
+    OPENAI_MODEL: process.env.STT_OPENAI_MODEL || 'whisper-1',
+    // Whisper-compatible self-hosted endpoint (faster-whisper-server, whisper.cpp, ...)
+    LOCAL_BASE_URL: process.env.LOCAL_STT_BASE_URL || 'http://localhost:8000/v1',
+    LOCAL_API_KEY: process.env.LOCAL_STT_API_KEY || 'local',
+    LOCAL_MODEL: process.env.LOCAL_STT_MODEL || 'Systran/faster-whisper-small',
+    // Windowed providers: interim result cadence and final window length
+    INTERIM_INTERVAL_MS: parseInt(process.env.STT_INTERIM_INTERVAL_MS) || 3000,
+    WINDOW_MS: parseInt(process.env.STT_WINDOW_MS) || 10000,
+    // Backpressure: per-call audio held while a request is in flight, and
+    // transcription requests running at once across all calls
+    MAX_BUFFER_BYTES: parseInt(process.env.STT_MAX_BUFFER_BYTES) || 2 * 1024 * 1024,
+    MAX_CONCURRENT: parseInt(process.env.STT_MAX_CONCURRENT) || 4,
+    // Speaker diarization for providers without it: decodes non-WAV audio with ffmpeg
+    FFMPEG_PATH: process.env.FFMPEG_PATH || 'ffmpeg',
+    MAX_SPEAKERS: parseInt(process.env.DIARIZATION_MAX_SPEAKERS) || 6
+  },
+
+  // Uploaded call recordings (phone calls and other meetings recorded elsewhere)
+  RECORDINGS: {
+    MAX_FILE_SIZE_MB: parseInt(process.env.RECORDING_MAX_FILE_SIZE_MB) || 200,
+    // Post-call suggestions generated for the key moments of a recording
+    MAX_SUGGESTIONS: parseInt(process.env.RECORDING_MAX_SUGGESTIONS) || 8
+  },
+
+  // Long documents are split into chunks that fit the model's context window,
+  // extracted chunk by chunk and merged (map-reduce)
+  DOCUMENT_EXTRACTION: {
+    CHUNK_TOKENS: parseInt(process.env.DOCUMENT_CHUNK_TOKENS) || 3000,
+    CHUNK_OVERLAP_TOKENS: parseInt(process.env.DOCUMENT_CHUNK_OVERLAP_TOKENS) || 150,
+    MAX_CHUNKS: parseInt(process.env.DOCUMENT_MAX_CHUNKS) || 100,
+    // Chunk extractions sent to the LLM at once for one document
+    CONCURRENCY: parseInt(process.env.DOCUMENT_EXTRACTION_CONCURRENCY) || 2,
+    MAX_ITEMS_PER_FIELD: parseInt(process.env.DOCUMENT_MAX_ITEMS_PER_FIELD) || 25
+  },
+
+  // Text recognition for images and scanned PDFs (Tesseract and poppler's pdftoppm)
+  OCR: {
+    ENABLED: process.env.OCR_ENABLED !== 'false',
+    TESSERACT_PATH: process.env.TESSERACT_PATH || 'tesseract',
+    PDFTOPPM_PATH: process.env.PDFTOPPM_PATH || 'pdftoppm',
+    LANGUAGE: process.env.OCR_LANGUAGE || 'eng', // e.g. eng+deu
+    DPI: parseInt(process.env.OCR_DPI) || 200,
+    // PDFs with less embedded text than this per page are treated as scans
+    MIN_PDF_CHARS_PER_PAGE: parseInt(process.env.OCR_MIN_PDF_CHARS_PER_PAGE) || 25,
+    MAX_PDF_PAGES: parseInt(process.env.OCR_MAX_PDF_PAGES) || 100
+  },
+
+  // URL documents: fetching, same-site crawling and scheduled re-fetching
+  WEB_FETCH: {
+    USER_AGENT: process.env.WEB_FETCH_USER_AGENT || 'SalesAssistantBot/1.0',
+    TIMEOUT_MS: parseInt(process.env.WEB_FETCH_TIMEOUT_MS) || 15000,
+    MAX_BYTES: parseInt(process.env.WEB_FETCH_MAX_BYTES) || 5 * 1024 * 1024,
+    // Pause between requests to the same site while crawling
+    DELAY_MS: parseInt(process.env.WEB_FETCH_DELAY_MS) || 500,
+    MAX_DEPTH: parseInt(process.env.WEB_FETCH_MAX_DEPTH) || 3,
+    MAX_PAGES: parseInt(process.env.WEB_FETCH_MAX_PAGES) || 25,
+    // localhost and private addresses are refused unless explicitly allowed,
+    // e.g. to import from a local test server
+    ALLOW_PRIVATE_NETWORK: process.env.WEB_FETCH_ALLOW_PRIVATE_NETWORK === 'true',
+    DEFAULT_REFRESH_HOURS: parseInt(process.env.WEB_REFRESH_DEFAULT_HOURS) || 24 * 7,
+    REFRESH_CHECK_INTERVAL_MS: parseInt(process.env.WEB_REFRESH_CHECK_INTERVAL_MS) || 10 * 60 * 1000,
+    // Content changes kept per document
+    MAX_CHANGES: parseInt(process.env.WEB_MAX_CHANGES) || 20
+  },
+
+  // Objection catalog mined from call transcripts
+  OBJECTIONS: {
+    // Similarity needed to join an objection to a cluster / to match a live line
+    CLUSTER_THRESHOLD: parseFloat(process.env.OBJECTION_CLUSTER_THRESHOLD) || 0.5,
+    MATCH_THRESHOLD: parseFloat(process.env.OBJECTION_MATCH_THRESHOLD) || 0.5,
+    MAX_EXAMPLES: parseInt(process.env.OBJECTION_MAX_EXAMPLES) || 10,
+    MAX_RESPONSES: parseInt(process.env.OBJECTION_MAX_RESPONSES) || 5,
+    // How often calls completed since the last check are mined again
+    MINE_INTERVAL_MS: parseInt(process.env.OBJECTION_MINE_INTERVAL_MS) || 6 * 60 * 60 * 1000
+  },
+
+  // Post-call scoring: measured conversation metrics plus an LLM rubric
+  SCORING: {
+    // Built-in rubric ("default", "challenger") or one read from RUBRIC_FILE
+    METHODOLOGY: process.env.SCORING_METHODOLOGY || 'default',
+    RUBRIC_FILE: process.env.SCORING_RUBRIC_FILE,
+    // Share of the final score from the rubric; the rest is from the metrics
+    RUBRIC_WEIGHT: parseFloat(process.env.SCORING_RUBRIC_WEIGHT) || 0.6,
+    // Share of talk time for the rep that scores full marks
+    IDEAL_TALK_RATIO_MIN: parseFloat(process.env.SCORING_IDEAL_TALK_RATIO_MIN) || 0.35,
+    IDEAL_TALK_RATIO_MAX: parseFloat(process.env.SCORING_IDEAL_TALK_RATIO_MAX) || 0.55,
+    MAX_MONOLOGUE_SECONDS: parseInt(process.env.SCORING_MAX_MONOLOGUE_SECONDS) || 150,
+    QUESTIONS_PER_10_MIN: parseFloat(process.env.SCORING_QUESTIONS_PER_10_MIN) || 5,
+    // How often completed calls without a score are picked up
+    CHECK_INTERVAL_MS: parseInt(process.env.SCORING_CHECK_INTERVAL_MS) || 10 * 60 * 1000
+  },
+
+  // Qualification scorecards tracked during and after calls
+  SCORECARDS: {
+    // Built-in template used when no scorecard is marked as the default;
+    // "none" turns tracking off until an admin creates one
+    DEFAULT_TEMPLATE: process.env.SCORECARD_DEFAULT_TEMPLATE || 'meddicc',
+    // Transcript lines kept as evidence per criterion
+    MAX_EVIDENCE: parseInt(process.env.SCORECARD_MAX_EVIDENCE) || 3
+  },
+
+  // Structured post-call summaries
+  SUMMARIES: {
+    // Earlier versions kept on the call when a summary is regenerated
+    MAX_VERSIONS: parseInt(process.env.SUMMARY_MAX_VERSIONS) || 10,
+    MAX_TRANSCRIPTS: parseInt(process.env.SUMMARY_MAX_TRANSCRIPTS) || 500
+  },
+
+  // Live talk-time and pace meter, and the thresholds of its alerts to the rep
+  LIVE_METRICS: {
+    EMIT_INTERVAL_MS: parseInt(process.env.LIVE_METRICS_INTERVAL_MS) || 3000,
+    MONOLOGUE_ALERT_SECONDS: parseInt(process.env.LIVE_METRICS_MONOLOGUE_ALERT_SECONDS) || 90,
+    TALK_RATIO_ALERT: parseFloat(process.env.LIVE_METRICS_TALK_RATIO_ALERT) || 0.65,
+    // Talk time on the call before the talk ratio alert can fire
+    TALK_RATIO_MIN_SECONDS: parseInt(process.env.LIVE_METRICS_TALK_RATIO_MIN_SECONDS) || 120,
+    FAST_PACE_WPM: parseInt(process.env.LIVE_METRICS_FAST_PACE_WPM) || 180,
+    INTERRUPTIONS_ALERT: parseInt(process.env.LIVE_METRICS_INTERRUPTIONS_ALERT) || 3
+  },
+
+  // Search across transcripts, AI suggestions and documents
+  SEARCH: {
+    DEFAULT_LIMIT: parseInt(process.env.SEARCH_DEFAULT_LIMIT) || 20,
+    MAX_LIMIT: parseInt(process.env.SEARCH_MAX_LIMIT) || 100,
+    // Most recent embedded lines/suggestions ranked in semantic mode; the
+    // response says which result types had more than this
+    SEMANTIC_CANDIDATES: parseInt(process.env.SEARCH_SEMANTIC_CANDIDATES) || 2000,
+    SEMANTIC_MIN_SCORE: parseFloat(process.env.SEARCH_SEMANTIC_MIN_SCORE) || 0.15
+  },
+
+  // Background job queue (document processing, summaries, enrichment, recordings)
+  JOBS: {
+    // Jobs running at once in this process; each job type can lower its own limit
+    CONCURRENCY: parseInt(process.env.JOB_CONCURRENCY) || 4,
+    POLL_INTERVAL_MS: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000,
+    // Failed attempts are retried after BACKOFF_BASE_MS * 2^(attempt - 1)
+    MAX_ATTEMPTS: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+    BACKOFF_BASE_MS: parseInt(process.env.JOB_BACKOFF_BASE_MS) || 30000,
+    // A running job whose worker stops heartbeating for this long is requeued
+    LOCK_TIMEOUT_MS: parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 5 * 60 * 1000,
+    // An attempt still running after this fails; each job type can set its own
+    TIMEOUT_MS: parseInt(process.env.JOB_TIMEOUT_MS) || 30 * 60 * 1000,
+    // Completed jobs are deleted after this many days; dead jobs are kept
+    RETENTION_DAYS: parseInt(process.env.JOB_RETENTION_DAYS) || 7
+  },
   
   // Rate Limiting
   RATE_LIMIT_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000, // 1 minute for dev
@@ -115,6 +293,7 @@ export default {
     REAL_TIME_TRANSCRIPTION: process.env.FEATURE_REAL_TIME_TRANSCRIPTION !== 'false',
     AI_SUGGESTIONS: process.env.FEATURE_AI_SUGGESTIONS !== 'false',
     DOCUMENT_PROCESSING: process.env.FEATURE_DOCUMENT_PROCESSING !== 'false',
+    TRANSCRIPT_ENRICHMENT: process.env.FEATURE_TRANSCRIPT_ENRICHMENT !== 'false',
     ANALYTICS: process.env.FEATURE_ANALYTICS !== 'false'
   }
 };
\ No newline at end of file
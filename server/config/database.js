@@ -4,6 +4,12 @@ import config from './config.js';
 class Database {
   constructor() {
     this.connection = null;
+    this.shutdownHooks = [];
+  }
+
+  // Run before the connection closes on SIGINT/SIGTERM (e.g. to release jobs)
+  beforeShutdown(hook) {
+    this.shutdownHooks.push(hook);
   }
 
   async connect() {
@@ -63,6 +69,9 @@ class Database {
     console.log(`\n🔄 Received ${signal}. Gracefully shutting down...`);
     
     try {
+      for (const hook of this.shutdownHooks) {
+        await hook();
+      }
       await this.disconnect();
       console.log('✅ Database connection closed successfully');
       process.exit(0);
@@ -127,6 +136,13 @@ class Database {
       await import('../models/Document.js');
       await import('../models/Transcript.js');
       await import('../models/AISuggestion.js');
+      await import('../models/Job.js');
+      await import('../models/DocumentVersion.js');
+      await import('../models/DocumentFolder.js');
+      await import('../models/Team.js');
+      await import('../models/Objection.js');
+      await import('../models/Scorecard.js');
+      await import('../models/ActionItem.js');
 
       // Ensure indexes are created
       await mongoose.connection.db.collection('users').createIndex({ email: 1 }, { unique: true });
@@ -2,6 +2,47 @@ import Call from '../models/Call.js';
 import AISuggestion from '../models/AISuggestion.js';
 import Transcript from '../models/Transcript.js';
 
+// Calls scoring at least this much count as successful
+const SUCCESS_SCORE = 70;
+
+const isScored = call => typeof call.performanceData?.score === 'number';
+const isSuccessful = call => call.performanceData.score >= SUCCESS_SCORE;
+
+// Headline numbers for the calls and suggestions of one period
+const summarizePeriod = (calls, suggestions) => {
+  const completedCalls = calls.filter(call => call.status === 'completed');
+  const averageDuration = completedCalls.length > 0
+    ? completedCalls.reduce((acc, call) => acc + (call.duration || 0), 0) / completedCalls.length
+    : 0;
+
+  // Only calls the scoring engine has scored count towards the success rate
+  const scoredCalls = completedCalls.filter(isScored);
+  const successfulCalls = scoredCalls.filter(isSuccessful);
+
+  const successRate = scoredCalls.length > 0
+    ? (successfulCalls.length / scoredCalls.length) * 100
+    : null;
+  const averageScore = scoredCalls.length > 0
+    ? scoredCalls.reduce((acc, call) => acc + call.performanceData.score, 0) / scoredCalls.length
+    : null;
+
+  const usedSuggestions = suggestions.filter(s => s.used);
+  const aiSuggestionsUsedRate = suggestions.length > 0
+    ? (usedSuggestions.length / suggestions.length) * 100
+    : 0;
+
+  return {
+    totalCalls: calls.length,
+    completedCalls: completedCalls.length,
+    successRate: successRate === null ? null : Math.round(successRate),
+    scoredCalls: scoredCalls.length,
+    averageScore: averageScore === null ? null : Math.round(averageScore),
+    averageDuration: Math.round(averageDuration),
+    totalSuggestions: suggestions.length,
+    aiSuggestionsUsedRate: Math.round(aiSuggestionsUsedRate)
+  };
+};
+
 // Get dashboard analytics data
 export const getDashboardAnalytics = async (req, res) => {
   try {
@@ -26,38 +67,35 @@ export const getDashboardAnalytics = async (req, res) => {
         startDate.setDate(now.getDate() - 30);
     }
 
+    // The period of the same length before it, for the change figures
+    const previousStartDate = new Date(startDate.getTime() - (now - startDate));
+
     // Get calls data
-    const calls = await Call.find({
+    const allCalls = await Call.find({
       user: userId,
-      createdAt: { $gte: startDate }
+      createdAt: { $gte: previousStartDate }
     }).sort({ createdAt: -1 });
+    const calls = allCalls.filter(call => call.createdAt >= startDate);
+    const previousCalls = allCalls.filter(call => call.createdAt < startDate);
 
     // Get AI suggestions data
-    const suggestions = await AISuggestion.find({
+    const allSuggestions = await AISuggestion.find({
       user: userId,
-      createdAt: { $gte: startDate }
+      createdAt: { $gte: previousStartDate }
     });
+    const suggestions = allSuggestions.filter(s => s.createdAt >= startDate);
+    const previousSuggestions = allSuggestions.filter(s => s.createdAt < startDate);
 
-    // Calculate statistics
-    const totalCalls = calls.length;
-    const completedCalls = calls.filter(call => call.status === 'completed');
-    const averageDuration = completedCalls.length > 0
-      ? completedCalls.reduce((acc, call) => acc + (call.duration || 0), 0) / completedCalls.length
-      : 0;
+    const current = summarizePeriod(calls, suggestions);
 
-    const successfulCalls = completedCalls.filter(call => {
-      const score = call.performanceData?.score || 0;
-      return score >= 70; // Consider calls with score >= 70 as successful
+    // Which kinds of suggestion reps actually used
+    const usedByType = {};
+    suggestions.filter(s => s.used).forEach(s => {
+      usedByType[s.type] = (usedByType[s.type] || 0) + 1;
     });
-
-    const successRate = completedCalls.length > 0
-      ? (successfulCalls.length / completedCalls.length) * 100
-      : 0;
-
-    const usedSuggestions = suggestions.filter(s => s.used);
-    const aiSuggestionsUsedRate = suggestions.length > 0
-      ? (usedSuggestions.length / suggestions.length) * 100
-      : 0;
+    const suggestionsUsedByType = Object.entries(usedByType)
+      .map(([type, count]) => ({ type, count }))
+      .sort((a, b) => b.count - a.count);
 
     // Daily call data for charts
     const dailyCallData = [];
@@ -76,15 +114,15 @@ export const getDashboardAnalytics = async (req, res) => {
         return callDate >= dayStart && callDate <= dayEnd;
       });
       
-      const daySuccessful = dayCalls.filter(call => {
-        const score = call.performanceData?.score || 0;
-        return score >= 70;
-      });
+      const dayScored = dayCalls.filter(isScored);
+      const daySuccessful = dayScored.filter(isSuccessful);
       
       dailyCallData.push({
         date: dayStart.toISOString().split('T')[0],
         calls: dayCalls.length,
-        successRate: dayCalls.length > 0 ? (daySuccessful.length / dayCalls.length) * 100 : 0
+        scoredCalls: dayScored.length,
+        successfulCalls: daySuccessful.length,
+        successRate: dayScored.length > 0 ? (daySuccessful.length / dayScored.length) * 100 : 0
       });
     }
 
@@ -94,17 +132,16 @@ export const getDashboardAnalytics = async (req, res) => {
     res.json({
       success: true,
       data: {
-        totalCalls,
-        successRate: Math.round(successRate),
-        averageDuration: Math.round(averageDuration),
-        aiSuggestionsUsedRate: Math.round(aiSuggestionsUsedRate),
+        ...current,
+        previousPeriod: summarizePeriod(previousCalls, previousSuggestions),
+        suggestionsUsedByType,
         dailyCallData,
         recentCalls: calls.slice(0, 10).map(call => ({
           id: call._id,
           title: call.title,
           duration: call.duration || 0,
           status: call.status,
-          score: call.performanceData?.score || Math.floor(Math.random() * 30) + 70,
+          score: isScored(call) ? call.performanceData.score : null,
           createdAt: call.createdAt
         }))
       }
@@ -211,12 +248,10 @@ export const getPerformanceAnalytics = async (req, res) => {
         return callDate >= period.start && callDate <= period.end;
       });
       
-      const averageScore = periodCalls.length > 0
-        ? periodCalls.reduce((acc, call) => {
-          const score = call.performanceData?.score || Math.floor(Math.random() * 30) + 70;
-          return acc + score;
-        }, 0) / periodCalls.length
-        : 0;
+      const scoredCalls = periodCalls.filter(isScored);
+      const averageScore = scoredCalls.length > 0
+        ? scoredCalls.reduce((acc, call) => acc + call.performanceData.score, 0) / scoredCalls.length
+        : null;
       
       const averageDuration = periodCalls.length > 0
         ? periodCalls.reduce((acc, call) => acc + (call.duration || 0), 0) / periodCalls.length
@@ -225,7 +260,8 @@ export const getPerformanceAnalytics = async (req, res) => {
       performanceData.push({
         period: period.label,
         callCount: periodCalls.length,
-        averageScore: Math.round(averageScore),
+        scoredCount: scoredCalls.length,
+        averageScore: averageScore === null ? null : Math.round(averageScore),
         averageDuration: Math.round(averageDuration)
       });
     }
@@ -1,12 +1,18 @@
+import mongoose from 'mongoose';
 import Document from '../models/Document.js';
+import DocumentFolder from '../models/DocumentFolder.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import AIService from '../services/aiService.js';
-import { parsePdf, parsePdfFromPath } from '../lib/pdfParser.js';
-import { parseDoc } from '../lib/docParser.js';
-import { parseText } from '../lib/textParser.js';
+import documentKnowledgeService from '../services/documentKnowledgeService.js';
+import jobQueue from '../services/jobQueue.js';
+import webDocumentService from '../services/webDocumentService.js';
+import documentVersionService from '../services/documentVersionService.js';
+import documentLibraryService from '../services/documentLibraryService.js';
+import config from '../config/config.js';
+import { getDocumentType } from '../lib/fileUtils.js';
 
 // Helper function to determine content type based on file extension
 const getContentTypeFromExtension = (extension) => {
@@ -15,7 +21,12 @@ const getContentTypeFromExtension = (extension) => {
     '.doc': 'application/msword',
     '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
     '.txt': 'text/plain',
+    '.md': 'text/markdown',
+    '.markdown': 'text/markdown',
+    '.html': 'text/html',
+    '.htm': 'text/html',
     '.csv': 'text/csv',
+    '.tsv': 'text/tab-separated-values',
     '.xls': 'application/vnd.ms-excel',
     '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
     '.ppt': 'application/vnd.ms-powerpoint',
@@ -23,7 +34,11 @@ const getContentTypeFromExtension = (extension) => {
     '.jpg': 'image/jpeg',
     '.jpeg': 'image/jpeg',
     '.png': 'image/png',
-    '.gif': 'image/gif'
+    '.gif': 'image/gif',
+    '.tif': 'image/tiff',
+    '.tiff': 'image/tiff',
+    '.bmp': 'image/bmp',
+    '.webp': 'image/webp'
   };
   
   return contentTypes[extension.toLowerCase()] || null;
@@ -33,7 +48,107 @@ const getContentTypeFromExtension = (extension) => {
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Get all documents for the current user
+// Queue the processing job (or reuse the one already running) and point the
+// document at it. options: reason and note for the version it produces.
+const queueDocumentProcessing = async (document, options = {}) => {
+  // Status first: the worker may pick the job up before we return
+  if (document.processingStatus !== 'processing') {
+    document.processingStatus = 'pending';
+    document.processingError = undefined;
+    await document.save();
+  }
+
+  const job = await jobQueue.enqueue(
+    'document.process',
+    { documentId: String(document._id), ...options },
+    {
+      user: document.user,
+      resource: { kind: 'document', id: document._id },
+      dedupe: true
+    }
+  );
+
+  document.processingJob = job._id;
+  await Document.updateOne({ _id: document._id }, { processingJob: job._id });
+
+  return job;
+};
+
+// Crawl and refresh settings of a URL document from a request body; only the
+// fields present are returned. Throws a message for invalid values.
+const parseWebSettings = (body) => {
+  const settings = {};
+  const limits = {
+    crawlDepth: [0, config.WEB_FETCH.MAX_DEPTH],
+    maxPages: [1, config.WEB_FETCH.MAX_PAGES],
+    refreshIntervalHours: [0, 24 * 365]
+  };
+
+  for (const [field, [min, max]] of Object.entries(limits)) {
+    if (body[field] === undefined || body[field] === '') continue;
+    const value = Number(body[field]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`${field} must be a number between ${min} and ${max}`);
+    }
+    settings[field] = value;
+  }
+
+  return settings;
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// Load the document in req.params.id if the user has at least the given
+// access (viewer, editor or owner). Otherwise returns the status and message
+// to respond with; documents the user can't read are reported as not found.
+const findDocument = async (req, access = 'viewer', select) => {
+  const query = Document.findById(req.params.id);
+  if (select) query.select(`${select} user team`);
+  const document = mongoose.isValidObjectId(req.params.id) ? await query : null;
+
+  const role = document && await documentLibraryService.roleFor(req.user.id, document);
+  if (!role) {
+    return { status: 404, message: 'Document not found' };
+  }
+  if (!documentLibraryService.hasRole(role, access)) {
+    return { status: 403, message: `You need ${access} access to this document` };
+  }
+  return { document, role };
+};
+
+// Library (team id, null for personal) and folder a document is added or
+// moved to. Returns an error status and message unless the user may add
+// documents there.
+const resolveDestination = async (req, teamId, folderId) => {
+  const team = teamId || null;
+  if ((team && !mongoose.isValidObjectId(team)) || (folderId && !mongoose.isValidObjectId(folderId))) {
+    return { error: { status: 400, message: 'Invalid team or folder' } };
+  }
+
+  const role = await documentLibraryService.libraryRole(req.user.id, team);
+  if (!documentLibraryService.hasRole(role, 'editor')) {
+    return {
+      error: { status: 403, message: 'You need editor access to add documents to this library' }
+    };
+  }
+
+  if (!folderId) return { team, folder: null, role };
+  const folder = await documentLibraryService.findFolder(req.user.id, folderId, team);
+  if (!folder) {
+    return { error: { status: 400, message: 'Folder not found in this library' } };
+  }
+  return { team, folder: folder._id, role };
+};
+
+// Get the documents of a library: the user's personal one, or a team's with
+// ?team=<id>. ?folder=<id> narrows to one folder (?folder=root for the top
+// level). Each document carries the user's access level.
 export const getDocuments = async (req, res) => {
   try {
     // Check if user is properly authenticated
@@ -45,8 +160,26 @@ export const getDocuments = async (req, res) => {
       });
     }
     
-    const documents = await Document.find({ user: req.user.id }).sort({ createdAt: -1 });
-    res.status(200).json(documents);
+    const teamId = req.query.team || null;
+    const role = teamId && !mongoose.isValidObjectId(teamId)
+      ? null
+      : await documentLibraryService.libraryRole(req.user.id, teamId);
+    if (!role) {
+      return res.status(404).json({ message: 'Team not found', code: 'TEAM_NOT_FOUND' });
+    }
+
+    const filter = documentLibraryService.libraryFilter(req.user.id, teamId);
+    if (req.query.folder === 'root') {
+      filter.folder = null;
+    } else if (req.query.folder) {
+      if (!mongoose.isValidObjectId(req.query.folder)) {
+        return res.status(400).json({ message: 'Invalid folder' });
+      }
+      filter.folder = req.query.folder;
+    }
+
+    const documents = await Document.find(filter).sort({ createdAt: -1 });
+    res.status(200).json(documents.map((document) => ({ ...document.toJSON(), access: role })));
   } catch (error) {
     console.error('Error fetching documents:', error);
     res.status(500).json({ 
@@ -61,20 +194,19 @@ export const getDocuments = async (req, res) => {
 // Get a single document by ID
 export const getDocument = async (req, res) => {
   try {
-    const document = await Document.findOne({ _id: req.params.id, user: req.user.id });
-    
+    const { document, role, status, message } = await findDocument(req, 'viewer');
     if (!document) {
-      return res.status(404).json({ message: 'Document not found' });
+      return res.status(status).json({ message });
     }
     
-    res.status(200).json(document);
+    res.status(200).json({ ...document.toJSON(), access: role });
   } catch (error) {
     console.error('Error fetching document:', error);
     res.status(500).json({ message: 'Failed to fetch document', error: error.message });
   }
 };
 
-// Upload a new document file
+// Upload a new document file; parsing and AI processing run as a background job
 export const uploadDocument = async (req, res) => {
   try {
     if (!req.file) {
@@ -83,12 +215,16 @@ export const uploadDocument = async (req, res) => {
 
     const { originalname, mimetype, path: filePath, size } = req.file;
     const { name, tags } = req.body;
+
+    // Personal library unless a team is given
+    const destination = await resolveDestination(req, req.body.team, req.body.folder);
+    if (destination.error) {
+      await fs.promises.unlink(filePath).catch(() => {});
+      return res.status(destination.error.status).json({ message: destination.error.message });
+    }
     
-    // Determine document type from mimetype
-    let type = 'text';
-    if (mimetype.includes('pdf')) type = 'pdf';
-    else if (mimetype.includes('image')) type = 'image';
-    else if (mimetype.includes('word')) type = 'doc';
+    // Determine document type from the file extension
+    const type = getDocumentType(originalname) || 'text';
     
     // Create new document in database
     const document = await Document.create({
@@ -96,62 +232,19 @@ export const uploadDocument = async (req, res) => {
       type,
       filePath,
       user: req.user.id,
+      team: destination.team,
+      folder: destination.folder,
       fileSize: size,
       mimeType: mimetype,
+      fileName: originalname,
       tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
       processed: false,
-      processingStatus: 'processing'
+      processingStatus: 'pending'
     });
 
-    // Extract text based on document type
-    let extractedText = '';
-    try {
-      if (type === 'pdf') {
-        // Use our custom PDF parser wrapper with built-in validation
-        try {
-          const data = await parsePdfFromPath(filePath);
-          extractedText = data.text;
-        } catch (pdfError) {
-          console.error('PDF parsing error:', pdfError);
-          throw new Error(`Failed to parse PDF: ${pdfError.message}`);
-        }
-      } else if (type === 'doc' || type === 'docx') {
-        // Use our custom DOC parser wrapper with built-in validation
-        try {
-          const result = await parseDoc(filePath);
-          extractedText = result.value;
-        } catch (docError) {
-          console.error('DOC parsing error:', docError);
-          throw new Error(`Failed to parse document: ${docError.message}`);
-        }
-      } else if (type === 'text') {
-        // Use our custom text parser wrapper with built-in validation
-        try {
-          extractedText = await parseText(filePath);
-        } catch (textError) {
-          console.error('Text parsing error:', textError);
-          throw new Error(`Failed to parse text file: ${textError.message}`);
-        }
-      }
+    const job = await queueDocumentProcessing(document);
 
-      // Process the extracted text with AI
-      if (extractedText) {
-        const aiContext = await AIService.processDocumentForContext(extractedText, type);
-        
-        // Update document with extracted text and AI context
-        document.extractedText = extractedText;
-        document.aiContext = aiContext;
-        document.processed = true;
-        document.processingStatus = 'completed';
-      }
-    } catch (processingError) {
-      console.error('Error processing document:', processingError);
-      document.processingStatus = 'failed';
-      document.processingError = processingError.message;
-    }
-
-    await document.save();
-    res.status(201).json(document);
+    res.status(202).json({ ...document.toJSON(), access: destination.role, jobId: String(job._id) });
   } catch (error) {
     console.error('Error uploading document:', error);
     
@@ -164,12 +257,6 @@ export const uploadDocument = async (req, res) => {
       errorMessage = 'File not found during processing';
       errorCode = 'FILE_NOT_FOUND';
       errorDetails = `The file could not be found at the specified path: ${error.path}`;
-    } else if (error.message.includes('parse')) {
-      errorMessage = 'Document parsing failed';
-      errorCode = 'PARSING_ERROR';
-    } else if (error.message.includes('AI')) {
-      errorMessage = 'AI processing failed';
-      errorCode = 'AI_PROCESSING_ERROR';
     }
     
     res.status(500).json({ 
@@ -181,7 +268,32 @@ export const uploadDocument = async (req, res) => {
   }
 };
 
-// Create a new URL document
+// Run a document through extraction and AI processing again, e.g. after the
+// document prompts changed or a failed upload
+export const reprocessDocument = async (req, res) => {
+  try {
+    const { document, status, message } = await findDocument(req, 'editor');
+    if (!document) {
+      return res.status(status).json({ message });
+    }
+
+    if (!document.filePath && document.type !== 'url') {
+      return res.status(400).json({
+        message: 'Only uploaded files and URL documents can be reprocessed',
+        code: 'NOT_REPROCESSABLE'
+      });
+    }
+
+    const job = await queueDocumentProcessing(document);
+    res.status(202).json({ ...document.toJSON(), jobId: String(job._id) });
+  } catch (error) {
+    console.error('Error reprocessing document:', error);
+    res.status(500).json({ message: 'Failed to reprocess document', error: error.message });
+  }
+};
+
+// Create a new URL document; the page (and, with a crawl depth, the pages it
+// links to) is fetched and processed as a background job
 export const createUrlDocument = async (req, res) => {
   try {
     const { name, url, tags } = req.body;
@@ -189,6 +301,26 @@ export const createUrlDocument = async (req, res) => {
     if (!name || !url) {
       return res.status(400).json({ message: 'Name and URL are required' });
     }
+
+    if (!isHttpUrl(url)) {
+      return res.status(400).json({ message: 'URL must be an http or https address' });
+    }
+
+    const destination = await resolveDestination(req, req.body.team, req.body.folder);
+    if (destination.error) {
+      return res.status(destination.error.status).json({ message: destination.error.message });
+    }
+
+    let web;
+    try {
+      web = {
+        crawlDepth: 0,
+        refreshIntervalHours: config.WEB_FETCH.DEFAULT_REFRESH_HOURS,
+        ...parseWebSettings(req.body)
+      };
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
     
     // Create new document in database
     const document = await Document.create({
@@ -196,61 +328,398 @@ export const createUrlDocument = async (req, res) => {
       type: 'url',
       url,
       user: req.user.id,
+      team: destination.team,
+      folder: destination.folder,
       tags: tags || [],
-      processed: true // URL documents are considered processed immediately
+      web,
+      processed: false,
+      processingStatus: 'pending'
     });
+
+    const job = await queueDocumentProcessing(document);
     
-    res.status(201).json(document);
+    res.status(202).json({ ...document.toJSON(), access: destination.role, jobId: String(job._id) });
   } catch (error) {
     console.error('Error creating URL document:', error);
     res.status(500).json({ message: 'Failed to create URL document', error: error.message });
   }
 };
 
-// Update a document
+// Update a document: name, tags, URL settings, its folder, or its library
+// (team, or null for personal) to share it with a team
 export const updateDocument = async (req, res) => {
   try {
+    const { document, role, status, message } = await findDocument(req, 'editor');
+    if (!document) {
+      return res.status(status).json({ message });
+    }
+
     const { name, tags } = req.body;
     const updates = {};
     
     if (name) updates.name = name;
     if (tags) updates.tags = tags;
+
+    // Crawl and refresh settings (URL documents); they apply from the next fetch
+    try {
+      for (const [field, value] of Object.entries(parseWebSettings(req.body))) {
+        updates[`web.${field}`] = value;
+      }
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (req.body.refreshIntervalHours !== undefined) {
+      updates['web.nextFetchAt'] = updates['web.refreshIntervalHours'] > 0
+        ? new Date(Date.now() + updates['web.refreshIntervalHours'] * 3600000)
+        : null;
+    }
     
-    const document = await Document.findOneAndUpdate(
-      { _id: req.params.id, user: req.user.id },
-      updates,
-      { new: true }
-    );
-    
-    if (!document) {
-      return res.status(404).json({ message: 'Document not found' });
+    if (req.body.team !== undefined || req.body.folder !== undefined) {
+      const teamId = req.body.team !== undefined ? req.body.team || null : document.team;
+      const moving = String(teamId || '') !== String(document.team || '');
+      if (moving && role !== 'owner') {
+        return res.status(403).json({ message: 'Only the owner can move this document to another library' });
+      }
+
+      const destination = await resolveDestination(req, teamId, req.body.folder);
+      if (destination.error) {
+        return res.status(destination.error.status).json({ message: destination.error.message });
+      }
+      updates.team = destination.team;
+      updates.folder = destination.folder;
+      // Personal documents belong to whoever moved them there
+      if (moving && !destination.team) updates.user = req.user.id;
     }
     
-    res.status(200).json(document);
+    const updated = await Document.findByIdAndUpdate(document._id, updates, { new: true });
+    const access = await documentLibraryService.roleFor(req.user.id, updated);
+    
+    res.status(200).json({ ...updated.toJSON(), access });
   } catch (error) {
     console.error('Error updating document:', error);
     res.status(500).json({ message: 'Failed to update document', error: error.message });
   }
 };
 
+// Fetch a URL document again now; the AI context is only rebuilt when the
+// page changed
+export const refreshUrlDocument = async (req, res) => {
+  try {
+    const { document, status, message } = await findDocument(req, 'editor');
+    if (!document) {
+      return res.status(status).json({ message });
+    }
+
+    if (document.type !== 'url') {
+      return res.status(400).json({
+        message: 'Only URL documents can be refreshed',
+        code: 'NOT_REFRESHABLE'
+      });
+    }
+
+    // A document that never processed successfully needs the full run
+    const job = document.processed
+      ? await webDocumentService.enqueueRefresh(document)
+      : await queueDocumentProcessing(document);
+    await Document.updateOne({ _id: document._id }, { processingJob: job._id });
+
+    res.status(202).json({ ...document.toJSON(), processingJob: job._id, jobId: String(job._id) });
+  } catch (error) {
+    console.error('Error refreshing URL document:', error);
+    res.status(500).json({ message: 'Failed to refresh document', error: error.message });
+  }
+};
+
+// Replace a document's file; the new file is processed into the next version
+// and the earlier versions keep theirs
+export const uploadDocumentVersion = async (req, res) => {
+  const discardUpload = () => req.file && fs.promises.unlink(req.file.path).catch(() => {});
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const { document, status, message } = await findDocument(req, 'editor');
+    if (!document) {
+      await discardUpload();
+      return res.status(status).json({ message });
+    }
+
+    if (document.type === 'url') {
+      await discardUpload();
+      return res.status(400).json({
+        message: 'URL documents get new versions when the page changes',
+        code: 'NOT_VERSIONABLE'
+      });
+    }
+
+    if (['pending', 'processing'].includes(document.processingStatus)) {
+      await discardUpload();
+      return res.status(409).json({
+        message: 'Wait for the current processing to finish before uploading a new version',
+        code: 'PROCESSING_IN_PROGRESS'
+      });
+    }
+
+    const { originalname, mimetype, path: filePath, size } = req.file;
+    const previousFile = document.filePath;
+
+    document.set({
+      type: getDocumentType(originalname) || 'text',
+      filePath,
+      fileName: originalname,
+      fileSize: size,
+      mimeType: mimetype
+    });
+    await document.save();
+
+    // A file that never made it into a version (e.g. it failed to process)
+    // has nothing left pointing at it
+    if (previousFile && !(await documentVersionService.isFileUsed(document._id, previousFile))) {
+      await fs.promises.unlink(path.resolve(previousFile)).catch(() => {});
+    }
+
+    const job = await queueDocumentProcessing(document, {
+      reason: 'new_file',
+      ...(req.body.note && { note: String(req.body.note).slice(0, 500) })
+    });
+
+    res.status(202).json({ ...document.toJSON(), jobId: String(job._id) });
+  } catch (error) {
+    console.error('Error uploading document version:', error);
+    await discardUpload();
+    res.status(500).json({ message: 'Failed to upload new version', error: error.message });
+  }
+};
+
+// List a document's versions, newest first
+export const getDocumentVersions = async (req, res) => {
+  try {
+    const { document, status, message } = await findDocument(req, 'viewer', 'currentVersion');
+    if (!document) {
+      return res.status(status).json({ message });
+    }
+
+    const versions = await documentVersionService.list(document._id);
+    res.status(200).json({ currentVersion: document.currentVersion, versions });
+  } catch (error) {
+    console.error('Error fetching document versions:', error);
+    res.status(500).json({ message: 'Failed to fetch document versions', error: error.message });
+  }
+};
+
+// A single version with its extracted text and AI context
+export const getDocumentVersion = async (req, res) => {
+  try {
+    const { document, status, message } = await findDocument(req, 'viewer', '_id');
+    if (!document) {
+      return res.status(status).json({ message });
+    }
+
+    const version = await documentVersionService.get(document._id, Number(req.params.version));
+    if (!version) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    res.status(200).json(version);
+  } catch (error) {
+    console.error('Error fetching document version:', error);
+    res.status(500).json({ message: 'Failed to fetch document version', error: error.message });
+  }
+};
+
+// Compare two versions: ?from=1&to=3 (to defaults to the current version,
+// from to the one before it)
+export const diffDocumentVersions = async (req, res) => {
+  try {
+    const { document, status, message } = await findDocument(req, 'viewer', 'currentVersion');
+    if (!document) {
+      return res.status(status).json({ message });
+    }
+
+    const to = Number(req.query.to) || document.currentVersion;
+    const from = Number(req.query.from) || to - 1;
+    if (!to || from < 1) {
+      return res.status(400).json({ message: 'Two versions are needed for a comparison' });
+    }
+
+    const diff = await documentVersionService.diff(document._id, from, to);
+    if (!diff) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    res.status(200).json(diff);
+  } catch (error) {
+    console.error('Error comparing document versions:', error);
+    res.status(500).json({ message: 'Failed to compare document versions', error: error.message });
+  }
+};
+
+// Restore an earlier version's file, text and AI context as a new version
+export const rollbackDocumentVersion = async (req, res) => {
+  try {
+    const { document, status, message } = await findDocument(req, 'editor');
+    if (!document) {
+      return res.status(status).json({ message });
+    }
+
+    if (['pending', 'processing'].includes(document.processingStatus)) {
+      return res.status(409).json({
+        message: 'Wait for the current processing to finish before rolling back',
+        code: 'PROCESSING_IN_PROGRESS'
+      });
+    }
+
+    const version = Number(req.params.version);
+    if (version === document.currentVersion) {
+      return res.status(400).json({ message: 'This version is already the current one' });
+    }
+
+    const restored = await documentVersionService.rollback(document, version, {
+      note: req.body?.note ? String(req.body.note).slice(0, 500) : undefined
+    });
+    if (!restored) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    res.status(200).json(restored);
+  } catch (error) {
+    console.error('Error rolling back document:', error);
+    res.status(500).json({ message: 'Failed to roll back document', error: error.message });
+  }
+};
+
+// Folders of a library: the user's personal one, or a team's with ?team=<id>
+export const getFolders = async (req, res) => {
+  try {
+    const teamId = req.query.team || null;
+    const role = teamId && !mongoose.isValidObjectId(teamId)
+      ? null
+      : await documentLibraryService.libraryRole(req.user.id, teamId);
+    if (!role) {
+      return res.status(404).json({ message: 'Team not found', code: 'TEAM_NOT_FOUND' });
+    }
+
+    const folders = await documentLibraryService.listFolders(req.user.id, teamId);
+    res.status(200).json(folders);
+  } catch (error) {
+    console.error('Error fetching folders:', error);
+    res.status(500).json({ message: 'Failed to fetch folders', error: error.message });
+  }
+};
+
+// Create a folder in a library, optionally inside another folder
+export const createFolder = async (req, res) => {
+  try {
+    const { name, team, parent } = req.body;
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: 'Folder name is required' });
+    }
+
+    const destination = await resolveDestination(req, team, parent);
+    if (destination.error) {
+      return res.status(destination.error.status).json({ message: destination.error.message });
+    }
+
+    const folder = await DocumentFolder.create({
+      name: name.trim(),
+      user: req.user.id,
+      team: destination.team,
+      parent: destination.folder
+    });
+    res.status(201).json(folder);
+  } catch (error) {
+    console.error('Error creating folder:', error);
+    res.status(500).json({ message: 'Failed to create folder', error: error.message });
+  }
+};
+
+// Load the folder in req.params.folderId if the user may edit its library
+const findEditableFolder = async (req) => {
+  const folder = mongoose.isValidObjectId(req.params.folderId)
+    ? await DocumentFolder.findById(req.params.folderId)
+    : null;
+  const role = folder && await documentLibraryService.roleFor(req.user.id, folder);
+  if (!role) return { status: 404, message: 'Folder not found' };
+  if (!documentLibraryService.hasRole(role, 'editor')) {
+    return { status: 403, message: 'You need editor access to change this folder' };
+  }
+  return { folder };
+};
+
+// Rename a folder or move it under another folder of the same library
+// (parent: null for the top level)
+export const updateFolder = async (req, res) => {
+  try {
+    const { folder, status, message } = await findEditableFolder(req);
+    if (!folder) {
+      return res.status(status).json({ message });
+    }
+
+    const { name, parent } = req.body;
+    if (name !== undefined) {
+      if (!name.trim()) {
+        return res.status(400).json({ message: 'Folder name is required' });
+      }
+      folder.name = name.trim();
+    }
+
+    if (parent !== undefined) {
+      const destination = await resolveDestination(req, folder.team, parent);
+      if (destination.error) {
+        return res.status(destination.error.status).json({ message: destination.error.message });
+      }
+      if (await documentLibraryService.wouldCycle(folder, destination.folder)) {
+        return res.status(400).json({ message: 'A folder cannot be moved into itself' });
+      }
+      folder.parent = destination.folder;
+    }
+
+    await folder.save();
+    res.status(200).json(folder);
+  } catch (error) {
+    console.error('Error updating folder:', error);
+    res.status(500).json({ message: 'Failed to update folder', error: error.message });
+  }
+};
+
+// Delete a folder; its documents and subfolders move up to its parent
+export const deleteFolder = async (req, res) => {
+  try {
+    const { folder, status, message } = await findEditableFolder(req);
+    if (!folder) {
+      return res.status(status).json({ message });
+    }
+
+    await documentLibraryService.deleteFolder(folder);
+    res.status(200).json({ message: 'Folder deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting folder:', error);
+    res.status(500).json({ message: 'Failed to delete folder', error: error.message });
+  }
+};
+
 // Delete a document
 export const deleteDocument = async (req, res) => {
   try {
-    const document = await Document.findOne({ _id: req.params.id, user: req.user.id });
-    
+    const { document, status, message } = await findDocument(req, 'editor');
     if (!document) {
-      return res.status(404).json({ message: 'Document not found' });
+      return res.status(status).json({ message });
     }
     
-    // If it's a file document, delete the file from the filesystem
-    if (document.filePath) {
-      const fullPath = path.resolve(document.filePath);
+    // Delete the document's file and the files of its earlier versions
+    const filePaths = new Set(await documentVersionService.removeDocument(document._id));
+    if (document.filePath) filePaths.add(document.filePath);
+    filePaths.forEach((filePath) => {
+      const fullPath = path.resolve(filePath);
       if (fs.existsSync(fullPath)) {
         fs.unlinkSync(fullPath);
       }
-    }
+    });
     
     await Document.deleteOne({ _id: req.params.id });
+    await documentKnowledgeService.removeDocument(document._id);
     
     res.status(200).json({ message: 'Document deleted successfully' });
   } catch (error) {
@@ -261,9 +730,9 @@ export const deleteDocument = async (req, res) => {
 
 export const getAISuggestion = async (req, res) => {
   try {
-    const document = await Document.findOne({ _id: req.params.id, user: req.user.id });
+    const { document, status, message } = await findDocument(req, 'viewer');
     if (!document) {
-      return res.status(404).json({ message: 'Document not found' });
+      return res.status(status).json({ message });
     }
 
     if (!document.processed || document.processingStatus !== 'completed') {
@@ -285,15 +754,56 @@ export const getAISuggestion = async (req, res) => {
   }
 };
 
+// Re-chunk and re-embed a processed document (e.g. after changing embedding provider)
+export const reindexDocument = async (req, res) => {
+  try {
+    const { document, status, message } = await findDocument(req, 'editor');
+    if (!document) {
+      return res.status(status).json({ message });
+    }
+
+    if (!document.processed || !document.extractedText) {
+      return res.status(400).json({
+        message: 'Document has no extracted text to index',
+        status: document.processingStatus
+      });
+    }
+
+    const result = await documentKnowledgeService.indexDocument(document);
+    res.status(200).json({ message: 'Document indexed successfully', ...result });
+  } catch (error) {
+    console.error('Error reindexing document:', error);
+    res.status(500).json({ message: 'Failed to index document', error: error.message });
+  }
+};
+
+// Search the user's documents for passages relevant to a query
+export const searchDocuments = async (req, res) => {
+  try {
+    const { query, topK } = req.body;
+
+    if (!query || query.trim() === '') {
+      return res.status(400).json({ message: 'Query is required', code: 'MISSING_QUERY' });
+    }
+
+    const matches = await documentKnowledgeService.search(req.user.id, query, {
+      topK: parseInt(topK) || undefined
+    });
+    res.status(200).json(matches);
+  } catch (error) {
+    console.error('Error searching documents:', error);
+    res.status(500).json({ message: 'Failed to search documents', error: error.message });
+  }
+};
+
 // Download a document
 export const downloadDocument = async (req, res) => {
   try {
     console.log(`Download request for document ID: ${req.params.id}`);
-    const document = await Document.findOne({ _id: req.params.id, user: req.user.id });
-    
+    const { document, status, message } = await findDocument(req, 'viewer');
     if (!document) {
       console.log(`Document not found: ${req.params.id}`);
-      return res.status(404).json({ message: 'Document not found' });
+      return res.status(status).json({ message });
     }
     
     console.log(`Downloading document: ${document.name}, type: ${document.type}`);
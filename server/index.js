@@ -17,6 +17,7 @@ import database from "./config/database.js";
 // Import middleware
 import { globalErrorHandler } from "./middleware/errorHandler.js";
 import { generalLimiter } from "./middleware/rateLimiter.js";
+import { authenticate } from "./middleware/auth.js";
 
 // Import routes
 import authRoutes from "./routes/auth.js";
@@ -24,12 +25,33 @@ import callRoutes from "./routes/calls.js";
 import meetingRoutes from "./routes/meetings.js";
 import documentRoutes from "./routes/documentRoutes.js";
 import analyticsRoutes from "./routes/analytics.js";
+import recordingRoutes from "./routes/recordings.js";
+import jobRoutes from "./routes/jobs.js";
+import teamRoutes from "./routes/teams.js";
+import searchRoutes from "./routes/search.js";
+import objectionRoutes from "./routes/objections.js";
+import scorecardRoutes from "./routes/scorecards.js";
+import actionItemRoutes from "./routes/actionItems.js";
 
 // Import services
 import aiService from "./services/aiService.js";
 import zoomService from "./services/zoomService.js";
 import googleMeetService from "./services/googleMeetService.js";
-import TranscriptAnalyzer from "./services/transcriptAnalyzer.js";
+import callSessionRegistry, {
+  callRoom,
+} from "./services/callSessionRegistry.js";
+import documentKnowledgeService from "./services/documentKnowledgeService.js";
+import transcriptEnrichmentService from "./services/transcriptEnrichmentService.js";
+import audioIngestionService from "./services/audioIngestionService.js";
+import jobQueue from "./services/jobQueue.js";
+import webDocumentService from "./services/webDocumentService.js";
+import objectionLibraryService from "./services/objectionLibraryService.js";
+import callScoringService from "./services/callScoringService.js";
+import scorecardService from "./services/scorecardService.js";
+import actionItemService from "./services/actionItemService.js";
+import searchService from "./services/searchService.js";
+import { registerJobHandlers } from "./services/jobHandlers.js";
+import { decodeBase64Audio } from "./lib/audioContainer.js";
 import mongoose from "mongoose";
 import { text } from "stream/consumers";
 
@@ -56,14 +78,72 @@ const io = new Server(server, {
 // Initialize RTMS service
 // Set up RTMS transcript handler to follow same flow as existing transcription
 
-// Initialize transcript analyzer for AI suggestions
-const transcriptAnalyzer = new TranscriptAnalyzer();
+// Per-call sessions hold the transcript analyzer, dedupe set and RTMS binding
+callSessionRegistry.onSessionEnd((session) => {
+  // Clear AI conversation context
+  aiService.clearConversationContext(session.callId);
 
-// Global variable to store current call ID for RTMS
-let globalCallId = null;
+  // Transcribe whatever browser audio is still buffered
+  audioIngestionService.stop(session.callId);
 
-// Track processed transcripts to prevent duplicates
-const processedTranscripts = new Set();
+  // Stop RTMS transcription if the call was bound to a Zoom meeting
+  if (session.platform === "zoom" && session.meetingId) {
+    zoomRTMSService
+      .stopRTMSTranscription(session.meetingId)
+      .catch((error) =>
+        console.error("Error stopping RTMS transcription:", error)
+      );
+  }
+
+  // Make the call's lines and suggestions findable by semantic search
+  if (session.ownerId) {
+    searchService
+      .enqueueEmbedding(session.ownerId)
+      .catch((error) =>
+        console.warn(`⚠️ Could not queue search embedding: ${error.message}`)
+      );
+  }
+});
+
+// Browser and phone audio sent over audioData: final results go through the
+// same pipeline as every other transcript, interim ones are only displayed
+audioIngestionService.onTranscript((callId, transcript) => {
+  handleNewTranscript(callId, transcript).catch((error) =>
+    console.error("Error handling audio transcript:", error)
+  );
+});
+audioIngestionService.onInterim((callId, transcript) => {
+  io.to(callRoom(callId)).emit("interimTranscript", {
+    ...transcript,
+    callId,
+  });
+});
+audioIngestionService.onError((callId, { error }) => {
+  io.to(callRoom(callId)).emit("transcriptionError", { callId, error });
+});
+
+// Badge transcript lines live as the enrichment worker annotates them
+transcriptEnrichmentService.onEnriched((result) => {
+  emitToCall(result.callId, "transcriptEnriched", result);
+});
+
+// A scorecard switched from the call page replaces the live checklist
+scorecardService.onChanged(({ callId, scorecard }) => {
+  publishScorecard(callId, scorecard);
+});
+
+// Background jobs report progress to every socket of the job's owner and
+// of the users watching it
+registerJobHandlers();
+jobQueue.onUpdate((job) => {
+  const users = [job.user, ...(job.watchers || [])].filter(Boolean);
+  if (users.length > 0) {
+    io.to(users.map((user) => `user:${user}`)).emit(
+      "jobProgress",
+      job.toClient()
+    );
+  }
+});
 
 // Socket.IO authentication middleware
 io.use(async (socket, next) => {
@@ -203,179 +283,35 @@ app.use("/api/calls", callRoutes);
 app.use("/api/meetings", meetingRoutes);
 app.use("/api/documents", documentRoutes);
 app.use("/api/analytics", analyticsRoutes);
-
-// Endpoint: Generate call summary using OpenAI
-app.post("/api/calls/:id/summary", async (req, res) => {
+app.use("/api/recordings", recordingRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/teams", teamRoutes);
+app.use("/api/search", searchRoutes);
+app.use("/api/objections", objectionRoutes);
+app.use("/api/scorecards", scorecardRoutes);
+app.use("/api/action-items", actionItemRoutes);
+
+// Endpoint: Get call transcripts and AI suggestions by call ID, for users
+// the call belongs to or is shared with
+async function getCallLog(req, res) {
   try {
     const { id } = req.params;
 
     const CallModel = (await import("./models/Call.js")).default;
     const Transcript = (await import("./models/Transcript.js")).default;
+    const AISuggestion = (await import("./models/AISuggestion.js")).default;
 
-    // Try to resolve a Call document by _id or meetingId
-    let callDoc = null;
-    try {
-      callDoc = await CallModel.findById(id)
-        .lean()
-        .catch(() => null);
-    } catch (e) {
-      callDoc = null;
-    }
+    const callDoc = await CallModel.findAccessible(id, req.user._id);
     if (!callDoc) {
-      try {
-        callDoc = await CallModel.findOne({ meetingId: id })
-          .lean()
-          .catch(() => null);
-      } catch (e) {
-        callDoc = null;
-      }
-    }
-
-    // Build query keys for transcripts
-    const callKeys = [id];
-    if (callDoc && callDoc._id) callKeys.push(String(callDoc._id));
-
-    // Fetch transcripts for the call
-    const transcripts = await Transcript.find({ call: { $in: callKeys } })
-      .sort({ timestamp: 1 })
-      .lean()
-      .limit(500); // Limit to prevent too much data
-
-    if (!transcripts || transcripts.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: "No transcripts found for this call",
-      });
-    }
-
-    // Convert transcripts to conversation text
-    const conversationText = transcripts
-      .map((t) => `${t.speaker}: ${t.text}`)
-      .join("\n");
-
-    if (!conversationText.trim()) {
-      return res.status(400).json({
-        success: false,
-        message: "No conversation content found",
-      });
-    }
-
-    // Generate summary using AI service
-    const prompt = `You are a professional business analyst specializing in meeting documentation and call analysis. 
-
-Generate a comprehensive, well-structured call summary report that is easy to read and understand. Follow this exact format:
-
-**MEETING OVERVIEW**
-- Brief 2-3 sentence description of the meeting purpose and outcome
-
-**PARTICIPANTS**
-- List all speakers/participants mentioned in the call
-- Include their roles if identifiable from context
-
-**KEY DISCUSSION POINTS**
-- Main topics discussed (use bullet points)
-- Important concepts and ideas presented
-- Questions raised and addressed
-
-**DECISIONS MADE**
-- Specific decisions reached during the call
-- Agreements or consensus points
-- Approved actions or changes
-
-**ACTION ITEMS**
-- Clear list of tasks assigned
-- Who is responsible for each action (if mentioned)
-- Deadlines or timelines (if mentioned)
-
-**NEXT STEPS**
-- Follow-up meetings or calls planned
-- Immediate next actions required
-- Future considerations discussed
-
-**ADDITIONAL NOTES**
-- Any other relevant information
-- Concerns or risks mentioned
-- Opportunities identified
-
-Use clear, professional language. Make extensive use of bullet points and numbered lists for easy reading. Keep sentences concise but informative.
-
-Call conversation to analyze:
-
-${conversationText}`;
-
-    const summary = await aiService.generateCompletion(prompt, {
-      model: "gpt-3.5-turbo",
-      maxTokens: 1000,
-      temperature: 0.7,
-    });
-
-    if (!summary || !summary.content) {
-      return res.status(500).json({
+      return res.status(404).json({
         success: false,
-        message: "Failed to generate summary",
+        message: "Call not found",
       });
     }
 
-    // Update call document with summary if it exists
-    if (callDoc) {
-      try {
-        await CallModel.findByIdAndUpdate(callDoc._id, {
-          summary: summary.content,
-          summaryGeneratedAt: new Date(),
-        });
-      } catch (updateError) {
-        console.error("Error updating call with summary:", updateError);
-      }
-    }
-
-    return res.json({
-      success: true,
-      data: {
-        summary: summary.content,
-        transcriptCount: transcripts.length,
-        callTitle: callDoc?.title || `Call ${id}`,
-      },
-    });
-  } catch (error) {
-    console.error("Error generating call summary:", error);
-    return res.status(500).json({
-      success: false,
-      message: "Failed to generate call summary",
-      error: error.message,
-    });
-  }
-});
-// Endpoint: Get call transcripts and AI suggestions by call ID
-app.get("/api/calls/:id/log", async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    const CallModel = (await import("./models/Call.js")).default;
-    const Transcript = (await import("./models/Transcript.js")).default;
-    const AISuggestion = (await import("./models/AISuggestion.js")).default;
-
-    // Try to resolve a Call document by _id or meetingId
-    let callDoc = null;
-    try {
-      callDoc = await CallModel.findById(id)
-        .lean()
-        .catch(() => null);
-    } catch (e) {
-      callDoc = null;
-    }
-    if (!callDoc) {
-      try {
-        callDoc = await CallModel.findOne({ meetingId: id })
-          .lean()
-          .catch(() => null);
-      } catch (e) {
-        callDoc = null;
-      }
-    }
-
-    // Build query keys for transcripts and suggestions
-    const callKeys = [id];
-    if (callDoc && callDoc._id) callKeys.push(String(callDoc._id));
+    // Lines and suggestions are stored under the call's _id or its meetingId
+    const callKeys = [String(callDoc._id)];
+    if (callDoc.meetingId) callKeys.push(String(callDoc.meetingId));
 
     // Fetch transcripts and suggestions
     const transcripts = await Transcript.find({ call: { $in: callKeys } })
@@ -390,7 +326,7 @@ app.get("/api/calls/:id/log", async (req, res) => {
 
     return res.json({
       success: true,
-      data: { call: callDoc, transcripts, suggestions },
+      data: { call: callDoc.toObject(), transcripts, suggestions },
     });
   } catch (error) {
     console.error("Error fetching call log:", error);
@@ -400,62 +336,11 @@ app.get("/api/calls/:id/log", async (req, res) => {
       error: error.message,
     });
   }
-});
-
-// Alternative endpoint: Get call transcripts and AI suggestions by call ID (non-conflicting)
-app.get("/api/calls/log/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    const CallModel = (await import("./models/Call.js")).default;
-    const Transcript = (await import("./models/Transcript.js")).default;
-    const AISuggestion = (await import("./models/AISuggestion.js")).default;
-
-    // Try to resolve a Call document by _id or meetingId
-    let callDoc = null;
-    try {
-      callDoc = await CallModel.findById(id)
-        .lean()
-        .catch(() => null);
-    } catch (e) {
-      callDoc = null;
-    }
-    if (!callDoc) {
-      try {
-        callDoc = await CallModel.findOne({ meetingId: id })
-          .lean()
-          .catch(() => null);
-      } catch (e) {
-        callDoc = null;
-      }
-    }
-
-    const callKeys = [id];
-    if (callDoc && callDoc._id) callKeys.push(String(callDoc._id));
-
-    const transcripts = await Transcript.find({ call: { $in: callKeys } })
-      .sort({ timestamp: 1 })
-      .lean()
-      .limit(200);
-
-    const suggestions = await AISuggestion.find({ call: { $in: callKeys } })
-      .sort({ createdAt: -1 })
-      .lean()
-      .limit(200);
+}
 
-    return res.json({
-      success: true,
-      data: { call: callDoc, transcripts, suggestions },
-    });
-  } catch (error) {
-    console.error("Error fetching call log (alt):", error);
-    return res.status(500).json({
-      success: false,
-      message: "Failed to fetch call log",
-      error: error.message,
-    });
-  }
-});
+app.get("/api/calls/:id/log", authenticate, getCallLog);
+// Alternative, non-conflicting path for the same log
+app.get("/api/calls/log/:id", authenticate, getCallLog);
 
 // Health check endpoint
 app.get("/api/health", async (req, res) => {
@@ -468,8 +353,9 @@ app.get("/api/health", async (req, res) => {
       environment: config.NODE_ENV,
       services: {
         database: dbHealth,
-        ai: !!config.OPENAI_API_KEY,
-        ai_model: "gpt-4o-mini", // Using cost-effective GPT-4o-mini
+        ai: aiService.isEnabled,
+        ai_provider: aiService.llm.forFeature("suggestions").provider.name,
+        ai_model: aiService.llm.forFeature("suggestions").model,
         transcription: "zoom_rtms", // Only using Zoom RTMS for transcription
         zoom: !!config.ZOOM_SDK_KEY,
         meet: !!config.GOOGLE_CLIENT_ID,
@@ -485,7 +371,7 @@ app.get("/api/health", async (req, res) => {
 });
 
 // Test endpoint for AI suggestions
-app.post("/api/test-ai", async (req, res) => {
+app.post("/api/test-ai", authenticate, async (req, res) => {
   try {
     const { callId, message } = req.body;
     console.log(`🧪 Test AI request for call ${callId}: "${message}"`);
@@ -494,6 +380,15 @@ app.post("/api/test-ai", async (req, res) => {
       return res.status(400).json({ error: "Call ID is required" });
     }
 
+    // Only the call owner (or users it was shared with) may target its room
+    const CallModel = (await import("./models/Call.js")).default;
+    const callDoc = await CallModel.findAccessible(callId, req.user._id);
+    if (!callDoc) {
+      return res
+        .status(403)
+        .json({ error: "Not authorized to access this call" });
+    }
+
     // Test the simple AI service
     console.log("🧪 Testing simple AI service with message:", message);
     const aiResponse = await generateSimpleAIResponse(message);
@@ -517,11 +412,8 @@ app.post("/api/test-ai", async (req, res) => {
 
     console.log("🧪 Broadcasting test suggestion:", testSuggestion);
 
-    // Broadcast to the specific call
-    io.to(callId).emit("newSuggestion", testSuggestion);
-
-    // Also broadcast to all clients as backup
-    io.emit("newSuggestion", testSuggestion);
+    // Deliver only to the call room
+    emitToCall(String(callDoc._id), "newSuggestion", testSuggestion);
 
     res.json({ success: true, suggestion: testSuggestion });
   } catch (error) {
@@ -534,6 +426,11 @@ app.post("/api/test-ai", async (req, res) => {
 io.on("connection", (socket) => {
   console.log(`👤 User connected: ${socket.id} (User: ${socket.userId})`);
 
+  // Per-user room for events that aren't tied to a call (job progress)
+  if (socket.userId) {
+    socket.join(`user:${socket.userId}`);
+  }
+
   // Handle authentication errors
   socket.on("connect_error", (error) => {
     console.error("Socket connection error:", error);
@@ -547,14 +444,31 @@ io.on("connection", (socket) => {
 
   socket.on("joinCall", async (data) => {
     try {
-      const { callId, userId, platform } = data;
+      const { platform, lastSeq = 0 } = data;
 
-      if (!callId || !userId) {
-        socket.emit("error", { message: "Call ID and User ID are required" });
+      if (!data.callId) {
+        socket.emit("error", { message: "Call ID is required" });
         return;
       }
 
-      socket.join(callId);
+      // Only the call owner (or users it was shared with) may join its room
+      const callDoc = await findAccessibleCall(socket, data.callId);
+      const isDevSession =
+        socket.userId === "dev-user" && config.NODE_ENV === "development";
+
+      if (!callDoc && !isDevSession) {
+        console.warn(
+          `🚫 User ${socket.userId} is not authorized to join call ${data.callId}`
+        );
+        socket.emit("error", { message: "Not authorized to join this call" });
+        return;
+      }
+
+      // Clients may name the call by its meetingId; the room and the live
+      // session are always keyed by the call's own id
+      const callId = callDoc ? String(callDoc._id) : data.callId;
+
+      socket.join(callRoom(callId));
       console.log(
         `📞 User ${socket.id} joined call ${callId} on ${
           platform || "unknown"
@@ -568,15 +482,69 @@ io.on("connection", (socket) => {
         await googleMeetService.startAIMonitoring(data.meetingId, callId, io);
       }
 
-      // Store socket user ID for later use
-      socket.userId = userId;
+      // A socket follows one call at a time; detach from the previous one
+      if (socket.callId && socket.callId !== callId) {
+        socket.leave(callRoom(socket.callId));
+        callSessionRegistry.removeSocket(socket.callId, socket.id);
+      }
+
+      // Store call details for later use (userId comes from the auth handshake)
       socket.callId = callId;
+      socket.callAlias = data.callId;
       socket.platform = platform;
       socket.meetingId = data.meetingId;
-      globalCallId = callId;
+
+      // Create (or reuse) the live session for this call, tuned to the
+      // call owner's suggestion preferences
+      const session = callSessionRegistry.addSocket(callId, socket.id, {
+        platform,
+        meetingId: data.meetingId,
+        ownerId: callDoc?.user,
+        preferences: callDoc
+          ? await loadSuggestionPreferences(callDoc.user)
+          : undefined,
+      });
+
+      // Replay anything this client missed while it was out of the room
+      const missed = callSessionRegistry.getEventsSince(callId, lastSeq);
+      missed.forEach(({ event, payload }) => socket.emit(event, payload));
 
       // Emit successful join
-      socket.emit("callJoined", { callId, platform });
+      socket.emit("callJoined", {
+        callId,
+        platform,
+        lastSeq: session.nextSeq - 1,
+        replayed: missed.length,
+      });
+
+      // Current state of the call's qualification checklist
+      if (callDoc) {
+        if (!callDoc.scorecard?.criteria?.length) {
+          await scorecardService.ensure(callDoc);
+          await callDoc.save();
+        }
+        session.scorecard = callDoc.scorecard;
+        socket.emit("scorecardUpdate", {
+          callId,
+          scorecard: scorecardService.toClient(callDoc.scorecard),
+        });
+      }
+
+      // Who the rep is for the talk-time meter, and where it stands now
+      if (callDoc) {
+        session.talkMetrics.setRepNames(await loadRepSpeakers(callDoc));
+      }
+      const metrics = session.talkMetrics.snapshot();
+      if (metrics) socket.emit("callMetrics", { ...metrics, callId });
+
+      // Open action items from earlier calls with the same account
+      if (callDoc) {
+        const openItems = await actionItemService.openForAccount(callDoc);
+        socket.emit("openActionItems", {
+          callId,
+          items: openItems.map((item) => actionItemService.toClient(item)),
+        });
+      }
     } catch (error) {
       console.error("Error joining call:", error);
       socket.emit("error", { message: "Failed to join call" });
@@ -585,34 +553,66 @@ io.on("connection", (socket) => {
 
   socket.on("leaveCall", async (data) => {
     try {
-      const { callId } = data;
-      socket.leave(callId);
+      const callId = joinedCallId(socket, data.callId);
+      if (!callId) return;
+      socket.leave(callRoom(callId));
 
-      // Stop RTMS transcription if active
-      if (socket.platform === "zoom" && socket.meetingId) {
-        await zoomRTMSService.stopRTMSTranscription(socket.meetingId);
-      }
-
-      // Clear AI conversation context
-      aiService.clearConversationContext(callId);
+      // The call session is torn down once the last socket has been gone
+      // for the reconnect grace period (stops RTMS and clears AI context via
+      // onSessionEnd)
+      callSessionRegistry.removeSocket(callId, socket.id);
+      socket.callId = null;
+      socket.callAlias = null;
 
       console.log(`📞 User ${socket.id} left call ${callId}`);
-      socket.emit("callLeft", { callId });
+      socket.emit("callLeft", { callId: data.callId });
     } catch (error) {
       console.error("Error leaving call:", error);
     }
   });
 
+  // Clients acknowledge the highest event seq they have rendered
+  socket.on("ackEvents", (data = {}) => {
+    const callId = joinedCallId(socket, data.callId);
+    if (!callId) return;
+    callSessionRegistry.acknowledge(callId, socket.id, data.seq);
+  });
+
+  // Re-send events after a gap (defaults to the last acknowledged seq)
+  socket.on("replayEvents", (data = {}) => {
+    const { sinceSeq } = data;
+    const callId = joinedCallId(socket, data.callId);
+
+    if (!callId) {
+      socket.emit("error", {
+        message: "Join the call before replaying events",
+      });
+      return;
+    }
+
+    const since =
+      typeof sinceSeq === "number"
+        ? sinceSeq
+        : callSessionRegistry.getLastAck(callId, socket.id);
+
+    callSessionRegistry
+      .getEventsSince(callId, since)
+      .forEach(({ event, payload }) => socket.emit(event, payload));
+  });
+
   socket.on("useSuggestion", async (data) => {
     try {
-      const { suggestionId, callId, feedback } = data;
+      const { suggestionId, feedback } = data;
+      const callId = joinedCallId(socket, data.callId);
+
+      if (!callId) return;
 
       console.log(
         `📝 Suggestion ${suggestionId} marked as used for call ${callId}`
       );
 
-      // Broadcast to all clients that suggestion was used
-      io.to(callId).emit("suggestionUsed", { suggestionId, feedback });
+      // Let everyone on the call know the suggestion was used
+      emitToCall(callId, "suggestionUsed", { suggestionId, feedback });
     } catch (error) {
       console.error("Error marking suggestion as used:", error);
       socket.emit("suggestionError", {
@@ -623,12 +623,18 @@ io.on("connection", (socket) => {
 
   socket.on("requestSuggestion", async (data) => {
     try {
-      const { callId } = data;
+      const callId = joinedCallId(socket, data.callId);
+
+      if (!callId) {
+        socket.emit("suggestionError", { error: "Not joined to this call" });
+        return;
+      }
 
       console.log("🤖 Manual suggestion request for call:", callId);
 
       // Get recent context for manual suggestion request
-      const context = transcriptAnalyzer.getRecentContext();
+      const session = callSessionRegistry.get(callId);
+      const context = session ? session.analyzer.getRecentContext() : "";
 
       if (context) {
         const suggestionTrigger = {
@@ -656,11 +662,7 @@ io.on("connection", (socket) => {
 
         console.log("🧪 Broadcasting test suggestion:", testSuggestion);
 
-        // Broadcast to the specific call
-        io.to(callId).emit("newSuggestion", testSuggestion);
-
-        // Also broadcast to all clients as backup
-        io.emit("newSuggestion", testSuggestion);
+        emitToCall(callId, "newSuggestion", testSuggestion);
       }
     } catch (error) {
       console.error("Error requesting suggestion:", error);
@@ -670,34 +672,61 @@ io.on("connection", (socket) => {
     }
   });
 
-  socket.on("audioData", async (data) => {
+  // Audio chunks from browser capture (MediaRecorder WebM/Opus, base64).
+  // The ack is sent once the chunk is buffered, which the server delays while
+  // it is behind; clients limit unacknowledged chunks to apply backpressure.
+  socket.on("audioData", async (data = {}, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+
     try {
-      const { callId, audioData, format = "base64" } = data;
+      const { audioData, mimeType, speaker } = data;
 
-      if (!callId || !audioData) {
-        return socket.emit("transcriptionError", {
+      if (!data.callId || !audioData) {
+        socket.emit("transcriptionError", {
           error: "Missing callId or audioData",
         });
+        return reply({ accepted: false });
       }
 
-      console.log(
-        `🎤 Audio data received for call ${callId} - Using Zoom RTMS for transcription`
-      );
+      const callId = joinedCallId(socket, data.callId);
+      if (!callId) {
+        socket.emit("transcriptionError", {
+          callId: data.callId,
+          error: "Join the call before sending audio",
+        });
+        return reply({ accepted: false });
+      }
+
+      const chunk = decodeBase64Audio(audioData);
+      if (!chunk) {
+        return reply({ accepted: false, error: "Invalid audio data" });
+      }
 
-      // Audio data is handled by Zoom RTMS automatically
-      // No additional processing needed as RTMS captures directly from Zoom
+      reply(
+        await audioIngestionService.push(callId, chunk, { mimeType, speaker })
+      );
     } catch (error) {
       console.error("Error processing audio data:", error);
       socket.emit("transcriptionError", {
         error: "Failed to process audio data",
       });
+      reply({ accepted: false });
     }
   });
 
+  // Client stopped capturing; flush the buffered audio as a final result
+  socket.on("audioEnd", (data = {}) => {
+    const callId = joinedCallId(socket, data.callId);
+    if (!callId) return;
+    audioIngestionService.stop(callId);
+  });
+
   // Add test transcript generator for development
   socket.on("generateTestTranscript", async (data) => {
     try {
-      const { callId } = data;
+      const callId = joinedCallId(socket, data.callId);
+
+      if (!callId) return;
 
       console.log("🧪 Generating test transcript for call:", callId);
 
@@ -712,18 +741,17 @@ io.on("connection", (socket) => {
 
       console.log("📡 Broadcasting test transcript:", testTranscript);
 
-      // Broadcast to the specific call
-      io.to(callId).emit("newTranscript", testTranscript);
-
-      // Also broadcast to all clients as backup
-      io.emit("newTranscript", testTranscript);
+      emitToCall(callId, "newTranscript", testTranscript);
     } catch (error) {
       console.error("Error generating test transcript:", error);
     }
   });
   socket.on("meetingEvent", async (data) => {
     try {
-      const { callId, event, platform, payload } = data;
+      const { event, platform, payload } = data;
+      const callId = joinedCallId(socket, data.callId);
+
+      if (!callId) return;
 
       console.log(
         `📹 Meeting event: ${event} on ${platform} for call ${callId}`
@@ -781,7 +809,11 @@ io.on("connection", (socket) => {
       }
 
       // Broadcast to all participants in the call
-      io.to(callId).emit("meetingEvent", { event, platform, payload });
+      io.to(callRoom(callId)).emit("meetingEvent", {
+        event,
+        platform,
+        payload,
+      });
     } catch (error) {
       console.error("Error handling meeting event:", error);
     }
@@ -790,31 +822,85 @@ io.on("connection", (socket) => {
   socket.on("disconnect", () => {
     console.log(`👤 User disconnected: ${socket.id}`);
 
-    // Clear processed transcripts for this call when user disconnects
+    // Detach from the call session; it is kept for a while in case this was
+    // a network blip and the client rejoins
     if (socket.callId) {
-      const keysToRemove = Array.from(processedTranscripts).filter((key) =>
-        key.startsWith(`${socket.callId}-`)
-      );
-      keysToRemove.forEach((key) => processedTranscripts.delete(key));
-      console.log(
-        `🧹 Cleared ${keysToRemove.length} processed transcripts for call ${socket.callId}`
-      );
-    }
-
-    // Clean up RTMS transcription if user was in a Zoom call
-    if (socket.callId && socket.platform === "zoom" && socket.meetingId) {
-      zoomRTMSService
-        .stopRTMSTranscription(socket.meetingId)
-        .catch((error) =>
-          console.error(
-            "Error stopping RTMS transcription on disconnect:",
-            error
-          )
-        );
+      callSessionRegistry.removeSocket(socket.callId, socket.id);
     }
   });
 });
 
+// Deliver an event to the call room only, stamped with a seq for ack/replay
+function emitToCall(callId, event, payload) {
+  const envelope = callSessionRegistry.recordEvent(callId, event, payload);
+  io.to(callRoom(callId)).emit(event, envelope);
+  return envelope;
+}
+
+// The id of the call the socket joined, if callId names it either by that id
+// or by the meetingId it was joined with
+function joinedCallId(socket, callId) {
+  if (!callId || !socket.callId) return null;
+  return callId === socket.callId || callId === socket.callAlias
+    ? socket.callId
+    : null;
+}
+
+// Resolve the call if the socket's user owns it or has it shared with them
+async function findAccessibleCall(socket, callId) {
+  const Call = (await import("./models/Call.js")).default;
+  return Call.findAccessible(callId, socket.userId);
+}
+
+// Tick off the scorecard criteria a new line covers. Returns whether the
+// checklist changed.
+async function trackScorecard(callDoc, transcript) {
+  try {
+    const hadScorecard = !!callDoc.scorecard?.criteria?.length;
+    if (!(await scorecardService.ensure(callDoc))) return false;
+    const newlyCovered = scorecardService.track(callDoc, transcript);
+    return !hadScorecard || newlyCovered.length > 0;
+  } catch (error) {
+    console.error("Error tracking scorecard:", error);
+    return false;
+  }
+}
+
+// Share the updated checklist with the call room and the suggestion prompt
+function publishScorecard(callId, scorecard) {
+  const session = callSessionRegistry.get(callId);
+  if (session) session.scorecard = scorecard;
+  emitToCall(callId, "scorecardUpdate", {
+    callId,
+    scorecard: scorecardService.toClient(scorecard),
+  });
+}
+
+// Speaker names that are the rep on this call: the owner and the hosts
+async function loadRepSpeakers(callDoc) {
+  try {
+    const Call = (await import("./models/Call.js")).default;
+    const User = (await import("./models/User.js")).default;
+    const owner = await User.findById(callDoc.user).select("name email").lean();
+    return Call.repSpeakers(callDoc, owner);
+  } catch (error) {
+    console.error("Error loading the rep's speaker names:", error);
+    return new Set();
+  }
+}
+
+// Suggestion frequency and confidence threshold from the user's preferences
+async function loadSuggestionPreferences(userId) {
+  try {
+    const User = (await import("./models/User.js")).default;
+    const user = await User.findById(userId).select("preferences").lean();
+    return user?.preferences;
+  } catch (error) {
+    console.error("Error loading suggestion preferences:", error);
+    return undefined;
+  }
+}
+
 // Handle new transcript: persist to DB, broadcast, analyze and optionally generate suggestions
 async function handleNewTranscript(callId, transcriptData, socket) {
   try {
@@ -878,13 +964,18 @@ async function handleNewTranscript(callId, transcriptData, socket) {
 
       const saved = await Transcript.create(payload);
 
+      // Sentiment, entities and intent are added in the background
+      transcriptEnrichmentService.enqueue(saved);
+
       // Update Call metadata if call found
       if (callDoc) {
         callDoc.lastActivity = payload.timestamp;
         callDoc.transcriptCount = (callDoc.transcriptCount || 0) + 1;
         if (!callDoc.status || callDoc.status === "pending")
           callDoc.status = "in_progress";
+        const scorecardChanged = await trackScorecard(callDoc, saved);
         await callDoc.save().catch(() => {});
+        if (scorecardChanged) publishScorecard(callId, callDoc.scorecard);
       }
 
       // Replace id with saved _id for clients
@@ -893,64 +984,30 @@ async function handleNewTranscript(callId, transcriptData, socket) {
       console.error("Error saving transcript to DB:", dbErr);
     }
 
-    // Broadcast transcript to all clients in the call room
-    io.to(callId).emit("newTranscript", formattedTranscript);
-    // Backup broadcast
-    io.emit("newTranscript", formattedTranscript);
-
-    // Add to transcript analyzer for AI suggestions
-    transcriptAnalyzer.addTranscript(transcriptData);
+    // Deliver transcript to the clients in the call room
+    emitToCall(callId, "newTranscript", formattedTranscript);
 
-    // Generate simple AI response for EVERY transcript (with deduplication)
-    if (transcriptData.text) {
-      // Create a unique key for this transcript to prevent duplicates
-      const transcriptKey = `${callId}-${transcriptData.text}-${transcriptData.timestamp}`;
+    if (!transcriptData.text) return;
 
-      if (processedTranscripts.has(transcriptKey)) {
-        return;
-      }
+    // Skip transcripts this call has already analyzed
+    const transcriptKey = `${transcriptData.text}-${transcriptData.timestamp}`;
+    if (callSessionRegistry.isDuplicateTranscript(callId, transcriptKey)) {
+      return;
+    }
 
-      // Mark this transcript as processed
-      processedTranscripts.add(transcriptKey);
+    // Add to this call's transcript analyzer for AI suggestions; a call
+    // whose session has ended has nobody left to suggest to
+    const session = callSessionRegistry.get(callId);
+    if (!session) return;
+    session.analyzer.addTranscript(transcriptData);
+    session.talkMetrics.add(formattedTranscript);
 
-      // Clean up old entries (keep only last 100)
-      if (processedTranscripts.size > 100) {
-        const entries = Array.from(processedTranscripts);
-        processedTranscripts.clear();
-        entries.slice(-50).forEach((key) => processedTranscripts.add(key));
-      }
+    // Only generate a suggestion when one of the analyzer triggers fires
+    const suggestionTrigger =
+      session.analyzer.shouldGenerateSuggestion(transcriptData);
 
-      try {
-        // Simple AI response generation
-        const aiResponse = await generateSimpleAIResponse(transcriptData.text);
-
-        if (aiResponse) {
-          // Create simple suggestion object
-          const simpleSuggestion = {
-            id: Date.now().toString(),
-            type: "general",
-            text: aiResponse,
-            confidence: 0.8,
-            reasoning: `Response to: "${transcriptData.text.substring(
-              0,
-              50
-            )}..."`,
-            priority: "medium",
-            customerSentiment: "neutral",
-            used: false,
-            timestamp: new Date(),
-            trigger: "transcript_received",
-            context: transcriptData.text,
-            model: "gpt-4o-mini",
-          };
-
-          // Broadcast to the specific call
-          io.to(callId).emit("newSuggestion", simpleSuggestion);
-          io.emit("newSuggestion", simpleSuggestion);
-        }
-      } catch (error) {
-        console.error("❌ Error generating simple AI response:", error);
-      }
+    if (suggestionTrigger) {
+      await generateAISuggestion(callId, suggestionTrigger);
     }
   } catch (error) {
     console.error("Error handling new transcript:", error);
@@ -970,7 +1027,17 @@ zoomRTMSService.onTranscript(async (transcriptData) => {
       ? transcriptData.text.toString("utf8")
       : transcriptData.text;
 
-    const callId = globalCallId;
+    // Route the transcript to the call bound to this RTMS meeting
+    const callId = callSessionRegistry.getCallIdForMeeting(
+      transcriptData.meetingId
+    );
+
+    if (!callId) {
+      console.warn(
+        `⚠️ Dropping RTMS transcript for unbound meeting ${transcriptData.meetingId}`
+      );
+      return;
+    }
 
     // Ensure text is properly converted before processing
     const processedTranscriptData = {
@@ -985,38 +1052,159 @@ zoomRTMSService.onTranscript(async (transcriptData) => {
   }
 });
 
+// Timer-driven long-pause check: a pause is only noticed while nobody speaks,
+// so it can't rely on the next transcript arriving
+const PAUSE_CHECK_INTERVAL = 2000; // 2 seconds
+
+const pauseCheckTimer = setInterval(() => {
+  callSessionRegistry.getSessions().forEach((session) => {
+    const pauseTrigger = session.analyzer.checkLongPause();
+    if (pauseTrigger) {
+      generateAISuggestion(session.callId, pauseTrigger).catch((error) =>
+        console.error("❌ Error generating long-pause suggestion:", error)
+      );
+    }
+  });
+}, PAUSE_CHECK_INTERVAL);
+pauseCheckTimer.unref();
+
+// Push each call's talk-time meter while it changes. Not recorded for replay:
+// every update supersedes the last, and joining sends the current one.
+const metricsTimer = setInterval(() => {
+  callSessionRegistry.getSessions().forEach((session) => {
+    const metrics = session.talkMetrics.pending();
+    if (metrics) {
+      io.to(callRoom(session.callId)).emit("callMetrics", {
+        ...metrics,
+        callId: session.callId,
+      });
+    }
+  });
+}, config.LIVE_METRICS.EMIT_INTERVAL_MS);
+metricsTimer.unref();
+
 // Generate AI suggestion based on transcript analysis
 async function generateAISuggestion(callId, suggestionTrigger) {
   try {
     console.log(
-      `🤖 Generating AI suggestion using GPT-4o-mini for call ${callId} - Trigger: ${suggestionTrigger.trigger}`
+      `🤖 Generating AI suggestion for call ${callId} - Trigger: ${suggestionTrigger.trigger}`
     );
     console.log(`📝 Context: "${suggestionTrigger.context}"`);
 
     // Mark that we're generating a suggestion to prevent duplicates
-    transcriptAnalyzer.markSuggestionGenerated();
+    const session = callSessionRegistry.get(callId);
+    session?.analyzer.markSuggestionGenerated();
+
+    // Recent lines give the suggestion its trigger context and phase
+    const recentTranscripts = session
+      ? session.analyzer.getRecentTranscripts(5)
+      : [];
+
+    // Answers that worked on the rep's past calls come first, then the
+    // rep's own documents
+    const catalogObjection = await findCatalogObjection(
+      callId,
+      suggestionTrigger.context
+    );
+    const documentMatches = await findRelevantDocuments(
+      callId,
+      suggestionTrigger.context
+    );
+    const documentSources = documentMatches.map((match) => ({
+      document: match.document,
+      name: match.name,
+      chunkIndex: match.chunkIndex,
+      version: match.version,
+      score: Number(match.score.toFixed(4)),
+    }));
+
+    // Stream tokens to the room as they arrive; the id becomes the saved _id
+    const suggestionId = new mongoose.Types.ObjectId();
+    let streamed = false;
+    const onDelta = (delta) => {
+      if (!streamed) {
+        streamed = true;
+        io.to(callRoom(callId)).emit("suggestionStart", {
+          suggestionId: String(suggestionId),
+          callId,
+          trigger: suggestionTrigger.trigger,
+          timestamp: new Date(),
+        });
+      }
+      io.to(callRoom(callId)).emit("suggestionDelta", {
+        suggestionId: String(suggestionId),
+        callId,
+        delta,
+      });
+    };
 
-    // Generate AI suggestion using OpenAI GPT-4o-mini
+    // Streamed suggestions finish with suggestionEnd carrying the final object
+    const publishSuggestion = (payload) => {
+      if (streamed) {
+        emitToCall(callId, "suggestionEnd", {
+          ...payload,
+          suggestionId: String(suggestionId),
+        });
+      } else {
+        emitToCall(callId, "newSuggestion", payload);
+      }
+    };
+
+    // Automatic suggestions below the rep's confidence threshold are dropped
+    // before any of their text is streamed; manual requests always answer
+    const meetsThreshold = (confidence) =>
+      !session ||
+      suggestionTrigger.trigger === "manual_request" ||
+      session.analyzer.meetsConfidenceThreshold(confidence);
+    const accept = (labels) => {
+      if (meetsThreshold(labels.confidence)) return true;
+      console.log(
+        `🔇 Suppressed suggestion for call ${callId}: confidence ${labels.confidence} below threshold ${session.analyzer.confidenceThreshold}`
+      );
+      return false;
+    };
+
+    // Generate AI suggestion with the provider configured for suggestions
     console.log(
       `🔄 Calling generateSalesAISuggestion with context: "${suggestionTrigger.context}"`
     );
     const suggestion = await generateSalesAISuggestion(
       suggestionTrigger.context,
-      suggestionTrigger.trigger
+      suggestionTrigger.trigger,
+      documentKnowledgeService.buildContext(documentMatches),
+      { onDelta, accept },
+      objectionLibraryService.buildContext(catalogObjection),
+      scorecardService.buildContext(session?.scorecard)
     );
     console.log(`🔄 generateSalesAISuggestion returned:`, suggestion);
 
+    // Nothing valid came back after repair and retries; drop it rather than
+    // showing the rep a placeholder
     if (!suggestion) {
-      console.log("⚠️ No suggestion generated, creating fallback suggestion");
-      // Create a fallback suggestion if AI fails
-      suggestion = {
-        type: "general",
-        text: "I'm analyzing the conversation to provide sales guidance. Please continue sharing your thoughts.",
-        reasoning: "Fallback response when AI suggestion generation fails",
-        priority: "medium",
-        confidence: 0.5,
-        customer_sentiment: "neutral",
-      };
+      console.log(`⚠️ No valid suggestion generated for call ${callId}`);
+      if (streamed) {
+        io.to(callRoom(callId)).emit("suggestionEnd", {
+          suggestionId: String(suggestionId),
+          callId,
+          discarded: true,
+        });
+      }
+      return;
+    }
+
+    // Already checked on the labels; kept for the final object
+    if (!meetsThreshold(suggestion.confidence)) {
+      console.log(
+        `🔇 Suppressed suggestion for call ${callId}: confidence ${suggestion.confidence} below threshold ${session.analyzer.confidenceThreshold}`
+      );
+      if (streamed) {
+        io.to(callRoom(callId)).emit("suggestionEnd", {
+          suggestionId: String(suggestionId),
+          callId,
+          discarded: true,
+        });
+      }
+      return;
     }
 
     // Try to persist suggestion to DB and attach to call if possible
@@ -1044,7 +1232,7 @@ async function generateAISuggestion(callId, suggestionTrigger) {
       }
 
       // Derive userId from callDoc if available
-      const userId = callDoc && callDoc.user ? String(callDoc.user) : "UserID";
+      const userId = callDoc && callDoc.user ? String(callDoc.user) : null;
 
       if (!userId) {
         console.warn(
@@ -1052,93 +1240,71 @@ async function generateAISuggestion(callId, suggestionTrigger) {
         );
         // Fallback: broadcast ephemeral suggestion
         const ephemeral = {
-          id: Date.now().toString(),
-          type: suggestion.type || "general",
+          id: String(suggestionId),
+          type: suggestion.type,
           text: suggestion.text,
-          confidence: suggestion.confidence || 0.8,
+          confidence: suggestion.confidence,
           reasoning: suggestion.reasoning,
-          priority: suggestion.priority || "medium",
+          priority: suggestion.priority,
           customerSentiment: suggestion.customer_sentiment,
+          intent: suggestion.intent,
+          conversationPhase: suggestion.conversationPhase,
           used: false,
           timestamp: new Date(),
           trigger: suggestionTrigger.trigger,
           context: (suggestionTrigger.context || "").substring(0, 200) + "...",
-          model: "gpt-4o-mini",
+          model: suggestion.model,
         };
 
         console.log(
           `📡 Broadcasting ephemeral AI suggestion to call ${callId}:`,
           ephemeral
         );
-        io.to(callId).emit("newSuggestion", ephemeral);
-        io.emit("newSuggestion", ephemeral);
+        publishSuggestion(ephemeral);
         return;
       }
 
-      // Ensure suggestion.type maps to allowed enum values expected by AISuggestion model
-      const allowedTypes = [
-        "objection_handling",
-        "closing",
-        "question",
-        "pricing",
-        "feature_highlight",
-        "rapport_building",
-        "next_steps",
-        "follow_up",
-      ];
-
-      let sugType = suggestion.type;
-      if (!sugType || !allowedTypes.includes(sugType)) {
-        // Map common external types to internal enums
-        if (sugType === "meeting_summary" || sugType === "summary") {
-          sugType = "follow_up";
-        } else {
-          sugType = "follow_up";
-        }
-      }
-
-      // Validate conversationPhase
-      const allowedPhases = [
-        "opening",
-        "discovery",
-        "presentation",
-        "objection",
-        "closing",
-        "follow_up",
-      ];
-
-      const conversationPhase = suggestionTrigger.conversationPhase;
-      const validConversationPhase = allowedPhases.includes(conversationPhase)
-        ? conversationPhase
-        : undefined;
+      // The model's phase is validated already; fall back to the analyzer's
+      const conversationPhase =
+        suggestion.conversationPhase ||
+        suggestionTrigger.conversationPhase ||
+        aiService.detectConversationPhase(recentTranscripts);
 
       // Build DB payload
       const payload = {
+        _id: suggestionId,
         call: callId,
         user: userId,
-        type: sugType,
+        type: suggestion.type,
         text: suggestion.text,
-        confidence: suggestion.confidence ?? 0.8,
+        confidence: suggestion.confidence,
         reasoning: suggestion.reasoning,
-        priority: suggestion.priority || "medium",
+        priority: suggestion.priority,
         context: (
           suggestionTrigger.context ||
           suggestion.context ||
           ""
         ).substring(0, 2000),
         triggerContext: {
-          lastTranscripts: Array.isArray(suggestionTrigger.context)
-            ? suggestionTrigger.context.slice(-3)
-            : [],
-          // only include if valid
-          ...(validConversationPhase
-            ? { conversationPhase: validConversationPhase }
-            : {}),
+          lastTranscripts: recentTranscripts
+            .slice(-3)
+            .map((t) => `${t.speaker}: ${t.text}`),
+          conversationPhase,
+          detectedIntent: suggestion.intent,
+          customerSentiment: suggestion.customer_sentiment,
         },
         trigger: suggestionTrigger.trigger,
         metadata: {
-          modelVersion: "gpt-4o-mini",
+          modelVersion: suggestion.model,
           processingTime: null,
+          documentSources: documentSources,
+          objection: catalogObjection
+            ? {
+                objection: catalogObjection._id,
+                label: catalogObjection.label,
+                score: Number(catalogObjection.score.toFixed(4)),
+              }
+            : undefined,
         },
       };
 
@@ -1152,16 +1318,35 @@ async function generateAISuggestion(callId, suggestionTrigger) {
 
       const broadcastObj = {
         _id: saved._id,
+        id: String(saved._id),
         type: saved.type,
         text: saved.text,
         confidence: saved.confidence,
         reasoning: saved.reasoning,
         priority: saved.priority,
         trigger: saved.trigger,
+        conversationPhase: saved.triggerContext?.conversationPhase,
+        intent: saved.triggerContext?.detectedIntent,
+        customerSentiment: saved.triggerContext?.customerSentiment,
         context: saved.context,
         createdAt: saved.createdAt,
         used: saved.used,
-        model: saved.metadata?.modelVersion || "gpt-4o-mini",
+        model: saved.metadata?.modelVersion,
+        sources: documentSources.map(
+          ({ name, chunkIndex, version, score }) => ({
+            name,
+            chunkIndex,
+            version,
+            score,
+          })
+        ),
+        objection: catalogObjection
+          ? {
+              id: String(catalogObjection._id),
+              label: catalogObjection.label,
+              frequency: catalogObjection.frequency,
+            }
+          : null,
       };
 
       // Broadcast saved suggestion
@@ -1169,8 +1354,7 @@ async function generateAISuggestion(callId, suggestionTrigger) {
         `📡 Broadcasting AI suggestion to call ${callId}:`,
         broadcastObj
       );
-      io.to(callId).emit("newSuggestion", broadcastObj);
-      io.emit("newSuggestion", broadcastObj);
+      publishSuggestion(broadcastObj);
 
       console.log(`✅ AI suggestion saved and broadcast for call ${callId}`);
     } catch (saveErr) {
@@ -1178,25 +1362,79 @@ async function generateAISuggestion(callId, suggestionTrigger) {
 
       // Fallback broadcast with ephemeral id
       const fallback = {
-        id: Date.now().toString(),
-        type: suggestion.type || "general",
+        id: String(suggestionId),
+        type: suggestion.type,
         text: suggestion.text,
-        confidence: suggestion.confidence ?? 0.8,
+        confidence: suggestion.confidence,
         reasoning: suggestion.reasoning,
-        priority: suggestion.priority || "medium",
+        priority: suggestion.priority,
+        customerSentiment: suggestion.customer_sentiment,
+        intent: suggestion.intent,
+        conversationPhase: suggestion.conversationPhase,
         trigger: suggestionTrigger.trigger,
         timestamp: new Date(),
         context: (suggestionTrigger.context || "").substring(0, 200) + "...",
-        model: "gpt-4o-mini",
+        model: suggestion.model,
       };
-      io.to(callId).emit("newSuggestion", fallback);
-      io.emit("newSuggestion", fallback);
+      publishSuggestion(fallback);
     }
   } catch (error) {
     console.error("❌ Error generating AI suggestion:", error);
   }
 }
 
+// The id of the rep who owns the call, from the live session or the Call
+async function findCallOwner(callId) {
+  let ownerId = callSessionRegistry.get(callId)?.ownerId;
+  if (!ownerId) {
+    const Call = (await import("./models/Call.js")).default;
+    const callDoc = mongoose.Types.ObjectId.isValid(callId)
+      ? await Call.findById(callId).select("user")
+      : await Call.findOne({ meetingId: callId }).select("user");
+    ownerId = callDoc?.user ? String(callDoc.user) : null;
+  }
+  return ownerId;
+}
+
+// Look up the entry of the call owner's objection catalog that matches what
+// was just said
+async function findCatalogObjection(callId, context) {
+  try {
+    const ownerId = await findCallOwner(callId);
+    if (!ownerId) return null;
+
+    const objection = await objectionLibraryService.match(ownerId, context);
+    if (objection) {
+      console.log(
+        `🛡️ Matched catalog objection "${objection.label}" for call ${callId}`
+      );
+    }
+    return objection;
+  } catch (error) {
+    console.error("❌ Error matching objection catalog:", error);
+    return null;
+  }
+}
+
+// Look up passages from the call owner's documents relevant to the context
+async function findRelevantDocuments(callId, context) {
+  try {
+    const ownerId = await findCallOwner(callId);
+    if (!ownerId) return [];
+
+    const matches = await documentKnowledgeService.search(ownerId, context);
+    if (matches.length > 0) {
+      console.log(
+        `📚 Found ${matches.length} relevant document passage(s) for call ${callId}`
+      );
+    }
+    return matches;
+  } catch (error) {
+    console.error("❌ Error searching documents for suggestion:", error);
+    return [];
+  }
+}
+
 // Generate simple AI response for any transcript
 async function generateSimpleAIResponse(transcript) {
   try {
@@ -1207,7 +1445,7 @@ async function generateSimpleAIResponse(transcript) {
 Provide a brief, actionable response:`;
 
     const response = await aiService.generateCompletion(prompt, {
-      model: "gpt-4o-mini",
+      feature: "suggestions",
       maxTokens: 80,
       temperature: 0.7,
     });
@@ -1223,8 +1461,19 @@ Provide a brief, actionable response:`;
   }
 }
 
-// Generate sales-focused AI suggestions using OpenAI GPT-4o-mini
-async function generateSalesAISuggestion(context, trigger) {
+// Generate sales-focused AI suggestions with the configured LLM provider.
+// When streaming is given the completion is streamed: the labels first, which
+// accept() can reject, then each text token passed to onDelta.
+// objectionContext holds answers from the rep's objection catalog and
+// scorecardContext the qualification criteria not covered yet.
+async function generateSalesAISuggestion(
+  context,
+  trigger,
+  documentContext = "",
+  streaming = null,
+  objectionContext = "",
+  scorecardContext = ""
+) {
   try {
     console.log("🚀 Starting generateSalesAISuggestion with context:", context);
     const prompt = `You are an expert AI sales assistant helping during live sales calls. Your primary objective is to help convert prospects into customers through strategic, contextual guidance.
@@ -1252,87 +1501,69 @@ Guidelines:
 - Even for short or incomplete statements, provide helpful sales guidance
 - If the context is unclear, ask clarifying questions or provide general sales tips
 
+${
+  objectionContext
+    ? `
+This objection has come up on the rep's past calls. Base your answer on these proven answers first, adapted to the conversation:
+${objectionContext}
+`
+    : ""
+}${
+  documentContext
+    ? `
+Relevant excerpts from the rep's product documents (prefer these facts over general claims; never invent details they don't contain):
+${documentContext}
+`
+    : ""
+}${
+  scorecardContext
+    ? `
+${scorecardContext}
+When it fits the moment, suggest a question that covers one of these, using the framework's terms.
+`
+    : ""
+}
 The following was just said: "${context}"
 
 Provide a helpful, actionable sales response (max 80 words).`;
 
-    console.log("🔄 Calling aiService.generateCompletion...");
     console.log("🔍 aiService status:", {
       isEnabled: aiService.isEnabled,
-      hasOpenAI: !!aiService.openai,
+      provider: aiService.llm.forFeature("suggestions").provider.name,
     });
 
-    const response = await aiService.generateCompletion(prompt, {
-      model: "gpt-4o-mini", // Use GPT-4o-mini for cost efficiency
-      maxTokens: 120,
-      temperature: 0.7,
-    });
+    let suggestion;
+    if (streaming) {
+      // One completion: the labels come first and are checked before any
+      // text is streamed to the rep
+      suggestion = await aiService.streamValidatedSuggestion(prompt, streaming);
+    } else {
+      suggestion = await aiService.generateValidatedSuggestion([
+        {
+          role: "user",
+          content: `${prompt}\n\nReturn the suggestion text together with its labels.`,
+        },
+      ]);
+    }
 
-    console.log("🔍 AI Service response:", response);
+    console.log("🔍 AI Service response:", suggestion);
 
-    if (response && response.content) {
-      // Determine suggestion type based on content
-      const content = response.content.toLowerCase();
-      let type = "general";
-      let priority = "medium";
-
-      if (
-        content.includes("object") ||
-        content.includes("concern") ||
-        content.includes("worry")
-      ) {
-        type = "objection_handling";
-        priority = "high";
-      } else if (
-        content.includes("close") ||
-        content.includes("sign") ||
-        content.includes("contract") ||
-        content.includes("purchase")
-      ) {
-        type = "closing";
-        priority = "high";
-      } else if (
-        content.includes("price") ||
-        content.includes("cost") ||
-        content.includes("budget") ||
-        content.includes("money")
-      ) {
-        type = "pricing";
-        priority = "high";
-      } else if (content.includes("question") || content.includes("ask")) {
-        type = "question";
-        priority = "medium";
-      } else if (
-        content.includes("feature") ||
-        content.includes("benefit") ||
-        content.includes("value")
-      ) {
-        type = "feature_highlight";
-        priority = "medium";
-      } else if (
-        content.includes("rapport") ||
-        content.includes("relationship") ||
-        content.includes("trust")
-      ) {
-        type = "rapport_building";
-        priority = "low";
-      } else if (content.includes("follow") || content.includes("next")) {
-        type = "follow_up";
-        priority = "medium";
-      }
-
-      return {
-        type: type,
-        text: response.content.trim(),
-        reasoning: `Response to: "${context.substring(0, 50)}..."`,
-        priority: priority,
-        confidence: 0.8,
-        customer_sentiment: "neutral",
-      };
+    if (!suggestion) {
+      console.log("⚠️ No valid suggestion, returning null");
+      return null;
     }
 
-    console.log("⚠️ No response content, returning null");
-    return null;
+    return {
+      type: suggestion.type,
+      text: suggestion.text,
+      reasoning: suggestion.rationale,
+      priority: suggestion.priority,
+      confidence: suggestion.confidence,
+      customer_sentiment: suggestion.sentiment,
+      intent: suggestion.intent,
+      conversationPhase: suggestion.conversationPhase,
+      model: suggestion.model,
+    };
   } catch (error) {
     console.error("❌ Error in generateSalesAISuggestion:", error);
     console.error("❌ Error details:", {
@@ -1365,6 +1596,22 @@ const startServer = async () => {
     // Create database indexes
     await database.createIndexes();
 
+    // Pick up queued jobs, including ones a previous run left unfinished
+    jobQueue.start();
+    database.beforeShutdown(() => jobQueue.stop());
+
+    // Re-fetch URL documents on their refresh interval
+    webDocumentService.start();
+    database.beforeShutdown(() => webDocumentService.stop());
+
+    // Keep objection catalogs up to date with newly completed calls
+    objectionLibraryService.start();
+    database.beforeShutdown(() => objectionLibraryService.stop());
+
+    // Score completed calls that have not been scored yet
+    callScoringService.start();
+    database.beforeShutdown(() => callScoringService.stop());
+
     // Start server
     server.listen(config.PORT, () => {
       console.log(
@@ -1375,7 +1622,7 @@ const startServer = async () => {
         `🗄️  Database: ${database.connection ? "✅" : "❌"} Connected`
       );
       console.log(
-        `🤖 AI Services: ${config.OPENAI_API_KEY ? "✅" : "❌"} OpenAI`
+        `🤖 AI Services: ${aiService.isEnabled ? "✅" : "❌"} ${config.LLM.PROVIDER}`
       );
       console.log(`🎤 Transcription: ✅ Zoom RTMS Only`);
       console.log(
@@ -0,0 +1,176 @@
+/**
+ * Audio container helpers
+ * Lets streamed MediaRecorder chunks be transcribed in independent windows
+ */
+
+// EBML id of a WebM/Matroska Cluster element; everything before the first
+// cluster is the initialization header every decoder needs
+const WEBM_CLUSTER_ID = Buffer.from([0x1f, 0x43, 0xb6, 0x75]);
+
+// A cluster starts with its Timecode element; blocks in it are relative to it
+const WEBM_TIMECODE_ID = 0xe7;
+
+// 8-byte EBML size meaning "unknown", as MediaRecorder writes for clusters
+const EBML_UNKNOWN_SIZE = Buffer.from([0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]);
+
+// Larger elements are treated as corrupt rather than waited for
+const MAX_ELEMENT_BYTES = 1024 * 1024;
+
+/**
+ * Split the first MediaRecorder chunk into its container header and audio
+ * @param {Buffer} chunk - First chunk of a WebM recording
+ * @returns {{header: Buffer|null, audio: Buffer}} - Header is null when none is found
+ */
+export function splitWebmHeader(chunk) {
+  const clusterIndex = chunk.indexOf(WEBM_CLUSTER_ID);
+
+  if (clusterIndex <= 0) {
+    return { header: null, audio: chunk };
+  }
+
+  return {
+    header: chunk.subarray(0, clusterIndex),
+    audio: chunk.subarray(clusterIndex)
+  };
+}
+
+/**
+ * Read the id and size of the EBML element at an offset
+ * @param {Buffer} buffer - WebM bytes
+ * @param {number} offset - Start of the element
+ * @returns {{id: number, size: number|null, dataStart: number}|{invalid: true}|null} -
+ *   Size is null when unknown; null when the header is not complete yet
+ */
+function readElementHeader(buffer, offset) {
+  const idLength = vintLength(buffer[offset]);
+  if (idLength === 0 || idLength > 4) return offset < buffer.length ? { invalid: true } : null;
+
+  const sizeOffset = offset + idLength;
+  const sizeLength = vintLength(buffer[sizeOffset]);
+  if (sizeOffset >= buffer.length) return null;
+  if (sizeLength === 0) return { invalid: true };
+  if (sizeOffset + sizeLength > buffer.length) return null;
+
+  let size = buffer[sizeOffset] & (0xff >> sizeLength);
+  let unknown = size === 0xff >> sizeLength;
+  for (let i = 1; i < sizeLength; i++) {
+    const byte = buffer[sizeOffset + i];
+    size = size * 256 + byte;
+    unknown = unknown && byte === 0xff;
+  }
+
+  return {
+    id: buffer.readUIntBE(offset, idLength),
+    size: unknown ? null : size,
+    dataStart: sizeOffset + sizeLength
+  };
+}
+
+/**
+ * Length of an EBML variable-size integer from its first byte
+ * @param {number|undefined} byte - First byte, undefined past the end
+ * @returns {number} - 1-8, or 0 for an invalid or missing byte
+ */
+function vintLength(byte) {
+  if (!byte) return 0;
+  return 8 - Math.floor(Math.log2(byte));
+}
+
+/**
+ * Cuts the audio after a WebM header into whole elements, each piece starting
+ * with a Cluster header, so a window can begin at any piece and still decode.
+ * MediaRecorder chunks end mid-element and mid-cluster; the unfinished
+ * element is kept until the next chunk completes it.
+ */
+export class WebmChunkFramer {
+  constructor() {
+    this.pending = Buffer.alloc(0);
+    this.clusterHeader = null;
+    this.inSync = true;
+  }
+
+  /**
+   * Frame the next chunk of audio
+   * @param {Buffer} chunk - Audio bytes following the previous chunk
+   * @returns {Buffer} - Complete elements, empty when none are complete yet
+   */
+  frame(chunk) {
+    const buffer = this.pending.length > 0 ? Buffer.concat([this.pending, chunk]) : chunk;
+    const pieces = [];
+    let offset = 0;
+
+    while (offset < buffer.length) {
+      if (!this.inSync) {
+        // Lost track of the element layout: carry on from the next cluster
+        const next = buffer.indexOf(WEBM_CLUSTER_ID, offset);
+        if (next === -1) {
+          offset = Math.max(offset, buffer.length - WEBM_CLUSTER_ID.length + 1);
+          break;
+        }
+        offset = next;
+        this.inSync = true;
+      }
+
+      const element = readElementHeader(buffer, offset);
+      if (element === null) break;
+
+      let end = null;
+      if (!element.invalid && element.id === WEBM_CLUSTER_ID.readUInt32BE(0)) {
+        const timecode = readElementHeader(buffer, element.dataStart);
+        if (timecode === null) break;
+        if (!timecode.invalid && timecode.id === WEBM_TIMECODE_ID && timecode.size !== null) {
+          end = timecode.dataStart + timecode.size;
+          if (end > buffer.length) break;
+          this.clusterHeader = Buffer.concat([
+            WEBM_CLUSTER_ID,
+            EBML_UNKNOWN_SIZE,
+            buffer.subarray(element.dataStart, end)
+          ]);
+        }
+      } else if (!element.invalid && element.size === null) {
+        end = element.dataStart; // its children follow as elements of their own
+      } else if (!element.invalid && element.size <= MAX_ELEMENT_BYTES) {
+        end = element.dataStart + element.size;
+        if (end > buffer.length) break;
+        // Blocks continuing an earlier cluster need its header ahead of them
+        if (pieces.length === 0 && this.clusterHeader) pieces.push(this.clusterHeader);
+      }
+
+      if (end === null) {
+        this.inSync = false;
+        this.clusterHeader = null;
+        offset++;
+        continue;
+      }
+
+      pieces.push(buffer.subarray(offset, end));
+      offset = end;
+    }
+
+    this.pending = Buffer.from(buffer.subarray(offset));
+    return Buffer.concat(pieces);
+  }
+}
+
+/**
+ * Decode a base64 audio payload, rejecting anything that is not base64
+ * @param {string} data - Base64 encoded audio
+ * @returns {Buffer|null} - Decoded bytes, or null for invalid input
+ */
+export function decodeBase64Audio(data) {
+  if (typeof data !== 'string' || data.length === 0) return null;
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(data)) return null;
+
+  const buffer = Buffer.from(data, 'base64');
+  return buffer.length > 0 ? buffer : null;
+}
+
+/**
+ * File extension for an audio MIME type, as STT APIs infer format from it
+ * @param {string} mimeType - e.g. 'audio/webm;codecs=opus'
+ * @returns {string} - Extension without the dot
+ */
+export function audioExtension(mimeType = 'audio/webm') {
+  const subtype = mimeType.split(';')[0].split('/')[1] || 'webm';
+  return { mpeg: 'mp3', 'x-wav': 'wav', wave: 'wav', 'x-m4a': 'm4a', mp4: 'm4a' }[subtype] || subtype;
+}
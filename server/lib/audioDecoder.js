@@ -0,0 +1,171 @@
+/**
+ * Audio decoding utilities
+ * Turns recordings into mono PCM samples for acoustic analysis
+ */
+
+import { spawn } from 'child_process';
+
+export const DEFAULT_SAMPLE_RATE = 16000;
+
+/**
+ * Decode audio into mono float samples at the requested sample rate.
+ * WAV is parsed directly; every other format is converted with ffmpeg.
+ * @param {Buffer} buffer - Encoded audio
+ * @param {Object} options - Optional decoding options
+ * @param {string} options.mimeType - MIME type of the audio
+ * @param {number} options.sampleRate - Output sample rate
+ * @param {string} options.ffmpegPath - ffmpeg binary (defaults to FFMPEG_PATH or 'ffmpeg')
+ * @returns {Promise<{samples: Float32Array, sampleRate: number}>} - Samples in [-1, 1]
+ * @throws {Error} - If the audio can't be decoded
+ */
+export async function decodeToPcm(buffer, options = {}) {
+  const sampleRate = options.sampleRate || DEFAULT_SAMPLE_RATE;
+
+  if (isWav(buffer)) {
+    const wav = parseWav(buffer);
+    return { samples: resample(wav.samples, wav.sampleRate, sampleRate), sampleRate };
+  }
+
+  const pcm = await runFfmpeg(buffer, sampleRate, options.ffmpegPath);
+  const samples = new Float32Array(pcm.length / 2);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = pcm.readInt16LE(i * 2) / 32768;
+  }
+
+  return { samples, sampleRate };
+}
+
+/**
+ * Check for a RIFF/WAVE header
+ * @param {Buffer} buffer - Audio bytes
+ * @returns {boolean} - Whether the buffer is a WAV file
+ */
+export function isWav(buffer) {
+  return (
+    buffer.length > 12 &&
+    buffer.toString('ascii', 0, 4) === 'RIFF' &&
+    buffer.toString('ascii', 8, 12) === 'WAVE'
+  );
+}
+
+/**
+ * Parse a PCM (16/24/32-bit integer or 32-bit float) WAV file, mixed to mono
+ * @param {Buffer} buffer - WAV file bytes
+ * @returns {{samples: Float32Array, sampleRate: number}} - Mono samples in [-1, 1]
+ * @throws {Error} - If the WAV encoding isn't supported
+ */
+export function parseWav(buffer) {
+  let offset = 12;
+  let format = null;
+  let data = null;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      data = buffer.subarray(body, Math.min(body + size, buffer.length));
+    }
+
+    offset = body + size + (size % 2);
+  }
+
+  if (!format || !data) {
+    throw new Error('Invalid WAV file: missing fmt or data chunk');
+  }
+
+  const { audioFormat, channels, sampleRate, bitsPerSample } = format;
+  const bytesPerSample = bitsPerSample / 8;
+  const isFloat = audioFormat === 3;
+  // 0xFFFE (extensible) carries plain PCM for our purposes
+  if (![1, 3, 0xfffe].includes(audioFormat) || ![16, 24, 32].includes(bitsPerSample)) {
+    throw new Error(`Unsupported WAV encoding (format ${audioFormat}, ${bitsPerSample}-bit)`);
+  }
+
+  const frameCount = Math.floor(data.length / (bytesPerSample * channels));
+  const samples = new Float32Array(frameCount);
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      const position = (frame * channels + channel) * bytesPerSample;
+      if (isFloat) {
+        sum += data.readFloatLE(position);
+      } else if (bitsPerSample === 16) {
+        sum += data.readInt16LE(position) / 32768;
+      } else if (bitsPerSample === 24) {
+        sum += data.readIntLE(position, 3) / 8388608;
+      } else {
+        sum += data.readInt32LE(position) / 2147483648;
+      }
+    }
+    samples[frame] = sum / channels;
+  }
+
+  return { samples, sampleRate };
+}
+
+/**
+ * Linear-interpolation resampling
+ * @param {Float32Array} samples - Input samples
+ * @param {number} fromRate - Input sample rate
+ * @param {number} toRate - Output sample rate
+ * @returns {Float32Array} - Resampled samples
+ */
+export function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate) return samples;
+
+  const ratio = fromRate / toRate;
+  const output = new Float32Array(Math.floor(samples.length / ratio));
+  for (let i = 0; i < output.length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, samples.length - 1);
+    const fraction = position - index;
+    output[i] = samples[index] * (1 - fraction) + samples[next] * fraction;
+  }
+
+  return output;
+}
+
+function runFfmpeg(buffer, sampleRate, ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg') {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(ffmpegPath, [
+      '-hide_banner',
+      '-loglevel', 'error',
+      '-i', 'pipe:0',
+      '-f', 's16le',
+      '-ac', '1',
+      '-ar', String(sampleRate),
+      'pipe:1'
+    ]);
+
+    const output = [];
+    let stderr = '';
+
+    ffmpeg.stdout.on('data', chunk => output.push(chunk));
+    ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+    ffmpeg.on('error', error => {
+      reject(new Error(`ffmpeg is required to decode this audio format: ${error.message}`));
+    });
+    ffmpeg.on('close', code => {
+      if (code === 0) {
+        resolve(Buffer.concat(output));
+      } else {
+        reject(new Error(`ffmpeg failed to decode audio: ${stderr.trim() || `exit code ${code}`}`));
+      }
+    });
+
+    // ffmpeg may exit before reading everything on bad input
+    ffmpeg.stdin.on('error', () => {});
+    ffmpeg.stdin.end(buffer);
+  });
+}
@@ -75,6 +75,39 @@ export function isFileType(filePath, validExtensions) {
   return validExtensions.includes(extension);
 }
 
+// Document types by file extension (without dot) for uploads
+const DOCUMENT_TYPES = {
+  pdf: 'pdf',
+  doc: 'doc',
+  docx: 'docx',
+  txt: 'text',
+  pptx: 'pptx',
+  xlsx: 'xlsx',
+  csv: 'csv',
+  tsv: 'csv',
+  html: 'html',
+  htm: 'html',
+  md: 'markdown',
+  markdown: 'markdown',
+  png: 'image',
+  jpg: 'image',
+  jpeg: 'image',
+  gif: 'image',
+  tif: 'image',
+  tiff: 'image',
+  bmp: 'image',
+  webp: 'image'
+};
+
+/**
+ * Document type of an uploaded file from its extension
+ * @param {string} fileName - Original file name
+ * @returns {string|null} - Document type, or null if the format isn't supported
+ */
+export function getDocumentType(fileName) {
+  return DOCUMENT_TYPES[getFileExtension(fileName)] || null;
+}
+
 /**
  * Create directory if it doesn't exist
  * @param {string} dirPath - Directory path
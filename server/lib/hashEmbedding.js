@@ -0,0 +1,48 @@
+/**
+ * Hashing embeddings
+ * Deterministic feature-hashing vectors that need no model, network or API key
+ */
+
+import crypto from 'crypto';
+
+export const DEFAULT_DIMENSIONS = 256;
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} - Tokens longer than one character
+ */
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9$%.\s]/g, ' ')
+    .split(/\s+/)
+    .map(token => token.replace(/^\.+|\.+$/g, ''))
+    .filter(token => token.length > 1);
+}
+
+/**
+ * Embed text by hashing its unigrams and bigrams into a fixed-size vector
+ * @param {string} text - Text to embed
+ * @param {number} dimensions - Vector length
+ * @returns {number[]} - L2-normalized vector
+ */
+export function hashEmbedding(text, dimensions = DEFAULT_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const tokens = tokenize(text);
+
+  // Bigrams let short phrases ("annual plan") carry weight
+  const features = [...tokens];
+  for (let i = 0; i < tokens.length - 1; i++) {
+    features.push(`${tokens[i]} ${tokens[i + 1]}`);
+  }
+
+  features.forEach(feature => {
+    const digest = crypto.createHash('md5').update(feature).digest();
+    const index = digest.readUInt32LE(0) % dimensions;
+    vector[index] += digest[4] & 1 ? 1 : -1;
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
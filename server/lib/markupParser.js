@@ -0,0 +1,241 @@
+/**
+ * HTML and Markdown to readable text
+ * Keeps headings, lists, tables and links readable for AI processing and drops
+ * markup, scripts and page chrome
+ */
+import { validateFileExists, readFileAsync } from './fileUtils.js';
+import { logError, logInfo } from './logger.js';
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  hellip: '…',
+  bull: '•',
+  middot: '·',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  euro: '€',
+  pound: '£',
+  yen: '¥',
+  cent: '¢',
+  times: '×',
+  deg: '°'
+};
+
+// Elements whose content is never readable text
+const DROPPED_ELEMENTS = ['script', 'style', 'noscript', 'template', 'svg', 'head', 'iframe'];
+
+// Page chrome dropped when the page has a <main> or <article> to read instead
+const CHROME_ELEMENTS = ['nav', 'header', 'footer', 'aside', 'form'];
+
+const BLOCK_ELEMENTS =
+  'address|article|aside|blockquote|dd|div|dl|dt|fieldset|figcaption|figure|footer|form|header|hr|main|nav|ol|p|pre|section|table|tbody|thead|tfoot|ul';
+
+/**
+ * Decode HTML/XML character references
+ * @param {string} text - Text with entities such as &amp; or &#8364;
+ * @returns {string} - Decoded text
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Convert an HTML document or fragment to readable text
+ * @param {string} html - HTML source
+ * @returns {{title: string, text: string}} - Page title and text
+ */
+export function htmlToText(html) {
+  let source = String(html || '').replace(/<!--[\s\S]*?-->/g, '');
+
+  const titleMatch = source.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const title = titleMatch ? collapse(decodeEntities(titleMatch[1])) : '';
+
+  source = removeElements(source, DROPPED_ELEMENTS);
+
+  // Prefer the main content over navigation and footers when it's marked up
+  const main = source.match(/<(main|article)\b[^>]*>([\s\S]*)<\/\1>/i);
+  if (main) {
+    source = main[2];
+  } else {
+    const body = source.match(/<body\b[^>]*>([\s\S]*)<\/body>/i);
+    if (body) source = body[1];
+  }
+  source = removeElements(source, CHROME_ELEMENTS);
+
+  const text = source
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<h([1-6])\b[^>]*>/gi, (match, level) => `\n\n${'#'.repeat(Number(level))} `)
+    .replace(/<\/h[1-6]>/gi, '\n\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/(td|th)>/gi, ' | ')
+    .replace(/<tr\b[^>]*>/gi, '\n| ')
+    .replace(/<a\b[^>]*href=["']((?:https?:|mailto:)[^"']*)["'][^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) =>
+      linkText(label, href)
+    )
+    .replace(/<img\b[^>]*alt=["']([^"']+)["'][^>]*>/gi, ' $1 ')
+    .replace(new RegExp(`</?(${BLOCK_ELEMENTS})\\b[^>]*>`, 'gi'), '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  return { title, text: tidy(decodeEntities(text)) };
+}
+
+/**
+ * Convert Markdown to readable text: markup characters, images and HTML are
+ * removed while headings, lists, tables and link targets are kept
+ * @param {string} markdown - Markdown source
+ * @returns {string} - Readable text
+ */
+export function markdownToText(markdown) {
+  const lines = String(markdown || '')
+    // Front matter
+    .replace(/^---\n[\s\S]*?\n---\n/, '')
+    .split(/\r?\n/);
+
+  let inCode = false;
+  const output = lines.map((line) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCode = !inCode;
+      return '';
+    }
+    if (inCode) return line;
+
+    // Table header separators (|---|:--:|) would split the table in two
+    if (/^\s*\|?(\s*:?-{3,}:?\s*\|)+\s*(:?-{3,}:?\s*)?$/.test(line)) return null;
+
+    return line
+      .replace(/^\s{0,3}>\s?/, '')
+      .replace(/^\s*([-*+]|\d+[.)])\s+\[[ xX]\]\s+/, '- ')
+      .replace(/^\s*[-*+]\s+/, '- ')
+      .replace(/^\s*([-*_]\s*){3,}$/, '')
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (match, label, href) => linkText(label, href))
+      .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')
+      .replace(/^\s*\[[^\]]+\]:\s+\S+.*$/, '')
+      .replace(/(\*\*|__)(.+?)\1/g, '$2')
+      .replace(/(^|[\s(])([*_])(\S(?:.*?\S)?)\2(?=[\s).,;:!?]|$)/g, '$1$3')
+      .replace(/~~(.+?)~~/g, '$1')
+      .replace(/`([^`]+)`/g, '$1')
+      .replace(/<[^>]+>/g, '');
+  });
+
+  return tidy(decodeEntities(output.filter((line) => line !== null).join('\n')));
+}
+
+/**
+ * Read an HTML file as readable text
+ * @param {string} filePath - Path to the HTML file
+ * @returns {Promise<{title: string, text: string}>} - Page title and text
+ * @throws {Error} - If file doesn't exist or reading fails
+ */
+export async function parseHtml(filePath) {
+  if (!filePath || typeof filePath !== 'string') {
+    logError('Invalid file path provided to HTML parser');
+    throw new Error('Invalid file path: String expected');
+  }
+
+  try {
+    validateFileExists(filePath, 'HTML file');
+    logInfo(`Processing HTML file: ${filePath}`);
+
+    return htmlToText(await readFileAsync(filePath, 'utf8'));
+  } catch (error) {
+    const errorMessage = `Error processing HTML file at ${filePath}: ${error.message}`;
+    logError(errorMessage, error);
+    throw new Error(errorMessage);
+  }
+}
+
+/**
+ * Read a Markdown file as readable text
+ * @param {string} filePath - Path to the Markdown file
+ * @returns {Promise<string>} - Readable text
+ * @throws {Error} - If file doesn't exist or reading fails
+ */
+export async function parseMarkdown(filePath) {
+  if (!filePath || typeof filePath !== 'string') {
+    logError('Invalid file path provided to Markdown parser');
+    throw new Error('Invalid file path: String expected');
+  }
+
+  try {
+    validateFileExists(filePath, 'Markdown file');
+    logInfo(`Processing Markdown file: ${filePath}`);
+
+    return markdownToText(await readFileAsync(filePath, 'utf8'));
+  } catch (error) {
+    const errorMessage = `Error processing Markdown file at ${filePath}: ${error.message}`;
+    logError(errorMessage, error);
+    throw new Error(errorMessage);
+  }
+}
+
+/**
+ * Remove elements and everything inside them
+ * @param {string} html - HTML source
+ * @param {string[]} tags - Element names
+ * @returns {string} - HTML without those elements
+ */
+function removeElements(html, tags) {
+  return tags.reduce(
+    (source, tag) =>
+      source
+        .replace(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?</${tag}>`, 'gi'), '\n')
+        .replace(new RegExp(`<${tag}\\b[^>]*/>`, 'gi'), ''),
+    html
+  );
+}
+
+/**
+ * Link label with its target when the target adds information
+ * @param {string} label - Link text (may contain markup)
+ * @param {string} href - Link target
+ * @returns {string} - "label (href)" or just the label
+ */
+function linkText(label, href) {
+  const text = label.replace(/<[^>]+>/g, '').trim();
+  if (!text) return '';
+  return text === href || !/^(https?:|mailto:)/i.test(href) ? text : `${text} (${href})`;
+}
+
+/**
+ * Collapse runs of whitespace inside a line
+ * @param {string} text - Text
+ * @returns {string} - Single-spaced text
+ */
+function collapse(text) {
+  return text.replace(/[ \t ]+/g, ' ').trim();
+}
+
+/**
+ * Normalize whitespace: single-spaced lines and at most one blank line
+ * @param {string} text - Text
+ * @returns {string} - Tidied text
+ */
+function tidy(text) {
+  return text
+    .split('\n')
+    .map(collapse)
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
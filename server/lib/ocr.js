@@ -0,0 +1,154 @@
+/**
+ * Optical character recognition for images and scanned PDFs
+ * Runs the Tesseract CLI; scanned PDFs are rendered to images with pdftoppm
+ * (poppler-utils) first
+ */
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { validateFileExists } from './fileUtils.js';
+import { logError, logInfo } from './logger.js';
+
+const DEFAULT_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Recognize the text in an image
+ * @param {string} filePath - Path to a PNG, JPEG, TIFF, GIF, BMP or WebP image
+ * @param {Object} options - Optional OCR options
+ * @param {string} options.language - Tesseract language(s), e.g. 'eng' or 'eng+deu'
+ * @param {string} options.tesseractPath - tesseract binary (defaults to TESSERACT_PATH or 'tesseract')
+ * @param {number} options.timeoutMs - Time allowed for the image
+ * @returns {Promise<string>} - Recognized text
+ * @throws {Error} - If the file doesn't exist or OCR fails
+ */
+export async function ocrImage(filePath, options = {}) {
+  if (!filePath || typeof filePath !== 'string') {
+    logError('Invalid file path provided to OCR');
+    throw new Error('Invalid file path: String expected');
+  }
+
+  try {
+    validateFileExists(filePath, 'Image file');
+    logInfo(`Running OCR on image: ${filePath}`);
+
+    const output = await runCommand(
+      options.tesseractPath || process.env.TESSERACT_PATH || 'tesseract',
+      [filePath, 'stdout', '-l', options.language || 'eng'],
+      { label: 'tesseract', timeoutMs: options.timeoutMs }
+    );
+    return output.toString('utf8').replace(/\f/g, '').trim();
+  } catch (error) {
+    const errorMessage = `OCR failed for ${filePath}: ${error.message}`;
+    logError(errorMessage, error);
+    throw new Error(errorMessage);
+  }
+}
+
+/**
+ * Recognize the text of a scanned PDF page by page
+ * @param {string} filePath - Path to the PDF file
+ * @param {Object} options - Optional OCR options (see ocrImage)
+ * @param {number} options.dpi - Render resolution; 200-300 suits most scans
+ * @param {number} options.maxPages - Pages recognized from the start of the document
+ * @param {string} options.pdftoppmPath - pdftoppm binary (defaults to PDFTOPPM_PATH or 'pdftoppm')
+ * @returns {Promise<{text: string, pages: string[]}>} - Text overall and per page
+ * @throws {Error} - If the file doesn't exist, can't be rendered or OCR fails
+ */
+export async function ocrPdf(filePath, options = {}) {
+  if (!filePath || typeof filePath !== 'string') {
+    logError('Invalid file path provided to PDF OCR');
+    throw new Error('Invalid file path: String expected');
+  }
+
+  validateFileExists(filePath, 'PDF file');
+  logInfo(`Running OCR on PDF: ${filePath}`);
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ocr-'));
+  try {
+    const args = ['-r', String(options.dpi || 200), '-png'];
+    if (options.maxPages) args.push('-l', String(options.maxPages));
+    await runCommand(
+      options.pdftoppmPath || process.env.PDFTOPPM_PATH || 'pdftoppm',
+      [...args, filePath, path.join(workDir, 'page')],
+      { label: 'pdftoppm', timeoutMs: options.timeoutMs }
+    );
+
+    // page-01.png, page-02.png, ... (zero padded to the page count's width)
+    const images = (await fs.promises.readdir(workDir))
+      .filter(name => name.endsWith('.png'))
+      .sort((a, b) => pageNumber(a) - pageNumber(b));
+
+    const pages = [];
+    for (const image of images) {
+      pages.push(await ocrImage(path.join(workDir, image), options));
+    }
+
+    return { text: pages.join('\n\n'), pages };
+  } catch (error) {
+    const errorMessage = error.message.startsWith('OCR failed')
+      ? error.message
+      : `OCR failed for ${filePath}: ${error.message}`;
+    logError(errorMessage, error);
+    throw new Error(errorMessage);
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Whether a parsed PDF looks scanned: too little embedded text per page to be
+ * a text document
+ * @param {string[]} pages - Text per page from parsePdf
+ * @param {number} minCharsPerPage - Average characters per page below which OCR is needed
+ * @returns {boolean} - Whether to run OCR
+ */
+export function needsOcr(pages, minCharsPerPage = 25) {
+  if (!Array.isArray(pages) || pages.length === 0) return true;
+  const characters = pages.reduce((sum, page) => sum + page.replace(/\s/g, '').length, 0);
+  return characters / pages.length < minCharsPerPage;
+}
+
+/**
+ * Run a command and collect its stdout
+ * @param {string} command - Binary to run
+ * @param {string[]} args - Arguments
+ * @param {Object} options - label for errors, timeoutMs before the process is killed
+ * @returns {Promise<Buffer>} - stdout
+ */
+function runCommand(command, args, { label, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args);
+    const output = [];
+    let stderr = '';
+
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      reject(new Error(`${label} timed out after ${Math.round(timeoutMs / 1000)}s`));
+    }, timeoutMs);
+
+    child.stdout.on('data', chunk => output.push(chunk));
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(new Error(`${label} is required for OCR: ${error.message}`));
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve(Buffer.concat(output));
+      } else {
+        reject(new Error(`${label} failed: ${stderr.trim() || `exit code ${code}`}`));
+      }
+    });
+  });
+}
+
+/**
+ * Page number in a pdftoppm output name (page-07.png -> 7)
+ * @param {string} name - File name
+ * @returns {number} - Page number
+ */
+function pageNumber(name) {
+  return parseInt(name.match(/(\d+)\.png$/)?.[1] || '0', 10);
+}
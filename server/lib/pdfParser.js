@@ -8,11 +8,36 @@ import fs from 'fs';
 import { validateFileExists, readFileAsync } from './fileUtils.js';
 import { logError, logInfo } from './logger.js';
 
+/**
+ * Page renderer matching pdf-parse's default that also keeps each page's text
+ * @param {string[]} pages - Receives page texts by page index
+ * @returns {Function} - pagerender option for pdf-parse
+ */
+function collectPages(pages) {
+  return async function renderPage(pageData) {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false
+    });
+
+    // Items on the same line are joined, new lines start on a new y position
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+      text += lastY === item.transform[5] || !lastY ? item.str : '\n' + item.str;
+      lastY = item.transform[5];
+    }
+
+    pages[pageData.pageIndex] = text;
+    return text;
+  };
+}
+
 /**
  * Parse PDF buffer and extract text
  * @param {Buffer} dataBuffer - PDF file buffer
  * @param {Object} options - Optional parsing options
- * @returns {Promise<Object>} - Parsed PDF data with text
+ * @returns {Promise<Object>} - Parsed PDF data with text and pages (text per page)
  * @throws {Error} - If parsing fails
  */
 export async function parsePdf(dataBuffer, options = {}) {
@@ -23,7 +48,11 @@ export async function parsePdf(dataBuffer, options = {}) {
   
   try {
     logInfo('Parsing PDF buffer');
-    return await pdfParse(dataBuffer, options);
+    const pages = [];
+    const result = await pdfParse(dataBuffer, { pagerender: collectPages(pages), ...options });
+    // Pages that failed to render are empty, like in result.text
+    result.pages = Array.from({ length: result.numrender }, (_, i) => pages[i] || '');
+    return result;
   } catch (error) {
     logError('Error parsing PDF buffer', error);
     throw new Error(`PDF parsing failed: ${error.message}`);
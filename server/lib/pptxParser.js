@@ -0,0 +1,214 @@
+/**
+ * PowerPoint (PPTX) text extraction
+ * Reads slide text and speaker notes straight from the Office Open XML package
+ */
+import path from 'path';
+import JSZip from 'jszip';
+import { validateFileExists, readFileAsync } from './fileUtils.js';
+import { logError, logInfo } from './logger.js';
+import { decodeEntities } from './markupParser.js';
+
+/**
+ * Extract slide text and speaker notes from a PPTX buffer
+ * @param {Buffer} buffer - PPTX file bytes
+ * @returns {Promise<Object>} - { text, slides: [{ number, title, text, notes }] }
+ *   where text has one "Slide N" section per slide
+ * @throws {Error} - If the file isn't a PPTX package
+ */
+export async function parsePptxBuffer(buffer) {
+  if (!buffer || !(buffer instanceof Buffer)) {
+    logError('Invalid presentation data provided to parser');
+    throw new Error('Invalid presentation data: Buffer expected');
+  }
+
+  try {
+    logInfo('Parsing presentation buffer');
+    const zip = await JSZip.loadAsync(buffer);
+    const slidePaths = await getSlidePaths(zip);
+    if (slidePaths.length === 0) {
+      throw new Error('No slides found (is this a .pptx file?)');
+    }
+
+    const slides = [];
+    for (const [index, slidePath] of slidePaths.entries()) {
+      const xml = await zip.file(slidePath).async('string');
+      const notesPath = await getRelatedPath(zip, slidePath, 'notesSlide');
+      const notesXml = notesPath ? await zip.file(notesPath)?.async('string') : null;
+
+      slides.push({
+        number: index + 1,
+        title: getSlideTitle(xml),
+        // The title is kept separately; footers, dates and numbers are noise
+        text: getParagraphs(xml, { skipPlaceholders: ['title', 'ctrTitle', 'dt', 'ftr', 'sldNum'] }).join('\n'),
+        // Notes slides repeat the slide number and slide image placeholders
+        notes: notesXml ? getParagraphs(notesXml, { skipPlaceholders: ['sldNum', 'sldImg'] }).join('\n') : ''
+      });
+    }
+
+    return { text: slides.map(formatSlide).join('\n\n'), slides };
+  } catch (error) {
+    logError('Error parsing presentation buffer', error);
+    throw new Error(`Presentation parsing failed: ${error.message}`);
+  }
+}
+
+/**
+ * Extract slide text and speaker notes from a PPTX file
+ * @param {string} filePath - Path to the PPTX file
+ * @returns {Promise<Object>} - { text, slides: [{ number, title, text, notes }] }
+ * @throws {Error} - If file doesn't exist or parsing fails
+ */
+export async function parsePptx(filePath) {
+  if (!filePath || typeof filePath !== 'string') {
+    logError('Invalid file path provided to presentation parser');
+    throw new Error('Invalid file path: String expected');
+  }
+
+  try {
+    validateFileExists(filePath, 'Presentation file');
+    logInfo(`Processing presentation file: ${filePath}`);
+
+    return await parsePptxBuffer(await readFileAsync(filePath));
+  } catch (error) {
+    const errorMessage = error.message.includes('Presentation parsing failed')
+      ? error.message
+      : `Error processing presentation file at ${filePath}: ${error.message}`;
+    logError(errorMessage, error);
+    throw new Error(errorMessage);
+  }
+}
+
+/**
+ * Slide as text: heading, body and speaker notes
+ * @param {Object} slide - Parsed slide
+ * @returns {string} - Slide text
+ */
+function formatSlide(slide) {
+  const parts = [`Slide ${slide.number}${slide.title ? `: ${slide.title}` : ''}`];
+  if (slide.text) parts.push(slide.text);
+  if (slide.notes) parts.push(`Speaker notes: ${slide.notes}`);
+  return parts.join('\n');
+}
+
+/**
+ * Slide parts in presentation order (the slide list in presentation.xml),
+ * falling back to file name order
+ * @param {JSZip} zip - PPTX package
+ * @returns {Promise<string[]>} - Paths of the slide XML parts
+ */
+async function getSlidePaths(zip) {
+  const presentation = await zip.file('ppt/presentation.xml')?.async('string');
+  const rels = await readRelationships(zip, 'ppt/presentation.xml');
+
+  if (presentation && rels.size > 0) {
+    const ordered = [...presentation.matchAll(/<p:sldId\b[^>]*\br:id="([^"]+)"/g)]
+      .map((match) => rels.get(match[1])?.target)
+      .filter((target) => target && zip.file(target));
+    if (ordered.length > 0) return ordered;
+  }
+
+  return Object.keys(zip.files)
+    .filter((name) => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => slideNumber(a) - slideNumber(b));
+}
+
+/**
+ * Resolve a part related to another part, e.g. a slide's notes
+ * @param {JSZip} zip - PPTX package
+ * @param {string} partPath - Source part
+ * @param {string} type - Relationship type suffix (notesSlide, slide, ...)
+ * @returns {Promise<string|null>} - Path of the related part
+ */
+async function getRelatedPath(zip, partPath, type) {
+  const rels = await readRelationships(zip, partPath);
+  for (const rel of rels.values()) {
+    if (rel.type.endsWith(`/${type}`)) return rel.target;
+  }
+  return null;
+}
+
+/**
+ * Read a part's relationships (_rels/<part>.rels) with targets resolved to
+ * package paths
+ * @param {JSZip} zip - PPTX package
+ * @param {string} partPath - Part the relationships belong to
+ * @returns {Promise<Map<string, {type: string, target: string}>>} - By relationship id
+ */
+async function readRelationships(zip, partPath) {
+  const dir = path.posix.dirname(partPath);
+  const relsPath = path.posix.join(dir, '_rels', `${path.posix.basename(partPath)}.rels`);
+  const xml = await zip.file(relsPath)?.async('string');
+  const rels = new Map();
+  if (!xml) return rels;
+
+  for (const match of xml.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+    const id = attribute(match[1], 'Id');
+    const target = attribute(match[1], 'Target');
+    if (!id || !target) continue;
+    rels.set(id, {
+      type: attribute(match[1], 'Type') || '',
+      target: target.startsWith('/') ? target.slice(1) : path.posix.normalize(path.posix.join(dir, target))
+    });
+  }
+  return rels;
+}
+
+/**
+ * Text of the title placeholder
+ * @param {string} xml - Slide XML
+ * @returns {string} - Slide title, or '' without one
+ */
+function getSlideTitle(xml) {
+  for (const shape of xml.match(/<p:sp\b[\s\S]*?<\/p:sp>/g) || []) {
+    if (/<p:ph\b[^>]*type="(title|ctrTitle)"/.test(shape)) {
+      return getParagraphs(shape).join(' ');
+    }
+  }
+  return '';
+}
+
+/**
+ * Text paragraphs of a slide or notes part, in document order. Table cells
+ * are separate paragraphs too.
+ * @param {string} xml - Slide or notes XML
+ * @param {Object} options - Optional settings
+ * @param {string[]} options.skipPlaceholders - Placeholder types to leave out
+ * @returns {string[]} - Non-empty paragraphs
+ */
+function getParagraphs(xml, options = {}) {
+  let source = xml;
+  for (const type of options.skipPlaceholders || []) {
+    source = source.replace(/<p:sp\b[\s\S]*?<\/p:sp>/g, (shape) =>
+      new RegExp(`<p:ph\\b[^>]*type="${type}"`).test(shape) ? '' : shape
+    );
+  }
+
+  return (source.match(/<a:p\b[\s\S]*?<\/a:p>/g) || [])
+    .map((paragraph) =>
+      [...paragraph.matchAll(/<a:t(?:\s[^>]*)?>([\s\S]*?)<\/a:t>|<a:br\b[^>]*\/>/g)]
+        .map((match) => (match[1] === undefined ? '\n' : decodeEntities(match[1])))
+        .join('')
+        .trim()
+    )
+    .filter(Boolean);
+}
+
+/**
+ * Read an XML attribute from an element's attribute string
+ * @param {string} attributes - Attributes source
+ * @param {string} name - Attribute name
+ * @returns {string|null} - Decoded value
+ */
+function attribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return match ? decodeEntities(match[1]) : null;
+}
+
+/**
+ * Number in a slide file name (slide12.xml -> 12)
+ * @param {string} name - Part path
+ * @returns {number} - Slide number
+ */
+function slideNumber(name) {
+  return parseInt(name.match(/(\d+)\.xml$/)[1], 10);
+}
@@ -0,0 +1,312 @@
+/**
+ * Speaker embeddings and clustering
+ * MFCC statistics per segment, grouped into speakers by agglomerative clustering
+ */
+
+const FRAME_SECONDS = 0.025;
+const HOP_SECONDS = 0.01;
+const FFT_SIZE = 512;
+const MEL_BANDS = 26;
+const CEPSTRAL_COEFFICIENTS = 13;
+const MIN_CLUSTER_SECONDS = 1; // shorter segments join the nearest speaker
+
+/**
+ * Compute MFCC frames for a whole recording
+ * @param {Float32Array} samples - Mono samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate of the samples
+ * @returns {{frames: Float32Array[], energies: number[], hopSeconds: number}} - One MFCC vector (c1..c12) per 10 ms
+ */
+export function computeMfccFrames(samples, sampleRate) {
+  const frameLength = Math.round(FRAME_SECONDS * sampleRate);
+  const hop = Math.round(HOP_SECONDS * sampleRate);
+  const filters = melFilterbank(sampleRate);
+  const window = hammingWindow(frameLength);
+
+  const frames = [];
+  const energies = [];
+  const real = new Float64Array(FFT_SIZE);
+  const imag = new Float64Array(FFT_SIZE);
+
+  for (let start = 0; start + frameLength <= samples.length; start += hop) {
+    real.fill(0);
+    imag.fill(0);
+    let energy = 0;
+    for (let i = 0; i < frameLength && i < FFT_SIZE; i++) {
+      const sample = samples[start + i];
+      energy += sample * sample;
+      real[i] = sample * window[i];
+    }
+    fft(real, imag);
+
+    const power = new Float64Array(FFT_SIZE / 2 + 1);
+    for (let bin = 0; bin < power.length; bin++) {
+      power[bin] = (real[bin] * real[bin] + imag[bin] * imag[bin]) / FFT_SIZE;
+    }
+
+    const logMel = filters.map(filter => {
+      let sum = 0;
+      for (let bin = filter.start; bin < filter.end; bin++) {
+        sum += power[bin] * filter.weights[bin - filter.start];
+      }
+      return Math.log(sum + 1e-10);
+    });
+
+    frames.push(dct(logMel).subarray(1)); // c0 is loudness, not voice
+    energies.push(energy / frameLength);
+  }
+
+  return { frames, energies, hopSeconds: HOP_SECONDS };
+}
+
+/**
+ * Embed each time segment as the mean and spread of its voiced MFCC frames
+ * @param {{frames: Float32Array[], energies: number[], hopSeconds: number}} features - Output of computeMfccFrames
+ * @param {Array<{start: number, end: number}>} segments - Segment times in seconds
+ * @returns {Array<number[]|null>} - One embedding per segment, null when it has no voiced audio
+ */
+export function embedSegments(features, segments) {
+  const { frames, energies, hopSeconds } = features;
+  // Frames much quieter than the recording's loud frames are treated as silence
+  const sorted = [...energies].sort((a, b) => a - b);
+  const silenceFloor = (sorted[Math.floor(sorted.length * 0.9)] || 0) * 0.01;
+
+  return segments.map(segment => {
+    const first = Math.max(0, Math.floor(segment.start / hopSeconds));
+    const last = Math.min(frames.length, Math.ceil(segment.end / hopSeconds));
+    const voiced = [];
+    for (let i = first; i < last; i++) {
+      if (energies[i] > silenceFloor) voiced.push(frames[i]);
+    }
+    if (voiced.length < 10) return null;
+
+    const dims = voiced[0].length;
+    const mean = new Array(dims).fill(0);
+    const spread = new Array(dims).fill(0);
+    voiced.forEach(frame => frame.forEach((value, d) => { mean[d] += value / voiced.length; }));
+    voiced.forEach(frame => frame.forEach((value, d) => { spread[d] += (value - mean[d]) ** 2 / voiced.length; }));
+
+    return [...mean, ...spread.map(Math.sqrt)];
+  });
+}
+
+/**
+ * Group segment embeddings into speakers with average-linkage clustering.
+ * Without a known speaker count, the count with the best silhouette wins,
+ * and a single speaker is assumed when no split is clearly better.
+ * @param {Array<number[]|null>} embeddings - Output of embedSegments
+ * @param {Object} options - Optional clustering options
+ * @param {number[]} options.durations - Segment durations in seconds
+ * @param {number} options.speakers - Exact number of speakers, when known
+ * @param {number} options.maxSpeakers - Upper bound when the number is unknown
+ * @param {number} options.minSilhouette - Separation needed to accept more than one speaker
+ * @returns {number[]} - Speaker index per segment, numbered by first appearance
+ */
+export function clusterSpeakers(embeddings, options = {}) {
+  const durations = options.durations || embeddings.map(() => MIN_CLUSTER_SECONDS);
+  const maxSpeakers = options.speakers || options.maxSpeakers || 6;
+  const minSilhouette = options.minSilhouette ?? 0.2;
+
+  const vectors = standardize(embeddings);
+  const anchors = vectors
+    .map((vector, index) => ({ vector, index }))
+    .filter(({ vector, index }) => vector && durations[index] >= MIN_CLUSTER_SECONDS);
+
+  // Nothing long enough to compare: everyone is the same speaker
+  if (anchors.length === 0) return embeddings.map(() => 0);
+
+  // Merge bottom-up, remembering the partition at each speaker count
+  let clusters = anchors.map(({ vector, index }) => ({ members: [index], vectors: [vector] }));
+  const partitions = new Map([[clusters.length, clusters]]);
+
+  while (clusters.length > 1) {
+    let best = { similarity: -Infinity, a: -1, b: -1 };
+    for (let a = 0; a < clusters.length; a++) {
+      for (let b = a + 1; b < clusters.length; b++) {
+        const similarity = averageSimilarity(clusters[a].vectors, clusters[b].vectors);
+        if (similarity > best.similarity) best = { similarity, a, b };
+      }
+    }
+
+    const merged = {
+      members: [...clusters[best.a].members, ...clusters[best.b].members],
+      vectors: [...clusters[best.a].vectors, ...clusters[best.b].vectors]
+    };
+    clusters = clusters.filter((_, i) => i !== best.a && i !== best.b).concat(merged);
+    partitions.set(clusters.length, clusters);
+  }
+
+  let chosen = partitions.get(1);
+  if (options.speakers) {
+    chosen = partitions.get(Math.min(options.speakers, anchors.length));
+  } else {
+    let bestScore = minSilhouette;
+    for (let count = 2; count <= Math.min(maxSpeakers, anchors.length - 1); count++) {
+      const score = silhouette(partitions.get(count));
+      if (score > bestScore) {
+        bestScore = score;
+        chosen = partitions.get(count);
+      }
+    }
+  }
+
+  const labels = new Array(embeddings.length).fill(-1);
+  chosen.forEach((cluster, clusterIndex) => {
+    cluster.members.forEach(member => { labels[member] = clusterIndex; });
+  });
+
+  // Short or silent segments take the closest speaker, or the previous one
+  const centroids = chosen.map(cluster => centroid(cluster.vectors));
+  labels.forEach((label, index) => {
+    if (label !== -1) return;
+    if (vectors[index]) {
+      const scores = centroids.map(c => cosineSimilarity(vectors[index], c));
+      labels[index] = scores.indexOf(Math.max(...scores));
+    } else {
+      labels[index] = index > 0 ? labels[index - 1] : 0;
+    }
+  });
+
+  // Renumber by order of first appearance
+  const order = new Map();
+  return labels.map(label => {
+    if (!order.has(label)) order.set(label, order.size);
+    return order.get(label);
+  });
+}
+
+// Mean silhouette coefficient with cosine distance
+function silhouette(clusters) {
+  let total = 0;
+  let count = 0;
+
+  clusters.forEach((cluster, c) => {
+    cluster.vectors.forEach(vector => {
+      if (cluster.vectors.length < 2) return; // singletons score 0
+      const distance = others => {
+        let sum = 0;
+        others.forEach(other => { if (other !== vector) sum += 1 - cosineSimilarity(vector, other); });
+        return sum / (others.length - (others.includes(vector) ? 1 : 0));
+      };
+      const own = distance(cluster.vectors);
+      const nearest = Math.min(
+        ...clusters.filter((_, o) => o !== c).map(other => distance(other.vectors))
+      );
+      total += (nearest - own) / Math.max(own, nearest);
+      count++;
+    });
+    if (cluster.vectors.length < 2) count += cluster.vectors.length;
+  });
+
+  return count ? total / count : 0;
+}
+
+function standardize(embeddings) {
+  const present = embeddings.filter(Boolean);
+  if (present.length === 0) return embeddings;
+
+  const dims = present[0].length;
+  const mean = new Array(dims).fill(0);
+  const deviation = new Array(dims).fill(0);
+  present.forEach(vector => vector.forEach((value, d) => { mean[d] += value / present.length; }));
+  present.forEach(vector => vector.forEach((value, d) => { deviation[d] += (value - mean[d]) ** 2 / present.length; }));
+
+  return embeddings.map(vector =>
+    vector ? vector.map((value, d) => (value - mean[d]) / (Math.sqrt(deviation[d]) || 1)) : null
+  );
+}
+
+function averageSimilarity(a, b) {
+  let total = 0;
+  a.forEach(x => b.forEach(y => { total += cosineSimilarity(x, y); }));
+  return total / (a.length * b.length);
+}
+
+function centroid(vectors) {
+  const sum = new Array(vectors[0].length).fill(0);
+  vectors.forEach(vector => vector.forEach((value, d) => { sum[d] += value / vectors.length; }));
+  return sum;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function hammingWindow(length) {
+  return Float64Array.from({ length }, (_, i) => 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (length - 1)));
+}
+
+function melFilterbank(sampleRate) {
+  const toMel = hz => 2595 * Math.log10(1 + hz / 700);
+  const toHz = mel => 700 * (10 ** (mel / 2595) - 1);
+  const low = toMel(20);
+  const high = toMel(Math.min(7600, sampleRate / 2));
+  const bins = Array.from({ length: MEL_BANDS + 2 }, (_, i) =>
+    Math.floor(((FFT_SIZE + 1) * toHz(low + ((high - low) * i) / (MEL_BANDS + 1))) / sampleRate)
+  );
+
+  return Array.from({ length: MEL_BANDS }, (_, m) => {
+    const [left, center, right] = [bins[m], bins[m + 1], bins[m + 2]];
+    const weights = [];
+    for (let bin = left; bin < right; bin++) {
+      weights.push(
+        bin < center
+          ? (bin - left) / Math.max(1, center - left)
+          : (right - bin) / Math.max(1, right - center)
+      );
+    }
+    return { start: left, end: right, weights };
+  });
+}
+
+function dct(values) {
+  const output = new Float32Array(CEPSTRAL_COEFFICIENTS);
+  for (let k = 0; k < CEPSTRAL_COEFFICIENTS; k++) {
+    let sum = 0;
+    for (let n = 0; n < values.length; n++) {
+      sum += values[n] * Math.cos((Math.PI * k * (n + 0.5)) / values.length);
+    }
+    output[k] = sum;
+  }
+  return output;
+}
+
+// In-place iterative radix-2 FFT
+function fft(real, imag) {
+  const n = real.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tr = real[b] * cos - imag[b] * sin;
+        const ti = real[b] * sin + imag[b] * cos;
+        real[b] = real[a] - tr;
+        imag[b] = imag[a] - ti;
+        real[a] += tr;
+        imag[a] += ti;
+      }
+    }
+  }
+}
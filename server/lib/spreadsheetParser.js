@@ -0,0 +1,385 @@
+/**
+ * Spreadsheet (XLSX and CSV) text extraction
+ * Turns each sheet into rows of "Header: value" records so price lists and
+ * feature matrices stay readable once the text is chunked
+ */
+import path from 'path';
+import JSZip from 'jszip';
+import { validateFileExists, readFileAsync } from './fileUtils.js';
+import { logError, logInfo } from './logger.js';
+import { decodeEntities } from './markupParser.js';
+
+const DEFAULT_MAX_ROWS = 2000;
+
+// Rows per block of text; blocks are separated by blank lines so chunking
+// keeps them together
+const ROWS_PER_BLOCK = 25;
+
+// Built-in number formats that display dates and times
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+/**
+ * Extract the sheets of an XLSX workbook
+ * @param {Buffer} buffer - XLSX file bytes
+ * @param {Object} options - Optional parsing options
+ * @param {number} options.maxRows - Rows read per sheet
+ * @returns {Promise<Object>} - { text, sheets: [{ name, rows, rowCount }] } where
+ *   rows are [{ number, cells }] and number is the row number in the sheet
+ * @throws {Error} - If the file isn't an XLSX package
+ */
+export async function parseXlsxBuffer(buffer, options = {}) {
+  if (!buffer || !(buffer instanceof Buffer)) {
+    logError('Invalid spreadsheet data provided to parser');
+    throw new Error('Invalid spreadsheet data: Buffer expected');
+  }
+
+  try {
+    logInfo('Parsing spreadsheet buffer');
+    const zip = await JSZip.loadAsync(buffer);
+    const workbook = await zip.file('xl/workbook.xml')?.async('string');
+    if (!workbook) {
+      throw new Error('No workbook found (is this a .xlsx file?)');
+    }
+
+    const sharedStrings = await readSharedStrings(zip);
+    const dateStyles = await readDateStyles(zip);
+    const rels = await readWorkbookRelationships(zip);
+    const maxRows = options.maxRows || DEFAULT_MAX_ROWS;
+
+    const sheets = [];
+    for (const match of workbook.matchAll(/<sheet\b([^>]*)\/?>/g)) {
+      // Hidden sheets hold lookups and scratch data, not content
+      if (/\bstate="(hidden|veryHidden)"/.test(match[1])) continue;
+
+      const name = decodeEntities(match[1].match(/\bname="([^"]*)"/)?.[1] || `Sheet${sheets.length + 1}`);
+      const target = rels.get(match[1].match(/\br:id="([^"]*)"/)?.[1]);
+      const xml = target ? await zip.file(target)?.async('string') : null;
+      if (!xml) continue;
+
+      const rows = readSheetRows(xml, sharedStrings, dateStyles);
+      sheets.push({ name, rows: rows.slice(0, maxRows), rowCount: rows.length });
+    }
+
+    return { text: sheetsToText(sheets), sheets };
+  } catch (error) {
+    logError('Error parsing spreadsheet buffer', error);
+    throw new Error(`Spreadsheet parsing failed: ${error.message}`);
+  }
+}
+
+/**
+ * Parse CSV (or semicolon/tab separated) text into a single sheet
+ * @param {string} content - CSV text
+ * @param {Object} options - Optional parsing options
+ * @param {string} options.name - Sheet name
+ * @param {string} options.delimiter - Field separator (detected when omitted)
+ * @param {number} options.maxRows - Rows read
+ * @returns {Object} - { text, sheets: [{ name, rows, rowCount }] }
+ */
+export function parseCsvText(content, options = {}) {
+  const source = String(content || '').replace(/^\uFEFF/, '');
+  const delimiter = options.delimiter || detectDelimiter(source);
+  const rows = parseDelimited(source, delimiter)
+    .map((cells, index) => ({ number: index + 1, cells }))
+    .filter((row) => row.cells.some((cell) => cell.trim()));
+  const maxRows = options.maxRows || DEFAULT_MAX_ROWS;
+
+  const sheets = [{ name: options.name || 'Sheet1', rows: rows.slice(0, maxRows), rowCount: rows.length }];
+  return { text: sheetsToText(sheets), sheets };
+}
+
+/**
+ * Extract the sheets of an XLSX or CSV file
+ * @param {string} filePath - Path to the spreadsheet
+ * @param {Object} options - Optional parsing options (see parseXlsxBuffer)
+ * @returns {Promise<Object>} - { text, sheets: [{ name, rows, rowCount }] }
+ * @throws {Error} - If file doesn't exist or parsing fails
+ */
+export async function parseSpreadsheet(filePath, options = {}) {
+  if (!filePath || typeof filePath !== 'string') {
+    logError('Invalid file path provided to spreadsheet parser');
+    throw new Error('Invalid file path: String expected');
+  }
+
+  try {
+    validateFileExists(filePath, 'Spreadsheet file');
+    logInfo(`Processing spreadsheet file: ${filePath}`);
+
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension === '.csv' || extension === '.tsv') {
+      const content = await readFileAsync(filePath, 'utf8');
+      return parseCsvText(content, { name: path.basename(filePath, extension), ...options });
+    }
+    return await parseXlsxBuffer(await readFileAsync(filePath), options);
+  } catch (error) {
+    const errorMessage = error.message.includes('Spreadsheet parsing failed')
+      ? error.message
+      : `Error processing spreadsheet file at ${filePath}: ${error.message}`;
+    logError(errorMessage, error);
+    throw new Error(errorMessage);
+  }
+}
+
+/**
+ * Sheets as text. With a header row every row reads "Header: value; ...",
+ * otherwise cells are separated by " | ".
+ * @param {Array<Object>} sheets - Parsed sheets
+ * @returns {string} - Text of all sheets
+ */
+function sheetsToText(sheets) {
+  return sheets
+    .filter((sheet) => sheet.rows.length > 0)
+    .map((sheet) => {
+      const [first, ...rest] = sheet.rows;
+      const header = rest.length > 0 && isHeaderRow(first.cells) ? first.cells.map((cell) => cell.trim()) : null;
+      const body = header ? rest : sheet.rows;
+
+      const lines = body.map((row) => {
+        const cells = header
+          ? row.cells
+              .map((cell, column) => (cell.trim() ? `${header[column] || `Column ${column + 1}`}: ${cell.trim()}` : ''))
+              .filter(Boolean)
+              .join('; ')
+          : row.cells.map((cell) => cell.trim()).join(' | ');
+        return `Row ${row.number}: ${cells}`;
+      });
+
+      const blocks = [];
+      for (let i = 0; i < lines.length; i += ROWS_PER_BLOCK) {
+        blocks.push(lines.slice(i, i + ROWS_PER_BLOCK).join('\n'));
+      }
+
+      const omitted = sheet.rowCount - sheet.rows.length;
+      return [
+        `Sheet: ${sheet.name}${header ? `\nColumns: ${header.filter(Boolean).join(', ')}` : ''}`,
+        ...blocks,
+        ...(omitted > 0 ? [`(${omitted} more rows not included)`] : [])
+      ].join('\n\n');
+    })
+    .join('\n\n');
+}
+
+/**
+ * A header row has text labels rather than numbers in every filled cell
+ * @param {string[]} row - First row
+ * @returns {boolean} - Whether to treat it as column names
+ */
+function isHeaderRow(row) {
+  const filled = row.filter((cell) => cell.trim());
+  return filled.length >= Math.max(1, row.length / 2) && filled.every((cell) => !/^[\d\s.,%$€£+-]+$/.test(cell));
+}
+
+/**
+ * Shared string table (cells of type "s" index into it)
+ * @param {JSZip} zip - XLSX package
+ * @returns {Promise<string[]>} - Strings by index
+ */
+async function readSharedStrings(zip) {
+  const xml = await zip.file('xl/sharedStrings.xml')?.async('string');
+  if (!xml) return [];
+  return (xml.match(/<si\b[\s\S]*?<\/si>/g) || []).map(readText);
+}
+
+/**
+ * Style indexes (cell "s" attribute) that format numbers as dates
+ * @param {JSZip} zip - XLSX package
+ * @returns {Promise<Set<number>>} - Date style indexes
+ */
+async function readDateStyles(zip) {
+  const xml = await zip.file('xl/styles.xml')?.async('string');
+  const styles = new Set();
+  if (!xml) return styles;
+
+  const customDateFormats = new Set();
+  for (const match of xml.matchAll(/<numFmt\b[^>]*numFmtId="(\d+)"[^>]*formatCode="([^"]*)"/g)) {
+    // Date codes use d/m/y/h outside of quoted literals and [colors]
+    const code = decodeEntities(match[2]).replace(/"[^"]*"|\[[^\]]*\]/g, '');
+    if (/[dmyh]/i.test(code)) customDateFormats.add(Number(match[1]));
+  }
+
+  const cellXfs = xml.match(/<cellXfs\b[\s\S]*?<\/cellXfs>/)?.[0] || '';
+  [...cellXfs.matchAll(/<xf\b[^>]*>/g)].forEach((match, index) => {
+    const formatId = Number(match[0].match(/numFmtId="(\d+)"/)?.[1] || 0);
+    if (DATE_FORMAT_IDS.has(formatId) || customDateFormats.has(formatId)) styles.add(index);
+  });
+  return styles;
+}
+
+/**
+ * Worksheet paths by relationship id
+ * @param {JSZip} zip - XLSX package
+ * @returns {Promise<Map<string, string>>} - Package paths
+ */
+async function readWorkbookRelationships(zip) {
+  const xml = await zip.file('xl/_rels/workbook.xml.rels')?.async('string');
+  const rels = new Map();
+  if (!xml) return rels;
+
+  for (const match of xml.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+    const id = match[1].match(/\bId="([^"]*)"/)?.[1];
+    const target = match[1].match(/\bTarget="([^"]*)"/)?.[1];
+    if (!id || !target) continue;
+    rels.set(id, target.startsWith('/') ? target.slice(1) : path.posix.normalize(path.posix.join('xl', target)));
+  }
+  return rels;
+}
+
+/**
+ * Cell values of a worksheet, without empty rows
+ * @param {string} xml - Worksheet XML
+ * @param {string[]} sharedStrings - Shared string table
+ * @param {Set<number>} dateStyles - Style indexes that hold dates
+ * @returns {Array<{number: number, cells: string[]}>} - Rows with their row numbers
+ */
+function readSheetRows(xml, sharedStrings, dateStyles) {
+  const rows = [];
+  for (const rowMatch of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    if (!rowMatch[2]) continue;
+    const row = [];
+    for (const cellMatch of rowMatch[2].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = cellMatch[1];
+      const ref = attributes.match(/\br="([A-Z]+)\d+"/)?.[1];
+      const column = ref ? columnIndex(ref) : row.length;
+      row[column] = readCellValue(attributes, cellMatch[2] || '', sharedStrings, dateStyles);
+    }
+
+    const values = Array.from(row, (value) => value || '');
+    while (values.length > 0 && !values[values.length - 1].trim()) values.pop();
+    if (values.length > 0) {
+      const number = Number(rowMatch[1].match(/\br="(\d+)"/)?.[1]) || rows.length + 1;
+      rows.push({ number, cells: values });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Displayable value of one cell
+ * @param {string} attributes - Cell attributes (type "t", style "s")
+ * @param {string} content - Cell XML content
+ * @param {string[]} sharedStrings - Shared string table
+ * @param {Set<number>} dateStyles - Style indexes that hold dates
+ * @returns {string} - Cell text
+ */
+function readCellValue(attributes, content, sharedStrings, dateStyles) {
+  const type = attributes.match(/\bt="([^"]*)"/)?.[1] || 'n';
+  if (type === 'inlineStr') return readText(content);
+
+  const value = content.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+  if (value === undefined) return '';
+
+  switch (type) {
+    case 's':
+      return sharedStrings[Number(value)] || '';
+    case 'b':
+      return value === '1' ? 'TRUE' : 'FALSE';
+    case 'str':
+    case 'e':
+      return decodeEntities(value);
+    default: {
+      const style = Number(attributes.match(/\bs="(\d+)"/)?.[1] || 0);
+      return dateStyles.has(style) ? serialToDate(Number(value)) : formatNumber(value);
+    }
+  }
+}
+
+/**
+ * Text of a string item: plain <t> or rich text runs, without phonetic hints
+ * @param {string} xml - <si> or <is> content
+ * @returns {string} - Text
+ */
+function readText(xml) {
+  return [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)]
+    .map((match) => decodeEntities(match[1]))
+    .join('');
+}
+
+/**
+ * Excel date serial (days since 1899-12-30) as an ISO date or date-time
+ * @param {number} serial - Serial value
+ * @returns {string} - Date text
+ */
+function serialToDate(serial) {
+  if (!Number.isFinite(serial)) return '';
+  const date = new Date(Math.round((serial - 25569) * 86400 * 1000));
+  const iso = date.toISOString();
+  return Number.isInteger(serial) ? iso.slice(0, 10) : iso.slice(0, 16).replace('T', ' ');
+}
+
+/**
+ * Drop floating point noise from stored numbers (0.30000000000000004 -> 0.3)
+ * @param {string} value - Stored number
+ * @returns {string} - Number text
+ */
+function formatNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? String(Number(number.toPrecision(15))) : value;
+}
+
+/**
+ * Zero-based column index of a column reference (A -> 0, AA -> 26)
+ * @param {string} letters - Column letters
+ * @returns {number} - Column index
+ */
+function columnIndex(letters) {
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Pick the separator that splits the first line into the most columns
+ * @param {string} content - Delimited text
+ * @returns {string} - Delimiter
+ */
+function detectDelimiter(content) {
+  const firstLine = content.split(/\r?\n/, 1)[0] || '';
+  return [',', ';', '\t', '|'].reduce(
+    (best, delimiter) => (firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best),
+    ','
+  );
+}
+
+/**
+ * RFC 4180 parsing: quoted fields may contain delimiters, quotes ("") and newlines
+ * @param {string} content - Delimited text
+ * @param {string} delimiter - Field separator
+ * @returns {string[][]} - Rows of fields
+ */
+function parseDelimited(content, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
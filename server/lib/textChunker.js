@@ -0,0 +1,215 @@
+/**
+ * Text chunking utilities
+ * Splits long document text into overlapping, word-bounded chunks for embedding
+ */
+
+const DEFAULT_CHUNK_SIZE = 200; // words
+const DEFAULT_OVERLAP = 40; // words
+
+/**
+ * Split text into overlapping chunks of roughly `chunkSize` words.
+ * Paragraph breaks are preferred as boundaries so chunks stay readable.
+ * @param {string} text - Text to split
+ * @param {Object} options - Optional chunking options
+ * @param {number} options.chunkSize - Target words per chunk
+ * @param {number} options.overlap - Words repeated from the previous chunk
+ * @returns {Array<{index: number, text: string, wordCount: number}>} - Chunks in document order
+ */
+export function chunkText(text, options = {}) {
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const overlap = Math.min(options.overlap ?? DEFAULT_OVERLAP, chunkSize - 1);
+
+  if (!text || typeof text !== 'string' || !text.trim()) {
+    return [];
+  }
+
+  // Split into paragraphs
+  const paragraphs = text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  // Oversized paragraphs are cut short enough to leave room for the overlap
+  const segmentSize = chunkSize - overlap;
+  const segments = [];
+  paragraphs.forEach(paragraph => {
+    const words = paragraph.split(' ');
+    for (let i = 0; i < words.length; i += segmentSize) {
+      segments.push(words.slice(i, i + segmentSize));
+    }
+  });
+
+  const chunks = [];
+  let current = [];
+  let fresh = 0; // words added since the last chunk was emitted
+
+  const flush = () => {
+    if (fresh === 0) return;
+    chunks.push({
+      index: chunks.length,
+      text: current.join(' '),
+      wordCount: current.length
+    });
+    current = current.slice(-overlap);
+    fresh = 0;
+  };
+
+  segments.forEach(words => {
+    if (fresh > 0 && current.length + words.length > chunkSize) {
+      flush();
+    }
+
+    current = current.concat(words);
+    fresh += words.length;
+  });
+
+  flush();
+
+  return chunks;
+}
+
+const DEFAULT_MAX_TOKENS = 3000;
+const DEFAULT_OVERLAP_TOKENS = 150;
+const CHARS_PER_TOKEN = 4;
+const PAGE_MARKER_TOKENS = 5;
+
+/**
+ * Rough token count for prompt budgeting (BPE tokenizers average about four
+ * characters per token on English text)
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+export function estimateTokens(text) {
+  return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Split text into chunks that each fit a token budget, for prompts that have
+ * to cover a whole document piece by piece.
+ * Pass page texts instead of a string to keep page numbers: each page starts
+ * with a "[Page N]" marker and every chunk reports the pages it covers.
+ * @param {string|string[]} input - Text, or page texts in page order
+ * @param {Object} options - Optional chunking options
+ * @param {number} options.maxTokens - Token budget per chunk
+ * @param {number} options.overlapTokens - Tokens repeated from the previous chunk
+ * @returns {Array<{index: number, text: string, tokens: number, pageStart: number|null, pageEnd: number|null}>} - Chunks in document order; pages are null for plain text
+ */
+export function chunkByTokens(input, options = {}) {
+  const maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+  const overlapTokens = Math.min(
+    options.overlapTokens ?? DEFAULT_OVERLAP_TOKENS,
+    Math.floor(maxTokens / 4)
+  );
+  const paged = Array.isArray(input);
+  const pages = paged ? input : [input];
+  const markerTokens = paged ? PAGE_MARKER_TOKENS : 0;
+
+  // Paragraphs tagged with their page, cut down to fit next to the overlap
+  const pieces = [];
+  pages.forEach((pageText, pageIndex) => {
+    if (!pageText || typeof pageText !== 'string') return;
+    pageText
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .forEach(paragraph => {
+        const budget = maxTokens - overlapTokens - markerTokens;
+        splitToBudget(paragraph, budget).forEach(text => {
+          pieces.push({ text, page: paged ? pageIndex + 1 : null });
+        });
+      });
+  });
+
+  const chunks = [];
+  let current = [];
+  let tokens = 0;
+  let fresh = 0; // pieces added since the last chunk was emitted
+
+  const flush = () => {
+    if (fresh === 0) return;
+    chunks.push(buildChunk(chunks.length, current, paged));
+
+    // Start the next chunk with the tail of this one
+    const last = current[current.length - 1];
+    const tail = tailWithinBudget(last.text, overlapTokens);
+    current = tail ? [{ text: tail, page: last.page }] : [];
+    tokens = tail ? estimateTokens(tail) + markerTokens : 0;
+    fresh = 0;
+  };
+
+  pieces.forEach(piece => {
+    const pieceTokens = estimateTokens(piece.text) + markerTokens;
+    if (fresh > 0 && tokens + pieceTokens > maxTokens) {
+      flush();
+    }
+
+    current.push(piece);
+    tokens += pieceTokens;
+    fresh += 1;
+  });
+
+  flush();
+
+  return chunks;
+}
+
+// Word-bounded parts of a paragraph that each fit the budget
+function splitToBudget(paragraph, budget) {
+  if (estimateTokens(paragraph) <= budget) return [paragraph];
+
+  const maxChars = budget * CHARS_PER_TOKEN;
+  const parts = [];
+  let part = '';
+  paragraph.split(' ').forEach(word => {
+    // Unbroken runs (tables, encoded data) are cut at the budget
+    while (word.length > maxChars) {
+      if (part) parts.push(part);
+      parts.push(word.slice(0, maxChars));
+      word = word.slice(maxChars);
+      part = '';
+    }
+    if (part && part.length + 1 + word.length > maxChars) {
+      parts.push(part);
+      part = word;
+    } else {
+      part = part ? `${part} ${word}` : word;
+    }
+  });
+  if (part) parts.push(part);
+
+  return parts;
+}
+
+// Trailing whole words of text that fit the budget
+function tailWithinBudget(text, budget) {
+  if (budget <= 0) return '';
+  const words = text.split(' ');
+  let tail = '';
+  for (let i = words.length - 1; i >= 0; i--) {
+    const candidate = tail ? `${words[i]} ${tail}` : words[i];
+    if (estimateTokens(candidate) > budget) break;
+    tail = candidate;
+  }
+  return tail;
+}
+
+function buildChunk(index, pieces, paged) {
+  const parts = [];
+  let lastPage = null;
+  pieces.forEach(piece => {
+    if (paged && piece.page !== lastPage) {
+      parts.push(`[Page ${piece.page}]`);
+      lastPage = piece.page;
+    }
+    parts.push(piece.text);
+  });
+
+  const text = parts.join('\n\n');
+  return {
+    index,
+    text,
+    tokens: estimateTokens(text),
+    pageStart: paged ? pieces[0].page : null,
+    pageEnd: paged ? pieces[pieces.length - 1].page : null
+  };
+}
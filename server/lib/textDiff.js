@@ -0,0 +1,172 @@
+/**
+ * Line-based text diffs
+ * Compares two versions of a document's text and renders the changes as a
+ * unified diff
+ */
+
+// Above this many line pairs the middle section is reported as replaced
+// instead of diffed line by line
+const MAX_COMPARISONS = 4000000;
+
+/**
+ * Diff two texts line by line. Blank lines and surrounding whitespace are
+ * ignored so re-wrapped or re-spaced text doesn't count as changed.
+ * @param {string} oldText - Previous text
+ * @param {string} newText - Current text
+ * @param {Object} options - Optional settings
+ * @param {number} options.context - Unchanged lines kept around each change
+ * @returns {{added: number, removed: number, hunks: Array<Object>}} - Counts and
+ *   hunks of { oldStart, newStart, lines: [{ type: ' ' | '+' | '-', text }] }
+ */
+export function diffLines(oldText, newText, options = {}) {
+  const context = options.context ?? 2;
+  const a = toLines(oldText);
+  const b = toLines(newText);
+  const ops = diffSequences(a, b);
+
+  const added = ops.filter(op => op.type === '+').length;
+  const removed = ops.filter(op => op.type === '-').length;
+  return { added, removed, hunks: buildHunks(ops, context) };
+}
+
+/**
+ * Render hunks as a unified diff
+ * @param {Array<Object>} hunks - Hunks from diffLines
+ * @param {Object} options - Optional settings
+ * @param {number} options.maxLines - Lines rendered before the rest is cut off
+ * @returns {string} - Unified diff text
+ */
+export function formatUnifiedDiff(hunks, options = {}) {
+  const maxLines = options.maxLines || Infinity;
+  const lines = [];
+  let total = 0;
+
+  for (const hunk of hunks) {
+    const oldCount = hunk.lines.filter(line => line.type !== '+').length;
+    const newCount = hunk.lines.filter(line => line.type !== '-').length;
+    lines.push(`@@ -${hunk.oldStart},${oldCount} +${hunk.newStart},${newCount} @@`);
+    for (const line of hunk.lines) {
+      if (total >= maxLines) {
+        const remaining = hunks.reduce((sum, h) => sum + h.lines.length, 0) - total;
+        lines.push(`... ${remaining} more lines`);
+        return lines.join('\n');
+      }
+      lines.push(`${line.type}${line.text}`);
+      total++;
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Non-empty, trimmed lines
+ * @param {string} text - Text
+ * @returns {string[]} - Lines
+ */
+function toLines(text) {
+  return String(text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Edit script between two line arrays (longest common subsequence)
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<{type: string, text: string, oldLine: number, newLine: number}>} - Operations
+ */
+function diffSequences(a, b) {
+  // Common prefix and suffix don't need the quadratic comparison
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  const equal = (i, j) => ops.push({ type: ' ', text: a[i], oldLine: i + 1, newLine: j + 1 });
+  const remove = (i, j) => ops.push({ type: '-', text: a[i], oldLine: i + 1, newLine: j + 1 });
+  const add = (i, j) => ops.push({ type: '+', text: b[j], oldLine: i + 1, newLine: j + 1 });
+
+  for (let i = 0; i < start; i++) equal(i, i);
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n * m > MAX_COMPARISONS) {
+    for (let i = start; i < endA; i++) remove(i, start);
+    for (let j = start; j < endB; j++) add(endA, j);
+  } else {
+    // lengths[i][j]: LCS length of a[start + i..endA) and b[start + j..endB)
+    const width = m + 1;
+    const lengths = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * width + j] = a[start + i] === b[start + j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) {
+        equal(start + i, start + j);
+        i++;
+        j++;
+      } else if (i < n && (j === m || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+        remove(start + i, start + j);
+        i++;
+      } else {
+        add(start + i, start + j);
+        j++;
+      }
+    }
+  }
+
+  for (let i = endA, j = endB; i < a.length; i++, j++) equal(i, j);
+  return ops;
+}
+
+/**
+ * Group changed lines with their context into hunks
+ * @param {Array<Object>} ops - Operations from diffSequences
+ * @param {number} context - Unchanged lines around each change
+ * @returns {Array<Object>} - Hunks
+ */
+function buildHunks(ops, context) {
+  const hunks = [];
+  let hunk = null;
+  let lastChange = -Infinity;
+
+  ops.forEach((op, index) => {
+    if (op.type === ' ') {
+      if (hunk && index - lastChange <= context) hunk.lines.push(op);
+      return;
+    }
+
+    // Start a new hunk unless this change is close to the previous one
+    if (!hunk || index - lastChange > context * 2 + 1) {
+      const from = Math.max(0, index - context, lastChange + context + 1);
+      hunk = { oldStart: ops[from].oldLine, newStart: ops[from].newLine, lines: ops.slice(from, index) };
+      hunks.push(hunk);
+    } else {
+      // Unchanged lines between two close changes
+      for (let k = lastChange + context + 1; k < index; k++) hunk.lines.push(ops[k]);
+    }
+
+    hunk.lines.push(op);
+    lastChange = index;
+  });
+
+  return hunks.map(({ oldStart, newStart, lines }) => ({
+    oldStart,
+    newStart,
+    lines: lines.map(({ type, text }) => ({ type, text }))
+  }));
+}
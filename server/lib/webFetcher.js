@@ -0,0 +1,473 @@
+/**
+ * Web page fetching and same-site crawling
+ * Downloads pages politely (robots.txt, delays, size limits), extracts their
+ * readable text and follows links within the site up to a depth
+ */
+import axios from 'axios';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { logInfo, logWarning } from './logger.js';
+import { htmlToText, decodeEntities } from './markupParser.js';
+
+const DEFAULTS = {
+  userAgent: 'SalesAssistantBot/1.0',
+  timeoutMs: 15000,
+  maxBytes: 5 * 1024 * 1024,
+  maxRedirects: 5,
+  delayMs: 500,
+  allowPrivateNetwork: false
+};
+
+// Loopback, private, link-local, CGNAT, benchmarking, multicast and reserved
+// ranges; IPv4-mapped IPv6 addresses are turned back into IPv4 first
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 96], // unspecified, loopback and IPv4-compatible
+  ['64:ff9b::', 96], // NAT64
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+// Links to these are files, not pages
+const SKIPPED_EXTENSIONS = /\.(pdf|zip|gz|tar|rar|7z|exe|dmg|msi|jpe?g|png|gif|svg|webp|ico|bmp|mp3|mp4|mov|avi|webm|wav|css|js|json|xml|rss|woff2?|ttf|eot|docx?|xlsx?|pptx?|csv)$/i;
+
+/**
+ * Fetch failure with whether retrying later can help
+ */
+export class WebFetchError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - status (HTTP status) and permanent (retrying won't help)
+   */
+  constructor(message, { status, permanent = false } = {}) {
+    super(message);
+    this.name = 'WebFetchError';
+    this.status = status;
+    this.permanent = permanent;
+  }
+}
+
+/**
+ * Download one URL, following redirects
+ * @param {string} url - Absolute http(s) URL
+ * @param {Object} options - Optional fetch options (userAgent, timeoutMs, maxBytes,
+ *   maxRedirects, allowPrivateNetwork)
+ * @returns {Promise<{url: string, status: number, contentType: string, body: string}>} - Final URL and body
+ * @throws {WebFetchError} - On network errors, error statuses and blocked hosts
+ */
+export async function fetchUrl(url, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  let current = parseHttpUrl(url);
+
+  for (let redirect = 0; redirect <= settings.maxRedirects; redirect++) {
+    // Checked on every hop so a redirect can't reach an internal address. The
+    // connection goes to the addresses checked, so DNS can't change in between.
+    const agents = settings.allowPrivateNetwork
+      ? {}
+      : pinnedAgents(await assertPublicHost(current.hostname));
+
+    let response;
+    try {
+      response = await axios.get(current.href, {
+        headers: {
+          'User-Agent': settings.userAgent,
+          Accept: 'text/html,application/xhtml+xml,text/plain;q=0.9,*/*;q=0.5'
+        },
+        timeout: settings.timeoutMs,
+        maxContentLength: settings.maxBytes,
+        maxRedirects: 0,
+        responseType: 'text',
+        transformResponse: (data) => data,
+        validateStatus: () => true,
+        ...agents
+      });
+    } catch (error) {
+      const tooLarge = /maxContentLength/i.test(error.message);
+      throw new WebFetchError(
+        tooLarge
+          ? `${current.href} is larger than ${Math.round(settings.maxBytes / 1024 / 1024)} MB`
+          : `Could not fetch ${current.href}: ${error.message}`,
+        { permanent: tooLarge }
+      );
+    }
+
+    const { status } = response;
+    if (status >= 300 && status < 400 && response.headers.location) {
+      current = parseHttpUrl(new URL(response.headers.location, current).href);
+      continue;
+    }
+    if (status >= 400) {
+      // Timeouts, rate limits and server errors may clear up; the rest won't
+      const permanent = status < 500 && status !== 408 && status !== 429;
+      throw new WebFetchError(`${current.href} returned HTTP ${status}`, { status, permanent });
+    }
+
+    return {
+      url: current.href,
+      status,
+      contentType: String(response.headers['content-type'] || ''),
+      body: typeof response.data === 'string' ? response.data : String(response.data ?? '')
+    };
+  }
+
+  throw new WebFetchError(`Too many redirects from ${url}`, { permanent: true });
+}
+
+/**
+ * Fetch a page and extract its readable text
+ * @param {string} url - Page URL
+ * @param {Object} options - Optional fetch options (see fetchUrl)
+ * @returns {Promise<{url: string, title: string, text: string, links: string[]}>} - Page content
+ * @throws {WebFetchError} - If the page can't be fetched or isn't HTML or text
+ */
+export async function fetchPage(url, options = {}) {
+  const response = await fetchUrl(url, options);
+  const contentType = response.contentType.toLowerCase();
+
+  if (contentType.includes('text/plain')) {
+    return { url: response.url, title: '', text: response.body.trim(), links: [] };
+  }
+  if (contentType && !contentType.includes('html')) {
+    throw new WebFetchError(`${response.url} is ${contentType.split(';')[0]}, not a web page`, {
+      permanent: true
+    });
+  }
+
+  const { title, text } = htmlToText(response.body);
+  return { url: response.url, title, text, links: extractLinks(response.body, response.url) };
+}
+
+/**
+ * Fetch a page and, with depth > 0, the pages it links to on the same site
+ * (breadth first). robots.txt is honored for every page.
+ * @param {string} startUrl - First page
+ * @param {Object} options - Optional crawl options (plus fetch options, see fetchUrl)
+ * @param {number} options.depth - Link hops followed from the first page
+ * @param {number} options.maxPages - Pages fetched at most
+ * @param {number} options.delayMs - Pause between requests
+ * @param {boolean} options.respectRobots - Check robots.txt (default true)
+ * @returns {Promise<{pages: Array<Object>, skipped: Array<{url: string, reason: string}>}>} -
+ *   Fetched pages ({ url, title, text, depth }) and pages left out
+ * @throws {WebFetchError} - If the first page can't be fetched or robots.txt disallows it
+ */
+export async function crawl(startUrl, options = {}) {
+  const settings = { ...DEFAULTS, depth: 0, maxPages: 1, respectRobots: true, ...options };
+  const start = parseHttpUrl(startUrl);
+  const robots = new Map(); // origin -> rules
+
+  const allowed = async (url) => {
+    if (!settings.respectRobots) return true;
+    if (!robots.has(url.origin)) robots.set(url.origin, await fetchRobots(url.origin, settings));
+    return isAllowed(robots.get(url.origin), url.pathname + url.search);
+  };
+
+  if (!(await allowed(start))) {
+    throw new WebFetchError(`robots.txt at ${start.origin} doesn't allow fetching ${start.href}`, {
+      permanent: true
+    });
+  }
+
+  const pages = [];
+  const skipped = [];
+  const seen = new Set([normalizeUrl(start)]);
+  const queue = [{ url: start, depth: 0 }];
+
+  while (queue.length > 0 && pages.length < settings.maxPages) {
+    const { url, depth } = queue.shift();
+
+    if (pages.length > 0) {
+      if (!(await allowed(url))) {
+        skipped.push({ url: url.href, reason: 'robots.txt' });
+        continue;
+      }
+      await new Promise(resolve => setTimeout(resolve, settings.delayMs));
+    }
+
+    let page;
+    try {
+      page = await fetchPage(url.href, settings);
+    } catch (error) {
+      // Only the first page is required
+      if (pages.length === 0) throw error;
+      skipped.push({ url: url.href, reason: error.message });
+      continue;
+    }
+    logInfo(`Fetched ${page.url} (${page.text.length} characters)`);
+    pages.push({ url: page.url, title: page.title, text: page.text, depth });
+
+    if (depth >= settings.depth) continue;
+    for (const link of page.links) {
+      const target = new URL(link);
+      const key = normalizeUrl(target);
+      if (seen.has(key) || !sameSite(target, start) || SKIPPED_EXTENSIONS.test(target.pathname)) continue;
+      seen.add(key);
+      queue.push({ url: target, depth: depth + 1 });
+    }
+  }
+
+  queue.forEach(({ url }) => skipped.push({ url: url.href, reason: 'page limit' }));
+  return { pages, skipped };
+}
+
+/**
+ * Absolute http(s) links of a page, without fragments or nofollow links
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - Page URL (a <base href> takes precedence)
+ * @returns {string[]} - Unique link URLs in page order
+ */
+export function extractLinks(html, baseUrl) {
+  const baseHref = html.match(/<base\b[^>]*href=["']([^"']+)["']/i)?.[1];
+  const base = baseHref ? new URL(decodeEntities(baseHref), baseUrl).href : baseUrl;
+  const links = new Set();
+
+  for (const match of html.matchAll(/<a\b([^>]*)>/gi)) {
+    const attributes = match[1];
+    if (/\brel=["'][^"']*nofollow/i.test(attributes)) continue;
+    const href = attributes.match(/\bhref=(?:"([^"]*)"|'([^']*)')/i);
+    const value = href && decodeEntities(href[1] ?? href[2]).trim();
+    if (!value || /^(#|javascript:|mailto:|tel:)/i.test(value)) continue;
+
+    try {
+      const url = new URL(value, base);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') continue;
+      url.hash = '';
+      links.add(url.href);
+    } catch {
+      // Malformed href
+    }
+  }
+
+  return [...links];
+}
+
+/**
+ * Parse robots.txt into the rules for our user agent
+ * @param {string} content - robots.txt content
+ * @param {string} userAgent - Our User-Agent header
+ * @returns {Array<{allow: boolean, pattern: string}>} - Rules of the matching group
+ */
+export function parseRobots(content, userAgent) {
+  const token = userAgent.split('/')[0].toLowerCase();
+  const groups = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(content || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        group = { agents: [], rules: [] };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+    } else if ((field === 'allow' || field === 'disallow') && group) {
+      if (value) group.rules.push({ allow: field === 'allow', pattern: value });
+      lastWasAgent = false;
+    } else {
+      lastWasAgent = false;
+    }
+  }
+
+  const specific = groups.filter(g => g.agents.some(agent => agent !== '*' && token.includes(agent)));
+  const matching = specific.length > 0 ? specific : groups.filter(g => g.agents.includes('*'));
+  return matching.flatMap(g => g.rules);
+}
+
+/**
+ * Whether robots rules allow a path: the longest matching rule wins and
+ * Allow wins ties
+ * @param {Array<{allow: boolean, pattern: string}>} rules - Rules from parseRobots
+ * @param {string} path - Path and query
+ * @returns {boolean} - Whether fetching is allowed
+ */
+export function isAllowed(rules, path) {
+  let best = null;
+  for (const rule of rules) {
+    if (!robotsPatternMatches(rule.pattern, path)) continue;
+    if (
+      !best ||
+      rule.pattern.length > best.pattern.length ||
+      (rule.pattern.length === best.pattern.length && rule.allow)
+    ) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+/**
+ * Rules for a site; a missing robots.txt allows everything, an unreachable one
+ * allows nothing
+ * @param {string} origin - Site origin
+ * @param {Object} settings - Fetch settings
+ * @returns {Promise<Array<Object>>} - Rules
+ */
+async function fetchRobots(origin, settings) {
+  try {
+    const response = await fetchUrl(`${origin}/robots.txt`, settings);
+    return parseRobots(response.body, settings.userAgent);
+  } catch (error) {
+    // Blocked or invalid hosts fail the same way for the page itself
+    if (error.permanent && !error.status) throw error;
+    if (error.status && error.status < 500) return [];
+    logWarning(`robots.txt at ${origin} is unavailable, not crawling: ${error.message}`);
+    return [{ allow: false, pattern: '/' }];
+  }
+}
+
+/**
+ * Match a robots.txt path pattern (* wildcard, $ end anchor)
+ * @param {string} pattern - Rule path
+ * @param {string} path - Request path
+ * @returns {boolean} - Whether the rule applies
+ */
+function robotsPatternMatches(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const source = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+}
+
+/**
+ * Parse and validate an http(s) URL
+ * @param {string} value - URL
+ * @returns {URL} - Parsed URL without fragment
+ * @throws {WebFetchError} - If it isn't an absolute http(s) URL
+ */
+function parseHttpUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new WebFetchError(`Invalid URL: ${value}`, { permanent: true });
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new WebFetchError(`Only http and https URLs can be fetched: ${value}`, { permanent: true });
+  }
+  url.hash = '';
+  return url;
+}
+
+/**
+ * Refuse hosts that resolve to loopback, private or link-local addresses
+ * @param {string} hostname - Host to check
+ * @returns {Promise<Array<{address: string, family: number}>>} - The addresses checked
+ * @throws {WebFetchError} - If the host is internal or doesn't resolve
+ */
+async function assertPublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    throw new WebFetchError(`Could not resolve ${hostname}: ${error.code || error.message}`);
+  }
+
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new WebFetchError(`${hostname} is on a private network`, { permanent: true });
+  }
+  return addresses.map(({ address }) => ({ address, family: net.isIPv6(address) ? 6 : 4 }));
+}
+
+/**
+ * HTTP(S) agents that connect only to already-checked addresses
+ * @param {Array<{address: string, family: number}>} addresses - Addresses from assertPublicHost
+ * @returns {{httpAgent: http.Agent, httpsAgent: https.Agent}} - Agents for axios
+ */
+function pinnedAgents(addresses) {
+  const lookup = (hostname, options, callback) => {
+    if (options.all) callback(null, addresses);
+    else callback(null, addresses[0].address, addresses[0].family);
+  };
+  return {
+    httpAgent: new http.Agent({ lookup }),
+    httpsAgent: new https.Agent({ lookup })
+  };
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local, multicast, reserved
+ * or unspecified
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - Whether it is internal
+ */
+function isPrivateAddress(address) {
+  const host = address.split('%')[0]; // drop an IPv6 zone id
+  if (net.isIPv4(host)) return PRIVATE_RANGES.check(host, 'ipv4');
+  if (!net.isIPv6(host)) return true;
+
+  const mapped = mappedIPv4(host);
+  return mapped ? PRIVATE_RANGES.check(mapped, 'ipv4') : PRIVATE_RANGES.check(host, 'ipv6');
+}
+
+/**
+ * The IPv4 address inside an IPv4-mapped IPv6 address (::ffff:a.b.c.d, in
+ * either dotted or hex form)
+ * @param {string} address - IPv6 address
+ * @returns {string|null} - Dotted IPv4 address, or null if it isn't mapped
+ */
+function mappedIPv4(address) {
+  let text = address.toLowerCase();
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, -dotted[0].length)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const part = (value) => (value ? value.split(':') : []);
+  const [head, tail] = text.split('::');
+  const groups =
+    tail === undefined
+      ? part(head)
+      : [...part(head), ...Array(8 - part(head).length - part(tail).length).fill('0'), ...part(tail)];
+  const values = groups.map((group) => parseInt(group, 16));
+
+  if (values.length !== 8 || values.slice(0, 5).some(Boolean) || values[5] !== 0xffff) return null;
+  return [values[6] >> 8, values[6] & 255, values[7] >> 8, values[7] & 255].join('.');
+}
+
+/**
+ * Same site: same host, ignoring a leading www.
+ * @param {URL} url - Candidate link
+ * @param {URL} start - Crawl start
+ * @returns {boolean} - Whether to follow it
+ */
+function sameSite(url, start) {
+  const host = (u) => u.hostname.replace(/^www\./, '');
+  return host(url) === host(start);
+}
+
+/**
+ * Key for "already queued": no fragment, no trailing slash, no www.
+ * @param {URL} url - URL
+ * @returns {string} - Normalized URL
+ */
+function normalizeUrl(url) {
+  const path = url.pathname.replace(/\/+$/, '') || '/';
+  return `${url.hostname.replace(/^www\./, '')}${path}${url.search}`;
+}
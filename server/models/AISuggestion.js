@@ -67,10 +67,25 @@ const aiSuggestionSchema = new mongoose.Schema(
       enum: ["low", "medium", "high", "urgent"],
       default: "medium",
     },
+    trigger: {
+      type: String,
+      enum: [
+        "speaker_change",
+        "long_pause",
+        "interval_60sec",
+        "time_based",
+        "manual_request",
+        "post_call", // generated while processing an uploaded recording
+      ],
+    },
     triggerContext: {
       lastTranscripts: [String],
       detectedIntent: String,
       emotionalState: String,
+      customerSentiment: {
+        type: String,
+        enum: ["positive", "neutral", "negative"],
+      },
       conversationPhase: {
         type: String,
         enum: [
@@ -86,9 +101,30 @@ const aiSuggestionSchema = new mongoose.Schema(
     metadata: {
       modelVersion: String,
       processingTime: Number,
-      documentSources: [String],
+      documentSources: [
+        {
+          document: { type: mongoose.Schema.Types.ObjectId, ref: "Document" },
+          name: String,
+          chunkIndex: Number,
+          // Document version the passage came from
+          version: Number,
+          score: Number,
+        },
+      ],
       relatedSuggestions: [mongoose.Schema.Types.ObjectId],
+      // Objection catalog entry whose answers grounded the suggestion
+      objection: {
+        objection: { type: mongoose.Schema.Types.ObjectId, ref: "Objection" },
+        label: String,
+        score: Number,
+      },
+    },
+    // Cached for semantic search; filled the first time a suggestion is searched
+    embedding: {
+      type: [Number],
+      select: false,
     },
+    embeddingModel: String,
   },
   {
     timestamps: true,
@@ -99,11 +135,14 @@ const aiSuggestionSchema = new mongoose.Schema(
 
 // Indexes
 aiSuggestionSchema.index({ call: 1, createdAt: -1 });
+aiSuggestionSchema.index({ call: 1, embeddingModel: 1 });
 aiSuggestionSchema.index({ user: 1, createdAt: -1 });
 aiSuggestionSchema.index({ type: 1 });
 aiSuggestionSchema.index({ used: 1 });
 aiSuggestionSchema.index({ confidence: -1 });
 aiSuggestionSchema.index({ priority: 1 });
+aiSuggestionSchema.index({ trigger: 1 });
+aiSuggestionSchema.index({ text: "text" }); // Text search index
 
 // Virtual for suggestion age
 aiSuggestionSchema.virtual("age").get(function () {
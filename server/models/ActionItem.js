@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+export const ACTION_ITEM_STATUSES = ["open", "done", "cancelled"];
+export const ACTION_ITEM_OWNER_TYPES = ["rep", "prospect"];
+
+// A follow-up from a call, taken from the call's summary or added by hand.
+// Items belong to the call owner and carry the call's account, so open ones
+// can be brought up again on the next call with that account.
+const actionItemSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Action item must belong to a user"],
+    },
+    call: { type: mongoose.Schema.Types.ObjectId, ref: "Call" },
+    callTitle: String,
+    account: String, // Call.accountKey of the call
+    task: {
+      type: String,
+      required: [true, "Task is required"],
+      trim: true,
+      maxlength: [500, "Task cannot exceed 500 characters"],
+    },
+    owner: {
+      type: String, // who took it on, as named on the call
+      trim: true,
+      maxlength: [100, "Owner cannot exceed 100 characters"],
+    },
+    ownerType: { type: String, enum: ACTION_ITEM_OWNER_TYPES },
+    dueDate: Date,
+    due: String, // the deadline as said, when no date was pinned down
+    status: {
+      type: String,
+      enum: ACTION_ITEM_STATUSES,
+      default: "open",
+    },
+    completedAt: Date,
+    // The transcript moment the item was agreed
+    transcript: { type: mongoose.Schema.Types.ObjectId, ref: "Transcript" },
+    timestamp: Date,
+    source: {
+      type: String,
+      enum: ["summary", "manual"],
+      default: "manual",
+    },
+    summaryVersion: Number, // summary the item was taken from
+    edited: { type: Boolean, default: false }, // changed by hand since
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual: open and past its due date
+actionItemSchema.virtual("isOverdue").get(function () {
+  return (
+    this.status === "open" && !!this.dueDate && this.dueDate < new Date()
+  );
+});
+
+// Indexes
+actionItemSchema.index({ user: 1, status: 1, dueDate: 1 });
+actionItemSchema.index({ user: 1, account: 1, status: 1 });
+actionItemSchema.index({ call: 1 });
+
+export default mongoose.model("ActionItem", actionItemSchema);
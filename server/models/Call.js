@@ -1,5 +1,41 @@
 import mongoose from "mongoose";
 
+// One version of the structured post-call summary. Regenerating keeps the
+// previous versions in summaryHistory.
+const callSummarySchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true },
+    executiveSummary: String,
+    keyPoints: [String],
+    decisions: [String],
+    actionItems: [
+      {
+        _id: false,
+        task: String,
+        owner: String, // as named on the call; empty when nobody took it
+        dueDate: Date, // when the call pinned down a date
+        due: String, // the deadline as said, e.g. "end of next week"
+        ownerType: { type: String, enum: ["rep", "prospect"] },
+        // Transcript line the item was agreed on
+        transcript: { type: mongoose.Schema.Types.ObjectId, ref: "Transcript" },
+        timestamp: Date,
+      },
+    ],
+    risks: [String],
+    nextSteps: [String],
+    topics: [String],
+    sentiment: {
+      overall: String,
+      interestLevel: String,
+      likelihoodToClose: String,
+    },
+    transcriptCount: Number, // lines the summary was written from
+    generatedAt: { type: Date, default: Date.now },
+    generatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { _id: false }
+);
+
 const callSchema = new mongoose.Schema(
   {
     user: {
@@ -13,6 +49,13 @@ const callSchema = new mongoose.Schema(
       trim: true,
       maxlength: [200, "Title cannot exceed 200 characters"],
     },
+    // Company the call is with; open action items carry over between calls
+    // with the same account. Falls back to the prospects' email domain.
+    account: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Account cannot exceed 200 characters"],
+    },
     startTime: {
       type: Date,
       default: Date.now,
@@ -39,6 +82,11 @@ const callSchema = new mongoose.Schema(
       // Remove enum restriction to allow any platform value
       default: "other",
     },
+    source: {
+      type: String,
+      enum: ["live", "upload"], // upload = transcribed from a recording
+      default: "live",
+    },
     participants: [
       {
         name: { type: String, required: true },
@@ -52,6 +100,17 @@ const callSchema = new mongoose.Schema(
         leftAt: { type: Date },
       },
     ],
+    // Diarization labels and the participants they belong to
+    speakerMap: [
+      {
+        label: { type: String, required: true },
+        participant: { type: mongoose.Schema.Types.ObjectId }, // participants subdocument
+        name: String,
+        email: String,
+        confidence: { type: Number, min: 0, max: 1 },
+        confirmed: { type: Boolean, default: false },
+      },
+    ],
     performanceData: {
       score: { type: Number, min: 0, max: 100 },
       talkTimeRatio: { type: Number, min: 0, max: 1 },
@@ -61,6 +120,57 @@ const callSchema = new mongoose.Schema(
       sentimentScore: { type: Number, min: -1, max: 1 },
       keywordsMentioned: [String],
       engagementLevel: { type: Number, min: 0, max: 10 },
+      // Filled by the post-call scoring engine
+      longestMonologue: Number, // seconds the rep spoke without a break
+      objectionsRaised: Number,
+      methodology: String, // rubric the call was scored against
+      breakdown: [
+        {
+          _id: false,
+          key: String,
+          label: String,
+          source: { type: String, enum: ["metric", "rubric"] },
+          score: Number, // 0-100
+          weight: Number,
+          value: Number, // raw measurement for metric criteria
+          note: String, // how the score came about
+        },
+      ],
+      repSpeakerGuessed: Boolean, // no known rep speaker; the first speaker was used
+      scoredAt: Date,
+    },
+    // Qualification scorecard the call is tracked against: a snapshot of its
+    // criteria with whether each was covered and the lines that show it
+    scorecard: {
+      scorecard: { type: mongoose.Schema.Types.ObjectId, ref: "Scorecard" },
+      name: String,
+      framework: String,
+      criteria: [
+        {
+          _id: false,
+          key: String,
+          label: String,
+          description: String,
+          weight: Number,
+          keywords: [String],
+          covered: { type: Boolean, default: false },
+          source: { type: String, enum: ["keyword", "llm"] },
+          evidence: [
+            {
+              _id: false,
+              transcript: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Transcript",
+              },
+              speaker: String,
+              text: String,
+              timestamp: Date,
+            },
+          ],
+        },
+      ],
+      coverage: Number, // weighted share of criteria covered, 0-100
+      evaluatedAt: Date, // set by the post-call review of the whole transcript
     },
     recording: {
       url: String,
@@ -68,6 +178,16 @@ const callSchema = new mongoose.Schema(
       size: Number,
       format: String,
     },
+    sharedWith: [
+      {
+        user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        // Viewers read the call; editors may also change how it is tracked
+        role: { type: String, enum: ["viewer", "editor"], default: "viewer" },
+        sharedAt: { type: Date, default: Date.now },
+      },
+    ],
+    summary: callSummarySchema,
+    summaryHistory: [callSummarySchema], // earlier versions, oldest first
     notes: {
       type: String,
       maxlength: [2000, "Notes cannot exceed 2000 characters"],
@@ -87,6 +207,7 @@ callSchema.index({ status: 1 });
 callSchema.index({ startTime: 1 });
 callSchema.index({ platform: 1 });
 callSchema.index({ meetingId: 1 }, { sparse: true });
+callSchema.index({ "sharedWith.user": 1 });
 
 // Virtual for call transcripts
 callSchema.virtual("transcripts", {
@@ -174,6 +295,129 @@ callSchema.statics.findOrCreateCall = async function (
   return { call, created: true };
 };
 
+// Instance method to check whether a user owns the call or has it shared
+callSchema.methods.isAccessibleBy = function (userId) {
+  if (!userId) return false;
+  const id = String(userId);
+  const ownerId = String(this.user?._id || this.user);
+  return (
+    ownerId === id ||
+    (this.sharedWith || []).some(
+      (share) => String(share.user?._id || share.user) === id
+    )
+  );
+};
+
+// Instance method to check whether a user owns the call or it is shared with
+// them as an editor
+callSchema.methods.isEditableBy = function (userId) {
+  if (!userId) return false;
+  const id = String(userId);
+  return (
+    String(this.user?._id || this.user) === id ||
+    (this.sharedWith || []).some(
+      (share) =>
+        String(share.user?._id || share.user) === id && share.role === "editor"
+    )
+  );
+};
+
+// Static method to resolve a call by _id or meetingId that the user may access
+callSchema.statics.findAccessible = async function (callId, userId) {
+  if (!callId || !mongoose.Types.ObjectId.isValid(userId)) return null;
+
+  const access = { $or: [{ user: userId }, { "sharedWith.user": userId }] };
+
+  let call = null;
+  if (mongoose.Types.ObjectId.isValid(callId)) {
+    call = await this.findOne({ _id: callId, ...access });
+  }
+  if (!call) {
+    call = await this.findOne({ meetingId: String(callId), ...access }).sort({
+      createdAt: -1,
+    });
+  }
+
+  return call;
+};
+
+// Static method to list the speaker names (and diarization labels) that are
+// the rep on a call: the owner and the host participants. Works on lean calls.
+callSchema.statics.repSpeakers = function (call, owner) {
+  const names = new Set();
+  const add = (name) => name && names.add(name.trim().toLowerCase());
+
+  add(owner?.name);
+  const hosts = (call.participants || []).filter(
+    (participant) =>
+      participant.role === "host" ||
+      (owner?.email && participant.email === owner.email)
+  );
+  hosts.forEach((participant) => add(participant.name));
+  (call.speakerMap || []).forEach((entry) => {
+    const isHost = hosts.some(
+      (host) => String(host._id) === String(entry.participant)
+    );
+    if (isHost || (owner?.email && entry.email === owner.email)) {
+      add(entry.label);
+      add(entry.name);
+    }
+  });
+
+  return names;
+};
+
+// Free email providers: their domain says nothing about the prospect's company
+const FREE_MAIL_DOMAINS = new Set([
+  "gmail.com",
+  "googlemail.com",
+  "msn.com",
+  "ymail.com",
+  "icloud.com",
+  "me.com",
+  "mac.com",
+  "aol.com",
+  "proton.me",
+  "protonmail.com",
+  "pm.me",
+  "mail.com",
+  "zoho.com",
+  "fastmail.com",
+  "hey.com",
+  "qq.com",
+  "163.com",
+  "126.com",
+]);
+// Providers with a domain per country, e.g. yahoo.co.uk or hotmail.fr
+const FREE_MAIL_PATTERN = /^(yahoo|hotmail|outlook|live|gmx|web|yandex)\.[a-z.]+$/;
+
+// Static method to get the key that groups a call's account across calls: the
+// account name when set, else the email domain of the first prospect who is
+// not on the owner's domain. Prospects on free email providers are keyed by
+// their address, so unrelated gmail.com prospects aren't one account. Null
+// when none of these is known.
+callSchema.statics.accountKey = function (call, owner) {
+  const account = call.account?.trim().toLowerCase();
+  if (account) return account;
+
+  const ownEmail = owner?.email?.trim().toLowerCase();
+  const ownDomain = ownEmail?.split("@")[1] || null;
+  const prospect = (call.participants || [])
+    .filter((participant) => participant.role !== "host")
+    .map((participant) => {
+      const email = participant.email?.trim().toLowerCase();
+      const domain = email?.split("@")[1];
+      if (!domain || email === ownEmail) return null;
+      if (FREE_MAIL_DOMAINS.has(domain) || FREE_MAIL_PATTERN.test(domain)) {
+        return email;
+      }
+      return domain === ownDomain ? null : domain;
+    })
+    .find(Boolean);
+
+  return prospect || null;
+};
+
 // Static method to get user's call statistics
 callSchema.statics.getUserStats = async function (userId, timeRange = 30) {
   const startDate = new Date();
@@ -1,11 +1,31 @@
 import mongoose from 'mongoose';
 
+// An extracted fact with where it was found: 1-based pages for paged
+// documents, 0-based extraction chunks otherwise
+const citedItemSchema = new mongoose.Schema({
+  text: String,
+  pages: [Number],
+  chunks: [Number]
+}, { _id: false });
+
 const documentSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'Document must belong to a user']
   },
+  // Shared library the document belongs to; personal when unset. user is
+  // then the member who added it.
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  folder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DocumentFolder',
+    default: null
+  },
   name: {
     type: String,
     required: [true, 'Document name is required'],
@@ -15,7 +35,7 @@ const documentSchema = new mongoose.Schema({
   type: {
     type: String,
     required: [true, 'Document type is required'],
-    enum: ['pdf', 'url', 'text', 'doc', 'docx', 'image']
+    enum: ['pdf', 'url', 'text', 'doc', 'docx', 'pptx', 'xlsx', 'csv', 'html', 'markdown', 'image']
   },
   url: {
     type: String,
@@ -33,7 +53,7 @@ const documentSchema = new mongoose.Schema({
     type: String,
     validate: {
       validator: function(v) {
-        if (['pdf', 'doc', 'docx', 'image'].includes(this.type)) {
+        if (['pdf', 'doc', 'docx', 'pptx', 'xlsx', 'csv', 'html', 'markdown', 'image'].includes(this.type)) {
           return v && v.length > 0;
         }
         return true;
@@ -47,7 +67,7 @@ const documentSchema = new mongoose.Schema({
   },
   extractedText: {
     type: String,
-    maxlength: [100000, 'Extracted text cannot exceed 100000 characters']
+    maxlength: [2000000, 'Extracted text cannot exceed 2000000 characters']
   },
   processed: {
     type: Boolean,
@@ -61,6 +81,10 @@ const documentSchema = new mongoose.Schema({
   processingError: {
     type: String
   },
+  processingJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
   tags: [{
     type: String,
     trim: true,
@@ -73,9 +97,17 @@ const documentSchema = new mongoose.Schema({
   mimeType: {
     type: String
   },
+  fileName: {
+    type: String // name of the uploaded file
+  },
+  currentVersion: {
+    type: Number // DocumentVersion whose content is live; unset until first processed
+  },
   metadata: {
-    pageCount: Number,
+    pageCount: Number, // pages, or slides for presentations
+    sheetCount: Number,
     wordCount: Number,
+    ocr: Boolean, // text was recognized from images
     language: String,
     author: String,
     createdDate: Date
@@ -84,19 +116,44 @@ const documentSchema = new mongoose.Schema({
     type: [Number],
     select: false // Don't include in regular queries
   },
+  embeddingModel: String, // model the centroid above was computed with
   aiContext: {
-    keyFeatures: [String],
-    benefits: [String],
-    pricingInfo: [String],
-    useCases: [String],
-    competitiveAdvantages: [String],
+    keyFeatures: [citedItemSchema],
+    benefits: [citedItemSchema],
+    pricingInfo: [citedItemSchema],
+    useCases: [citedItemSchema],
+    competitiveAdvantages: [citedItemSchema],
     objectionResponses: [{
       objection: String,
-      response: String
+      response: String,
+      pages: [Number],
+      chunks: [Number]
     }],
     detailedSummary: String,
-    targetAudience: [String],
-    successStories: [String]
+    targetAudience: [citedItemSchema],
+    successStories: [citedItemSchema],
+    chunkCount: Number, // extraction chunks the document was split into
+    chunksProcessed: Number, // fewer than chunkCount when chunks failed or were over the limit
+    extractedAt: Date
+  },
+  // URL documents: crawl settings, fetch state and detected content changes
+  web: {
+    crawlDepth: { type: Number, min: 0 },
+    maxPages: { type: Number, min: 1 },
+    refreshIntervalHours: { type: Number, min: 0 }, // 0 turns re-fetching off
+    lastFetchedAt: Date,
+    nextFetchAt: Date,
+    lastChangedAt: Date,
+    contentHash: String,
+    lastError: String,
+    pages: [{ _id: false, url: String, title: String }],
+    skipped: [{ _id: false, url: String, reason: String }],
+    changes: [{
+      detectedAt: Date,
+      added: Number, // lines
+      removed: Number,
+      diff: String // unified diff of the extracted text
+    }]
   },
   accessCount: {
     type: Number,
@@ -113,9 +170,11 @@ const documentSchema = new mongoose.Schema({
 
 // Indexes
 documentSchema.index({ user: 1, createdAt: -1 });
+documentSchema.index({ team: 1, folder: 1 });
 documentSchema.index({ type: 1 });
 documentSchema.index({ processed: 1 });
 documentSchema.index({ tags: 1 });
+documentSchema.index({ type: 1, 'web.nextFetchAt': 1 });
 documentSchema.index({ name: 'text', extractedText: 'text' });
 
 // Virtual for file URL
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+const documentChunkSchema = new mongoose.Schema({
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: [true, 'Chunk must belong to a document']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Chunk must belong to a user']
+  },
+  index: {
+    type: Number,
+    required: [true, 'Chunk index is required'],
+    min: [0, 'Chunk index cannot be negative']
+  },
+  text: {
+    type: String,
+    required: [true, 'Chunk text is required']
+  },
+  wordCount: {
+    type: Number
+  },
+  embedding: {
+    type: [Number],
+    required: [true, 'Chunk embedding is required']
+  },
+  embeddingModel: {
+    type: String,
+    required: [true, 'Embedding model is required']
+  },
+  version: {
+    type: Number // document version the chunk was cut from
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+documentChunkSchema.index({ document: 1, index: 1 });
+documentChunkSchema.index({ user: 1, embeddingModel: 1 });
+documentChunkSchema.index({ text: 'text' }); // Text search index
+
+export default mongoose.model('DocumentChunk', documentChunkSchema);
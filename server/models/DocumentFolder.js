@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// Folder in a document library: a team's shared library when team is set,
+// otherwise the user's personal one. Top-level folders have no parent.
+const documentFolderSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Folder name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Folder must belong to a user'] // creator; owner of personal folders
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DocumentFolder',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+documentFolderSchema.index({ team: 1, parent: 1 });
+documentFolderSchema.index({ user: 1, team: 1 });
+
+export default mongoose.model('DocumentFolder', documentFolderSchema);
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+// Snapshot of a document after a successful processing run: the file it was
+// read from, its extracted text and AI context. Kept in its own collection
+// because every version carries the full extracted text.
+const documentVersionSchema = new mongoose.Schema({
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: [true, 'Version must belong to a document']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Version must belong to a user']
+  },
+  version: {
+    type: Number,
+    required: [true, 'Version number is required'],
+    min: [1, 'Version numbers start at 1']
+  },
+  reason: {
+    type: String,
+    enum: ['created', 'new_file', 'reprocess', 'content_changed', 'rollback'],
+    required: [true, 'Version reason is required']
+  },
+  restoredFrom: {
+    type: Number // rollbacks: the version whose content was restored
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  type: {
+    type: String
+  },
+  filePath: {
+    type: String
+  },
+  fileName: {
+    type: String
+  },
+  fileSize: {
+    type: Number
+  },
+  mimeType: {
+    type: String
+  },
+  url: {
+    type: String
+  },
+  extractedText: {
+    type: String
+  },
+  aiContext: {
+    type: mongoose.Schema.Types.Mixed // Document.aiContext as it was
+  },
+  metadata: {
+    pageCount: Number,
+    sheetCount: Number,
+    wordCount: Number,
+    ocr: Boolean
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+documentVersionSchema.index({ document: 1, version: -1 }, { unique: true });
+documentVersionSchema.index({ filePath: 1 });
+
+export default mongoose.model('DocumentVersion', documentVersionSchema);
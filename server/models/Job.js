@@ -0,0 +1,124 @@
+import mongoose from "mongoose";
+
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: [true, "Job type is required"],
+      trim: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Other users whose enqueue was deduplicated onto this job; they can see
+    // it and get its progress like the owner
+    watchers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // What the job works on, e.g. { kind: "document", id: "<documentId>" }
+    resource: {
+      kind: String,
+      id: String,
+    },
+    // "<type>:<kind>:<id>" while a deduplicated job is queued or running;
+    // removed once it completes or dies so the resource can be queued again
+    dedupeKey: String,
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "dead"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+      min: [1, "A job needs at least one attempt"],
+    },
+    // Earliest time the job may (re)start; pushed back by retry backoff
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedBy: String,
+    lockedAt: Date, // refreshed by the worker's heartbeat while running
+    startedAt: Date,
+    finishedAt: Date,
+    progress: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    stage: String,
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    error: String, // last failure
+    failures: [
+      {
+        attempt: Number,
+        error: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    expiresAt: Date, // set when a job completes; removed by the TTL index
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+jobSchema.index({ status: 1, type: 1, runAt: 1 });
+jobSchema.index({ user: 1, createdAt: -1 });
+jobSchema.index({ "resource.kind": 1, "resource.id": 1, createdAt: -1 });
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// At most one active job per deduplicated resource, even for concurrent enqueues
+jobSchema.index(
+  { dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $exists: true } } }
+);
+jobSchema.index({ watchers: 1 });
+
+// Jobs a user can see: their own and those they were deduplicated onto
+jobSchema.statics.visibleTo = function (userId) {
+  return { $or: [{ user: userId }, { watchers: userId }] };
+};
+
+// What clients see of a job; the payload can hold server paths
+jobSchema.methods.toClient = function () {
+  return {
+    id: String(this._id),
+    type: this.type,
+    resource: this.resource?.kind ? this.resource : null,
+    status: this.status,
+    stage: this.stage || null,
+    progress: this.progress,
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    runAt: this.runAt,
+    error: this.error || null,
+    result: this.result || {},
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt,
+  };
+};
+
+export default mongoose.model("Job", jobSchema);
@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+
+export const OBJECTION_TOPICS = [
+  "pricing",
+  "competition",
+  "timing",
+  "authority",
+  "need",
+  "security",
+  "integration",
+  "contract",
+  "other",
+];
+
+// A moment on a call where the objection was raised
+const exampleSchema = new mongoose.Schema(
+  {
+    call: { type: mongoose.Schema.Types.ObjectId, ref: "Call" },
+    callTitle: String,
+    transcript: { type: mongoose.Schema.Types.ObjectId, ref: "Transcript" },
+    speaker: String,
+    text: String,
+    timestamp: Date,
+    offset: Number, // seconds from the call's start
+  },
+  { _id: false }
+);
+
+// What a rep answered, with how well it went
+const responseSchema = new mongoose.Schema(
+  {
+    text: String,
+    speaker: String,
+    call: { type: mongoose.Schema.Types.ObjectId, ref: "Call" },
+    transcript: { type: mongoose.Schema.Types.ObjectId, ref: "Transcript" },
+    offset: Number,
+    uses: { type: Number, default: 1 }, // times the same answer was given
+    outcome: Number, // 0-1, from the call's performance score
+    feedback: Number, // 0-1, from objection-handling suggestion feedback
+    score: Number, // ranking score combining both
+  },
+  { _id: false }
+);
+
+// One entry of a rep's objection catalog: similar prospect objections mined
+// from their call transcripts, clustered by topic and meaning
+const objectionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Objection must belong to a user"],
+    },
+    topic: {
+      type: String,
+      enum: OBJECTION_TOPICS,
+      default: "other",
+    },
+    label: {
+      type: String, // the most typical phrasing in the cluster
+      required: [true, "Objection label is required"],
+      maxlength: [500, "Label cannot exceed 500 characters"],
+    },
+    frequency: {
+      type: Number, // times raised across all calls
+      default: 0,
+    },
+    callCount: {
+      type: Number,
+      default: 0,
+    },
+    examples: [exampleSchema],
+    responses: [responseSchema],
+    centroid: {
+      type: [Number],
+      select: false,
+    },
+    embeddingModel: String,
+    lastSeenAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+objectionSchema.index({ user: 1, frequency: -1 });
+objectionSchema.index({ user: 1, topic: 1 });
+
+export default mongoose.model("Objection", objectionSchema);
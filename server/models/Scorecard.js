@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+
+export const SCORECARD_FRAMEWORKS = ["meddicc", "bant", "spiced", "custom"];
+
+// One thing the rep should cover on a call, e.g. MEDDICC's "Economic buyer"
+const criterionSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, "Criterion key is required"],
+      match: [/^[a-z0-9_]+$/, "Criterion key must be lowercase snake_case"],
+    },
+    label: {
+      type: String,
+      required: [true, "Criterion label is required"],
+      maxlength: [100, "Label cannot exceed 100 characters"],
+    },
+    description: {
+      type: String, // what covering it means; shown to reps and the LLM
+      maxlength: [1000, "Description cannot exceed 1000 characters"],
+    },
+    weight: {
+      type: Number,
+      default: 1,
+      min: [0, "Weight cannot be negative"],
+    },
+    // Phrases that mark the criterion covered while the call is live
+    keywords: [String],
+  },
+  { _id: false }
+);
+
+// An admin-defined qualification scorecard. Calls are tracked against the
+// default one unless another is picked for the call.
+const scorecardSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Scorecard name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    framework: {
+      type: String,
+      enum: SCORECARD_FRAMEWORKS,
+      default: "custom",
+    },
+    criteria: {
+      type: [criterionSchema],
+      validate: [
+        {
+          validator: (criteria) => criteria.length > 0,
+          message: "A scorecard needs at least one criterion",
+        },
+        {
+          validator: (criteria) =>
+            new Set(criteria.map((criterion) => criterion.key)).size ===
+            criteria.length,
+          message: "Criterion keys must be unique",
+        },
+      ],
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+scorecardSchema.index({ isDefault: 1 });
+
+export default mongoose.model("Scorecard", scorecardSchema);
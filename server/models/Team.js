@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// Access levels, lowest first: viewers read the team's documents, editors
+// also add, change and organize them, owners also manage the members
+export const TEAM_ROLES = ['viewer', 'editor', 'owner'];
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Member must be a user']
+  },
+  role: {
+    type: String,
+    enum: TEAM_ROLES,
+    default: 'viewer'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Team name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  members: [memberSchema]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+teamSchema.index({ 'members.user': 1 });
+
+// Instance method to get a user's role in the team (null if not a member)
+teamSchema.methods.roleOf = function(userId) {
+  const member = this.members.find(m => String(m.user?._id || m.user) === String(userId));
+  return member ? member.role : null;
+};
+
+// Whether a role grants at least the required access level
+teamSchema.statics.hasRole = function(role, required) {
+  return TEAM_ROLES.includes(role) && TEAM_ROLES.indexOf(role) >= TEAM_ROLES.indexOf(required);
+};
+
+export default mongoose.model('Team', teamSchema);
@@ -12,6 +12,10 @@ const transcriptSchema = new mongoose.Schema(
       trim: true,
       maxlength: [100, "Speaker name cannot exceed 100 characters"],
     },
+    speakerLabel: {
+      type: String, // Diarization label ("Speaker 2") before mapping to a participant
+      trim: true,
+    },
     text: {
       type: String,
       required: [true, "Transcript text is required"],
@@ -56,10 +60,31 @@ const transcriptSchema = new mongoose.Schema(
     entities: [
       {
         text: String,
-        label: String,
+        label: String, // company, product, competitor, amount, date
         confidence: Number,
       },
     ],
+    intent: {
+      type: String,
+      enum: [
+        "question",
+        "objection",
+        "buying_signal",
+        "pricing_inquiry",
+        "feature_inquiry",
+        "comparison",
+        "scheduling",
+        "small_talk",
+        "other",
+      ],
+    },
+    enrichedAt: Date,
+    // Cached for semantic search; filled the first time a line is searched
+    embedding: {
+      type: [Number],
+      select: false,
+    },
+    embeddingModel: String,
     language: {
       type: String,
       default: "en",
@@ -78,8 +103,10 @@ const transcriptSchema = new mongoose.Schema(
 
 // Indexes
 transcriptSchema.index({ call: 1, timestamp: 1 });
+transcriptSchema.index({ call: 1, embeddingModel: 1 });
 transcriptSchema.index({ speaker: 1 });
 transcriptSchema.index({ sentiment: 1 });
+transcriptSchema.index({ processed: 1, createdAt: 1 });
 transcriptSchema.index({ createdAt: -1 });
 transcriptSchema.index({ text: "text" }); // Text search index
 
@@ -113,53 +140,67 @@ transcriptSchema.statics.getCallSummary = async function (callId) {
   return summary;
 };
 
-// Static method to search transcripts
+// Static method to search transcripts of the calls a user can access.
+// Transcript.call holds the call's _id or its meetingId as a string, so calls
+// are resolved first and their keys matched instead of a $lookup on _id.
+// options.calls narrows the search to already resolved (filtered) calls.
 transcriptSchema.statics.searchTranscripts = async function (
   userId,
   query,
   options = {}
 ) {
-  const { limit = 20, skip = 0, callId } = options;
+  const { limit = 20, skip = 0, callId, from, to, speaker } = options;
+  const Call = mongoose.model("Call");
+
+  let calls = options.calls;
+  if (!calls) {
+    if (callId) {
+      const call = await Call.findAccessible(callId, userId);
+      calls = call ? [call] : [];
+    } else {
+      calls = await Call.find({
+        $or: [{ user: userId }, { "sharedWith.user": userId }],
+      })
+        .select("_id meetingId title startTime")
+        .lean();
+    }
+  }
+
+  const callsByKey = new Map();
+  calls.forEach((call) => {
+    [call._id, call.meetingId]
+      .filter(Boolean)
+      .forEach((key) => callsByKey.set(String(key), call));
+  });
+  if (callsByKey.size === 0) return [];
 
-  const matchStage = {
+  const filter = {
     $text: { $search: query },
+    call: { $in: [...callsByKey.keys()] },
   };
-
-  // If callId is provided, filter by specific call
-  if (callId) {
-    matchStage.call = new mongoose.Types.ObjectId(callId);
+  if (from || to) {
+    filter.timestamp = {};
+    if (from) filter.timestamp.$gte = from;
+    if (to) filter.timestamp.$lte = to;
   }
+  if (speaker) filter.speaker = speaker;
 
-  const pipeline = [
-    { $match: matchStage },
-    {
-      $lookup: {
-        from: "calls",
-        localField: "call",
-        foreignField: "_id",
-        as: "callInfo",
-      },
-    },
-    { $unwind: "$callInfo" },
-    { $match: { "callInfo.user": new mongoose.Types.ObjectId(userId) } },
-    { $sort: { score: { $meta: "textScore" }, timestamp: -1 } },
-    { $skip: skip },
-    { $limit: limit },
-    {
-      $project: {
-        text: 1,
-        speaker: 1,
-        timestamp: 1,
-        confidence: 1,
-        call: 1,
-        "callInfo.title": 1,
-        "callInfo.startTime": 1,
-        score: { $meta: "textScore" },
-      },
-    },
-  ];
+  const transcripts = await this.find(filter, {
+    score: { $meta: "textScore" },
+  })
+    .select("text speaker timestamp startTime endTime confidence call")
+    .sort({ score: { $meta: "textScore" }, timestamp: -1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
 
-  return await this.aggregate(pipeline);
+  return transcripts.map((transcript) => {
+    const call = callsByKey.get(transcript.call);
+    return {
+      ...transcript,
+      callInfo: { _id: call._id, title: call.title, startTime: call.startTime },
+    };
+  });
 };
 
 export default mongoose.model("Transcript", transcriptSchema);
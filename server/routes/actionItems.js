@@ -0,0 +1,160 @@
+import express from "express";
+import mongoose from "mongoose";
+import { authenticate } from "../middleware/auth.js";
+import { catchAsync, AppError } from "../middleware/errorHandler.js";
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ["task", "owner", "ownerType", "dueDate", "due"];
+
+// Editable fields from the request body; empty strings clear a field
+function actionItemFields(body) {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] === "" ? null : body[field];
+    }
+  });
+  return fields;
+}
+
+// A status from the request, checked against the model's enum
+async function parseStatus(value) {
+  const { ACTION_ITEM_STATUSES } = await import("../models/ActionItem.js");
+  if (!ACTION_ITEM_STATUSES.includes(value)) {
+    throw new AppError(
+      `Status must be one of ${ACTION_ITEM_STATUSES.join(", ")}`,
+      400
+    );
+  }
+  return value;
+}
+
+async function findActionItem(id, userId) {
+  const ActionItem = (await import("../models/ActionItem.js")).default;
+  const item = mongoose.isValidObjectId(id)
+    ? await ActionItem.findOne({ _id: id, user: userId })
+    : null;
+  if (!item) throw new AppError("Action item not found", 404);
+  return item;
+}
+
+// GET /api/action-items - The user's action items, soonest due first.
+// ?status=open|done|cancelled and ?call=<callId> narrow the list.
+router.get(
+  "/",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const ActionItem = (await import("../models/ActionItem.js")).default;
+    const Call = (await import("../models/Call.js")).default;
+    const actionItemService = (
+      await import("../services/actionItemService.js")
+    ).default;
+
+    const filter = { user: req.user._id };
+    if (req.query.status) filter.status = await parseStatus(req.query.status);
+    if (req.query.call) {
+      const call = await Call.findAccessible(req.query.call, req.user._id);
+      if (!call) throw new AppError("Call not found", 404);
+      filter.call = call._id;
+    }
+
+    // Dated items first, soonest due first; items without a due date last
+    const items = await ActionItem.aggregate([
+      { $match: filter },
+      { $addFields: { hasDueDate: { $gt: ["$dueDate", null] } } },
+      { $sort: { hasDueDate: -1, dueDate: 1, createdAt: 1 } },
+      { $limit: 200 },
+    ]);
+
+    res.json({
+      success: true,
+      data: items.map((item) =>
+        actionItemService.toClient(ActionItem.hydrate(item))
+      ),
+    });
+  })
+);
+
+// POST /api/action-items - Add an action item by hand, optionally on a call
+router.post(
+  "/",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const ActionItem = (await import("../models/ActionItem.js")).default;
+    const Call = (await import("../models/Call.js")).default;
+    const actionItemService = (
+      await import("../services/actionItemService.js")
+    ).default;
+
+    let call = null;
+    if (req.body.callId) {
+      call = await Call.findAccessible(req.body.callId, req.user._id);
+      if (!call) throw new AppError("Call not found", 404);
+    }
+
+    const item = await ActionItem.create({
+      ...actionItemFields(req.body),
+      user: req.user._id,
+      call: call?._id,
+      callTitle: call?.title,
+      account: call
+        ? (await actionItemService.accountKey(call)) || undefined
+        : undefined,
+      source: "manual",
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Action item created",
+      data: actionItemService.toClient(item),
+    });
+  })
+);
+
+// PATCH /api/action-items/:id - Edit an action item or change its status.
+// Edited items are kept when the call's summary is regenerated.
+router.patch(
+  "/:id",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const actionItemService = (
+      await import("../services/actionItemService.js")
+    ).default;
+
+    const status =
+      req.body.status === undefined
+        ? undefined
+        : await parseStatus(req.body.status);
+
+    const item = await findActionItem(req.params.id, req.user._id);
+    item.set(actionItemFields(req.body));
+    if (status && status !== item.status) {
+      item.status = status;
+      // Cleared when the item is reopened or cancelled
+      item.completedAt = status === "done" ? new Date() : undefined;
+    }
+    item.edited = true;
+    await item.save();
+
+    res.json({
+      success: true,
+      message: "Action item updated",
+      data: actionItemService.toClient(item),
+    });
+  })
+);
+
+// DELETE /api/action-items/:id - Delete an action item
+router.delete(
+  "/:id",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const item = await findActionItem(req.params.id, req.user._id);
+    await item.deleteOne();
+
+    res.json({ success: true, message: "Action item deleted" });
+  })
+);
+
+export default router;
@@ -7,9 +7,27 @@ import {
 import { authLimiter } from "../middleware/rateLimiter.js";
 import { authenticate, generateToken } from "../middleware/auth.js";
 import User from "../models/User.js";
+import callSessionRegistry from "../services/callSessionRegistry.js";
 
 const router = express.Router();
 
+// Flatten nested preferences into dotted paths so a partial update doesn't
+// wipe the preferences it leaves out
+const flattenPreferences = (preferences, prefix = "preferences") => {
+  const flattened = {};
+
+  Object.entries(preferences).forEach(([key, value]) => {
+    const path = `${prefix}.${key}`;
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      Object.assign(flattened, flattenPreferences(value, path));
+    } else {
+      flattened[path] = value;
+    }
+  });
+
+  return flattened;
+};
+
 // Apply auth rate limiter to all routes
 router.use(authLimiter);
 
@@ -145,12 +163,27 @@ router.patch(
       });
     }
 
+    if (updates.preferences !== undefined) {
+      if (!updates.preferences || typeof updates.preferences !== "object") {
+        return res.status(400).json({
+          success: false,
+          message: "Preferences must be an object",
+        });
+      }
+
+      Object.assign(updates, flattenPreferences(updates.preferences));
+      delete updates.preferences;
+    }
+
     // Update user
     const user = await User.findByIdAndUpdate(req.user._id, updates, {
       new: true,
       runValidators: true,
     });
 
+    // Live calls pick up new suggestion settings immediately
+    callSessionRegistry.applyUserPreferences(user._id, user.preferences);
+
     res.json({
       success: true,
       message: "Profile updated successfully",
@@ -1,4 +1,5 @@
 import express from "express";
+import mongoose from "mongoose";
 import { authenticate } from "../middleware/auth.js"; // Import the named export
 import { catchAsync } from "../middleware/errorHandler.js";
 
@@ -69,7 +70,7 @@ router.get(
       });
     }
 
-    if (call.user.toString() !== req.user._id.toString()) {
+    if (!call.isAccessibleBy(req.user._id)) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to access this call",
@@ -248,6 +249,8 @@ router.delete(
     }
 
     await Call.findByIdAndDelete(call._id);
+    const ActionItem = (await import("../models/ActionItem.js")).default;
+    await ActionItem.deleteMany({ call: call._id });
 
     res.json({
       success: true,
@@ -256,6 +259,577 @@ router.delete(
   })
 );
 
+// POST /api/calls/:id/enrich - Annotate a call's unprocessed transcript lines
+// in the background
+router.post(
+  "/:id/enrich",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const Call = (await import("../models/Call.js")).default;
+    const jobQueue = (await import("../services/jobQueue.js")).default;
+
+    const call = await Call.findAccessible(req.params.id, req.user._id);
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        message: "Call not found",
+      });
+    }
+
+    if (!call.isEditableBy(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to enrich this call's transcripts",
+      });
+    }
+
+    // Live transcripts may be keyed by the meeting id instead of the call id
+    const callIds = [call._id, call.meetingId].filter(Boolean).map(String);
+    const job = await jobQueue.enqueue(
+      "transcripts.enrich",
+      { callIds },
+      {
+        user: req.user._id,
+        resource: { kind: "call", id: call._id },
+        dedupe: true,
+      }
+    );
+
+    res.status(202).json({
+      success: true,
+      message: "Transcript enrichment queued",
+      data: job.toClient(),
+    });
+  })
+);
+
+// POST /api/calls/:id/score - Score (or re-score) a call in the background
+router.post(
+  "/:id/score",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const Call = (await import("../models/Call.js")).default;
+    const callScoringService = (
+      await import("../services/callScoringService.js")
+    ).default;
+
+    const call = await Call.findAccessible(req.params.id, req.user._id);
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        message: "Call not found",
+      });
+    }
+
+    if (!call.isEditableBy(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to score this call",
+      });
+    }
+
+    const job = await callScoringService.enqueueScore(call, req.user._id);
+
+    res.status(202).json({
+      success: true,
+      message: "Call scoring queued",
+      data: job.toClient(),
+    });
+  })
+);
+
+// GET /api/calls/:id/summary - The call's structured summary and its
+// versions; ?version=N returns an earlier one. POST regenerates it.
+router.get(
+  "/:id/summary",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const Call = (await import("../models/Call.js")).default;
+    const callSummaryService = (
+      await import("../services/callSummaryService.js")
+    ).default;
+
+    const call = await Call.findAccessible(req.params.id, req.user._id);
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        message: "Call not found",
+      });
+    }
+
+    const version = req.query.version ? parseInt(req.query.version) : null;
+    const summary = callSummaryService.findVersion(call, version);
+    if (version && !summary) {
+      return res.status(404).json({
+        success: false,
+        message: `Summary version ${version} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        summary: callSummaryService.toClient(summary),
+        versions: callSummaryService.versions(call),
+      },
+    });
+  })
+);
+
+// POST /api/calls/:id/summary - Generate (or regenerate) the call summary in
+// the background; poll /api/jobs/:jobId. A new version also replaces the
+// owner's action items, so viewers can't do this.
+router.post(
+  "/:id/summary",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const Call = (await import("../models/Call.js")).default;
+    const Transcript = (await import("../models/Transcript.js")).default;
+    const jobQueue = (await import("../services/jobQueue.js")).default;
+
+    const call = await Call.findAccessible(req.params.id, req.user._id);
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        message: "Call not found",
+      });
+    }
+    if (!call.isEditableBy(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to summarize this call",
+      });
+    }
+
+    // Lines are stored under the call's _id or its meetingId
+    const callKeys = [call._id, call.meetingId].filter(Boolean).map(String);
+    const hasConversation = await Transcript.exists({
+      call: { $in: callKeys },
+      text: { $regex: /\S/ },
+    });
+    if (!hasConversation) {
+      return res.status(400).json({
+        success: false,
+        message: "No transcripts found for this call",
+      });
+    }
+
+    const job = await jobQueue.enqueue(
+      "call.summary",
+      {
+        callId: String(call._id),
+        callKeys,
+        callTitle: call.title,
+      },
+      {
+        user: req.user._id,
+        resource: { kind: "call", id: call._id },
+        dedupe: true,
+      }
+    );
+
+    res.status(202).json({
+      success: true,
+      message: "Summary generation queued",
+      data: { jobId: String(job._id), status: job.status },
+    });
+  })
+);
+
+// GET /api/calls/:id/scorecard - The call's qualification checklist
+router.get(
+  "/:id/scorecard",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const Call = (await import("../models/Call.js")).default;
+    const scorecardService = (await import("../services/scorecardService.js"))
+      .default;
+
+    const call = await Call.findAccessible(req.params.id, req.user._id);
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        message: "Call not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: scorecardService.toClient(call.scorecard),
+    });
+  })
+);
+
+// PUT /api/calls/:id/scorecard - Track the call against another scorecard
+// ({ scorecardId } or a built-in { template }). What was said so far is
+// checked again; finished calls are reviewed again in the background.
+router.put(
+  "/:id/scorecard",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const Call = (await import("../models/Call.js")).default;
+    const Scorecard = (await import("../models/Scorecard.js")).default;
+    const Transcript = (await import("../models/Transcript.js")).default;
+    const scorecardService = (await import("../services/scorecardService.js"))
+      .default;
+    const callScoringService = (
+      await import("../services/callScoringService.js")
+    ).default;
+
+    const call = await Call.findAccessible(req.params.id, req.user._id);
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        message: "Call not found",
+      });
+    }
+    if (!call.isEditableBy(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to change this call's scorecard",
+      });
+    }
+
+    const { scorecardId, template } = req.body;
+    let scorecard = null;
+    if (scorecardId) {
+      scorecard = mongoose.isValidObjectId(scorecardId)
+        ? await Scorecard.findOne({
+            _id: scorecardId,
+            ...(await scorecardService.accessFilter(req.user)),
+          }).lean()
+        : null;
+    } else if (template) {
+      scorecard = scorecardService.template(template);
+    }
+    if (!scorecard) {
+      return res.status(404).json({
+        success: false,
+        message: "Scorecard not found",
+      });
+    }
+
+    const callKeys = [call._id, call.meetingId].filter(Boolean).map(String);
+    const transcripts = await Transcript.find({ call: { $in: callKeys } })
+      .sort({ timestamp: 1 })
+      .lean();
+    scorecardService.assign(call, scorecard, transcripts);
+    await call.save();
+    // A rep on the live call sees the new checklist right away
+    scorecardService.notifyChanged(call);
+
+    let job = null;
+    if (call.status === "completed") {
+      job = await callScoringService.enqueueScore(call, req.user._id);
+    }
+
+    res.json({
+      success: true,
+      message: "Scorecard changed",
+      data: {
+        scorecard: scorecardService.toClient(call.scorecard),
+        job: job ? job.toClient() : null,
+      },
+    });
+  })
+);
+
+// GET /api/calls/:id/speakers - Speaker labels with suggested or confirmed participants
+router.get(
+  "/:id/speakers",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const Call = (await import("../models/Call.js")).default;
+    const Transcript = (await import("../models/Transcript.js")).default;
+    const diarizationService = (
+      await import("../services/diarizationService.js")
+    ).default;
+
+    const call = await Call.findAccessible(req.params.id, req.user._id);
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        message: "Call not found",
+      });
+    }
+
+    const callIds = [call._id, call.meetingId].filter(Boolean).map(String);
+    const speakers = await Transcript.aggregate([
+      { $match: { call: { $in: callIds } } },
+      { $sort: { timestamp: 1 } },
+      {
+        $group: {
+          // Lines keep their diarization label once mapped to a participant
+          _id: { $ifNull: ["$speakerLabel", "$speaker"] },
+          speaker: { $last: "$speaker" },
+          lines: { $push: "$text" },
+          talkTime: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $isNumber: "$startTime" },
+                    { $isNumber: "$endTime" },
+                  ],
+                },
+                { $subtract: ["$endTime", "$startTime"] },
+                0,
+              ],
+            },
+          },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          label: "$_id",
+          speaker: 1,
+          talkTime: 1,
+          lineCount: { $size: "$lines" },
+          lines: { $slice: ["$lines", 20] },
+        },
+      },
+      { $sort: { label: 1 } },
+    ]);
+
+    const suggestions = diarizationService.suggestSpeakerMapping(
+      speakers,
+      call.participants
+    );
+
+    res.json({
+      success: true,
+      data: {
+        participants: call.participants,
+        speakers: speakers.map((speaker, index) => {
+          const confirmed = call.speakerMap.find(
+            (entry) => entry.label === speaker.label && entry.confirmed
+          );
+          return {
+            label: speaker.label,
+            speaker: speaker.speaker,
+            lineCount: speaker.lineCount,
+            talkTime: Number(speaker.talkTime.toFixed(1)),
+            samples: speaker.lines.slice(0, 3),
+            mapping: confirmed
+              ? {
+                  participantId: confirmed.participant
+                    ? String(confirmed.participant)
+                    : null,
+                  name: confirmed.name,
+                  email: confirmed.email,
+                  confidence: 1,
+                  confirmed: true,
+                }
+              : { ...suggestions[index], confirmed: false },
+          };
+        }),
+      },
+    });
+  })
+);
+
+// PUT /api/calls/:id/speakers - Confirm which participant each speaker label is
+router.put(
+  "/:id/speakers",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const Call = (await import("../models/Call.js")).default;
+    const Transcript = (await import("../models/Transcript.js")).default;
+    const { mappings } = req.body;
+
+    if (
+      !Array.isArray(mappings) ||
+      mappings.some((mapping) => typeof mapping?.label !== "string")
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "mappings must be an array of { label, participantId | name }",
+      });
+    }
+
+    const call = await Call.findAccessible(req.params.id, req.user._id);
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        message: "Call not found",
+      });
+    }
+
+    if (call.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to update this call",
+      });
+    }
+
+    const resolved = [];
+    for (const { label, participantId, name, email } of mappings) {
+      let participant = null;
+
+      if (participantId) {
+        participant = call.participants.id(participantId);
+        if (!participant) {
+          return res.status(400).json({
+            success: false,
+            message: `Participant ${participantId} is not on this call`,
+          });
+        }
+      } else if (name?.trim()) {
+        // New people are added to the call's participants
+        participant =
+          call.participants.find(
+            (p) =>
+              (email && p.email?.toLowerCase() === email.toLowerCase()) ||
+              p.name.toLowerCase() === name.trim().toLowerCase()
+          ) ||
+          call.participants[
+            call.participants.push({ name: name.trim(), email }) - 1
+          ];
+      }
+
+      resolved.push({ label, participant });
+    }
+
+    const labels = new Set(resolved.map(({ label }) => label));
+    call.speakerMap = [
+      ...call.speakerMap.filter((entry) => !labels.has(entry.label)),
+      ...resolved
+        .filter(({ participant }) => participant)
+        .map(({ label, participant }) => ({
+          label,
+          participant: participant._id,
+          name: participant.name,
+          email: participant.email,
+          confidence: 1,
+          confirmed: true,
+        })),
+    ];
+    await call.save();
+
+    // Relabel the transcript, keeping the diarization label so the mapping
+    // can be changed or undone later
+    const callIds = [call._id, call.meetingId].filter(Boolean).map(String);
+    let updated = 0;
+    for (const { label, participant } of resolved) {
+      const result = await Transcript.updateMany(
+        {
+          call: { $in: callIds },
+          $or: [
+            { speakerLabel: label },
+            { speakerLabel: { $exists: false }, speaker: label },
+          ],
+        },
+        [
+          {
+            $set: {
+              speakerLabel: { $ifNull: ["$speakerLabel", "$speaker"] },
+              speaker: participant ? participant.name : label,
+            },
+          },
+        ]
+      );
+      updated += result.modifiedCount;
+    }
+
+    res.json({
+      success: true,
+      message: `Updated ${updated} transcript lines`,
+      data: {
+        participants: call.participants,
+        speakerMap: call.speakerMap,
+        updated,
+      },
+    });
+  })
+);
+
+// POST /api/calls/:id/share - Share a live call with another user, as a
+// "viewer" (default) or an "editor"
+router.post(
+  "/:id/share",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const Call = (await import("../models/Call.js")).default;
+    const User = (await import("../models/User.js")).default;
+    const { email, role = "viewer" } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required",
+      });
+    }
+    if (!["viewer", "editor"].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role must be "viewer" or "editor"',
+      });
+    }
+
+    const call = await Call.findOne({ _id: req.params.id, user: req.user._id });
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        message: "Call not found",
+      });
+    }
+
+    const target = await User.findOne({ email: email.toLowerCase() });
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const share = call.sharedWith.find(
+      (entry) => String(entry.user) === String(target._id)
+    );
+    if (share) {
+      share.role = role;
+      await call.save();
+    } else if (!call.isAccessibleBy(target._id)) {
+      call.sharedWith.push({ user: target._id, role });
+      await call.save();
+    }
+
+    res.json({
+      success: true,
+      message: "Call shared successfully",
+      data: call,
+    });
+  })
+);
+
+// DELETE /api/calls/:id/share/:userId - Revoke a user's access to a call
+router.delete(
+  "/:id/share/:userId",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const Call = (await import("../models/Call.js")).default;
+
+    const call = await Call.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { $pull: { sharedWith: { user: req.params.userId } } },
+      { new: true }
+    );
+
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        message: "Call not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Call access revoked",
+      data: call,
+    });
+  })
+);
+
 // Start call (update status to active)
 router.patch(
   "/:id/start",
@@ -312,6 +886,15 @@ router.patch(
       });
     }
 
+    const callScoringService = (
+      await import("../services/callScoringService.js")
+    ).default;
+    await callScoringService
+      .enqueueScore(call)
+      .catch((error) =>
+        console.warn(`⚠️ Could not queue call scoring: ${error.message}`)
+      );
+
     res.json({
       success: true,
       message: "Call ended successfully",
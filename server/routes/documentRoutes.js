@@ -13,9 +13,23 @@ import {
   deleteDocument,
   getAISuggestion,
   processTextForAISuggestion,
-  downloadDocument
+  downloadDocument,
+  reindexDocument,
+  reprocessDocument,
+  refreshUrlDocument,
+  uploadDocumentVersion,
+  getDocumentVersions,
+  getDocumentVersion,
+  diffDocumentVersions,
+  rollbackDocumentVersion,
+  getFolders,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+  searchDocuments
 } from '../controllers/documentController.js';
 import { authenticate } from '../middleware/auth.js';
+import { getDocumentType } from '../lib/fileUtils.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -44,11 +58,12 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024 // 10MB limit
   },
   fileFilter: function (req, file, cb) {
-    const allowedTypes = ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'text/plain'];
-    if (allowedTypes.includes(file.mimetype)) {
+    // Browsers report inconsistent MIME types for CSV, Markdown and Office
+    // files, so the extension decides
+    if (getDocumentType(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PDF, DOC, DOCX, and TXT files are allowed.'));
+      cb(new Error('Invalid file type. Supported formats: PDF, DOC, DOCX, PPTX, XLSX, CSV, TXT, HTML, Markdown and images.'));
     }
   }
 });
@@ -64,6 +79,17 @@ router.post('/upload', upload.single('file'), uploadDocument);
 
 router.post('/url', createUrlDocument);
 
+// Semantic search over the user's processed documents
+router.post('/search', searchDocuments);
+
+// Folders of the personal library or a team's (?team=<id>)
+router.route('/folders')
+  .get(getFolders)
+  .post(createFolder);
+router.route('/folders/:folderId')
+  .patch(updateFolder)
+  .delete(deleteFolder);
+
 router.route('/:id')
   .get(getDocument)
   .patch(updateDocument)
@@ -71,6 +97,17 @@ router.route('/:id')
 
 router.get('/:id/ai-suggestion', getAISuggestion);
 router.get('/:id/download', downloadDocument);
+router.post('/:id/reindex', reindexDocument);
+router.post('/:id/reprocess', reprocessDocument);
+router.post('/:id/refresh', refreshUrlDocument);
+
+// Version history: upload a replacement file, compare and roll back
+router.route('/:id/versions')
+  .get(getDocumentVersions)
+  .post(upload.single('file'), uploadDocumentVersion);
+router.get('/:id/versions/diff', diffDocumentVersions);
+router.get('/:id/versions/:version', getDocumentVersion);
+router.post('/:id/versions/:version/rollback', rollbackDocumentVersion);
 
 // Process text directly for AI suggestions without storing as a document
 router.post('/process-text', processTextForAISuggestion);
@@ -0,0 +1,85 @@
+import express from "express";
+import { authenticate } from "../middleware/auth.js";
+import { catchAsync } from "../middleware/errorHandler.js";
+
+const router = express.Router();
+
+// GET /api/jobs - The user's background jobs, newest first
+router.get(
+  "/",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const Job = (await import("../models/Job.js")).default;
+
+    const { status, type, resourceKind, resourceId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const filter = Job.visibleTo(req.user._id);
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+    if (resourceKind) filter["resource.kind"] = resourceKind;
+    if (resourceId) filter["resource.id"] = resourceId;
+
+    const jobs = await Job.find(filter).sort({ createdAt: -1 }).limit(limit);
+
+    res.json({
+      success: true,
+      data: jobs.map((job) => job.toClient()),
+    });
+  })
+);
+
+// GET /api/jobs/:id - Status, progress and result of one job
+router.get(
+  "/:id",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const jobQueue = (await import("../services/jobQueue.js")).default;
+
+    const job = await jobQueue.getJob(req.params.id, req.user._id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job.toClient(),
+    });
+  })
+);
+
+// POST /api/jobs/:id/retry - Requeue a dead job with a fresh set of attempts
+router.post(
+  "/:id/retry",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const jobQueue = (await import("../services/jobQueue.js")).default;
+
+    const existing = await jobQueue.getJob(req.params.id, req.user._id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found",
+      });
+    }
+
+    const job = await jobQueue.retry(req.params.id, req.user._id);
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        message: `Only dead jobs can be retried (this one is ${existing.status})`,
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: "Job queued for retry",
+      data: job.toClient(),
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,90 @@
+import express from "express";
+import mongoose from "mongoose";
+import { authenticate } from "../middleware/auth.js";
+import { catchAsync, AppError } from "../middleware/errorHandler.js";
+
+const router = express.Router();
+
+// Catalog entry as shown to the rep, with links to the example moments
+function toClient(objection) {
+  return {
+    id: objection._id,
+    topic: objection.topic,
+    label: objection.label,
+    frequency: objection.frequency,
+    callCount: objection.callCount,
+    lastSeenAt: objection.lastSeenAt,
+    responses: objection.responses.map((response) => ({
+      text: response.text,
+      speaker: response.speaker,
+      uses: response.uses,
+      outcome: response.outcome,
+      feedback: response.feedback,
+      score: response.score,
+      link: `/call/log/${response.call}#transcript-${response.transcript}`,
+    })),
+    examples: objection.examples.map((example) => ({
+      callTitle: example.callTitle,
+      speaker: example.speaker,
+      text: example.text,
+      timestamp: example.timestamp,
+      offset: example.offset ?? null,
+      link: `/call/log/${example.call}#transcript-${example.transcript}`,
+    })),
+    updatedAt: objection.updatedAt,
+  };
+}
+
+// GET /api/objections - The user's objection catalog, most frequent first
+router.get(
+  "/",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const objectionLibraryService = (
+      await import("../services/objectionLibraryService.js")
+    ).default;
+
+    const objections = await objectionLibraryService.list(req.user._id, {
+      topic: req.query.topic,
+    });
+
+    res.json({ success: true, data: objections.map(toClient) });
+  })
+);
+
+// POST /api/objections/mine - Rebuild the catalog from the user's calls
+router.post(
+  "/mine",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const objectionLibraryService = (
+      await import("../services/objectionLibraryService.js")
+    ).default;
+
+    const job = await objectionLibraryService.enqueueMine(req.user._id);
+
+    res.status(202).json({
+      success: true,
+      message: "Objection mining queued",
+      data: job.toClient(),
+    });
+  })
+);
+
+// GET /api/objections/:id - One catalog entry
+router.get(
+  "/:id",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const Objection = (await import("../models/Objection.js")).default;
+
+    const objection = mongoose.isValidObjectId(req.params.id)
+      ? await Objection.findOne({ _id: req.params.id, user: req.user._id })
+      : null;
+    if (!objection) throw new AppError("Objection not found", 404);
+
+    res.json({ success: true, data: toClient(objection) });
+  })
+);
+
+export default router;
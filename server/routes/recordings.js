@@ -0,0 +1,160 @@
+import express from "express";
+import multer from "multer";
+import path from "path";
+import fs from "fs";
+import { fileURLToPath } from "url";
+import config from "../config/config.js";
+import { authenticate } from "../middleware/auth.js";
+import { catchAsync, AppError } from "../middleware/errorHandler.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const recordingsDir = path.join(__dirname, "../uploads/recordings");
+
+const router = express.Router();
+
+// Recordings are kept next to other uploads and linked from Call.recording
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      if (!fs.existsSync(recordingsDir)) {
+        fs.mkdirSync(recordingsDir, { recursive: true });
+      }
+      cb(null, recordingsDir);
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+      cb(null, uniqueSuffix + path.extname(file.originalname).toLowerCase());
+    },
+  }),
+  limits: {
+    fileSize: config.RECORDINGS.MAX_FILE_SIZE_MB * 1024 * 1024,
+  },
+  fileFilter: (req, file, cb) => {
+    if (
+      file.mimetype.startsWith("audio/") ||
+      file.mimetype.startsWith("video/")
+    ) {
+      cb(null, true);
+    } else {
+      cb(
+        new AppError(
+          "Invalid file type. Only audio and video recordings are allowed.",
+          400
+        )
+      );
+    }
+  },
+});
+
+// Oversized files are the client's mistake, not a server error
+function uploadRecording(req, res, next) {
+  upload.single("file")(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(
+        new AppError(
+          error.code === "LIMIT_FILE_SIZE"
+            ? `Recordings can be at most ${config.RECORDINGS.MAX_FILE_SIZE_MB} MB`
+            : error.message,
+          400
+        )
+      );
+    }
+    next(error);
+  });
+}
+
+// Participants arrive as a JSON string in multipart forms
+function parseParticipants(value) {
+  if (!value) return [];
+  try {
+    const parsed = typeof value === "string" ? JSON.parse(value) : value;
+    return (Array.isArray(parsed) ? parsed : [])
+      .filter((participant) => participant?.name?.trim())
+      .map((participant) => ({
+        name: participant.name.trim(),
+        email: participant.email?.trim() || undefined,
+        role: participant.role === "host" ? "host" : "participant",
+      }));
+  } catch (error) {
+    return null;
+  }
+}
+
+// POST /api/recordings - Upload a recorded call and process it in the background
+router.post(
+  "/",
+  authenticate,
+  uploadRecording,
+  catchAsync(async (req, res) => {
+    const Call = (await import("../models/Call.js")).default;
+    const jobQueue = (await import("../services/jobQueue.js")).default;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "A recording file is required",
+      });
+    }
+
+    const participants = parseParticipants(req.body.participants);
+    if (!participants) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(400).json({
+        success: false,
+        message: "participants must be a JSON array of { name, email }",
+      });
+    }
+
+    const recordedAt = req.body.recordedAt
+      ? new Date(req.body.recordedAt)
+      : null;
+    const speakers = parseInt(req.body.speakers) || undefined;
+
+    const call = await Call.create({
+      user: req.user._id,
+      title:
+        req.body.title?.trim() ||
+        path.parse(req.file.originalname).name.substring(0, 200),
+      status: "in_progress",
+      source: "upload",
+      platform: req.body.platform || "phone",
+      startTime:
+        recordedAt && !isNaN(recordedAt.getTime()) ? recordedAt : new Date(),
+      participants,
+      recording: {
+        url: `/uploads/recordings/${req.file.filename}`,
+        size: req.file.size,
+        format: path.extname(req.file.filename).slice(1),
+      },
+    });
+
+    const job = await jobQueue.enqueue(
+      "recording.process",
+      {
+        callId: String(call._id),
+        filePath: req.file.path,
+        mimeType: req.file.mimetype,
+        speakers,
+      },
+      { user: req.user._id, resource: { kind: "call", id: call._id } }
+    );
+
+    console.log(
+      `📼 Recording uploaded for call ${call._id} (${Math.round(
+        req.file.size / 1024
+      )} KB)`
+    );
+
+    res.status(202).json({
+      success: true,
+      message: "Recording uploaded, processing started",
+      data: {
+        jobId: String(job._id),
+        callId: String(call._id),
+        status: job.status,
+      },
+    });
+  })
+);
+
+export default router;
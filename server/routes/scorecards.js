@@ -0,0 +1,172 @@
+import express from "express";
+import mongoose from "mongoose";
+import { authenticate, requireAdmin } from "../middleware/auth.js";
+import { catchAsync, AppError } from "../middleware/errorHandler.js";
+
+const router = express.Router();
+
+function toClient(scorecard) {
+  return {
+    id: scorecard._id,
+    name: scorecard.name,
+    description: scorecard.description,
+    framework: scorecard.framework,
+    criteria: scorecard.criteria.map((criterion) => ({
+      key: criterion.key,
+      label: criterion.label,
+      description: criterion.description,
+      weight: criterion.weight,
+      keywords: criterion.keywords,
+    })),
+    isDefault: scorecard.isDefault,
+    updatedAt: scorecard.updatedAt,
+  };
+}
+
+// Editable fields from the request body; a template name fills in the rest
+function scorecardFields(body, scorecardService) {
+  const template = body.template
+    ? scorecardService.template(body.template)
+    : null;
+  if (body.template && !template) {
+    throw new AppError(`Unknown scorecard template "${body.template}"`, 400);
+  }
+
+  const fields = {};
+  ["name", "description", "framework", "criteria"].forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    else if (template) fields[field] = template[field];
+  });
+  if (template && body.framework === undefined) {
+    fields.framework = template.framework;
+  }
+  return fields;
+}
+
+async function findScorecard(id) {
+  const Scorecard = (await import("../models/Scorecard.js")).default;
+  const scorecard = mongoose.isValidObjectId(id)
+    ? await Scorecard.findById(id)
+    : null;
+  if (!scorecard) throw new AppError("Scorecard not found", 404);
+  return scorecard;
+}
+
+// GET /api/scorecards - Scorecards the user may pick, and built-in templates
+router.get(
+  "/",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const Scorecard = (await import("../models/Scorecard.js")).default;
+    const scorecardService = (await import("../services/scorecardService.js"))
+      .default;
+    const config = (await import("../config/config.js")).default;
+
+    const scorecards = await Scorecard.find(
+      await scorecardService.accessFilter(req.user)
+    ).sort({ isDefault: -1, name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        scorecards: scorecards.map(toClient),
+        templates: scorecardService.templates(),
+        // Used for calls when no scorecard is the default
+        defaultTemplate: config.SCORECARDS.DEFAULT_TEMPLATE,
+      },
+    });
+  })
+);
+
+// POST /api/scorecards - Create a scorecard (admins), optionally from a
+// template
+router.post(
+  "/",
+  authenticate,
+  requireAdmin,
+  catchAsync(async (req, res) => {
+    const Scorecard = (await import("../models/Scorecard.js")).default;
+    const scorecardService = (await import("../services/scorecardService.js"))
+      .default;
+
+    const scorecard = await Scorecard.create({
+      ...scorecardFields(req.body, scorecardService),
+      createdBy: req.user._id,
+    });
+    if (req.body.isDefault) await makeDefault(scorecard);
+
+    res.status(201).json({
+      success: true,
+      message: "Scorecard created",
+      data: toClient(scorecard),
+    });
+  })
+);
+
+// PUT /api/scorecards/:id - Edit a scorecard (admins). Calls already tracked
+// keep the criteria they were tracked against.
+router.put(
+  "/:id",
+  authenticate,
+  requireAdmin,
+  catchAsync(async (req, res) => {
+    const scorecardService = (await import("../services/scorecardService.js"))
+      .default;
+
+    const scorecard = await findScorecard(req.params.id);
+    scorecard.set(scorecardFields(req.body, scorecardService));
+    await scorecard.save();
+    if (req.body.isDefault) await makeDefault(scorecard);
+
+    res.json({
+      success: true,
+      message: "Scorecard updated",
+      data: toClient(scorecard),
+    });
+  })
+);
+
+// POST /api/scorecards/:id/default - Track new calls against this scorecard
+router.post(
+  "/:id/default",
+  authenticate,
+  requireAdmin,
+  catchAsync(async (req, res) => {
+    const scorecard = await findScorecard(req.params.id);
+    await makeDefault(scorecard);
+
+    res.json({
+      success: true,
+      message: "Default scorecard set",
+      data: toClient(scorecard),
+    });
+  })
+);
+
+// DELETE /api/scorecards/:id - Delete a scorecard (admins)
+router.delete(
+  "/:id",
+  authenticate,
+  requireAdmin,
+  catchAsync(async (req, res) => {
+    const scorecard = await findScorecard(req.params.id);
+    await scorecard.deleteOne();
+
+    res.json({ success: true, message: "Scorecard deleted" });
+  })
+);
+
+// Only one scorecard is the default at a time
+async function makeDefault(scorecard) {
+  const Scorecard = (await import("../models/Scorecard.js")).default;
+  await Scorecard.updateMany(
+    { _id: { $ne: scorecard._id }, isDefault: true },
+    { isDefault: false }
+  );
+  if (!scorecard.isDefault) {
+    scorecard.isDefault = true;
+    await scorecard.save();
+  }
+}
+
+export default router;
@@ -0,0 +1,97 @@
+import express from "express";
+import { authenticate } from "../middleware/auth.js";
+import { catchAsync, AppError } from "../middleware/errorHandler.js";
+import config from "../config/config.js";
+
+const router = express.Router();
+
+function parseDate(value, name) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(`Invalid ${name} date`, 400);
+  }
+  return date;
+}
+
+// Filters go into Mongo queries as values, so repeated (?tag=a&tag=b) or
+// nested (?tag[$ne]=x) parameters are rejected
+function parseText(value, name) {
+  if (value === undefined) return undefined;
+  if (typeof value !== "string") {
+    throw new AppError(`${name} must be a single value`, 400);
+  }
+  return value.trim() || undefined;
+}
+
+// GET /api/search - Search transcripts, AI suggestions and documents
+// ?q=&mode=keyword|semantic&types=transcripts,suggestions,documents
+// &from=&to=&speaker=&platform=&tag=&limit=
+router.get(
+  "/",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const { default: searchService, SEARCH_MODES, SEARCH_TYPES } =
+      await import("../services/searchService.js");
+
+    const query = String(req.query.q || "").trim();
+    if (!query) throw new AppError("A search query is required", 400);
+
+    const mode = req.query.mode || "keyword";
+    if (!SEARCH_MODES.includes(mode)) {
+      throw new AppError(`Mode must be one of ${SEARCH_MODES.join(", ")}`, 400);
+    }
+
+    const types = req.query.types
+      ? String(req.query.types).split(",").filter(Boolean)
+      : SEARCH_TYPES;
+    const unknown = types.filter((type) => !SEARCH_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown result type: ${unknown.join(", ")}`, 400);
+    }
+
+    const from = parseDate(req.query.from, "from");
+    let to = parseDate(req.query.to, "to");
+    // A bare date includes the whole day
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+      to = new Date(to.getTime() + 24 * 60 * 60 * 1000 - 1);
+    }
+
+    const limit = Math.min(
+      parseInt(req.query.limit) || config.SEARCH.DEFAULT_LIMIT,
+      config.SEARCH.MAX_LIMIT
+    );
+
+    const results = await searchService.search(req.user._id, query, {
+      mode,
+      types,
+      limit,
+      filters: {
+        from,
+        to,
+        speaker: parseText(req.query.speaker, "speaker"),
+        platform: parseText(req.query.platform, "platform"),
+        tag: parseText(req.query.tag, "tag"),
+      },
+    });
+
+    res.json({ success: true, data: results });
+  })
+);
+
+// GET /api/search/filters - Platforms and tags to filter by
+router.get(
+  "/filters",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const searchService = (await import("../services/searchService.js"))
+      .default;
+
+    res.json({
+      success: true,
+      data: await searchService.filterOptions(req.user._id),
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,270 @@
+import express from "express";
+import mongoose from "mongoose";
+import { authenticate } from "../middleware/auth.js";
+import { catchAsync, AppError } from "../middleware/errorHandler.js";
+
+const router = express.Router();
+
+// Team with the members' names, for the team page
+async function loadTeam(teamId) {
+  const Team = (await import("../models/Team.js")).default;
+
+  if (!mongoose.isValidObjectId(teamId)) return null;
+  return Team.findById(teamId).populate(
+    "members.user",
+    "name email avatar_url"
+  );
+}
+
+// The team in req.params.id if the user is a member with at least the given
+// role; members who can't see it get a 404, others a 403
+async function requireTeam(req, role) {
+  const Team = (await import("../models/Team.js")).default;
+
+  const team = await loadTeam(req.params.id);
+  const userRole = team?.roleOf(req.user._id);
+  if (!userRole) throw new AppError("Team not found", 404);
+  if (!Team.hasRole(userRole, role)) {
+    throw new AppError(`You need ${role} access to this team`, 403);
+  }
+  return { team, role: userRole };
+}
+
+function toClient(team, role) {
+  return {
+    id: team._id,
+    name: team.name,
+    description: team.description,
+    role,
+    members: team.members.map((member) => ({
+      user: member.user?._id || member.user,
+      name: member.user?.name,
+      email: member.user?.email,
+      avatarUrl: member.user?.avatar_url,
+      role: member.role,
+      addedAt: member.addedAt,
+    })),
+    createdAt: team.createdAt,
+  };
+}
+
+// A team must keep at least one owner
+function ownerCount(team) {
+  return team.members.filter((member) => member.role === "owner").length;
+}
+
+// GET /api/teams - Teams the user belongs to, with their role
+router.get(
+  "/",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const Team = (await import("../models/Team.js")).default;
+
+    const teams = await Team.find({ "members.user": req.user._id })
+      .populate("members.user", "name email avatar_url")
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: teams.map((team) => toClient(team, team.roleOf(req.user._id))),
+    });
+  })
+);
+
+// POST /api/teams - Create a team; the creator is its owner
+router.post(
+  "/",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const Team = (await import("../models/Team.js")).default;
+
+    const { name, description } = req.body;
+    if (!name?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Team name is required",
+      });
+    }
+
+    const team = await Team.create({
+      name: name.trim(),
+      description: description?.trim(),
+      createdBy: req.user._id,
+      members: [{ user: req.user._id, role: "owner" }],
+    });
+
+    const created = await loadTeam(team._id);
+    res.status(201).json({
+      success: true,
+      message: "Team created successfully",
+      data: toClient(created, "owner"),
+    });
+  })
+);
+
+// GET /api/teams/:id - Team details and members
+router.get(
+  "/:id",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const { team, role } = await requireTeam(req, "viewer");
+    res.json({ success: true, data: toClient(team, role) });
+  })
+);
+
+// PATCH /api/teams/:id - Rename or describe the team (owners)
+router.patch(
+  "/:id",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const { team, role } = await requireTeam(req, "owner");
+
+    const { name, description } = req.body;
+    if (name !== undefined) {
+      if (!name.trim()) throw new AppError("Team name is required", 400);
+      team.name = name.trim();
+    }
+    if (description !== undefined) team.description = description.trim();
+    await team.save();
+
+    res.json({
+      success: true,
+      message: "Team updated successfully",
+      data: toClient(team, role),
+    });
+  })
+);
+
+// DELETE /api/teams/:id - Delete an empty team (owners)
+router.delete(
+  "/:id",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const Document = (await import("../models/Document.js")).default;
+    const DocumentFolder = (await import("../models/DocumentFolder.js"))
+      .default;
+
+    const { team } = await requireTeam(req, "owner");
+
+    // The shared library is the team's reason to exist; don't drop it
+    // silently
+    const documents = await Document.countDocuments({ team: team._id });
+    if (documents > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Move or delete the team's ${documents} document(s) first`,
+      });
+    }
+
+    await DocumentFolder.deleteMany({ team: team._id });
+    await team.deleteOne();
+
+    res.json({ success: true, message: "Team deleted successfully" });
+  })
+);
+
+// POST /api/teams/:id/members - Add a user by email (owners)
+router.post(
+  "/:id/members",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const { default: Team, TEAM_ROLES } = await import("../models/Team.js");
+    const User = (await import("../models/User.js")).default;
+
+    const { team, role } = await requireTeam(req, "owner");
+
+    const { email, role: memberRole = "viewer" } = req.body;
+    if (!TEAM_ROLES.includes(memberRole)) {
+      throw new AppError(`Role must be one of ${TEAM_ROLES.join(", ")}`, 400);
+    }
+
+    const user = email
+      ? await User.findOne({ email: String(email).toLowerCase().trim() })
+      : null;
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "No user with that email address",
+      });
+    }
+    if (team.roleOf(user._id)) {
+      throw new AppError("That user is already a member", 409);
+    }
+
+    await Team.updateOne(
+      { _id: team._id },
+      { $push: { members: { user: user._id, role: memberRole } } }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Member added successfully",
+      data: toClient(await loadTeam(team._id), role),
+    });
+  })
+);
+
+// PATCH /api/teams/:id/members/:userId - Change a member's role (owners)
+router.patch(
+  "/:id/members/:userId",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const { TEAM_ROLES } = await import("../models/Team.js");
+
+    const { team } = await requireTeam(req, "owner");
+
+    const member = team.members.find(
+      (m) => String(m.user?._id || m.user) === req.params.userId
+    );
+    if (!member) throw new AppError("Member not found", 404);
+    if (!TEAM_ROLES.includes(req.body.role)) {
+      throw new AppError(`Role must be one of ${TEAM_ROLES.join(", ")}`, 400);
+    }
+    if (
+      member.role === "owner" &&
+      req.body.role !== "owner" &&
+      ownerCount(team) === 1
+    ) {
+      throw new AppError("A team needs at least one owner", 400);
+    }
+
+    member.role = req.body.role;
+    await team.save();
+
+    res.json({
+      success: true,
+      message: "Member updated successfully",
+      data: toClient(team, team.roleOf(req.user._id)),
+    });
+  })
+);
+
+// DELETE /api/teams/:id/members/:userId - Remove a member (owners), or
+// leave the team (any member, with their own id)
+router.delete(
+  "/:id/members/:userId",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const leaving = req.params.userId === String(req.user._id);
+    const { team } = await requireTeam(req, leaving ? "viewer" : "owner");
+
+    const member = team.members.find(
+      (m) => String(m.user?._id || m.user) === req.params.userId
+    );
+    if (!member) throw new AppError("Member not found", 404);
+    if (member.role === "owner" && ownerCount(team) === 1) {
+      throw new AppError("A team needs at least one owner", 400);
+    }
+
+    team.members = team.members.filter((m) => m !== member);
+    await team.save();
+
+    res.json({
+      success: true,
+      message: leaving ? "You left the team" : "Member removed successfully",
+      data: leaving ? null : toClient(team, team.roleOf(req.user._id)),
+    });
+  })
+);
+
+export default router;
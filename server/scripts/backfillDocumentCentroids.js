@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+// Store the chunk centroid that document search ranks by for documents that
+// were indexed before it was kept (or under another embedding model).
+//
+// Usage:
+//   npm run documents:backfill-centroids
+//   npm run documents:backfill-centroids -- --limit 500
+
+import database from "../config/database.js";
+import documentKnowledgeService from "../services/documentKnowledgeService.js";
+
+const args = process.argv.slice(2);
+let limit = Infinity;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--limit" && args[i + 1]) {
+    limit = parseInt(args[++i], 10) || Infinity;
+  }
+}
+
+await database.connect();
+
+console.log("📚 Backfilling document centroids...");
+
+try {
+  const { done, total } = await documentKnowledgeService.backfillCentroids({
+    limit,
+    onProgress: ({ done, total }) =>
+      console.log(`   ${done}/${total} documents`),
+  });
+  console.log(`✅ Stored centroids for ${done} of ${total} documents`);
+} catch (error) {
+  console.error("❌ Document centroid backfill failed:", error);
+  process.exitCode = 1;
+} finally {
+  await database.disconnect();
+}
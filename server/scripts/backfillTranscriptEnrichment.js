@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+// Enrich historical transcript lines that were saved before the enrichment
+// worker existed (or while it was disabled).
+//
+// Usage:
+//   npm run enrich:backfill
+//   npm run enrich:backfill -- --call <callId> --call <callId> --limit 500
+
+import database from "../config/database.js";
+import transcriptEnrichmentService from "../services/transcriptEnrichmentService.js";
+
+const args = process.argv.slice(2);
+const callIds = [];
+let limit = Infinity;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--call" && args[i + 1]) {
+    callIds.push(args[++i]);
+  } else if (args[i] === "--limit" && args[i + 1]) {
+    limit = parseInt(args[++i], 10) || Infinity;
+  }
+}
+
+await database.connect();
+
+console.log(
+  `🧠 Backfilling transcript enrichment${
+    callIds.length ? ` for ${callIds.length} call(s)` : ""
+  }...`
+);
+
+try {
+  const { enriched, total } = await transcriptEnrichmentService.backfill({
+    callIds,
+    limit,
+    onProgress: ({ enriched, total }) =>
+      console.log(`   ${enriched}/${total} lines enriched`),
+  });
+  console.log(`✅ Enriched ${enriched} of ${total} transcript lines`);
+} catch (error) {
+  console.error("❌ Transcript enrichment backfill failed:", error);
+  process.exitCode = 1;
+} finally {
+  await database.disconnect();
+}
@@ -0,0 +1,101 @@
+import ActionItem from "../models/ActionItem.js";
+import Call from "../models/Call.js";
+import User from "../models/User.js";
+
+const normalize = (task) => task.trim().toLowerCase().replace(/\s+/g, " ");
+
+// Action items tracked across calls. Items are taken from each call's
+// summary and can be added, edited and completed by hand; open ones carry
+// over into the live panel of the next call with the same account.
+class ActionItemService {
+  async accountKey(call) {
+    const owner = await User.findById(call.user).select("email").lean();
+    return Call.accountKey(call, owner);
+  }
+
+  // Replace the call's items with those of its current summary. Items the
+  // rep has edited, completed or added by hand are kept, and summary items
+  // with the same task as a kept one are skipped.
+  async syncFromSummary(call) {
+    const summary = call.summary;
+    if (!summary?.version) return [];
+
+    await ActionItem.deleteMany({
+      call: call._id,
+      source: "summary",
+      status: "open",
+      edited: false,
+    });
+    const kept = await ActionItem.find({ call: call._id })
+      .select("task")
+      .lean();
+    const keptTasks = new Set(kept.map((item) => normalize(item.task)));
+
+    const account = await this.accountKey(call);
+    const items = (summary.actionItems || [])
+      .filter((item) => item.task && !keptTasks.has(normalize(item.task)))
+      .map((item) => ({
+        user: call.user,
+        call: call._id,
+        callTitle: call.title,
+        account: account || undefined,
+        task: item.task,
+        owner: item.owner,
+        ownerType: item.ownerType,
+        dueDate: item.dueDate,
+        due: item.due,
+        transcript: item.transcript,
+        timestamp: item.timestamp,
+        source: "summary",
+        summaryVersion: summary.version,
+      }));
+
+    return items.length > 0 ? ActionItem.insertMany(items) : [];
+  }
+
+  // Open items from the owner's earlier calls with the same account, oldest
+  // due date first and undated items last, as on the Dashboard list
+  async openForAccount(call) {
+    const account = await this.accountKey(call);
+    if (!account) return [];
+
+    const items = await ActionItem.aggregate([
+      {
+        $match: {
+          user: call.user?._id || call.user,
+          account,
+          status: "open",
+          call: { $ne: call._id },
+        },
+      },
+      { $addFields: { hasDueDate: { $gt: ["$dueDate", null] } } },
+      { $sort: { hasDueDate: -1, dueDate: 1, createdAt: 1 } },
+      { $limit: 20 },
+    ]);
+    return items.map((item) => ActionItem.hydrate(item));
+  }
+
+  toClient(item) {
+    return {
+      id: item._id,
+      callId: item.call || null,
+      callTitle: item.callTitle || null,
+      account: item.account || null,
+      task: item.task,
+      owner: item.owner || null,
+      ownerType: item.ownerType || null,
+      dueDate: item.dueDate || null,
+      due: item.due || null,
+      status: item.status,
+      isOverdue: item.isOverdue,
+      completedAt: item.completedAt || null,
+      transcriptId: item.transcript || null,
+      timestamp: item.timestamp || null,
+      source: item.source,
+      createdAt: item.createdAt,
+    };
+  }
+}
+
+const actionItemService = new ActionItemService();
+export default actionItemService;
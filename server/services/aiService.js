@@ -1,46 +1,220 @@
-import OpenAI from "openai";
 import config from "../config/config.js";
+import llmService from "./llmService.js";
+import {
+  buildSuggestionSchema,
+  validateSuggestion,
+  repairSuggestion,
+  SUGGESTION_TYPES,
+  SUGGESTION_PRIORITIES,
+  CONVERSATION_PHASES,
+  CUSTOMER_SENTIMENTS,
+  CUSTOMER_INTENTS,
+} from "./suggestionSchema.js";
 
 class AIService {
   constructor() {
-    this.isEnabled = !!config.OPENAI_API_KEY;
+    this.llm = llmService;
 
-    if (this.isEnabled) {
-      this.openai = new OpenAI({
-        apiKey: config.OPENAI_API_KEY,
-      });
-    } else {
-      console.warn("AI Service is disabled: No OpenAI API key provided");
+    if (!this.isEnabled) {
+      console.warn(
+        `AI Service is disabled: LLM provider "${config.LLM.PROVIDER}" is not configured`
+      );
     }
 
     this.conversationContexts = new Map();
   }
 
-  // Generate AI completion with custom model support
+  // Whether the default LLM provider can serve requests
+  get isEnabled() {
+    return this.llm.getProvider().isAvailable;
+  }
+
+  // Generate AI completion; options.feature selects the configured provider
   async generateCompletion(prompt, options = {}) {
     try {
-      if (!this.isEnabled) {
-        throw new Error("AI Service is disabled: No OpenAI API key provided");
+      const feature = options.feature || "suggestions";
+      if (!this.llm.isAvailable(feature)) {
+        throw new Error(
+          `AI Service is disabled: No LLM provider configured for ${feature}`
+        );
       }
 
-      const completion = await this.openai.chat.completions.create({
-        model: options.model || config.OPENAI_MODEL || "gpt-4o-mini",
-        messages: [{ role: "user", content: prompt }],
-        temperature: options.temperature || 0.7,
-        max_tokens: options.maxTokens || 300,
-      });
-
-      return {
-        content: completion.choices[0].message.content,
-        usage: completion.usage,
-        model: completion.model,
-      };
+      return await this.llm.chat(
+        feature,
+        [{ role: "user", content: prompt }],
+        {
+          model: options.model,
+          temperature: options.temperature ?? 0.7,
+          maxTokens: options.maxTokens || 300,
+        }
+      );
     } catch (error) {
       console.error("Error in generateCompletion:", error);
       throw error;
     }
   }
 
+  // Stream an AI completion, yielding content deltas as they arrive
+  async *streamCompletion(prompt, options = {}) {
+    const feature = options.feature || "suggestions";
+    if (!this.llm.isAvailable(feature)) {
+      throw new Error(
+        `AI Service is disabled: No LLM provider configured for ${feature}`
+      );
+    }
+
+    yield* this.llm.stream(feature, [{ role: "user", content: prompt }], {
+      model: options.model,
+      temperature: options.temperature ?? 0.7,
+      maxTokens: options.maxTokens || 300,
+    });
+  }
+
+  // Structured sales suggestion validated against the AISuggestion enums.
+  // Fixable mistakes are repaired locally; otherwise the model is asked again
+  // with the validation errors. Pass includeText: false to only label a
+  // suggestion whose text was already generated.
+  async generateValidatedSuggestion(messages, options = {}) {
+    const includeText = options.includeText !== false;
+    const maxAttempts = options.maxAttempts || 2;
+    const structuredOptions = {
+      name: "sales_suggestion",
+      description: includeText
+        ? "A labelled sales suggestion for the rep"
+        : "Labels for the sales suggestion given by the user",
+      schema: buildSuggestionSchema({ includeText }),
+      temperature: options.temperature ?? 0.4,
+      maxTokens: options.maxTokens || 300,
+    };
+
+    let conversation = messages;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      let result;
+      try {
+        result = await this.llm.generateStructured(
+          "suggestions",
+          conversation,
+          structuredOptions
+        );
+      } catch (error) {
+        if (error.code !== "INVALID_STRUCTURED_OUTPUT") throw error;
+        console.warn(`⚠️ Suggestion attempt ${attempt}: ${error.message}`);
+        conversation = [
+          ...messages,
+          {
+            role: "user",
+            content:
+              "Your previous reply was not valid JSON. Reply with only the JSON object.",
+          },
+        ];
+        continue;
+      }
+
+      const suggestion = repairSuggestion(result.data);
+      const errors = validateSuggestion(suggestion, { includeText });
+      if (errors.length === 0) {
+        return { ...suggestion, model: result.model };
+      }
+
+      console.warn(
+        `⚠️ Suggestion attempt ${attempt} invalid: ${errors.join("; ")}`
+      );
+      conversation = [
+        ...messages,
+        { role: "assistant", content: JSON.stringify(result.data) },
+        {
+          role: "user",
+          content: `That output was invalid: ${errors.join("; ")}. Return a corrected JSON object.`,
+        },
+      ];
+    }
+
+    console.error(`❌ No valid suggestion after ${maxAttempts} attempts`);
+    return null;
+  }
+
+  // Stream a suggestion from a single completion: a JSON line of labels,
+  // then the text. The labels are repaired and validated before any text is
+  // passed to onDelta, and `accept(labels)` can drop the suggestion there,
+  // e.g. below the rep's confidence threshold. Returns the labelled
+  // suggestion, or null when it was dropped or its labels were unusable.
+  // Replies without a label line (the mock provider, models that ignore the
+  // format) fall back to a structured request.
+  async streamValidatedSuggestion(prompt, { onDelta, accept = () => true }) {
+    const instructions = `${prompt}
+
+Reply in exactly this format. First line: a JSON object labelling your suggestion, with "type" (${SUGGESTION_TYPES.join(", ")}), "priority" (${SUGGESTION_PRIORITIES.join(", ")}), "confidence" (0-1, how sure you are it fits the moment), "rationale" (one sentence), "sentiment" (${CUSTOMER_SENTIMENTS.join(", ")}) for the prospect, "intent" (${CUSTOMER_INTENTS.join(", ")}) of what was just said and "conversationPhase" (${CONVERSATION_PHASES.join(", ")}). Then, from the second line on, the suggestion text only.`;
+
+    let buffer = "";
+    let labels = null;
+    let text = "";
+    stream: for await (const delta of this.streamCompletion(instructions, {
+      feature: "suggestions",
+      maxTokens: 250,
+      temperature: 0.7,
+    })) {
+      if (labels) {
+        text += delta;
+        onDelta?.(delta);
+        continue;
+      }
+
+      buffer += delta;
+      let newline;
+      while (!labels && (newline = buffer.indexOf("\n")) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (!line || line.startsWith("```")) continue;
+        if (!line.startsWith("{")) break stream;
+
+        labels = this.parseSuggestionLabels(line);
+        if (!labels) return null;
+        // Stopping here ends the stream before any text is shown
+        if (!accept(labels)) return null;
+      }
+      if (labels && buffer) {
+        text += buffer;
+        onDelta?.(buffer);
+        buffer = "";
+      }
+    }
+
+    if (!labels) {
+      const suggestion = await this.generateValidatedSuggestion([
+        { role: "user", content: prompt },
+      ]);
+      if (!suggestion || !accept(suggestion)) return null;
+      onDelta?.(suggestion.text);
+      return suggestion;
+    }
+
+    const suggestion = { ...labels, text: text.trim() };
+    if (validateSuggestion(suggestion).length > 0) {
+      console.warn("⚠️ Streamed suggestion was incomplete");
+      return null;
+    }
+    return { ...suggestion, model: this.llm.forFeature("suggestions").model };
+  }
+
+  // Labels from the first line of a streamed suggestion, or null if invalid
+  parseSuggestionLabels(line) {
+    let data;
+    try {
+      data = JSON.parse(line);
+    } catch {
+      console.warn(`⚠️ Suggestion labels were not valid JSON: ${line}`);
+      return null;
+    }
+
+    const labels = repairSuggestion(data);
+    const errors = validateSuggestion(labels, { includeText: false });
+    if (errors.length > 0) {
+      console.warn(`⚠️ Suggestion labels invalid: ${errors.join("; ")}`);
+      return null;
+    }
+    return labels;
+  }
+
   // Generate AI suggestions based on conversation context
   async generateSuggestion(
     callId,
@@ -49,13 +223,13 @@ class AIService {
     userPreferences = {}
   ) {
     try {
-      if (!this.isEnabled) {
+      if (!this.llm.isAvailable("suggestions")) {
         return {
-          text: "AI suggestions unavailable - No OpenAI API key configured",
+          text: "AI suggestions unavailable - No LLM provider configured",
           type: "unavailable",
           confidence: 0,
           reasoning:
-            "OpenAI API key is not configured in the environment variables",
+            "No LLM provider is configured for suggestions in the environment variables",
           priority: "low",
         };
       }
@@ -66,65 +240,59 @@ class AIService {
       );
       const systemPrompt = this.buildSystemPrompt(userPreferences);
 
-      const completion = await this.openai.chat.completions.create({
-        model: config.OPENAI_MODEL,
-        messages: [
+      const { data: suggestionData } = await this.llm.generateStructured(
+        "suggestions",
+        [
           { role: "system", content: systemPrompt },
           { role: "user", content: context },
         ],
-        temperature: 0.7,
-        max_tokens: 300,
-        functions: [
-          {
-            name: "generate_sales_suggestion",
-            description: "Generate a contextual sales suggestion",
-            parameters: {
-              type: "object",
-              properties: {
-                suggestion: {
-                  type: "string",
-                  description: "The sales suggestion text",
-                },
-                type: {
-                  type: "string",
-                  enum: [
-                    "objection_handling",
-                    "closing",
-                    "question",
-                    "pricing",
-                    "feature_highlight",
-                    "rapport_building",
-                    "next_steps",
-                    "follow_up",
-                  ],
-                  description: "The type of suggestion",
-                },
-                confidence: {
-                  type: "number",
-                  description: "Confidence score between 0 and 1",
-                },
-                reasoning: {
-                  type: "string",
-                  description:
-                    "Brief explanation of why this suggestion is relevant",
-                },
-                priority: {
-                  type: "string",
-                  enum: ["low", "medium", "high", "urgent"],
-                  description: "Priority level of the suggestion",
-                },
+        {
+          temperature: 0.7,
+          maxTokens: 300,
+          name: "generate_sales_suggestion",
+          description: "Generate a contextual sales suggestion",
+          schema: {
+            type: "object",
+            properties: {
+              suggestion: {
+                type: "string",
+                description: "The sales suggestion text",
+              },
+              type: {
+                type: "string",
+                enum: [
+                  "objection_handling",
+                  "closing",
+                  "question",
+                  "pricing",
+                  "feature_highlight",
+                  "rapport_building",
+                  "next_steps",
+                  "follow_up",
+                ],
+                description: "The type of suggestion",
+              },
+              confidence: {
+                type: "number",
+                description: "Confidence score between 0 and 1",
+              },
+              reasoning: {
+                type: "string",
+                description:
+                  "Brief explanation of why this suggestion is relevant",
+              },
+              priority: {
+                type: "string",
+                enum: ["low", "medium", "high", "urgent"],
+                description: "Priority level of the suggestion",
               },
-              required: ["suggestion", "type", "confidence"],
             },
+            required: ["suggestion", "type", "confidence"],
           },
-        ],
-        function_call: { name: "generate_sales_suggestion" },
-      });
-
-      const functionCall = completion.choices[0].message.function_call;
-      if (functionCall && functionCall.name === "generate_sales_suggestion") {
-        const suggestionData = JSON.parse(functionCall.arguments);
+        }
+      );
 
+      if (suggestionData?.suggestion) {
         return {
           text: suggestionData.suggestion,
           type: suggestionData.type,
@@ -142,12 +310,9 @@ class AIService {
         };
       }
 
-      // Fallback if function call fails
-      const response = completion.choices[0].message.content;
+      // Fallback if the structured output has no suggestion
       return {
-        text:
-          response ||
-          "I'm listening to your conversation and will provide suggestions when relevant.",
+        text: "I'm listening to your conversation and will provide suggestions when relevant.",
         type: "general",
         confidence: 0.8,
         reasoning: "Generated based on conversation context",
@@ -178,15 +343,13 @@ class AIService {
   // Analyze conversation sentiment and engagement
   async analyzeConversation(transcriptHistory) {
     try {
-      if (!this.isEnabled) {
+      if (!this.llm.isAvailable("analysis")) {
         return {
           sentiment: "unavailable",
           engagement_level: 0,
-          key_topics: [
-            "AI analysis unavailable - No OpenAI API key configured",
-          ],
+          key_topics: ["AI analysis unavailable - No LLM provider configured"],
           objections_raised: [],
-          next_steps: ["Configure OpenAI API key to enable AI analysis"],
+          next_steps: ["Configure an LLM provider to enable AI analysis"],
           rapport_score: 0,
         };
       }
@@ -195,9 +358,9 @@ class AIService {
         .map((entry) => `${entry.speaker}: ${entry.text}`)
         .join("\n");
 
-      const completion = await this.openai.chat.completions.create({
-        model: config.OPENAI_MODEL,
-        messages: [
+      const { data } = await this.llm.generateStructured(
+        "analysis",
+        [
           {
             role: "system",
             content:
@@ -208,92 +371,218 @@ class AIService {
             content: conversationText,
           },
         ],
-        functions: [
-          {
-            name: "analyze_conversation",
-            description: "Analyze conversation metrics",
-            parameters: {
-              type: "object",
-              properties: {
-                sentiment: {
-                  type: "string",
-                  enum: ["positive", "neutral", "negative"],
-                  description: "Overall conversation sentiment",
-                },
-                engagement_level: {
-                  type: "number",
-                  description: "Engagement level from 0 to 10",
-                },
-                key_topics: {
-                  type: "array",
-                  items: { type: "string" },
-                  description: "Main topics discussed",
-                },
-                objections_raised: {
-                  type: "array",
-                  items: { type: "string" },
-                  description: "Client objections identified",
-                },
-                buying_signals: {
-                  type: "array",
-                  items: { type: "string" },
-                  description: "Positive buying signals detected",
-                },
-                next_steps: {
-                  type: "array",
-                  items: { type: "string" },
-                  description: "Recommended next steps",
-                },
-                conversation_phase: {
-                  type: "string",
-                  enum: [
-                    "opening",
-                    "discovery",
-                    "presentation",
-                    "objection",
-                    "closing",
-                    "follow_up",
-                  ],
-                  description: "Current phase of the sales conversation",
-                },
-                emotional_state: {
-                  type: "string",
-                  enum: [
-                    "excited",
-                    "interested",
-                    "neutral",
-                    "concerned",
-                    "frustrated",
-                  ],
-                  description: "Detected emotional state of the prospect",
-                },
+        {
+          name: "analyze_conversation",
+          description: "Analyze conversation metrics",
+          schema: {
+            type: "object",
+            properties: {
+              sentiment: {
+                type: "string",
+                enum: ["positive", "neutral", "negative"],
+                description: "Overall conversation sentiment",
+              },
+              engagement_level: {
+                type: "number",
+                description: "Engagement level from 0 to 10",
+              },
+              key_topics: {
+                type: "array",
+                items: { type: "string" },
+                description: "Main topics discussed",
+              },
+              objections_raised: {
+                type: "array",
+                items: { type: "string" },
+                description: "Client objections identified",
+              },
+              buying_signals: {
+                type: "array",
+                items: { type: "string" },
+                description: "Positive buying signals detected",
+              },
+              next_steps: {
+                type: "array",
+                items: { type: "string" },
+                description: "Recommended next steps",
+              },
+              conversation_phase: {
+                type: "string",
+                enum: [
+                  "opening",
+                  "discovery",
+                  "presentation",
+                  "objection",
+                  "closing",
+                  "follow_up",
+                ],
+                description: "Current phase of the sales conversation",
+              },
+              emotional_state: {
+                type: "string",
+                enum: [
+                  "excited",
+                  "interested",
+                  "neutral",
+                  "concerned",
+                  "frustrated",
+                ],
+                description: "Detected emotional state of the prospect",
               },
-              required: ["sentiment", "engagement_level", "key_topics"],
             },
+            required: ["sentiment", "engagement_level", "key_topics"],
           },
-        ],
-        function_call: { name: "analyze_conversation" },
-      });
-
-      const functionCall = completion.choices[0].message.function_call;
-      if (functionCall && functionCall.name === "analyze_conversation") {
-        return JSON.parse(functionCall.arguments);
-      }
+        }
+      );
 
-      throw new Error("Failed to analyze conversation");
+      return data;
     } catch (error) {
       console.error("Failed to analyze conversation:", error);
       throw error;
     }
   }
 
+  // Grade a finished call against a sales methodology rubric: 0-10 per
+  // criterion with the evidence from the transcript
+  async scoreCallRubric(transcriptHistory, rubric) {
+    const conversationText = transcriptHistory
+      .map((entry) => `${entry.speaker}: ${entry.text}`)
+      .join("\n");
+    const criteriaText = rubric.criteria
+      .map((criterion) => `- ${criterion.key}: ${criterion.description}`)
+      .join("\n");
+
+    const { data } = await this.llm.generateStructured(
+      "analysis",
+      [
+        {
+          role: "system",
+          content: `You grade sales calls against the ${rubric.name} methodology. Score the sales rep on each criterion from 0 (not done at all) to 10 (done excellently), judging only what is in the transcript. Quote or paraphrase the moment that supports each score.
+
+Criteria:
+${criteriaText}`,
+        },
+        {
+          role: "user",
+          content: conversationText,
+        },
+      ],
+      {
+        name: "score_call",
+        description: "Score a sales call against a rubric",
+        schema: {
+          type: "object",
+          properties: {
+            criteria: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  key: {
+                    type: "string",
+                    enum: rubric.criteria.map((criterion) => criterion.key),
+                  },
+                  score: {
+                    type: "number",
+                    description: "Score from 0 to 10",
+                  },
+                  evidence: {
+                    type: "string",
+                    description: "The moment in the call behind the score",
+                  },
+                },
+                required: ["key", "score"],
+              },
+            },
+            engagement_level: {
+              type: "number",
+              description: "Prospect engagement from 0 to 10",
+            },
+            key_topics: {
+              type: "array",
+              items: { type: "string" },
+              description: "Main topics discussed",
+            },
+          },
+          required: ["criteria"],
+        },
+        temperature: 0.2,
+      }
+    );
+
+    return data;
+  }
+
+  // Decide which qualification criteria a call covered. Lines are numbered
+  // so the evidence can point back at them.
+  async evaluateScorecard(transcriptHistory, scorecard) {
+    const conversationText = transcriptHistory
+      .map((entry, i) => `[${i}] ${entry.speaker}: ${entry.text}`)
+      .join("\n");
+    const criteriaText = scorecard.criteria
+      .map(
+        (criterion) =>
+          `- ${criterion.key} (${criterion.label}): ${criterion.description || criterion.label}`
+      )
+      .join("\n");
+
+    const { data } = await this.llm.generateStructured(
+      "analysis",
+      [
+        {
+          role: "system",
+          content: `You review sales calls against the ${scorecard.name} qualification scorecard. For each criterion decide whether the conversation established it, not merely mentioned it. Cite the numbers of the lines that show it.
+
+Criteria:
+${criteriaText}`,
+        },
+        {
+          role: "user",
+          content: conversationText,
+        },
+      ],
+      {
+        name: "evaluate_scorecard",
+        description: "Mark scorecard criteria as covered or missing",
+        schema: {
+          type: "object",
+          properties: {
+            criteria: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  key: {
+                    type: "string",
+                    enum: scorecard.criteria.map((criterion) => criterion.key),
+                  },
+                  covered: { type: "boolean" },
+                  lines: {
+                    type: "array",
+                    items: { type: "integer" },
+                    description: "Numbers of the lines that show it",
+                  },
+                },
+                required: ["key", "covered"],
+              },
+            },
+          },
+          required: ["criteria"],
+        },
+        temperature: 0.1,
+      }
+    );
+
+    return data;
+  }
+
   // Process documents for context building
   async processDocumentForContext(documentContent, documentType) {
     try {
-      if (!this.isEnabled) {
+      if (!this.llm.isAvailable("documents")) {
         return {
           key_features: [
-            "AI document processing unavailable - No OpenAI API key configured",
+            "AI document processing unavailable - No LLM provider configured",
           ],
           benefits: [],
           pricing_info: [],
@@ -301,13 +590,13 @@ class AIService {
           competitive_advantages: [],
           common_objections: [],
           summary:
-            "Document processing unavailable. Please configure an OpenAI API key to enable this feature.",
+            "Document processing unavailable. Please configure an LLM provider to enable this feature.",
         };
       }
 
-      const completion = await this.openai.chat.completions.create({
-        model: config.OPENAI_MODEL,
-        messages: [
+      const { data } = await this.llm.generateStructured(
+        "documents",
+        [
           {
             role: "system",
             content:
@@ -318,202 +607,217 @@ class AIService {
             content: `Document Type: ${documentType}\n\nContent: ${documentContent}`,
           },
         ],
-        functions: [
-          {
-            name: "extract_sales_context",
-            description: "Extract sales-relevant information",
-            parameters: {
-              type: "object",
-              properties: {
-                key_features: {
-                  type: "array",
-                  items: { type: "string" },
-                  description:
-                    "Provide detailed descriptions of key product features with specific technical details and capabilities. Include how each feature works and what makes it unique.",
-                },
-                benefits: {
-                  type: "array",
-                  items: { type: "string" },
-                  description:
-                    "Provide comprehensive explanations of main benefits with concrete examples of how they solve customer problems. Include quantifiable outcomes when possible.",
-                },
-                pricing_info: {
-                  type: "array",
-                  items: { type: "string" },
-                  description:
-                    "Provide detailed pricing information including tiers, subscription models, discounts, and any ROI calculations mentioned in the document.",
-                },
-                use_cases: {
-                  type: "array",
-                  items: { type: "string" },
-                  description:
-                    "Provide detailed scenarios and examples of how the product/service is used in real-world situations. Include specific industry applications and customer stories when available.",
-                },
-                competitive_advantages: {
-                  type: "array",
-                  items: { type: "string" },
-                  description:
-                    "Provide detailed analysis of competitive advantages with specific comparisons to alternatives in the market. Include unique selling propositions and differentiators.",
-                },
-                objection_responses: {
-                  type: "array",
-                  items: {
-                    type: "object",
-                    properties: {
-                      objection: {
-                        type: "string",
-                        description:
-                          "Detailed description of a potential customer objection",
-                      },
-                      response: {
-                        type: "string",
-                        description:
-                          "Comprehensive, persuasive response that addresses the objection with specific evidence, examples, and counterpoints",
-                      },
+        {
+          name: "extract_sales_context",
+          description: "Extract sales-relevant information",
+          schema: {
+            type: "object",
+            properties: {
+              key_features: {
+                type: "array",
+                items: { type: "string" },
+                description:
+                  "Provide detailed descriptions of key product features with specific technical details and capabilities. Include how each feature works and what makes it unique.",
+              },
+              benefits: {
+                type: "array",
+                items: { type: "string" },
+                description:
+                  "Provide comprehensive explanations of main benefits with concrete examples of how they solve customer problems. Include quantifiable outcomes when possible.",
+              },
+              pricing_info: {
+                type: "array",
+                items: { type: "string" },
+                description:
+                  "Provide detailed pricing information including tiers, subscription models, discounts, and any ROI calculations mentioned in the document.",
+              },
+              use_cases: {
+                type: "array",
+                items: { type: "string" },
+                description:
+                  "Provide detailed scenarios and examples of how the product/service is used in real-world situations. Include specific industry applications and customer stories when available.",
+              },
+              competitive_advantages: {
+                type: "array",
+                items: { type: "string" },
+                description:
+                  "Provide detailed analysis of competitive advantages with specific comparisons to alternatives in the market. Include unique selling propositions and differentiators.",
+              },
+              objection_responses: {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: {
+                    objection: {
+                      type: "string",
+                      description:
+                        "Detailed description of a potential customer objection",
+                    },
+                    response: {
+                      type: "string",
+                      description:
+                        "Comprehensive, persuasive response that addresses the objection with specific evidence, examples, and counterpoints",
                     },
                   },
-                  description:
-                    "Provide detailed objections that customers might raise and comprehensive responses that address each concern with evidence, examples, and persuasive arguments.",
-                },
-                target_audience: {
-                  type: "array",
-                  items: { type: "string" },
-                  description:
-                    "Provide detailed profiles of target audience segments including demographics, psychographics, pain points, and specific needs that the product/service addresses for each segment.",
-                },
-                success_stories: {
-                  type: "array",
-                  items: { type: "string" },
-                  description:
-                    "Provide detailed customer success stories with specific challenges faced, solutions implemented, and quantifiable results achieved. Include company names and industry context when available.",
-                },
-                detailed_summary: {
-                  type: "string",
-                  description:
-                    "Provide a comprehensive executive summary of the document that captures the most important sales information in a detailed, cohesive narrative.",
                 },
+                description:
+                  "Provide detailed objections that customers might raise and comprehensive responses that address each concern with evidence, examples, and persuasive arguments.",
+              },
+              target_audience: {
+                type: "array",
+                items: { type: "string" },
+                description:
+                  "Provide detailed profiles of target audience segments including demographics, psychographics, pain points, and specific needs that the product/service addresses for each segment.",
+              },
+              success_stories: {
+                type: "array",
+                items: { type: "string" },
+                description:
+                  "Provide detailed customer success stories with specific challenges faced, solutions implemented, and quantifiable results achieved. Include company names and industry context when available.",
+              },
+              detailed_summary: {
+                type: "string",
+                description:
+                  "Provide a comprehensive executive summary of the document that captures the most important sales information in a detailed, cohesive narrative.",
               },
-              required: ["key_features", "benefits", "detailed_summary"],
             },
+            required: ["key_features", "benefits", "detailed_summary"],
           },
-        ],
-        function_call: { name: "extract_sales_context" },
-      });
-
-      const functionCall = completion.choices[0].message.function_call;
-      if (functionCall && functionCall.name === "extract_sales_context") {
-        return JSON.parse(functionCall.arguments);
-      }
+        }
+      );
 
-      throw new Error("Failed to process document");
+      return data;
     } catch (error) {
       console.error("Failed to process document:", error);
       throw error;
     }
   }
 
-  // Generate meeting summary
+  // Structured post-call summary. `meetingData` gives the title, date,
+  // duration in minutes, participant names and the rep's names so relative
+  // deadlines ("next Friday") can be resolved and owners named.
   async generateMeetingSummary(transcriptHistory, meetingData) {
     try {
-      if (!this.isEnabled) {
-        return {
-          executive_summary:
-            "AI meeting summary unavailable - No OpenAI API key configured",
-          key_points: [
-            "OpenAI API key is required for AI-powered meeting summaries",
-          ],
-          decisions_made: [],
-          action_items: [],
-          follow_up_items: [],
-          sentiment_analysis: "unavailable",
-          next_steps: [
-            "Configure OpenAI API key to enable AI meeting summaries",
-          ],
-        };
+      if (!this.llm.isAvailable("summaries")) {
+        throw new Error("No LLM provider is configured for summaries");
       }
 
       const conversationText = transcriptHistory
-        .map((entry) => `${entry.speaker}: ${entry.text}`)
+        .map((entry, i) => `[${i}] ${entry.speaker}: ${entry.text}`)
         .join("\n");
-
-      const completion = await this.openai.chat.completions.create({
-        model: config.OPENAI_MODEL,
-        messages: [
+      const participants = meetingData.participants?.length
+        ? meetingData.participants.join(", ")
+        : "unknown";
+      const reps = meetingData.reps?.length
+        ? meetingData.reps.join(", ")
+        : "unknown";
+
+      const { data } = await this.llm.generateStructured(
+        "summaries",
+        [
           {
             role: "system",
             content:
-              "Generate a comprehensive summary of this sales call including key points, outcomes, and action items.",
+              "Summarize this sales call for the rep and their manager. Only include what was actually said. Action items need an owner when one was named, whether that owner is on the rep's side or the prospect's, the number of the line where the item was agreed, and a due date when one was agreed; give due dates as YYYY-MM-DD when they can be worked out from the call date, and always keep the deadline as it was said. Risks are anything that could stall or lose the deal.",
           },
           {
             role: "user",
-            content: `Meeting: ${meetingData.title}\nDuration: ${meetingData.duration} minutes\n\nTranscript:\n${conversationText}`,
+            content: `Meeting: ${meetingData.title}\nDate: ${meetingData.date}\nDuration: ${meetingData.duration} minutes\nParticipants: ${participants}\nRep side: ${reps}\n\nTranscript:\n${conversationText}`,
           },
         ],
-        functions: [
-          {
-            name: "generate_meeting_summary",
-            description: "Generate a comprehensive meeting summary",
-            parameters: {
-              type: "object",
-              properties: {
-                executive_summary: {
-                  type: "string",
-                  description: "Brief executive summary of the meeting",
-                },
-                key_points: {
-                  type: "array",
-                  items: { type: "string" },
-                  description: "Key points discussed",
-                },
-                decisions_made: {
-                  type: "array",
-                  items: { type: "string" },
-                  description: "Decisions made during the meeting",
-                },
-                action_items: {
-                  type: "array",
-                  items: {
-                    type: "object",
-                    properties: {
-                      task: { type: "string" },
-                      assignee: { type: "string" },
-                      due_date: { type: "string" },
-                    },
-                  },
-                  description: "Action items with assignees and due dates",
-                },
-                next_steps: {
-                  type: "array",
-                  items: { type: "string" },
-                  description: "Recommended next steps",
-                },
-                sentiment_analysis: {
+        {
+          name: "generate_meeting_summary",
+          description: "Generate a structured meeting summary",
+          schema: {
+            type: "object",
+            properties: {
+              executive_summary: {
+                type: "string",
+                description:
+                  "Two or three sentences on the call's purpose and outcome",
+              },
+              key_points: {
+                type: "array",
+                items: { type: "string" },
+                description: "Key points discussed",
+              },
+              decisions_made: {
+                type: "array",
+                items: { type: "string" },
+                description: "Decisions made during the meeting",
+              },
+              action_items: {
+                type: "array",
+                items: {
                   type: "object",
                   properties: {
-                    overall_sentiment: { type: "string" },
-                    client_interest_level: { type: "string" },
-                    likelihood_to_close: { type: "string" },
+                    task: { type: "string" },
+                    owner: {
+                      type: "string",
+                      description: "Who took it on; empty if nobody did",
+                    },
+                    owner_side: {
+                      type: "string",
+                      enum: ["rep", "prospect"],
+                      description: "Whether the owner is the rep's side",
+                    },
+                    line: {
+                      type: "integer",
+                      description: "Number of the line where it was agreed",
+                    },
+                    due_date: {
+                      type: "string",
+                      description:
+                        "YYYY-MM-DD, or empty when no date was agreed",
+                    },
+                    due: {
+                      type: "string",
+                      description: "The deadline as it was said",
+                    },
                   },
+                  required: ["task"],
                 },
-                topics_covered: {
-                  type: "array",
-                  items: { type: "string" },
-                  description: "Main topics covered in the meeting",
+                description: "Action items with owners and due dates",
+              },
+              risks: {
+                type: "array",
+                items: { type: "string" },
+                description:
+                  "Concerns, blockers and signals the deal may stall",
+              },
+              next_steps: {
+                type: "array",
+                items: { type: "string" },
+                description: "Agreed or recommended next steps",
+              },
+              sentiment_analysis: {
+                type: "object",
+                properties: {
+                  overall_sentiment: { type: "string" },
+                  client_interest_level: { type: "string" },
+                  likelihood_to_close: { type: "string" },
                 },
               },
-              required: ["executive_summary", "key_points", "action_items"],
+              topics_covered: {
+                type: "array",
+                items: { type: "string" },
+                description: "Main topics covered in the meeting",
+              },
             },
+            required: [
+              "executive_summary",
+              "key_points",
+              "decisions_made",
+              "action_items",
+              "risks",
+              "next_steps",
+            ],
           },
-        ],
-        function_call: { name: "generate_meeting_summary" },
-      });
-
-      const functionCall = completion.choices[0].message.function_call;
-      if (functionCall && functionCall.name === "generate_meeting_summary") {
-        return JSON.parse(functionCall.arguments);
-      }
+          temperature: 0.3,
+        }
+      );
 
-      throw new Error("Failed to generate meeting summary");
+      return data;
     } catch (error) {
       console.error("Failed to generate meeting summary:", error);
       throw error;
@@ -635,17 +939,17 @@ Guidelines:
   // Generate follow-up email
   async generateFollowUpEmail(transcriptHistory, meetingData) {
     try {
-      if (!this.isEnabled) {
-        return "AI follow-up email generation unavailable - No OpenAI API key configured. Please configure an OpenAI API key to enable this feature.";
+      if (!this.llm.isAvailable("email")) {
+        return "AI follow-up email generation unavailable - No LLM provider configured. Please configure an LLM provider to enable this feature.";
       }
 
       const conversationText = transcriptHistory
         .map((entry) => `${entry.speaker}: ${entry.text}`)
         .join("\n");
 
-      const completion = await this.openai.chat.completions.create({
-        model: config.OPENAI_MODEL,
-        messages: [
+      const completion = await this.llm.chat(
+        "email",
+        [
           {
             role: "system",
             content:
@@ -656,11 +960,10 @@ Guidelines:
             content: `Meeting: ${meetingData.title}\n\nConversation:\n${conversationText}`,
           },
         ],
-        max_tokens: 500,
-        temperature: 0.7,
-      });
+        { maxTokens: 500, temperature: 0.7 }
+      );
 
-      return completion.choices[0].message.content;
+      return completion.content;
     } catch (error) {
       console.error("Failed to generate follow-up email:", error);
       throw error;
@@ -668,23 +971,22 @@ Guidelines:
   }
 
   static async summarize(text) {
-    if (!this.prototype.isEnabled) {
-      return "AI summarization unavailable - No OpenAI API key configured";
+    if (!llmService.isAvailable("documents")) {
+      return "AI summarization unavailable - No LLM provider configured";
     }
     try {
-      const openai = new OpenAI({ apiKey: config.OPENAI_API_KEY });
-      const completion = await openai.chat.completions.create({
-        model: config.OPENAI_MODEL,
-        messages: [
+      const completion = await llmService.chat(
+        "documents",
+        [
           {
             role: "system",
             content: "Summarize the following document in a concise paragraph.",
           },
           { role: "user", content: text },
         ],
-        max_tokens: 200,
-      });
-      return completion.choices[0].message.content.trim();
+        { maxTokens: 200 }
+      );
+      return completion.content.trim();
     } catch (error) {
       console.error("Failed to summarize document:", error);
       return "Failed to generate summary.";
@@ -0,0 +1,336 @@
+import config from "../config/config.js";
+import sttService from "./sttService.js";
+import { splitWebmHeader, WebmChunkFramer } from "../lib/audioContainer.js";
+
+// Turns audio streamed over the audioData socket event into transcripts.
+// Providers with a live stream (Deepgram) get every chunk as it arrives.
+// Batch providers get the call's audio in windows: the open window is
+// re-transcribed every few seconds for interim results and closed as a final
+// result once it is long enough or the speaker goes quiet.
+class AudioIngestionService {
+  constructor() {
+    this.sessions = new Map(); // callId -> audio session
+    this.listeners = { transcript: [], interim: [], error: [] };
+    this.active = 0; // transcription requests in flight across all calls
+    this.slotWaiters = [];
+
+    this.config = {
+      ...config.STT,
+      IDLE_FLUSH_MS: 2000, // close the window after this much silence
+      DRAIN_TIMEOUT_MS: 5000, // longest a chunk waits for buffer space
+    };
+  }
+
+  // Final results, shaped for handleNewTranscript
+  onTranscript(handler) {
+    this.listeners.transcript.push(handler);
+  }
+
+  // Interim results; the next final result for the call replaces them
+  onInterim(handler) {
+    this.listeners.interim.push(handler);
+  }
+
+  onError(handler) {
+    this.listeners.error.push(handler);
+  }
+
+  notify(type, callId, payload) {
+    this.listeners[type].forEach((handler) => {
+      try {
+        handler(callId, payload);
+      } catch (error) {
+        console.error(`Error in audio ${type} listener:`, error);
+      }
+    });
+  }
+
+  getSession(callId, { mimeType, speaker, language } = {}) {
+    let session = this.sessions.get(callId);
+
+    if (!session) {
+      session = {
+        callId,
+        provider: sttService.getProvider(),
+        mimeType: mimeType || "audio/webm",
+        language: language || config.TRANSCRIPTION_LANGUAGE,
+        speaker: speaker || "You",
+        header: null, // WebM init segment, prepended to every window
+        framer: null, // cuts WebM audio so each buffered chunk starts a cluster
+        started: false,
+        startedAt: Date.now(),
+        chunks: [],
+        bytes: 0,
+        windowStart: null,
+        lastInterimAt: 0,
+        busy: false,
+        flushRequested: false,
+        stopped: false,
+        idleTimer: null,
+        drainWaiters: [],
+        live: null,
+        liveStartedAt: null,
+        unavailableReported: false,
+      };
+      this.sessions.set(callId, session);
+      console.log(
+        `🎙️ Audio ingestion started for call ${callId} (${session.provider.name})`
+      );
+    }
+
+    if (speaker) session.speaker = speaker;
+    return session;
+  }
+
+  // Accept one chunk of a call's audio. Resolves once the chunk is buffered,
+  // which is delayed while the call's buffer is full; the socket ack waits on
+  // it so clients slow down instead of flooding the server.
+  async push(callId, chunk, options = {}) {
+    const session = this.getSession(callId, options);
+
+    if (!session.provider.isAvailable) {
+      if (!session.unavailableReported) {
+        session.unavailableReported = true;
+        this.notify("error", callId, {
+          error: `Speech-to-text provider "${session.provider.name}" is not configured`,
+        });
+      }
+      return { accepted: false, buffered: 0, dropped: 1 };
+    }
+
+    // The first MediaRecorder chunk carries the container header
+    if (!session.started) {
+      session.started = true;
+      const { header, audio } = splitWebmHeader(chunk);
+      session.header = header;
+      chunk = audio;
+    }
+
+    if (session.provider.createLiveStream) {
+      this.sendLive(session, chunk);
+      return { accepted: true, buffered: 0, dropped: 0 };
+    }
+
+    // A window can start at any buffered chunk, so each one has to start on a
+    // cluster boundary for the header in front of it to be enough to decode
+    if (session.header) {
+      if (!session.framer) session.framer = new WebmChunkFramer();
+      chunk = session.framer.frame(chunk);
+      if (chunk.length === 0) {
+        return { accepted: true, buffered: session.bytes, dropped: 0 };
+      }
+    }
+
+    let dropped = 0;
+    if (session.bytes + chunk.length > this.config.MAX_BUFFER_BYTES) {
+      await this.waitForDrain(session);
+
+      // Still full: the provider can't keep up, so drop the oldest audio
+      while (
+        session.chunks.length > 0 &&
+        session.bytes + chunk.length > this.config.MAX_BUFFER_BYTES
+      ) {
+        session.bytes -= session.chunks.shift().length;
+        dropped++;
+      }
+      if (dropped > 0) {
+        console.warn(
+          `⚠️ Dropped ${dropped} audio chunk(s) for call ${callId}: transcription is falling behind`
+        );
+      }
+    }
+
+    if (!this.sessions.has(callId)) {
+      // The call ended while this chunk waited for space
+      return { accepted: false, buffered: 0, dropped: dropped + 1 };
+    }
+
+    if (session.chunks.length === 0) session.windowStart = Date.now();
+    session.chunks.push(chunk);
+    session.bytes += chunk.length;
+
+    this.resetIdleTimer(session);
+    this.schedule(session);
+
+    return { accepted: true, buffered: session.bytes, dropped };
+  }
+
+  waitForDrain(session) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, this.config.DRAIN_TIMEOUT_MS);
+      session.drainWaiters.push(() => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+  }
+
+  resetIdleTimer(session) {
+    clearTimeout(session.idleTimer);
+    session.idleTimer = setTimeout(() => {
+      session.flushRequested = true;
+      this.schedule(session);
+    }, this.config.IDLE_FLUSH_MS);
+  }
+
+  // Start the next transcription for a call if one is due. One request per
+  // call at a time; interim passes are skipped when every slot is busy.
+  schedule(session) {
+    if (session.busy || session.chunks.length === 0) return;
+
+    const now = Date.now();
+    if (
+      session.flushRequested ||
+      now - session.windowStart >= this.config.WINDOW_MS
+    ) {
+      this.transcribeWindow(session, true);
+    } else if (
+      now - session.lastInterimAt >= this.config.INTERIM_INTERVAL_MS &&
+      this.active < this.config.MAX_CONCURRENT
+    ) {
+      this.transcribeWindow(session, false);
+    }
+  }
+
+  async transcribeWindow(session, isFinal) {
+    session.busy = true;
+
+    const windowStart = session.windowStart;
+    const chunks = isFinal ? session.chunks.splice(0) : [...session.chunks];
+    if (isFinal) {
+      session.bytes = 0;
+      session.windowStart = null;
+      session.flushRequested = false;
+      session.drainWaiters.splice(0).forEach((release) => release());
+    } else {
+      session.lastInterimAt = Date.now();
+    }
+
+    const audio = Buffer.concat(
+      session.header ? [session.header, ...chunks] : chunks
+    );
+
+    await this.acquireSlot();
+    try {
+      const result = await session.provider.transcribe(audio, {
+        mimeType: session.mimeType,
+        language: session.language,
+      });
+      const offset = (windowStart - session.startedAt) / 1000;
+      this.publish(session, result, isFinal, offset);
+    } catch (error) {
+      console.error(
+        `❌ Transcription failed for call ${session.callId}:`,
+        error.message
+      );
+      if (isFinal) {
+        this.notify("error", session.callId, {
+          error: "Failed to transcribe audio",
+        });
+      }
+    } finally {
+      this.releaseSlot();
+      session.busy = false;
+      if (this.sessions.get(session.callId) === session || session.stopped) {
+        this.schedule(session);
+      }
+    }
+  }
+
+  sendLive(session, chunk) {
+    if (!session.live) {
+      session.liveStartedAt = Date.now();
+      session.live = session.provider.createLiveStream({
+        mimeType: session.mimeType,
+        language: session.language,
+        onResult: (result) =>
+          this.publish(
+            session,
+            result,
+            result.isFinal,
+            (session.liveStartedAt - session.startedAt) / 1000
+          ),
+        onError: (error) => {
+          console.error(
+            `❌ Live transcription error for call ${session.callId}:`,
+            error.message || error
+          );
+          this.notify("error", session.callId, {
+            error: "Live transcription error",
+          });
+        },
+        // Reconnects (with the header) on the next chunk
+        onClose: () => {
+          session.live = null;
+        },
+      });
+      if (session.header) session.live.send(session.header);
+    }
+
+    session.live.send(chunk);
+  }
+
+  publish(session, result, isFinal, offset) {
+    if (!result?.text) return;
+
+    const words = (result.words || []).map((word) => ({
+      ...word,
+      start: offset + (word.start || 0),
+      end: offset + (word.end || 0),
+    }));
+
+    const transcript = {
+      speaker: session.speaker,
+      text: result.text,
+      confidence: result.confidence,
+      timestamp: new Date(),
+      isFinal,
+      startTime: words[0]?.start ?? offset,
+      endTime: words[words.length - 1]?.end,
+      words,
+    };
+
+    this.notify(isFinal ? "transcript" : "interim", session.callId, transcript);
+  }
+
+  async acquireSlot() {
+    if (this.active < this.config.MAX_CONCURRENT) {
+      this.active++;
+      return;
+    }
+    await new Promise((resolve) => this.slotWaiters.push(resolve));
+  }
+
+  releaseSlot() {
+    const next = this.slotWaiters.shift();
+    if (next) {
+      next(); // hand the slot straight over
+    } else {
+      this.active--;
+    }
+  }
+
+  // Flush any buffered audio as a final result and forget the call
+  stop(callId) {
+    const session = this.sessions.get(callId);
+    if (!session) return;
+
+    this.sessions.delete(callId);
+    clearTimeout(session.idleTimer);
+    session.drainWaiters.splice(0).forEach((release) => release());
+
+    if (session.live) {
+      session.live.finish();
+    } else {
+      // An in-flight request picks up the rest when it finishes
+      session.stopped = true;
+      session.flushRequested = true;
+      this.schedule(session);
+    }
+
+    console.log(`🎙️ Audio ingestion stopped for call ${callId}`);
+  }
+}
+
+const audioIngestionService = new AudioIngestionService();
+export default audioIngestionService;
@@ -0,0 +1,524 @@
+import fs from "fs";
+import config from "../config/config.js";
+import Call from "../models/Call.js";
+import Transcript from "../models/Transcript.js";
+import User from "../models/User.js";
+import aiService from "./aiService.js";
+import jobQueue from "./jobQueue.js";
+import objectionLibraryService from "./objectionLibraryService.js";
+import scorecardService from "./scorecardService.js";
+import { timeLine } from "./talkMetrics.js";
+
+// Built-in methodologies the LLM grades calls against. A custom one can be
+// loaded from SCORING_RUBRIC_FILE with the same shape.
+const RUBRICS = {
+  default: {
+    name: "Consultative selling",
+    criteria: [
+      {
+        key: "discovery",
+        label: "Discovery",
+        description:
+          "Asked open questions to uncover the prospect's situation, pains and goals",
+        weight: 1,
+      },
+      {
+        key: "value",
+        label: "Value",
+        description:
+          "Tied the product's value to the needs the prospect expressed",
+        weight: 1,
+      },
+      {
+        key: "objection_handling",
+        label: "Objection handling",
+        description:
+          "Acknowledged concerns and answered them with specifics instead of pressure",
+        weight: 1,
+      },
+      {
+        key: "next_steps",
+        label: "Next steps",
+        description:
+          "Agreed a concrete next step with an owner and a date before the call ended",
+        weight: 1,
+      },
+      {
+        key: "rapport",
+        label: "Rapport",
+        description:
+          "Built rapport, listened actively and kept the conversation two-way",
+        weight: 0.5,
+      },
+    ],
+  },
+  challenger: {
+    name: "Challenger Sale",
+    criteria: [
+      {
+        key: "teach",
+        label: "Teach",
+        description:
+          "Shared an insight that reframed how the prospect sees their business or problem",
+        weight: 1,
+      },
+      {
+        key: "tailor",
+        label: "Tailor",
+        description:
+          "Adapted the message to the prospect's role, priorities and language",
+        weight: 1,
+      },
+      {
+        key: "take_control",
+        label: "Take control",
+        description:
+          "Led the conversation, was direct about money and pushed back constructively",
+        weight: 1,
+      },
+      {
+        key: "next_steps",
+        label: "Next steps",
+        description:
+          "Secured a concrete commitment to move forward before the call ended",
+        weight: 1,
+      },
+    ],
+  },
+};
+
+// How far (as a share of the call) the talk ratio can be outside the ideal
+// band before it scores zero
+const TALK_RATIO_TOLERANCE = 0.35;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+// Weighted average of { score, weight } entries with a score
+function weightedAverage(entries) {
+  const scored = entries.filter((entry) => typeof entry.score === "number");
+  const totalWeight = scored.reduce((sum, entry) => sum + entry.weight, 0);
+  if (totalWeight === 0) return null;
+  return (
+    scored.reduce((sum, entry) => sum + entry.score * entry.weight, 0) /
+    totalWeight
+  );
+}
+
+// Post-call scoring engine. Measures the conversation from the transcript
+// (talk/listen ratio, longest monologue, questions, objections handled,
+// prospect sentiment), grades it against the configured methodology with the
+// LLM and stores the 0-100 score with a per-criterion breakdown on
+// Call.performanceData.
+class CallScoringService {
+  constructor() {
+    this.config = config.SCORING;
+    this.customRubric = undefined;
+    this.timer = null;
+    this.lastCheck = null;
+  }
+
+  // The configured methodology; unknown names fall back to the default
+  rubric() {
+    if (this.config.RUBRIC_FILE) {
+      if (this.customRubric === undefined) {
+        this.customRubric = this.loadRubric(this.config.RUBRIC_FILE);
+      }
+      if (this.customRubric) return this.customRubric;
+    }
+
+    const key = RUBRICS[this.config.METHODOLOGY]
+      ? this.config.METHODOLOGY
+      : "default";
+    return { key, ...RUBRICS[key] };
+  }
+
+  loadRubric(filePath) {
+    try {
+      const rubric = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      const criteria = (rubric.criteria || []).filter(
+        (criterion) => criterion.key && criterion.description
+      );
+      if (criteria.length === 0) {
+        throw new Error(
+          "the rubric has no criteria with a key and description"
+        );
+      }
+
+      return {
+        key: rubric.key || "custom",
+        name: rubric.name || "Custom methodology",
+        criteria: criteria.map((criterion) => ({
+          key: criterion.key,
+          label: criterion.label || criterion.key,
+          description: criterion.description,
+          weight: criterion.weight > 0 ? criterion.weight : 1,
+        })),
+      };
+    } catch (error) {
+      console.error(
+        `❌ Could not load the scoring rubric from ${filePath}, using the built-in one:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  // Transcript lines in time order with start/end in seconds from the call's
+  // start. Lines without timings are placed by timestamp and timed by length.
+  timeLines(call, transcripts) {
+    const lines = transcripts
+      .filter((transcript) => transcript.text?.trim())
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const origin = new Date(
+      call.startTime || lines[0]?.timestamp || Date.now()
+    ).getTime();
+
+    return lines.map((line) => ({ line, ...timeLine(line, origin) }));
+  }
+
+  isQuestion(line) {
+    return line.intent === "question" || line.text.includes("?");
+  }
+
+  // Measured conversation metrics. `repNames` are the lowercased speaker
+  // names of the rep; when none of them spoke, the first speaker is taken
+  // as the rep and the result is flagged as guessed.
+  measure(call, transcripts, repNames) {
+    const timed = this.timeLines(call, transcripts);
+    if (timed.length === 0) return null;
+
+    const speakerOf = (line) => (line.speaker || "").trim().toLowerCase();
+    let reps = repNames;
+    let repGuessed = false;
+    if (!timed.some(({ line }) => reps.has(speakerOf(line)))) {
+      reps = new Set([speakerOf(timed[0].line)]);
+      repGuessed = true;
+    }
+    const isRep = (line) => reps.has(speakerOf(line));
+
+    const repSeconds = timed
+      .filter(({ line }) => isRep(line))
+      .reduce((sum, { duration }) => sum + duration, 0);
+    const totalSeconds = timed.reduce(
+      (sum, { duration }) => sum + duration,
+      0
+    );
+    const callSeconds = Math.max(
+      60,
+      timed[timed.length - 1].end - timed[0].start
+    );
+
+    // A monologue is an uninterrupted run of rep lines
+    let longestMonologue = 0;
+    let runStart = null;
+    timed.forEach(({ line, start, end }, i) => {
+      if (!isRep(line)) {
+        runStart = null;
+        return;
+      }
+      if (runStart === null) runStart = start;
+      const runEnds = i === timed.length - 1 || !isRep(timed[i + 1].line);
+      if (runEnds) {
+        longestMonologue = Math.max(longestMonologue, end - runStart);
+      }
+    });
+
+    const lines = timed.map(({ line }) => line);
+    const prospectLines = lines.filter((line) => !isRep(line));
+    const objectionsRaised = prospectLines.filter((line) =>
+      objectionLibraryService.isObjection(line)
+    ).length;
+    const objectionsHandled = Math.min(
+      objectionsRaised,
+      objectionLibraryService.extractPairs(call, lines, reps).length
+    );
+
+    // The prospect's mood counts; fall back to the whole call
+    const sentimentOf = (subset) =>
+      subset
+        .map((line) => line.sentimentScore)
+        .filter((score) => typeof score === "number");
+    let sentiments = sentimentOf(prospectLines);
+    if (sentiments.length === 0) sentiments = sentimentOf(lines);
+
+    return {
+      talkTimeRatio: totalSeconds > 0 ? round(repSeconds / totalSeconds) : 0,
+      longestMonologue: Math.round(longestMonologue),
+      questionsAsked: lines.filter(
+        (line) => isRep(line) && this.isQuestion(line)
+      ).length,
+      objectionsRaised,
+      objectionsHandled,
+      sentimentScore: sentiments.length
+        ? round(
+            sentiments.reduce((sum, score) => sum + score, 0) /
+              sentiments.length
+          )
+        : null,
+      callMinutes: callSeconds / 60,
+      repGuessed,
+    };
+  }
+
+  // 0-100 score per metric; null when there is nothing to judge
+  scoreMetrics(metrics) {
+    const {
+      IDEAL_TALK_RATIO_MIN,
+      IDEAL_TALK_RATIO_MAX,
+      MAX_MONOLOGUE_SECONDS,
+      QUESTIONS_PER_10_MIN,
+    } = this.config;
+
+    const ratio = metrics.talkTimeRatio;
+    const outside = Math.max(
+      0,
+      IDEAL_TALK_RATIO_MIN - ratio,
+      ratio - IDEAL_TALK_RATIO_MAX
+    );
+    const questionRate = (metrics.questionsAsked / metrics.callMinutes) * 10;
+
+    return [
+      {
+        key: "talk_ratio",
+        label: "Talk/listen ratio",
+        value: ratio,
+        score: 100 * clamp(1 - outside / TALK_RATIO_TOLERANCE, 0, 1),
+        note: `Rep talked ${Math.round(ratio * 100)}% of the time (ideal ${Math.round(IDEAL_TALK_RATIO_MIN * 100)}-${Math.round(IDEAL_TALK_RATIO_MAX * 100)}%)`,
+      },
+      {
+        key: "longest_monologue",
+        label: "Longest monologue",
+        value: metrics.longestMonologue,
+        score:
+          metrics.longestMonologue <= MAX_MONOLOGUE_SECONDS
+            ? 100
+            : (100 * MAX_MONOLOGUE_SECONDS) / metrics.longestMonologue,
+        note: `Longest stretch without a break: ${metrics.longestMonologue}s (aim for under ${MAX_MONOLOGUE_SECONDS}s)`,
+      },
+      {
+        key: "questions",
+        label: "Questions asked",
+        value: metrics.questionsAsked,
+        score: 100 * clamp(questionRate / QUESTIONS_PER_10_MIN, 0, 1),
+        note: `${metrics.questionsAsked} question(s), ${round(questionRate, 1)} per 10 minutes (aim for ${QUESTIONS_PER_10_MIN})`,
+      },
+      {
+        key: "objections_handled",
+        label: "Objections handled",
+        value: metrics.objectionsHandled,
+        score:
+          metrics.objectionsRaised > 0
+            ? (100 * metrics.objectionsHandled) / metrics.objectionsRaised
+            : null,
+        note:
+          metrics.objectionsRaised > 0
+            ? `${metrics.objectionsHandled} of ${metrics.objectionsRaised} objection(s) answered`
+            : "No objections raised",
+      },
+      {
+        key: "sentiment",
+        label: "Prospect sentiment",
+        value: metrics.sentimentScore,
+        score:
+          metrics.sentimentScore === null
+            ? null
+            : 50 * (metrics.sentimentScore + 1),
+        note:
+          metrics.sentimentScore === null
+            ? "No sentiment data"
+            : `Average sentiment ${metrics.sentimentScore}`,
+      },
+    ].map((entry) => ({ ...entry, source: "metric", weight: 1 }));
+  }
+
+  // LLM grades per rubric criterion, or null when no LLM is available or
+  // grading failed
+  async gradeRubric(transcripts, rubric) {
+    if (!aiService.llm.isAvailable("analysis")) return null;
+
+    try {
+      const result = await aiService.scoreCallRubric(transcripts, rubric);
+      const grades = new Map(
+        (result.criteria || []).map((grade) => [grade.key, grade])
+      );
+      return {
+        criteria: rubric.criteria.map((criterion) => {
+          const grade = grades.get(criterion.key);
+          return {
+            key: criterion.key,
+            label: criterion.label,
+            source: "rubric",
+            weight: criterion.weight,
+            score:
+              typeof grade?.score === "number"
+                ? 10 * clamp(grade.score, 0, 10)
+                : null,
+            note: grade?.evidence || "",
+          };
+        }),
+        engagementLevel:
+          typeof result.engagement_level === "number"
+            ? clamp(result.engagement_level, 0, 10)
+            : undefined,
+        keyTopics: Array.isArray(result.key_topics)
+          ? result.key_topics.slice(0, 20)
+          : undefined,
+      };
+    } catch (error) {
+      console.warn(
+        `⚠️ Rubric scoring failed, using metrics only: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  // Scores a call from its transcript and sets the result on
+  // call.performanceData without saving
+  async scoreCall(call, transcripts) {
+    const owner = await User.findById(call.user).select("name email").lean();
+    const metrics = this.measure(
+      call,
+      transcripts,
+      Call.repSpeakers(call, owner)
+    );
+    if (!metrics) {
+      call.set("performanceData.scoredAt", new Date());
+      return { scored: false, reason: "No transcript to score" };
+    }
+
+    const rubric = this.rubric();
+    const metricEntries = this.scoreMetrics(metrics);
+    const graded = await this.gradeRubric(transcripts, rubric);
+
+    const metricScore = weightedAverage(metricEntries);
+    const rubricScore = graded ? weightedAverage(graded.criteria) : null;
+    const rubricWeight = rubricScore === null ? 0 : this.config.RUBRIC_WEIGHT;
+    const score =
+      rubricScore === null
+        ? metricScore
+        : rubricWeight * rubricScore + (1 - rubricWeight) * metricScore;
+
+    // Each entry's weight is its share of the final score
+    const share = (entries, groupWeight) => {
+      const total = entries
+        .filter((entry) => entry.score !== null)
+        .reduce((sum, entry) => sum + entry.weight, 0);
+      return entries.map((entry) => ({
+        ...entry,
+        score: entry.score === null ? null : Math.round(entry.score),
+        weight:
+          entry.score === null || total === 0
+            ? 0
+            : round((groupWeight * entry.weight) / total, 3),
+      }));
+    };
+    const breakdown = [
+      ...share(graded?.criteria || [], rubricWeight),
+      ...share(metricEntries, 1 - rubricWeight),
+    ];
+
+    const performance = {
+      score: Math.round(score),
+      talkTimeRatio: metrics.talkTimeRatio,
+      longestMonologue: metrics.longestMonologue,
+      questionsAsked: metrics.questionsAsked,
+      objectionsRaised: metrics.objectionsRaised,
+      objectionsHandled: metrics.objectionsHandled,
+      sentimentScore: metrics.sentimentScore ?? undefined,
+      engagementLevel: graded?.engagementLevel,
+      keywordsMentioned: graded?.keyTopics,
+      methodology: graded ? rubric.key : "metrics",
+      breakdown,
+      repSpeakerGuessed: metrics.repGuessed,
+      scoredAt: new Date(),
+    };
+    Object.entries(performance).forEach(([key, value]) => {
+      if (value !== undefined) call.set(`performanceData.${key}`, value);
+    });
+
+    return { scored: true, score: performance.score };
+  }
+
+  // Job handler: review the scorecard of a saved call, score it and store
+  // the result
+  async score(callId, { onProgress } = {}) {
+    const call = await Call.findById(callId);
+    if (!call) return null;
+
+    const callKeys = [call._id, call.meetingId].filter(Boolean).map(String);
+    const transcripts = await Transcript.find({ call: { $in: callKeys } })
+      .sort({ timestamp: 1 })
+      .lean();
+    await onProgress?.(20);
+
+    // The qualification scorecard is reviewed in the same post-call pass
+    await scorecardService.evaluate(call, transcripts);
+    await onProgress?.(50);
+
+    const result = await this.scoreCall(call, transcripts);
+    await call.save();
+    console.log(
+      result.scored
+        ? `🏅 Scored call ${callId}: ${result.score}/100`
+        : `🏅 Call ${callId} has no transcript to score`
+    );
+    return { callId: String(callId), ...result };
+  }
+
+  enqueueScore(call, userId = call.user) {
+    return jobQueue.enqueue(
+      "call.score",
+      { callId: String(call._id) },
+      {
+        user: userId,
+        resource: { kind: "call", id: call._id },
+        dedupe: true,
+      }
+    );
+  }
+
+  // Score completed calls that have no score yet: every such call on the
+  // first check, then the ones completed since the last check
+  start() {
+    if (this.timer) return;
+    this.lastCheck = null;
+    this.timer = setInterval(
+      () => this.enqueueUnscored(),
+      this.config.CHECK_INTERVAL_MS
+    );
+    this.timer.unref();
+    console.log("🏅 Call scoring scheduler started");
+    this.enqueueUnscored();
+  }
+
+  stop() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async enqueueUnscored() {
+    try {
+      const filter = {
+        status: "completed",
+        "performanceData.scoredAt": { $exists: false },
+      };
+      if (this.lastCheck) filter.updatedAt = { $gte: this.lastCheck };
+      this.lastCheck = new Date();
+
+      const calls = await Call.find(filter).select("_id user").lean();
+      for (const call of calls) {
+        await this.enqueueScore(call);
+      }
+      if (calls.length > 0) {
+        console.log(`🏅 Queued scoring for ${calls.length} call(s)`);
+      }
+    } catch (error) {
+      console.error("Error scheduling call scoring:", error);
+    }
+  }
+}
+
+const callScoringService = new CallScoringService();
+export default callScoringService;
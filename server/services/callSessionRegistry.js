@@ -0,0 +1,254 @@
+import config from "../config/config.js";
+import TranscriptAnalyzer from "./transcriptAnalyzer.js";
+import TalkMetrics from "./talkMetrics.js";
+
+// Socket.IO room for a call. Calls are keyed by their database id and the
+// prefix keeps them apart from the per-user rooms.
+export function callRoom(callId) {
+  return `call:${callId}`;
+}
+
+// Keeps the per-call live state (analyzer, dedupe set, RTMS binding) so that
+// concurrent calls never share context.
+class CallSessionRegistry {
+  constructor() {
+    this.sessions = new Map(); // callId -> session
+    this.meetingBindings = new Map(); // RTMS meetingId -> callId
+    this.endHandlers = [];
+
+    this.config = {
+      IDLE_TIMEOUT: config.CALL_SESSION_IDLE_TIMEOUT_MS,
+      RECONNECT_GRACE: config.CALL_SESSION_RECONNECT_GRACE_MS,
+      SWEEP_INTERVAL: 60000, // 1 minute
+      MAX_PROCESSED_TRANSCRIPTS: 100,
+      MAX_EVENT_LOG: 200,
+    };
+
+    this.sweepTimer = setInterval(
+      () => this.sweepIdleSessions(),
+      this.config.SWEEP_INTERVAL
+    );
+    // Don't keep the process alive just for the sweeper
+    this.sweepTimer.unref?.();
+  }
+
+  // Get the session for a call, creating it if needed
+  getOrCreate(callId, { platform, meetingId, ownerId, preferences } = {}) {
+    let session = this.sessions.get(callId);
+
+    if (!session) {
+      session = {
+        callId,
+        platform: platform || "unknown",
+        meetingId: null,
+        ownerId: null,
+        analyzer: new TranscriptAnalyzer(),
+        processedTranscripts: new Set(),
+        sockets: new Set(),
+        events: [], // replay log of room events
+        nextSeq: 1,
+        acks: new Map(), // socketId -> last acknowledged seq
+        scorecard: null, // the call's live qualification checklist
+        talkMetrics: new TalkMetrics(), // talk-time and pace meter
+        createdAt: Date.now(),
+        lastActivity: Date.now(),
+        emptySince: null, // when the last socket left
+      };
+      this.sessions.set(callId, session);
+      console.log(`🗂️ Call session created for call ${callId}`);
+    }
+
+    if (platform) session.platform = platform;
+    if (meetingId) this.bindMeeting(meetingId, callId);
+    if (ownerId) session.ownerId = String(ownerId);
+    if (preferences) session.analyzer.applyPreferences(preferences);
+
+    session.lastActivity = Date.now();
+    return session;
+  }
+
+  get(callId) {
+    return this.sessions.get(callId) || null;
+  }
+
+  touch(callId) {
+    const session = this.sessions.get(callId);
+    if (session) session.lastActivity = Date.now();
+    return session || null;
+  }
+
+  // Attach a socket to a call session
+  addSocket(callId, socketId, options = {}) {
+    const session = this.getOrCreate(callId, options);
+    session.sockets.add(socketId);
+    session.emptySince = null;
+    return session;
+  }
+
+  // Detach a socket. Once nobody is left on the call the session is kept for
+  // the reconnect grace period, so a rep who drops and rejoins gets the
+  // missed events and keeps the analyzer state; the sweeper then ends it.
+  removeSocket(callId, socketId) {
+    const session = this.sessions.get(callId);
+    if (!session) return null;
+
+    session.sockets.delete(socketId);
+    session.acks.delete(socketId);
+    if (session.sockets.size === 0) {
+      session.emptySince = Date.now();
+    }
+    return session;
+  }
+
+  // Bind a Zoom RTMS meeting to a call so its transcripts reach the right session
+  bindMeeting(meetingId, callId) {
+    if (!meetingId) return;
+    const key = String(meetingId);
+    const session = this.sessions.get(callId);
+
+    if (session && session.meetingId && session.meetingId !== key) {
+      this.meetingBindings.delete(session.meetingId);
+    }
+
+    this.meetingBindings.set(key, callId);
+    if (session) session.meetingId = key;
+  }
+
+  getCallIdForMeeting(meetingId) {
+    if (!meetingId) return null;
+    return this.meetingBindings.get(String(meetingId)) || null;
+  }
+
+  // Returns true if the transcript was already seen for this call. Calls
+  // without a session have nothing to compare against.
+  isDuplicateTranscript(callId, key) {
+    const session = this.sessions.get(callId);
+    if (!session) return false;
+
+    if (session.processedTranscripts.has(key)) {
+      return true;
+    }
+
+    session.processedTranscripts.add(key);
+
+    // Clean up old entries (keep only the most recent half)
+    if (
+      session.processedTranscripts.size > this.config.MAX_PROCESSED_TRANSCRIPTS
+    ) {
+      const entries = Array.from(session.processedTranscripts);
+      session.processedTranscripts = new Set(
+        entries.slice(-this.config.MAX_PROCESSED_TRANSCRIPTS / 2)
+      );
+    }
+
+    return false;
+  }
+
+  // Push changed preferences into every live call owned by the user
+  applyUserPreferences(userId, preferences) {
+    const id = String(userId);
+    this.sessions.forEach((session) => {
+      if (session.ownerId === id) {
+        session.analyzer.applyPreferences(preferences);
+      }
+    });
+  }
+
+  // Stamp a room event with a sequence number and keep it for replay. Events
+  // for calls without a session are not kept and get no seq.
+  recordEvent(callId, event, payload) {
+    const session = this.sessions.get(callId);
+    if (!session) return { ...payload, callId };
+
+    const envelope = { ...payload, callId, seq: session.nextSeq++ };
+
+    session.events.push({ event, payload: envelope });
+    if (session.events.length > this.config.MAX_EVENT_LOG) {
+      session.events = session.events.slice(-this.config.MAX_EVENT_LOG);
+    }
+
+    return envelope;
+  }
+
+  // Events a client has not seen yet, oldest first
+  getEventsSince(callId, seq = 0) {
+    const session = this.sessions.get(callId);
+    if (!session) return [];
+    return session.events.filter((entry) => entry.payload.seq > seq);
+  }
+
+  acknowledge(callId, socketId, seq) {
+    const session = this.sessions.get(callId);
+    if (!session || typeof seq !== "number") return;
+
+    const previous = session.acks.get(socketId) || 0;
+    if (seq > previous) session.acks.set(socketId, seq);
+  }
+
+  getLastAck(callId, socketId) {
+    return this.sessions.get(callId)?.acks.get(socketId) || 0;
+  }
+
+  // Tear down a call session and its RTMS binding
+  end(callId) {
+    const session = this.sessions.get(callId);
+    if (!session) return null;
+
+    if (
+      session.meetingId &&
+      this.meetingBindings.get(session.meetingId) === callId
+    ) {
+      this.meetingBindings.delete(session.meetingId);
+    }
+
+    this.sessions.delete(callId);
+    console.log(`🧹 Call session ended for call ${callId}`);
+
+    this.endHandlers.forEach((handler) => {
+      try {
+        handler(session);
+      } catch (error) {
+        console.error("❌ Error in call session end handler:", error);
+      }
+    });
+
+    return session;
+  }
+
+  // Register a handler that runs whenever a session is torn down or expires
+  onSessionEnd(handler) {
+    this.endHandlers.push(handler);
+  }
+
+  sweepIdleSessions(now = Date.now()) {
+    const expired = [];
+
+    for (const [callId, session] of this.sessions) {
+      const abandoned =
+        session.emptySince !== null &&
+        now - session.emptySince >= this.config.RECONNECT_GRACE;
+      if (
+        abandoned ||
+        now - session.lastActivity >= this.config.IDLE_TIMEOUT
+      ) {
+        expired.push(this.end(callId));
+      }
+    }
+
+    if (expired.length > 0) {
+      console.log(`⏱️ Expired ${expired.length} idle or abandoned call session(s)`);
+    }
+
+    return expired;
+  }
+
+  getSessions() {
+    return Array.from(this.sessions.values());
+  }
+
+  getActiveSessions() {
+    return Array.from(this.sessions.keys());
+  }
+}
+
+export default new CallSessionRegistry();
@@ -0,0 +1,192 @@
+import config from "../config/config.js";
+import Call from "../models/Call.js";
+import Transcript from "../models/Transcript.js";
+import User from "../models/User.js";
+import aiService from "./aiService.js";
+
+const list = (items) =>
+  Array.isArray(items)
+    ? items.map((item) => String(item).trim()).filter(Boolean)
+    : [];
+
+// Due dates come back as YYYY-MM-DD when the call pinned one down
+function parseDueDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || "")) return undefined;
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// Structured post-call summaries: executive summary, decisions, action items
+// with owners and due dates, risks and next steps. Each generation is saved
+// on the Call as a new version; earlier versions move to summaryHistory.
+class CallSummaryService {
+  constructor() {
+    this.config = config.SUMMARIES;
+  }
+
+  isAvailable() {
+    return aiService.llm.isAvailable("summaries");
+  }
+
+  // The call's lines with speech, oldest first. Lines are stored under the
+  // call's _id or its meetingId, so all of its keys are given.
+  async loadTranscripts(callKeys) {
+    return Transcript.find({
+      call: { $in: callKeys },
+      text: { $regex: /\S/ },
+    })
+      .sort({ timestamp: 1 })
+      .limit(this.config.MAX_TRANSCRIPTS)
+      .lean();
+  }
+
+  // Call details the LLM needs to name owners, tell the rep's side from the
+  // prospect's and resolve relative deadlines. `owner` is the call's User.
+  meetingData(call, transcripts, owner = null) {
+    const first = transcripts[0]?.timestamp;
+    const last = transcripts[transcripts.length - 1]?.timestamp;
+    const seconds =
+      call.duration ||
+      (first && last ? (new Date(last) - new Date(first)) / 1000 : 0);
+    const names = new Set([
+      ...(call.participants || []).map((participant) => participant.name),
+      ...transcripts.map((transcript) => transcript.speaker),
+    ]);
+    const repNames = Call.repSpeakers(call, owner);
+    const reps = [...names].filter(
+      (name) => name && repNames.has(name.trim().toLowerCase())
+    );
+    if (owner?.name && reps.length === 0) reps.push(owner.name);
+
+    return {
+      title: call.title,
+      date: new Date(call.startTime || first || Date.now())
+        .toISOString()
+        .slice(0, 10),
+      duration: Math.max(1, Math.round(seconds / 60)),
+      participants: [...names].filter(Boolean),
+      reps,
+    };
+  }
+
+  // The summary fields from the LLM's structured answer
+  async generate(transcripts, meetingData) {
+    const data = await aiService.generateMeetingSummary(
+      transcripts,
+      meetingData
+    );
+    const sentiment = data.sentiment_analysis || {};
+
+    return {
+      executiveSummary: String(data.executive_summary || "").trim(),
+      keyPoints: list(data.key_points),
+      decisions: list(data.decisions_made),
+      actionItems: (data.action_items || [])
+        .filter((item) => item?.task?.trim())
+        .map((item) => {
+          // The line the item was agreed on, by its number in the prompt
+          const line = Number.isInteger(item.line)
+            ? transcripts[item.line]
+            : undefined;
+          return {
+            task: item.task.trim(),
+            owner: item.owner?.trim() || undefined,
+            ownerType: ["rep", "prospect"].includes(item.owner_side)
+              ? item.owner_side
+              : undefined,
+            dueDate: parseDueDate(item.due_date),
+            due: item.due?.trim() || undefined,
+            transcript: line?._id,
+            timestamp: line?.timestamp,
+          };
+        }),
+      risks: list(data.risks),
+      nextSteps: list(data.next_steps),
+      topics: list(data.topics_covered),
+      sentiment: {
+        overall: sentiment.overall_sentiment,
+        interestLevel: sentiment.client_interest_level,
+        likelihoodToClose: sentiment.likelihood_to_close,
+      },
+      transcriptCount: transcripts.length,
+      generatedAt: new Date(),
+    };
+  }
+
+  // Write a new summary version onto the call (not saved). The current
+  // version is kept in the history, which is capped at MAX_VERSIONS.
+  async summarize(call, transcripts, { userId } = {}) {
+    const owner = await User.findById(call.user).select("name email").lean();
+    const fields = await this.generate(
+      transcripts,
+      this.meetingData(call, transcripts, owner)
+    );
+
+    const previous = call.summary?.version ? call.summary : null;
+    if (previous) {
+      call.summaryHistory.push(previous.toObject?.() || previous);
+      if (call.summaryHistory.length > this.config.MAX_VERSIONS) {
+        call.summaryHistory.splice(
+          0,
+          call.summaryHistory.length - this.config.MAX_VERSIONS
+        );
+      }
+    }
+
+    call.summary = {
+      ...fields,
+      version: (previous?.version || 0) + 1,
+      generatedBy: userId,
+    };
+    return call.summary;
+  }
+
+  // A version of the call's summary: the current one by default
+  findVersion(call, version) {
+    if (!version || version === call.summary?.version) {
+      return call.summary?.version ? call.summary : null;
+    }
+    return (
+      (call.summaryHistory || []).find((entry) => entry.version === version) ||
+      null
+    );
+  }
+
+  // Versions available for the call, newest first
+  versions(call) {
+    return [call.summary, ...(call.summaryHistory || []).slice().reverse()]
+      .filter((entry) => entry?.version)
+      .map((entry) => ({
+        version: entry.version,
+        generatedAt: entry.generatedAt,
+      }));
+  }
+
+  toClient(summary) {
+    if (!summary) return null;
+    return {
+      version: summary.version ?? null,
+      executiveSummary: summary.executiveSummary || "",
+      keyPoints: summary.keyPoints || [],
+      decisions: summary.decisions || [],
+      actionItems: (summary.actionItems || []).map((item) => ({
+        task: item.task,
+        owner: item.owner || null,
+        ownerType: item.ownerType || null,
+        dueDate: item.dueDate || null,
+        due: item.due || null,
+        transcriptId: item.transcript || null,
+        timestamp: item.timestamp || null,
+      })),
+      risks: summary.risks || [],
+      nextSteps: summary.nextSteps || [],
+      topics: summary.topics || [],
+      sentiment: summary.sentiment || null,
+      transcriptCount: summary.transcriptCount || 0,
+      generatedAt: summary.generatedAt || null,
+    };
+  }
+}
+
+const callSummaryService = new CallSummaryService();
+export default callSummaryService;
@@ -0,0 +1,116 @@
+import config from "../config/config.js";
+import { decodeToPcm } from "../lib/audioDecoder.js";
+import {
+  computeMfccFrames,
+  embedSegments,
+  clusterSpeakers,
+} from "../lib/speakerEmbedding.js";
+
+// Self-introductions that give the speaker's first name
+const INTRODUCTION_PATTERNS = [
+  /\bmy name is ([a-z][a-z'-]+)/i,
+  /\bthis is ([a-z][a-z'-]+)(?: [a-z'-]+)?(?: from| with| here|[,.!]|$)/i,
+  /\bi'?m ([a-z][a-z'-]+)(?: [a-z'-]+)?(?: from| with| here|[,.!]|$)/i,
+  /\b([a-z][a-z'-]+) here\b/i,
+];
+
+// Labels transcript segments with speakers and suggests which call
+// participant each speaker is. Providers that diarize themselves skip
+// diarize(); everything else is clustered from the audio.
+class DiarizationService {
+  // Assign "Speaker N" labels to timed segments by clustering voice
+  // embeddings. speakers fixes the number of speakers when it is known.
+  async diarize(audio, segments, { mimeType, speakers } = {}) {
+    if (!segments?.length) return [];
+
+    const { samples, sampleRate } = await decodeToPcm(audio, {
+      mimeType,
+      ffmpegPath: config.STT.FFMPEG_PATH,
+    });
+    const features = computeMfccFrames(samples, sampleRate);
+    const embeddings = embedSegments(features, segments);
+    const labels = clusterSpeakers(embeddings, {
+      durations: segments.map((segment) => segment.end - segment.start),
+      speakers,
+      maxSpeakers: config.STT.MAX_SPEAKERS,
+    });
+
+    return segments.map((segment, index) => ({
+      ...segment,
+      speaker: `Speaker ${labels[index] + 1}`,
+    }));
+  }
+
+  // Suggest a participant for each speaker label. A label that already is a
+  // participant's name or email maps directly; otherwise self-introductions
+  // in the speaker's lines are matched against participant names.
+  suggestSpeakerMapping(speakers, participants = []) {
+    const claimed = new Set();
+    const normalize = (value) => (value || "").trim().toLowerCase();
+
+    const suggestions = speakers.map(({ label, lines = [] }) => {
+      const direct = participants.find(
+        (participant) =>
+          normalize(participant.name) === normalize(label) ||
+          (participant.email &&
+            normalize(participant.email) === normalize(label))
+      );
+      if (direct) {
+        return this.toSuggestion(label, direct, 1, "label matches participant");
+      }
+
+      for (const text of lines) {
+        for (const pattern of INTRODUCTION_PATTERNS) {
+          const name = normalize(text.match(pattern)?.[1]);
+          if (!name) continue;
+
+          const participant = participants.find(
+            (p) => normalize(p.name).split(/\s+/)[0] === name
+          );
+          if (participant) {
+            return this.toSuggestion(
+              label,
+              participant,
+              0.7,
+              `introduced as "${name}"`
+            );
+          }
+        }
+      }
+
+      return this.toSuggestion(label, null, 0, "no match");
+    });
+
+    // One participant per speaker: the most confident suggestion keeps it
+    return suggestions
+      .map((suggestion, index) => ({ suggestion, index }))
+      .sort((a, b) => b.suggestion.confidence - a.suggestion.confidence)
+      .map(({ suggestion, index }) => {
+        const key = suggestion.participantId;
+        if (key && claimed.has(key)) {
+          return {
+            index,
+            suggestion: this.toSuggestion(suggestion.label, null, 0, "no match"),
+          };
+        }
+        if (key) claimed.add(key);
+        return { index, suggestion };
+      })
+      .sort((a, b) => a.index - b.index)
+      .map(({ suggestion }) => suggestion);
+  }
+
+  toSuggestion(label, participant, confidence, reason) {
+    return {
+      label,
+      participantId: participant?._id ? String(participant._id) : null,
+      name: participant?.name || null,
+      email: participant?.email || null,
+      confidence,
+      reason,
+    };
+  }
+}
+
+const diarizationService = new DiarizationService();
+export default diarizationService;
@@ -0,0 +1,437 @@
+import config from "../config/config.js";
+import llmService from "./llmService.js";
+import { chunkByTokens, estimateTokens } from "../lib/textChunker.js";
+
+// aiContext list fields and the keys the model fills for them
+const LIST_FIELDS = [
+  {
+    field: "keyFeatures",
+    key: "key_features",
+    description:
+      "Product features with specific technical details and what makes each one unique",
+  },
+  {
+    field: "benefits",
+    key: "benefits",
+    description:
+      "Customer benefits and business value, with numbers or examples where stated",
+  },
+  {
+    field: "pricingInfo",
+    key: "pricing_info",
+    description:
+      "Prices, plans, tiers, discounts, contract terms and pricing conditions",
+  },
+  {
+    field: "useCases",
+    key: "use_cases",
+    description: "Concrete use cases and the problems they solve",
+  },
+  {
+    field: "competitiveAdvantages",
+    key: "competitive_advantages",
+    description: "Differentiators against competitors or alternatives",
+  },
+  {
+    field: "targetAudience",
+    key: "target_audience",
+    description: "Customer segments, roles and industries the offering targets",
+  },
+  {
+    field: "successStories",
+    key: "success_stories",
+    description: "Customer stories with the challenge, solution and results",
+  },
+];
+
+// aiContext fields holding lists of cited items
+export const AI_CONTEXT_LIST_FIELDS = LIST_FIELDS.map(({ field }) => field);
+
+const citedItem = (description) => ({
+  type: "array",
+  description,
+  items: {
+    type: "object",
+    properties: {
+      text: { type: "string" },
+      page: {
+        type: "integer",
+        description: "Page number from the nearest [Page N] marker before it",
+      },
+    },
+    required: ["text"],
+  },
+});
+
+const CHUNK_SCHEMA = {
+  type: "object",
+  properties: {
+    ...Object.fromEntries(
+      LIST_FIELDS.map(({ key, description }) => [key, citedItem(description)])
+    ),
+    objection_responses: {
+      type: "array",
+      description:
+        "Objections a buyer could raise about what this excerpt covers, with a response backed by the excerpt",
+      items: {
+        type: "object",
+        properties: {
+          objection: { type: "string" },
+          response: { type: "string" },
+          page: { type: "integer" },
+        },
+        required: ["objection", "response"],
+      },
+    },
+    summary: {
+      type: "string",
+      description:
+        "What this excerpt says that matters for selling (max 80 words)",
+    },
+  },
+  required: ["key_features", "benefits", "pricing_info", "summary"],
+};
+
+const SIMILARITY_THRESHOLD = 0.7;
+
+// Turns a document's text into Document.aiContext. Text that doesn't fit
+// one prompt is split into token-budgeted chunks (map), each chunk is
+// extracted on its own, and the results are merged with near-duplicates
+// folded together (reduce). Every item keeps the pages and chunks it came
+// from so suggestions can cite it.
+class DocumentExtractionService {
+  constructor() {
+    this.config = config.DOCUMENT_EXTRACTION;
+  }
+
+  get isAvailable() {
+    return llmService.isAvailable("documents");
+  }
+
+  // pages (page texts in order) enables page citations; onProgress is
+  // called with (chunksDone, chunkCount)
+  async extract(text, { type, pages, onProgress } = {}) {
+    if (!this.isAvailable) {
+      return {
+        ...this.emptyContext(),
+        detailedSummary:
+          "Document processing unavailable. Please configure an LLM provider to enable this feature.",
+      };
+    }
+
+    const paged = Array.isArray(pages) && pages.some((page) => page?.trim());
+    const chunks = chunkByTokens(paged ? pages : text, {
+      maxTokens: this.config.CHUNK_TOKENS,
+      overlapTokens: this.config.CHUNK_OVERLAP_TOKENS,
+    });
+    if (chunks.length === 0) {
+      throw new Error("Document has no text to extract");
+    }
+
+    const selected = chunks.slice(0, this.config.MAX_CHUNKS);
+    if (selected.length < chunks.length) {
+      console.warn(
+        `⚠️ Document has ${chunks.length} chunks, extracting the first ${selected.length}`
+      );
+    }
+
+    let done = 0;
+    const results = await mapWithConcurrency(
+      selected,
+      this.config.CONCURRENCY,
+      async (chunk) => {
+        try {
+          return await this.extractChunk(chunk, selected.length, type);
+        } catch (error) {
+          console.warn(
+            `⚠️ Extraction failed for chunk ${chunk.index}: ${error.message}`
+          );
+          return null;
+        } finally {
+          done++;
+          onProgress?.(done, selected.length);
+        }
+      }
+    );
+
+    const extracted = results.filter(Boolean);
+    if (extracted.length === 0) {
+      throw new Error("AI extraction failed for every part of the document");
+    }
+
+    const context = this.merge(extracted);
+    context.detailedSummary = await this.summarize(
+      extracted.map(({ summary }) => summary).filter(Boolean),
+      type
+    );
+
+    return {
+      ...context,
+      chunkCount: chunks.length,
+      chunksProcessed: extracted.length,
+      extractedAt: new Date(),
+    };
+  }
+
+  // Map step: items and a short summary for one chunk
+  async extractChunk(chunk, chunkCount, type) {
+    const location =
+      chunk.pageStart !== null
+        ? `pages ${chunk.pageStart}-${chunk.pageEnd}`
+        : `part ${chunk.index + 1} of ${chunkCount}`;
+
+    const { data } = await llmService.generateStructured(
+      "documents",
+      [
+        {
+          role: "system",
+          content:
+            "You are an expert sales assistant that extracts actionable sales information from product documents. Use only what the excerpt states, keep specific details (numbers, names, conditions) and write each item so it stands on its own. Leave a list empty when the excerpt has nothing for it.",
+        },
+        {
+          role: "user",
+          content: `Document type: ${type || "unknown"}
+Excerpt (${location}):${
+            chunk.pageStart !== null
+              ? "\nPage markers like [Page 12] show where each page starts; give the page each item comes from."
+              : ""
+          }
+
+${chunk.text}`,
+        },
+      ],
+      {
+        name: "extract_sales_context",
+        description: "Extract sales-relevant information from one excerpt",
+        schema: CHUNK_SCHEMA,
+        maxTokens: 1500,
+        temperature: 0.2,
+      }
+    );
+
+    const cite = (page) => ({
+      pages: this.citedPages(page, chunk),
+      chunks: [chunk.index],
+    });
+    const items = (key) =>
+      (Array.isArray(data?.[key]) ? data[key] : [])
+        .map((item) => (typeof item === "string" ? { text: item } : item))
+        .filter((item) => item?.text?.trim())
+        .map((item) => ({ text: item.text.trim(), ...cite(item.page) }));
+
+    return {
+      lists: Object.fromEntries(
+        LIST_FIELDS.map(({ field, key }) => [field, items(key)])
+      ),
+      objectionResponses: (Array.isArray(data?.objection_responses)
+        ? data.objection_responses
+        : []
+      )
+        .filter((item) => item?.objection?.trim() && item?.response?.trim())
+        .map((item) => ({
+          objection: item.objection.trim(),
+          response: item.response.trim(),
+          ...cite(item.page),
+        })),
+      summary: typeof data?.summary === "string" ? data.summary.trim() : "",
+    };
+  }
+
+  // A page the model cited only counts if it is inside the chunk; a chunk
+  // that is a single page cites that page either way
+  citedPages(page, chunk) {
+    if (chunk.pageStart === null) return [];
+    const number = Number(page);
+    if (
+      Number.isInteger(number) &&
+      number >= chunk.pageStart &&
+      number <= chunk.pageEnd
+    ) {
+      return [number];
+    }
+    return chunk.pageStart === chunk.pageEnd ? [chunk.pageStart] : [];
+  }
+
+  // Reduce step: fold near-duplicate items across chunks, keeping the most
+  // detailed wording and every citation. Items found in more chunks rank
+  // first.
+  merge(extracted) {
+    const context = this.emptyContext();
+
+    LIST_FIELDS.forEach(({ field }) => {
+      const merged = [];
+      extracted.forEach(({ lists }) => {
+        lists[field].forEach((item) => mergeItem(merged, item, item.text));
+      });
+      context[field] = rank(merged, this.config.MAX_ITEMS_PER_FIELD);
+    });
+
+    const objections = [];
+    extracted.forEach(({ objectionResponses }) => {
+      objectionResponses.forEach((item) =>
+        mergeItem(objections, item, item.objection)
+      );
+    });
+    context.objectionResponses = rank(
+      objections,
+      this.config.MAX_ITEMS_PER_FIELD
+    );
+
+    return context;
+  }
+
+  // Executive summary from the chunk summaries, condensed in rounds when
+  // they don't fit one prompt
+  async summarize(summaries, type) {
+    if (summaries.length === 0) return "";
+    if (summaries.length === 1) return summaries[0];
+
+    const groups = [];
+    let group = [];
+    let tokens = 0;
+    summaries.forEach((summary) => {
+      const summaryTokens = estimateTokens(summary);
+      const full = tokens + summaryTokens > this.config.CHUNK_TOKENS;
+      if (group.length > 0 && full) {
+        groups.push(group);
+        group = [];
+        tokens = 0;
+      }
+      group.push(summary);
+      tokens += summaryTokens;
+    });
+    groups.push(group);
+
+    try {
+      const condensed = [];
+      for (const parts of groups) {
+        const { content } = await llmService.chat(
+          "documents",
+          [
+            {
+              role: "system",
+              content:
+                "You write executive summaries of product documents for sales reps.",
+            },
+            {
+              role: "user",
+              content: `These are summaries of consecutive parts of one ${
+                type || ""
+              } document. Write one cohesive executive summary (max 250 words) of the most important sales information.\n\n${parts
+                .map((summary, i) => `Part ${i + 1}: ${summary}`)
+                .join("\n\n")}`,
+            },
+          ],
+          { maxTokens: 600, temperature: 0.3 }
+        );
+        condensed.push(content.trim());
+      }
+
+      return condensed.length === 1
+        ? condensed[0]
+        : this.summarize(condensed, type);
+    } catch (error) {
+      // The per-chunk summaries are still useful on their own
+      console.warn(`⚠️ Document summary failed: ${error.message}`);
+      return summaries.join("\n\n");
+    }
+  }
+
+  emptyContext() {
+    return {
+      ...Object.fromEntries(LIST_FIELDS.map(({ field }) => [field, []])),
+      objectionResponses: [],
+      detailedSummary: "",
+    };
+  }
+}
+
+// Fold item into the list when an existing entry says the same thing
+function mergeItem(list, item, text) {
+  const words = wordSet(text);
+  const existing = list.find(
+    (entry) =>
+      entry.key === normalize(text) ||
+      similarity(entry.words, words) >= SIMILARITY_THRESHOLD
+  );
+
+  if (!existing) {
+    list.push({ key: normalize(text), words, mentions: 1, item: { ...item } });
+    return;
+  }
+
+  existing.mentions++;
+  const longer =
+    text.length > (existing.item.text || existing.item.objection).length;
+  existing.item = {
+    ...(longer ? item : existing.item),
+    pages: union(existing.item.pages, item.pages),
+    chunks: union(existing.item.chunks, item.chunks),
+  };
+  if (longer) {
+    existing.key = normalize(text);
+    existing.words = words;
+  }
+}
+
+function rank(list, limit) {
+  return list
+    .map((entry, order) => ({ ...entry, order }))
+    .sort((a, b) => b.mentions - a.mentions || a.order - b.order)
+    .slice(0, limit)
+    .map(({ item }) => item);
+}
+
+function normalize(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function wordSet(text) {
+  return new Set(
+    normalize(text)
+      .split(" ")
+      .filter((word) => word.length > 2)
+  );
+}
+
+// Jaccard overlap, or containment when one item is a shorter version of the
+// other
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach((word) => {
+    if (b.has(word)) shared++;
+  });
+  const containment = shared / Math.min(a.size, b.size);
+  const jaccard = shared / (a.size + b.size - shared);
+  return Math.min(a.size, b.size) >= 4
+    ? Math.max(jaccard, containment)
+    : jaccard;
+}
+
+function union(a = [], b = []) {
+  return [...new Set([...a, ...b])].sort((x, y) => x - y);
+}
+
+// Run fn over items with at most `limit` calls in flight, keeping order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+}
+
+const documentExtractionService = new DocumentExtractionService();
+export default documentExtractionService;
@@ -0,0 +1,216 @@
+import Document from "../models/Document.js";
+import DocumentChunk from "../models/DocumentChunk.js";
+import embeddingService, { cosineSimilarity } from "./embeddingService.js";
+import documentLibraryService from "./documentLibraryService.js";
+import { chunkText } from "../lib/textChunker.js";
+
+// Retrieval over a rep's uploaded documents: chunks and embeds extracted
+// text, then finds the passages most relevant to the live conversation.
+class DocumentKnowledgeService {
+  constructor() {
+    this.config = {
+      TOP_K: 3,
+      MIN_SCORE: 0.15,
+      MAX_CONTEXT_CHARS: 2400,
+      // Only the documents whose centroid is closest to the query have their
+      // chunks scored, so a search stays cheap as the library grows
+      MAX_CANDIDATE_DOCUMENTS: 20,
+      MAX_CANDIDATE_CHUNKS: 1000,
+    };
+  }
+
+  // Replace the stored chunks for a document with freshly embedded ones
+  async indexDocument(document) {
+    await DocumentChunk.deleteMany({ document: document._id });
+
+    const chunks = chunkText(document.extractedText);
+    const model = embeddingService.model;
+    if (chunks.length === 0) {
+      // Nothing to search; the empty centroid keeps it out of ranking
+      await Document.updateOne(
+        { _id: document._id },
+        { embeddings: [], embeddingModel: model }
+      );
+      return { chunkCount: 0 };
+    }
+
+    const embeddings = await embeddingService.embedTexts(
+      chunks.map((chunk) => chunk.text)
+    );
+
+    await DocumentChunk.insertMany(
+      chunks.map((chunk, i) => ({
+        document: document._id,
+        user: document.user,
+        index: chunk.index,
+        text: chunk.text,
+        wordCount: chunk.wordCount,
+        embedding: embeddings[i],
+        embeddingModel: model,
+        version: document.currentVersion,
+      }))
+    );
+
+    // Keep a document-level centroid for coarse similarity
+    await Document.updateOne(
+      { _id: document._id },
+      { embeddings: centroid(embeddings), embeddingModel: model }
+    );
+
+    console.log(
+      `📚 Indexed ${chunks.length} chunk(s) for document ${document._id} (${model})`
+    );
+    return { chunkCount: chunks.length, model };
+  }
+
+  async removeDocument(documentId) {
+    await DocumentChunk.deleteMany({ document: documentId });
+  }
+
+  // Find the chunks closest to the query among the processed documents the
+  // user can read: their own and their teams' shared ones. options.filter
+  // narrows the documents further (tags, dates). Documents are ranked by
+  // their centroid first and only the closest ones are searched chunk by chunk.
+  async search(userId, query, options = {}) {
+    const topK = options.topK || this.config.TOP_K;
+    const minScore = options.minScore ?? this.config.MIN_SCORE;
+
+    if (!userId || !query || !query.trim()) {
+      return [];
+    }
+
+    const documents = await Document.find({
+      ...(await documentLibraryService.documentFilter(userId)),
+      ...options.filter,
+      processed: true,
+    })
+      .select("_id name +embeddings embeddingModel")
+      .lean();
+    if (documents.length === 0) {
+      return [];
+    }
+
+    // Documents indexed before centroids were kept, or with another model
+    await this.refreshCentroids(
+      documents.filter((doc) => doc.embeddingModel !== embeddingService.model)
+    );
+
+    const queryEmbedding = await embeddingService.embedText(query);
+
+    const candidates = documents
+      .filter((doc) => doc.embeddings?.length > 0)
+      .map((doc) => ({
+        ...doc,
+        score: cosineSimilarity(queryEmbedding, doc.embeddings),
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.config.MAX_CANDIDATE_DOCUMENTS);
+
+    // Closest documents first, until the chunk budget is spent
+    const names = new Map(candidates.map((doc) => [String(doc._id), doc.name]));
+    const chunks = [];
+    for (const doc of candidates) {
+      const remaining = this.config.MAX_CANDIDATE_CHUNKS - chunks.length;
+      if (remaining <= 0) break;
+      chunks.push(
+        ...(await DocumentChunk.find({
+          document: doc._id,
+          embeddingModel: embeddingService.model,
+        })
+          .select("document index text embedding version")
+          .sort({ index: 1 })
+          .limit(remaining)
+          .lean())
+      );
+    }
+    if (chunks.length === 0) {
+      return [];
+    }
+
+    return chunks
+      .map((chunk) => ({
+        document: chunk.document,
+        name: names.get(String(chunk.document)),
+        chunkIndex: chunk.index,
+        version: chunk.version,
+        text: chunk.text,
+        score: cosineSimilarity(queryEmbedding, chunk.embedding),
+      }))
+      .filter((match) => match.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  // Compute and store the centroid of each document's chunks under the
+  // current embedding model. Updates the given (lean) documents in place.
+  async refreshCentroids(documents) {
+    const model = embeddingService.model;
+
+    for (const doc of documents) {
+      const chunks = await DocumentChunk.find({
+        document: doc._id,
+        embeddingModel: model,
+      })
+        .select("embedding")
+        .lean();
+
+      // Documents without chunks get an empty centroid and are skipped
+      doc.embeddings =
+        chunks.length > 0
+          ? centroid(chunks.map((chunk) => chunk.embedding))
+          : [];
+      doc.embeddingModel = model;
+      await Document.updateOne(
+        { _id: doc._id },
+        { embeddings: doc.embeddings, embeddingModel: model }
+      );
+    }
+  }
+
+  // Store centroids for processed documents that lack one for the current
+  // embedding model, ahead of the first search that would need them
+  async backfillCentroids({ limit = Infinity, onProgress } = {}) {
+    const documents = await Document.find({
+      processed: true,
+      embeddingModel: { $ne: embeddingService.model },
+    })
+      .select("_id")
+      .limit(Number.isFinite(limit) ? limit : 0)
+      .lean();
+
+    let done = 0;
+    for (const doc of documents) {
+      await this.refreshCentroids([doc]);
+      done++;
+      if (done % 50 === 0) onProgress?.({ done, total: documents.length });
+    }
+    return { done, total: documents.length };
+  }
+
+  // Format matches as numbered excerpts for a prompt
+  buildContext(matches) {
+    let remaining = this.config.MAX_CONTEXT_CHARS;
+    const excerpts = [];
+
+    matches.forEach((match, i) => {
+      if (remaining <= 0) return;
+      const text = match.text.substring(0, remaining);
+      remaining -= text.length;
+      excerpts.push(`[${i + 1}] ${match.name}: ${text}`);
+    });
+
+    return excerpts.join("\n\n");
+  }
+}
+
+function centroid(vectors) {
+  const sum = new Array(vectors[0].length).fill(0);
+  vectors.forEach((vector) => {
+    vector.forEach((value, i) => {
+      sum[i] += value / vectors.length;
+    });
+  });
+  return sum;
+}
+
+export default new DocumentKnowledgeService();
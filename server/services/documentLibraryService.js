@@ -0,0 +1,87 @@
+import Team from "../models/Team.js";
+import Document from "../models/Document.js";
+import DocumentFolder from "../models/DocumentFolder.js";
+
+// Document libraries: every user has a personal library and every team a
+// shared one, each organized in folders. Resolves who may read or change a
+// document or folder; a library is identified by its team id, or null for
+// the user's personal library.
+class DocumentLibraryService {
+  // Query filter for every document the user can read: their personal
+  // documents plus those of all their teams
+  async documentFilter(userId) {
+    const teams = await Team.find({ "members.user": userId }).select("_id");
+    return {
+      $or: [
+        { user: userId, team: null },
+        { team: { $in: teams.map((team) => team._id) } },
+      ],
+    };
+  }
+
+  // Filter for one library's documents
+  libraryFilter(userId, teamId) {
+    return teamId ? { team: teamId } : { user: userId, team: null };
+  }
+
+  // The user's access to a library: owner of their personal one, their
+  // member role for a team's, null without access
+  async libraryRole(userId, teamId) {
+    if (!teamId) return "owner";
+    const team = await Team.findById(teamId).select("members");
+    return team ? team.roleOf(userId) : null;
+  }
+
+  // The user's access to a document or folder
+  async roleFor(userId, resource) {
+    if (!resource.team) {
+      return String(resource.user) === String(userId) ? "owner" : null;
+    }
+    return this.libraryRole(userId, resource.team);
+  }
+
+  hasRole(role, required) {
+    return Team.hasRole(role, required);
+  }
+
+  // A folder of the given library, or null
+  async findFolder(userId, folderId, teamId) {
+    if (!folderId) return null;
+    return DocumentFolder.findOne({
+      _id: folderId,
+      ...this.libraryFilter(userId, teamId),
+    });
+  }
+
+  listFolders(userId, teamId) {
+    return DocumentFolder.find(this.libraryFilter(userId, teamId))
+      .sort({ name: 1 })
+      .lean();
+  }
+
+  // Whether moving a folder under the new parent would put it inside itself
+  async wouldCycle(folder, parentId) {
+    let current = parentId;
+    while (current) {
+      if (String(current) === String(folder._id)) return true;
+      const parent = await DocumentFolder.findById(current).select("parent");
+      current = parent?.parent;
+    }
+    return false;
+  }
+
+  // Delete a folder; its documents and subfolders move up to its parent
+  async deleteFolder(folder) {
+    await Promise.all([
+      Document.updateMany({ folder: folder._id }, { folder: folder.parent }),
+      DocumentFolder.updateMany(
+        { parent: folder._id },
+        { parent: folder.parent }
+      ),
+    ]);
+    await DocumentFolder.deleteOne({ _id: folder._id });
+  }
+}
+
+const documentLibraryService = new DocumentLibraryService();
+export default documentLibraryService;
@@ -0,0 +1,252 @@
+import fs from "fs";
+import documentExtractionService from "./documentExtractionService.js";
+import documentKnowledgeService from "./documentKnowledgeService.js";
+import documentVersionService from "./documentVersionService.js";
+import webDocumentService from "./webDocumentService.js";
+import { NonRetryableJobError } from "./jobQueue.js";
+import Document from "../models/Document.js";
+import { parsePdfFromPath } from "../lib/pdfParser.js";
+import { parseDoc } from "../lib/docParser.js";
+import { parseText } from "../lib/textParser.js";
+import { parsePptx } from "../lib/pptxParser.js";
+import { parseSpreadsheet } from "../lib/spreadsheetParser.js";
+import { parseHtml, parseMarkdown } from "../lib/markupParser.js";
+import { ocrImage, ocrPdf, needsOcr } from "../lib/ocr.js";
+import config from "../config/config.js";
+
+const OCR = config.OCR;
+
+const ocrOptions = () => ({
+  language: OCR.LANGUAGE,
+  tesseractPath: OCR.TESSERACT_PATH,
+});
+
+// Extracts text from an uploaded document, builds its AI sales context and
+// indexes it for retrieval. Runs as the "document.process" background job;
+// the Document's processingStatus follows the job.
+class DocumentProcessingService {
+  // Job handler: returns a summary of what was extracted
+  async process(job, { progress }) {
+    const document = await Document.findById(job.payload.documentId);
+    if (!document) {
+      throw new NonRetryableJobError("Document was deleted before processing");
+    }
+
+    // Scheduled re-fetches of URL documents keep the current content
+    // visible until the page turns out to have changed
+    const refreshing = Boolean(job.payload.refresh && document.processed);
+    if (!refreshing) {
+      document.processingStatus = "processing";
+      document.processingError = undefined;
+      await document.save();
+    }
+
+    await progress(10, "parsing");
+    const previousText = document.extractedText;
+    const {
+      text: extractedText,
+      pages,
+      metadata,
+      web,
+    } = await this.extractText(document, { progress });
+    if (!extractedText.trim()) {
+      throw new NonRetryableJobError(
+        "No text could be extracted from the document"
+      );
+    }
+
+    if (web) {
+      const { changed } = webDocumentService.recordFetch(
+        document,
+        extractedText,
+        web,
+        previousText
+      );
+      if (refreshing && !changed) {
+        await document.save();
+        return {
+          documentId: String(document._id),
+          unchanged: true,
+          crawledPages: web.pages.length,
+        };
+      }
+    }
+
+    // Long documents are extracted chunk by chunk; progress moves from 40
+    // to 80 as chunks complete
+    await progress(40, "analyzing");
+    const aiContext = await documentExtractionService.extract(extractedText, {
+      type: document.type,
+      pages,
+      onProgress: (done, total) =>
+        progress(40 + Math.round((40 * done) / total), "analyzing"),
+    });
+
+    document.extractedText = extractedText;
+    document.aiContext = aiContext;
+    if (pages) document.metadata.pageCount = pages.length;
+    Object.entries(metadata || {}).forEach(([key, value]) => {
+      document.set(`metadata.${key}`, value);
+    });
+    document.processed = true;
+    document.processingStatus = "completed";
+    await document.save();
+
+    // Every successful run becomes a version; chunks are tagged with it so
+    // suggestions can pin the version they drew on
+    const version = await documentVersionService.snapshot(document, {
+      reason: versionReason(job, document),
+      note: job.payload.note,
+    });
+
+    // Index for retrieval; a failure here shouldn't fail the processing
+    await progress(80, "indexing");
+    let chunkCount = 0;
+    let indexError;
+    try {
+      ({ chunkCount } = await documentKnowledgeService.indexDocument(document));
+    } catch (error) {
+      console.error("Error indexing document for retrieval:", error);
+      indexError = error.message;
+    }
+
+    console.log(`📄 Processed document ${document._id} (${document.name})`);
+    return {
+      documentId: String(document._id),
+      version,
+      wordCount: document.metadata?.wordCount || 0,
+      pageCount: pages?.length,
+      crawledPages: web?.pages.length,
+      extractedChunks: aiContext.chunkCount || 0,
+      chunkCount,
+      ...(indexError && { indexError }),
+    };
+  }
+
+  // Keep the Document's status in step with the job: pending while a retry
+  // is scheduled, failed once the job is dead. A failed re-fetch only
+  // records the error; the content from the last good fetch stays.
+  async onFailure(job, error, { willRetry }) {
+    if (willRetry && job.payload.refresh) return;
+    if (!willRetry) {
+      await webDocumentService.recordFailure(job.payload.documentId, error);
+    }
+    if (job.payload.refresh) return;
+
+    await Document.updateOne(
+      { _id: job.payload.documentId },
+      {
+        processingStatus: willRetry ? "pending" : "failed",
+        processingError: willRetry
+          ? `Attempt ${job.attempts} failed, retrying: ${error.message}`
+          : error.message,
+      }
+    );
+  }
+
+  // Returns { text, pages, metadata }; pages (text per page or slide) is
+  // only known for PDFs, scans and presentations. Parse failures are
+  // permanent: the same file fails the same way again
+  async extractText(document, { progress } = {}) {
+    // Network failures are retried; blocked, missing and non-HTML pages
+    // aren't
+    if (document.type === "url") {
+      try {
+        const web = await webDocumentService.fetch(document);
+        return { text: web.text, web };
+      } catch (error) {
+        if (error.permanent) throw new NonRetryableJobError(error.message);
+        throw error;
+      }
+    }
+
+    if (!document.filePath || !fs.existsSync(document.filePath)) {
+      throw new NonRetryableJobError(
+        "The uploaded file is no longer available"
+      );
+    }
+
+    try {
+      switch (document.type) {
+        case "pdf": {
+          const data = await parsePdfFromPath(document.filePath);
+          const scan = needsOcr(data.pages, OCR.MIN_PDF_CHARS_PER_PAGE);
+          if (OCR.ENABLED && scan) {
+            // Scanned PDF: the pages are images of text
+            await progress?.(15, "recognizing");
+            const scanned = await ocrPdf(document.filePath, {
+              ...ocrOptions(),
+              dpi: OCR.DPI,
+              maxPages: OCR.MAX_PDF_PAGES,
+              pdftoppmPath: OCR.PDFTOPPM_PATH,
+            });
+            return { ...scanned, metadata: { ocr: true } };
+          }
+          return { text: data.text || "", pages: data.pages };
+        }
+        case "doc":
+        case "docx": {
+          const result = await parseDoc(document.filePath);
+          return { text: result.value || "" };
+        }
+        case "pptx": {
+          // One page per slide so extracted items cite the slide
+          const { text, slides } = await parsePptx(document.filePath);
+          return {
+            text,
+            pages: slides.map((slide) =>
+              [
+                slide.title,
+                slide.text,
+                slide.notes && `Speaker notes: ${slide.notes}`,
+              ]
+                .filter(Boolean)
+                .join("\n")
+            ),
+          };
+        }
+        case "xlsx":
+        case "csv": {
+          const { text, sheets } = await parseSpreadsheet(document.filePath);
+          return { text, metadata: { sheetCount: sheets.length } };
+        }
+        case "html": {
+          const { title, text } = await parseHtml(document.filePath);
+          const titled = title && !text.startsWith(title);
+          return { text: titled ? `${title}\n\n${text}` : text };
+        }
+        case "markdown":
+          return { text: await parseMarkdown(document.filePath) };
+        case "text":
+          return { text: (await parseText(document.filePath)) || "" };
+        case "image": {
+          if (!OCR.ENABLED) {
+            throw new Error("text recognition (OCR) is disabled");
+          }
+          await progress?.(15, "recognizing");
+          const text = await ocrImage(document.filePath, ocrOptions());
+          return { text, metadata: { ocr: true } };
+        }
+      }
+    } catch (error) {
+      console.error("Document parsing error:", error);
+      throw new NonRetryableJobError(
+        `Failed to parse ${document.type} document: ${error.message}`
+      );
+    }
+
+    throw new NonRetryableJobError(
+      `Documents of type ${document.type} can't be processed`
+    );
+  }
+}
+
+// Why a processing run produced a new version
+function versionReason(job, document) {
+  if (job.payload.reason) return job.payload.reason;
+  if (job.payload.refresh) return "content_changed";
+  return document.currentVersion ? "reprocess" : "created";
+}
+
+const documentProcessingService = new DocumentProcessingService();
+export default documentProcessingService;
@@ -0,0 +1,184 @@
+import Document from "../models/Document.js";
+import DocumentVersion from "../models/DocumentVersion.js";
+import documentKnowledgeService from "./documentKnowledgeService.js";
+import { AI_CONTEXT_LIST_FIELDS } from "./documentExtractionService.js";
+import { diffLines, formatUnifiedDiff } from "../lib/textDiff.js";
+
+// Lines of unified diff returned when comparing two versions
+const MAX_DIFF_LINES = 2000;
+
+// Version history of documents: every successful processing run is stored
+// as a numbered snapshot (file, extracted text, AI context) that can be
+// compared with another version or restored.
+class DocumentVersionService {
+  // Record the document's processed state as its next version and make it
+  // the current one
+  async snapshot(document, { reason, note, restoredFrom } = {}) {
+    const latest = await DocumentVersion.findOne({ document: document._id })
+      .sort({ version: -1 })
+      .select("version");
+    const version = (latest?.version || 0) + 1;
+
+    await DocumentVersion.create({
+      document: document._id,
+      user: document.user,
+      version,
+      reason,
+      restoredFrom,
+      note,
+      type: document.type,
+      filePath: document.filePath,
+      fileName: document.fileName,
+      fileSize: document.fileSize,
+      mimeType: document.mimeType,
+      url: document.url,
+      extractedText: document.extractedText,
+      aiContext: document.toObject().aiContext,
+      metadata: {
+        pageCount: document.metadata?.pageCount,
+        sheetCount: document.metadata?.sheetCount,
+        wordCount: document.metadata?.wordCount,
+        ocr: document.metadata?.ocr,
+      },
+    });
+
+    document.currentVersion = version;
+    await Document.updateOne(
+      { _id: document._id },
+      { currentVersion: version }
+    );
+
+    console.log(
+      `🗂️ Document ${document._id} is now version ${version} (${reason})`
+    );
+    return version;
+  }
+
+  // Versions newest first, without their text
+  list(documentId) {
+    return DocumentVersion.find({ document: documentId })
+      .select("-extractedText -aiContext")
+      .sort({ version: -1 })
+      .lean();
+  }
+
+  get(documentId, version) {
+    return DocumentVersion.findOne({ document: documentId, version }).lean();
+  }
+
+  // Line diff of the extracted text plus the AI context items that appeared
+  // or disappeared between two versions. Returns null if either is missing.
+  async diff(documentId, from, to) {
+    const [before, after] = await Promise.all([
+      this.get(documentId, from),
+      this.get(documentId, to),
+    ]);
+    if (!before || !after) return null;
+
+    const { added, removed, hunks } = diffLines(
+      before.extractedText,
+      after.extractedText
+    );
+
+    return {
+      from,
+      to,
+      added,
+      removed,
+      diff: formatUnifiedDiff(hunks, { maxLines: MAX_DIFF_LINES }),
+      aiContext: diffAIContext(before.aiContext, after.aiContext),
+    };
+  }
+
+  // Make an earlier version's content live again. The restore is recorded
+  // as a new version so the history stays linear and suggestions made in
+  // between keep pointing at what they used.
+  async rollback(document, version, { note } = {}) {
+    const target = await this.get(document._id, version);
+    if (!target) return null;
+
+    document.set({
+      type: target.type,
+      filePath: target.filePath,
+      fileName: target.fileName,
+      fileSize: target.fileSize,
+      mimeType: target.mimeType,
+      extractedText: target.extractedText,
+      aiContext: target.aiContext,
+      processed: true,
+      processingStatus: "completed",
+      processingError: undefined,
+    });
+    Object.entries(target.metadata || {}).forEach(([key, value]) => {
+      document.set(`metadata.${key}`, value);
+    });
+    await document.save();
+
+    await this.snapshot(document, {
+      reason: "rollback",
+      restoredFrom: version,
+      note,
+    });
+    await documentKnowledgeService.indexDocument(document);
+
+    return document;
+  }
+
+  // Whether any version still reads from the file
+  async isFileUsed(documentId, filePath) {
+    if (!filePath) return false;
+    return Boolean(
+      await DocumentVersion.exists({ document: documentId, filePath })
+    );
+  }
+
+  // Delete a document's versions; returns the files they referenced
+  async removeDocument(documentId) {
+    const filePaths = await DocumentVersion.distinct("filePath", {
+      document: documentId,
+    });
+    await DocumentVersion.deleteMany({ document: documentId });
+    return filePaths.filter(Boolean);
+  }
+}
+
+// Items added and removed per aiContext field, compared on normalized text
+function diffAIContext(before = {}, after = {}) {
+  const changes = {};
+  const fields = [...AI_CONTEXT_LIST_FIELDS, "objectionResponses"];
+
+  fields.forEach((field) => {
+    const oldItems = (before?.[field] || []).map(itemText);
+    const newItems = (after?.[field] || []).map(itemText);
+    const oldKeys = new Set(oldItems.map(normalize));
+    const newKeys = new Set(newItems.map(normalize));
+
+    const added = newItems.filter((text) => !oldKeys.has(normalize(text)));
+    const removed = oldItems.filter((text) => !newKeys.has(normalize(text)));
+    if (added.length > 0 || removed.length > 0) {
+      changes[field] = { added, removed };
+    }
+  });
+
+  if ((before?.detailedSummary || "") !== (after?.detailedSummary || "")) {
+    changes.detailedSummary = {
+      before: before?.detailedSummary || "",
+      after: after?.detailedSummary || "",
+    };
+  }
+
+  return changes;
+}
+
+function itemText(item) {
+  if (typeof item === "string") return item;
+  if (item.objection) return `${item.objection}: ${item.response || ""}`;
+  return item.text || "";
+}
+
+function normalize(text) {
+  return text.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+const documentVersionService = new DocumentVersionService();
+export default documentVersionService;
@@ -0,0 +1,106 @@
+import config from "../config/config.js";
+import llmService from "./llmService.js";
+import { hashEmbedding, DEFAULT_DIMENSIONS } from "../lib/hashEmbedding.js";
+
+// Deterministic feature-hashing embeddings. Needs no network or API key, so
+// documents can be indexed and searched fully offline.
+class HashEmbeddingProvider {
+  constructor(dimensions = DEFAULT_DIMENSIONS) {
+    this.name = "hash";
+    this.model = `hash-${dimensions}`;
+    this.dimensions = dimensions;
+  }
+
+  async embed(texts) {
+    return texts.map((text) => hashEmbedding(text, this.dimensions));
+  }
+}
+
+// Embeddings served by one of the LLM providers (openai, local, mock)
+class LLMEmbeddingProvider {
+  constructor(name) {
+    this.provider = llmService.getProvider(name);
+    this.name = name;
+    this.model = config.EMBEDDING_MODEL || this.provider.embeddingModel;
+  }
+
+  async embed(texts) {
+    return this.provider.embed(texts, { model: this.model });
+  }
+}
+
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+class EmbeddingService {
+  constructor() {
+    this.providers = new Map();
+    this.registerProvider("hash", () => new HashEmbeddingProvider());
+    ["openai", "local", "mock"].forEach((name) =>
+      this.registerProvider(name, () => new LLMEmbeddingProvider(name))
+    );
+
+    this.providerName =
+      config.EMBEDDING_PROVIDER || (config.OPENAI_API_KEY ? "openai" : "hash");
+    this.provider = null;
+    this.batchSize = 64;
+  }
+
+  // Register a factory for a custom embedding provider ({ name, model, embed })
+  registerProvider(name, factory) {
+    this.providers.set(name, factory);
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      const factory = this.providers.get(this.providerName);
+      if (!factory) {
+        throw new Error(`Unknown embedding provider: ${this.providerName}`);
+      }
+      this.provider = factory();
+      console.log(
+        `🧮 Embedding provider: ${this.provider.name} (${this.provider.model})`
+      );
+    }
+    return this.provider;
+  }
+
+  // Identifies the vector space; chunks embedded under another model are ignored
+  get model() {
+    const provider = this.getProvider();
+    return `${provider.name}:${provider.model}`;
+  }
+
+  // Embed a list of texts, batching requests to the provider
+  async embedTexts(texts) {
+    const provider = this.getProvider();
+    const vectors = [];
+
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize);
+      vectors.push(...(await provider.embed(batch)));
+    }
+
+    return vectors;
+  }
+
+  async embedText(text) {
+    const [vector] = await this.embedTexts([text]);
+    return vector;
+  }
+}
+
+const embeddingService = new EmbeddingService();
+export default embeddingService;
@@ -1,5 +1,6 @@
 import { google } from "googleapis";
 import config from "../config/config.js";
+import { callRoom } from "./callSessionRegistry.js";
 
 class GoogleMeetService {
   constructor() {
@@ -297,7 +298,7 @@ class GoogleMeetService {
     // We can implement polling or use Google Calendar push notifications
 
     // For now, we'll emit a meeting started event
-    io.emit("meetingStarted", {
+    io.to(callRoom(callId)).emit("meetingStarted", {
       callId,
       meetingId,
       platform: "google_meet",
@@ -0,0 +1,125 @@
+import jobQueue, { NonRetryableJobError } from "./jobQueue.js";
+import aiService from "./aiService.js";
+import documentProcessingService from "./documentProcessingService.js";
+import recordingPipelineService from "./recordingPipelineService.js";
+import transcriptEnrichmentService from "./transcriptEnrichmentService.js";
+import objectionLibraryService from "./objectionLibraryService.js";
+import callScoringService from "./callScoringService.js";
+import callSummaryService from "./callSummaryService.js";
+import actionItemService from "./actionItemService.js";
+import searchService from "./searchService.js";
+import Call from "../models/Call.js";
+
+// Structured summary for a call, saved as a new version on the Call with its
+// action items
+async function generateCallSummary(job, { progress }) {
+  const { callId, callKeys, callTitle } = job.payload;
+  if (!callSummaryService.isAvailable()) {
+    throw new NonRetryableJobError(
+      "No LLM provider is configured for summaries"
+    );
+  }
+
+  const call = callId ? await Call.findById(callId) : null;
+  if (!call) {
+    throw new NonRetryableJobError("Call was deleted before it was summarized");
+  }
+  const transcripts = await callSummaryService.loadTranscripts(callKeys);
+  if (transcripts.length === 0) {
+    throw new NonRetryableJobError("No conversation content found");
+  }
+
+  await progress(20, "summarizing");
+  const summary = await callSummaryService.summarize(call, transcripts, {
+    userId: job.user,
+  });
+  await call.save();
+  await actionItemService.syncFromSummary(call);
+
+  return {
+    summary: callSummaryService.toClient(summary),
+    transcriptCount: transcripts.length,
+    callTitle,
+  };
+}
+
+// Sentiment, entities and intent for a call's unprocessed transcript lines
+async function enrichCallTranscripts(job, { progress }) {
+  return transcriptEnrichmentService.backfill({
+    callIds: job.payload.callIds,
+    onProgress: ({ enriched, total }) =>
+      progress(total ? (enriched / total) * 100 : 100, "enriching"),
+  });
+}
+
+// Rebuild a user's objection catalog from their calls
+async function mineObjections(job, { progress }) {
+  return objectionLibraryService.mine(job.payload.userId, {
+    onProgress: (value) => progress(value, "mining"),
+  });
+}
+
+// Embed a user's transcript lines and suggestions for semantic search
+async function embedForSearch(job, { progress }) {
+  return searchService.embedMissing(job.payload.userId, {
+    onProgress: ({ embedded, total }) =>
+      progress(total ? (embedded / total) * 100 : 100, "embedding"),
+  });
+}
+
+// Scorecard review, talk metrics and rubric score for a finished call
+async function scoreCall(job, { progress }) {
+  const result = await callScoringService.score(job.payload.callId, {
+    onProgress: (value) => progress(value, "scoring"),
+  });
+  if (!result) {
+    throw new NonRetryableJobError("Call was deleted before scoring");
+  }
+  return result;
+}
+
+// Job types and their per-type concurrency. LLM-heavy jobs are kept low so
+// live calls don't compete with background work for provider rate limits.
+// Jobs that make a single LLM call time out sooner than the default; a long
+// recording may take longer to transcribe.
+export function registerJobHandlers() {
+  jobQueue.register(
+    "document.process",
+    (job, context) => documentProcessingService.process(job, context),
+    {
+      concurrency: 2,
+      onFailure: (job, error, details) =>
+        documentProcessingService.onFailure(job, error, details),
+    }
+  );
+
+  jobQueue.register("call.summary", generateCallSummary, {
+    concurrency: 2,
+    timeoutMs: 10 * 60 * 1000,
+  });
+
+  jobQueue.register("transcripts.enrich", enrichCallTranscripts, {
+    concurrency: 1,
+  });
+
+  jobQueue.register("objections.mine", mineObjections, { concurrency: 1 });
+
+  jobQueue.register("call.score", scoreCall, {
+    concurrency: 1,
+    timeoutMs: 10 * 60 * 1000,
+  });
+
+  jobQueue.register("search.embed", embedForSearch, { concurrency: 1 });
+
+  jobQueue.register(
+    "recording.process",
+    (job, context) => recordingPipelineService.process(job, context),
+    {
+      concurrency: 1,
+      maxAttempts: 2, // a retry re-transcribes the whole recording
+      timeoutMs: 2 * 60 * 60 * 1000,
+      onFailure: (job, error, details) =>
+        recordingPipelineService.onFailure(job, error, details),
+    }
+  );
+}
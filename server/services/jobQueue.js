@@ -0,0 +1,465 @@
+import os from "os";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import config from "../config/config.js";
+import Job from "../models/Job.js";
+
+const MAX_FAILURES_KEPT = 10;
+const DUPLICATE_KEY = 11000;
+
+function dedupeKeyFor(type, resource) {
+  return `${type}:${resource.kind}:${resource.id}`;
+}
+
+// Thrown by a handler when retrying cannot help (deleted input, unreadable
+// file); the job goes straight to the dead-letter state
+export class NonRetryableJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "NonRetryableJobError";
+  }
+}
+
+// Mongo-backed background jobs. Workers claim queued jobs atomically, keep
+// a heartbeat while running, fail attempts that outlast their type's timeout
+// and retry failures with exponential backoff;
+// jobs that run out of attempts are kept as "dead" until retried by hand.
+// Jobs left running by a crashed process are requeued once their lock goes
+// stale, so work survives restarts.
+class JobQueue {
+  constructor() {
+    this.handlers = new Map(); // type -> handler and its options
+    this.active = new Map(); // jobId -> type
+    this.listeners = [];
+    this.timer = null;
+    this.polling = false;
+    this.lastRecoveryAt = 0;
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto
+      .randomBytes(3)
+      .toString("hex")}`;
+
+    this.config = config.JOBS;
+  }
+
+  // handler(job, { progress }) does the work and returns the job result.
+  // An attempt still running after timeoutMs fails so its slot is freed.
+  // onFailure(job, error, { willRetry }) runs after every failed attempt.
+  register(
+    type,
+    handler,
+    { concurrency, maxAttempts, timeoutMs, onFailure } = {}
+  ) {
+    this.handlers.set(type, {
+      handler,
+      concurrency: concurrency || this.config.CONCURRENCY,
+      maxAttempts: maxAttempts || this.config.MAX_ATTEMPTS,
+      timeoutMs: timeoutMs || this.config.TIMEOUT_MS,
+      onFailure,
+    });
+  }
+
+  // Called with the Job document whenever its status or progress changes
+  onUpdate(listener) {
+    this.listeners.push(listener);
+  }
+
+  // Queue a job. With dedupe, a queued or running job of the same type for
+  // the same resource is returned instead of adding another one, and the
+  // user is added to its watchers. A unique index on the dedupe key keeps
+  // concurrent enqueues from both adding a job.
+  async enqueue(
+    type,
+    payload = {},
+    { user, resource, maxAttempts, delayMs = 0, dedupe = false } = {}
+  ) {
+    const registration = this.handlers.get(type);
+    if (!registration) {
+      throw new Error(`No handler registered for job type "${type}"`);
+    }
+
+    const fields = {
+      type,
+      payload,
+      user,
+      resource: resource
+        ? { kind: resource.kind, id: String(resource.id) }
+        : undefined,
+      maxAttempts: maxAttempts || registration.maxAttempts,
+      runAt: new Date(Date.now() + delayMs),
+    };
+    if (dedupe && resource) {
+      fields.dedupeKey = dedupeKeyFor(type, fields.resource);
+    }
+
+    // The active job can finish between a failed create and the lookup, so
+    // try once more before giving up
+    for (let tries = 0; ; tries++) {
+      try {
+        const job = await Job.create(fields);
+        this.notify(job);
+        this.poke();
+        return job;
+      } catch (error) {
+        if (error.code !== DUPLICATE_KEY || tries > 0) throw error;
+      }
+
+      const existing = await this.watch(fields.dedupeKey, user);
+      if (existing) return existing;
+    }
+  }
+
+  // The active job for a dedupe key, with the user added to its watchers
+  watch(dedupeKey, user) {
+    return Job.findOneAndUpdate(
+      { dedupeKey },
+      user ? { $addToSet: { watchers: user } } : {},
+      { new: true }
+    );
+  }
+
+  // A job as seen by its owner or a watcher; null when it doesn't exist or
+  // isn't theirs
+  async getJob(jobId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(jobId)) return null;
+    return Job.findOne({ _id: jobId, ...Job.visibleTo(userId) });
+  }
+
+  // Give a dead job a fresh set of attempts. When the resource was queued
+  // again meanwhile, that job is returned instead.
+  async retry(jobId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(jobId)) return null;
+
+    const dead = await Job.findOne({
+      _id: jobId,
+      ...Job.visibleTo(userId),
+      status: "dead",
+    });
+    if (!dead) return null;
+
+    const dedupeKey = dead.resource?.kind
+      ? dedupeKeyFor(dead.type, dead.resource)
+      : undefined;
+    let job;
+    try {
+      job = await Job.findOneAndUpdate(
+        { _id: dead._id, status: "dead" },
+        {
+          $set: {
+            status: "queued",
+            attempts: 0,
+            runAt: new Date(),
+            progress: 0,
+            stage: null,
+            error: null,
+            ...(dedupeKey && { dedupeKey }),
+          },
+          $unset: { finishedAt: 1 },
+        },
+        { new: true }
+      );
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) throw error;
+      return this.watch(dedupeKey, userId);
+    }
+    if (job) {
+      this.notify(job);
+      this.poke();
+    }
+    return job;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poll(), this.config.POLL_INTERVAL_MS);
+    this.timer.unref();
+    console.log(
+      `🧵 Job queue started (${this.handlers.size} job types, concurrency ${this.config.CONCURRENCY})`
+    );
+    this.poll();
+  }
+
+  // Stop claiming jobs and hand the running ones back to the queue without
+  // using up an attempt
+  async stop() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+
+    const running = [...this.active.keys()];
+    if (running.length > 0) {
+      await Job.updateMany(
+        { _id: { $in: running }, status: "running", lockedBy: this.workerId },
+        {
+          $set: { status: "queued", runAt: new Date() },
+          $unset: { lockedBy: 1, lockedAt: 1 },
+          $inc: { attempts: -1 },
+        }
+      ).catch((error) =>
+        console.error("❌ Failed to release running jobs:", error.message)
+      );
+    }
+  }
+
+  // Check for work now instead of waiting for the next poll
+  poke() {
+    if (this.timer) setImmediate(() => this.poll());
+  }
+
+  async poll() {
+    if (this.polling || !this.timer) return;
+    this.polling = true;
+
+    try {
+      if (Date.now() - this.lastRecoveryAt >= this.config.LOCK_TIMEOUT_MS / 2) {
+        this.lastRecoveryAt = Date.now();
+        await this.recoverStale();
+      }
+
+      for (const [type, registration] of this.handlers) {
+        while (
+          this.timer &&
+          this.active.size < this.config.CONCURRENCY &&
+          this.countActive(type) < registration.concurrency
+        ) {
+          const job = await this.claim(type);
+          if (!job) break;
+          this.execute(job, registration);
+        }
+      }
+    } catch (error) {
+      console.error("❌ Job queue poll failed:", error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  countActive(type) {
+    let count = 0;
+    this.active.forEach((activeType) => {
+      if (activeType === type) count++;
+    });
+    return count;
+  }
+
+  claim(type) {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+      { type, status: "queued", runAt: { $lte: now } },
+      {
+        $set: {
+          status: "running",
+          lockedBy: this.workerId,
+          lockedAt: now,
+          startedAt: now,
+        },
+        $inc: { attempts: 1 },
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  execute(job, registration) {
+    const id = String(job._id);
+    this.active.set(id, job.type);
+    this.notify(job);
+
+    // Keep the lock fresh so other workers don't take the job over
+    const heartbeat = setInterval(() => {
+      Job.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        { $set: { lockedAt: new Date() } }
+      ).catch(() => {});
+    }, this.config.LOCK_TIMEOUT_MS / 3);
+    heartbeat.unref();
+
+    const context = {
+      attempt: job.attempts,
+      progress: (percent, stage) => this.reportProgress(job, percent, stage),
+    };
+
+    // A hung handler (stuck provider call) can't be cancelled, but its
+    // attempt fails so the job is retried or dead-lettered; anything it does
+    // afterwards is ignored since it no longer matches the attempt
+    let timeout;
+    const timedOut = new Promise((resolve, reject) => {
+      timeout = setTimeout(
+        () =>
+          reject(
+            new Error(
+              `Timed out after ${Math.round(registration.timeoutMs / 1000)}s`
+            )
+          ),
+        registration.timeoutMs
+      );
+      timeout.unref();
+    });
+
+    Promise.race([
+      Promise.resolve().then(() => registration.handler(job, context)),
+      timedOut,
+    ])
+      .then(
+        (result) => this.complete(job, result),
+        (error) => this.fail(job, error, registration)
+      )
+      .catch((error) =>
+        console.error(
+          `❌ Failed to record outcome of job ${id}:`,
+          error.message
+        )
+      )
+      .finally(() => {
+        clearTimeout(timeout);
+        clearInterval(heartbeat);
+        this.active.delete(id);
+        this.poke();
+      });
+  }
+
+  async reportProgress(job, percent, stage) {
+    job.progress = Math.max(0, Math.min(100, Math.round(percent)));
+    if (stage !== undefined) job.stage = stage;
+
+    await Job.updateOne(
+      {
+        _id: job._id,
+        status: "running",
+        lockedBy: this.workerId,
+        attempts: job.attempts,
+      },
+      {
+        $set: {
+          progress: job.progress,
+          stage: job.stage,
+          lockedAt: new Date(),
+        },
+      }
+    ).catch((error) =>
+      console.warn(`⚠️ Failed to save job progress: ${error.message}`)
+    );
+    this.notify(job);
+  }
+
+  async complete(job, result) {
+    const now = new Date();
+    const updated = await Job.findOneAndUpdate(
+      {
+        _id: job._id,
+        status: "running",
+        lockedBy: this.workerId,
+        attempts: job.attempts,
+      },
+      {
+        $set: {
+          status: "completed",
+          progress: 100,
+          stage: null,
+          result: result ?? {},
+          error: null,
+          finishedAt: now,
+          expiresAt: new Date(
+            now.getTime() + this.config.RETENTION_DAYS * 24 * 60 * 60 * 1000
+          ),
+        },
+        $unset: { lockedBy: 1, lockedAt: 1, dedupeKey: 1 },
+      },
+      { new: true }
+    );
+    if (!updated) return;
+
+    console.log(`✅ Job ${updated.type} ${updated._id} completed`);
+    this.notify(updated);
+  }
+
+  // Requeue with backoff while attempts remain, otherwise dead-letter
+  async fail(job, error, registration) {
+    const message = error?.message || String(error);
+    const willRetry =
+      !(error instanceof NonRetryableJobError) &&
+      job.attempts < job.maxAttempts;
+    const now = new Date();
+
+    const updated = await Job.findOneAndUpdate(
+      {
+        _id: job._id,
+        status: "running",
+        lockedBy: job.lockedBy,
+        attempts: job.attempts,
+      },
+      {
+        $set: willRetry
+          ? {
+              status: "queued",
+              runAt: new Date(
+                now.getTime() +
+                  this.config.BACKOFF_BASE_MS * 2 ** (job.attempts - 1)
+              ),
+              error: message,
+            }
+          : { status: "dead", finishedAt: now, error: message },
+        $unset: willRetry
+          ? { lockedBy: 1, lockedAt: 1 }
+          : { lockedBy: 1, lockedAt: 1, dedupeKey: 1 },
+        $push: {
+          failures: {
+            $each: [{ attempt: job.attempts, error: message, at: now }],
+            $slice: -MAX_FAILURES_KEPT,
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!updated) return;
+
+    if (willRetry) {
+      console.warn(
+        `⚠️ Job ${updated.type} ${updated._id} failed (attempt ${updated.attempts}/${updated.maxAttempts}), retrying at ${updated.runAt.toISOString()}: ${message}`
+      );
+    } else {
+      console.error(
+        `❌ Job ${updated.type} ${updated._id} is dead after ${updated.attempts} attempt(s): ${message}`
+      );
+    }
+    this.notify(updated);
+
+    try {
+      await registration?.onFailure?.(updated, error, { willRetry });
+    } catch (hookError) {
+      console.error(
+        `❌ Failure hook for job ${updated._id} failed:`,
+        hookError.message
+      );
+    }
+  }
+
+  // Jobs whose worker stopped heartbeating (crash, lost connection) count
+  // as a failed attempt
+  async recoverStale() {
+    const stale = await Job.find({
+      status: "running",
+      lockedAt: { $lt: new Date(Date.now() - this.config.LOCK_TIMEOUT_MS) },
+    });
+
+    for (const job of stale) {
+      await this.fail(
+        job,
+        new Error("Worker stopped responding"),
+        this.handlers.get(job.type)
+      );
+    }
+  }
+
+  notify(job) {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(job);
+      } catch (error) {
+        console.error("❌ Job update listener failed:", error.message);
+      }
+    });
+  }
+}
+
+const jobQueue = new JobQueue();
+export default jobQueue;
@@ -0,0 +1,19 @@
+import config from "../../config/config.js";
+import OpenAIProvider from "./openaiProvider.js";
+
+// Self-hosted model behind an OpenAI-compatible endpoint (Ollama, vLLM,
+// LM Studio...). Call data never leaves the customer's infrastructure.
+export default class LocalProvider extends OpenAIProvider {
+  constructor() {
+    super({
+      name: "local",
+      apiKey: config.LLM.LOCAL_API_KEY,
+      baseURL: config.LLM.LOCAL_BASE_URL,
+      defaultModel: config.LLM.LOCAL_MODEL,
+      embeddingModel: config.LLM.LOCAL_EMBEDDING_MODEL,
+      featureModels: {},
+      // Tool calling support varies between local servers and models
+      structuredMode: config.LLM.LOCAL_STRUCTURED_MODE,
+    });
+  }
+}
@@ -0,0 +1,88 @@
+import { hashEmbedding } from "../../lib/hashEmbedding.js";
+
+// Deterministic provider for tests and offline development: the same input
+// always produces the same output and nothing touches the network.
+export default class MockProvider {
+  constructor() {
+    this.name = "mock";
+    this.defaultModel = "mock-1";
+    this.embeddingModel = "mock-embedding";
+    this.featureModels = {};
+    this.isAvailable = true;
+  }
+
+  respond(messages) {
+    const lastUser = [...messages].reverse().find((m) => m.role === "user");
+    const text = (lastUser?.content || "").replace(/\s+/g, " ").trim();
+    return `Mock response to: ${text.substring(0, 80)}`;
+  }
+
+  usage(messages, content) {
+    const promptTokens = messages.reduce(
+      (sum, m) => sum + Math.ceil((m.content || "").length / 4),
+      0
+    );
+    const completionTokens = Math.ceil(content.length / 4);
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+    };
+  }
+
+  async chat(messages, options = {}) {
+    const content = this.respond(messages);
+    return {
+      content,
+      usage: this.usage(messages, content),
+      model: options.model || this.defaultModel,
+    };
+  }
+
+  async generateStructured(messages, options = {}) {
+    const data = sampleFromSchema(options.schema, options.name);
+    return {
+      data,
+      usage: this.usage(messages, JSON.stringify(data)),
+      model: options.model || this.defaultModel,
+    };
+  }
+
+  async embed(texts) {
+    return texts.map((text) => hashEmbedding(text));
+  }
+
+  async *stream(messages) {
+    const words = this.respond(messages).split(" ");
+    for (let i = 0; i < words.length; i++) {
+      yield i === 0 ? words[i] : ` ${words[i]}`;
+    }
+  }
+}
+
+// Build the simplest object that satisfies a JSON schema
+function sampleFromSchema(schema = {}, key = "value") {
+  if (schema.enum) return schema.enum[0];
+
+  switch (schema.type) {
+    case "object":
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([name, prop]) => [
+          name,
+          sampleFromSchema(prop, name),
+        ])
+      );
+    case "array":
+      return [sampleFromSchema(schema.items, key)];
+    case "number":
+    case "integer":
+      if (schema.minimum !== undefined && schema.maximum !== undefined) {
+        return (schema.minimum + schema.maximum) / 2;
+      }
+      return schema.minimum ?? 0.5;
+    case "boolean":
+      return false;
+    default:
+      return `mock ${key}`;
+  }
+}
@@ -0,0 +1,150 @@
+import OpenAI from "openai";
+import config from "../../config/config.js";
+
+// Chat, structured output, embeddings and streaming over the OpenAI API.
+// Also the base for any server that speaks the same protocol.
+export default class OpenAIProvider {
+  constructor({
+    name = "openai",
+    apiKey = config.OPENAI_API_KEY,
+    baseURL,
+    defaultModel = config.OPENAI_MODEL || "gpt-4o-mini",
+    embeddingModel = "text-embedding-3-small",
+    featureModels = { suggestions: "gpt-4o-mini", enrichment: "gpt-4o-mini" },
+    structuredMode = "tools", // "tools" or "json"
+  } = {}) {
+    this.name = name;
+    this.defaultModel = defaultModel;
+    this.embeddingModel = embeddingModel;
+    this.featureModels = featureModels;
+    this.structuredMode = structuredMode;
+    this.isAvailable = !!apiKey;
+
+    if (this.isAvailable) {
+      this.client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+    }
+  }
+
+  assertAvailable() {
+    if (!this.isAvailable) {
+      throw new Error(`LLM provider "${this.name}" is not configured`);
+    }
+  }
+
+  buildRequest(messages, options) {
+    return {
+      model: options.model || this.defaultModel,
+      messages,
+      temperature: options.temperature ?? 0.7,
+      ...(options.maxTokens ? { max_tokens: options.maxTokens } : {}),
+    };
+  }
+
+  // Plain chat completion
+  async chat(messages, options = {}) {
+    this.assertAvailable();
+
+    const completion = await this.client.chat.completions.create(
+      this.buildRequest(messages, options)
+    );
+
+    return {
+      content: completion.choices[0].message.content,
+      usage: completion.usage,
+      model: completion.model,
+    };
+  }
+
+  // Completion constrained to a JSON schema, returned as a parsed object
+  async generateStructured(messages, options = {}) {
+    this.assertAvailable();
+    const { name, description, schema } = options;
+
+    if (this.structuredMode === "json") {
+      return this.generateJson(messages, options);
+    }
+
+    const completion = await this.client.chat.completions.create({
+      ...this.buildRequest(messages, options),
+      tools: [
+        {
+          type: "function",
+          function: { name, description, parameters: schema },
+        },
+      ],
+      tool_choice: { type: "function", function: { name } },
+    });
+
+    const message = completion.choices[0].message;
+    const toolCall = message.tool_calls?.find(
+      (call) => call.function?.name === name
+    );
+    const raw = toolCall ? toolCall.function.arguments : message.content;
+
+    return {
+      data: parseJson(raw, name),
+      usage: completion.usage,
+      model: completion.model,
+    };
+  }
+
+  // JSON mode fallback for servers without tool calling
+  async generateJson(messages, options) {
+    const { name, description, schema } = options;
+    const instruction = {
+      role: "system",
+      content: `Respond only with a JSON object for "${name}" (${description}) matching this JSON schema:\n${JSON.stringify(schema)}`,
+    };
+
+    const completion = await this.client.chat.completions.create({
+      ...this.buildRequest([...messages, instruction], options),
+      response_format: { type: "json_object" },
+    });
+
+    return {
+      data: parseJson(completion.choices[0].message.content, name),
+      usage: completion.usage,
+      model: completion.model,
+    };
+  }
+
+  async embed(texts, options = {}) {
+    this.assertAvailable();
+
+    const response = await this.client.embeddings.create({
+      model: options.model || this.embeddingModel,
+      input: texts,
+    });
+
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map((item) => item.embedding);
+  }
+
+  // Yields content deltas as they arrive
+  async *stream(messages, options = {}) {
+    this.assertAvailable();
+
+    const stream = await this.client.chat.completions.create({
+      ...this.buildRequest(messages, options),
+      stream: true,
+    });
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) yield delta;
+    }
+  }
+}
+
+function parseJson(raw, name) {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    const invalid = new Error(
+      `Invalid structured output for "${name}": ${error.message}`
+    );
+    invalid.code = "INVALID_STRUCTURED_OUTPUT";
+    throw invalid;
+  }
+}
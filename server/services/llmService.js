@@ -0,0 +1,77 @@
+import config from "../config/config.js";
+import OpenAIProvider from "./llm/openaiProvider.js";
+import LocalProvider from "./llm/localProvider.js";
+import MockProvider from "./llm/mockProvider.js";
+
+// Routes each AI feature to the provider (and model) configured for it.
+// Providers share one interface: chat, generateStructured, embed, stream.
+class LLMService {
+  constructor() {
+    this.factories = new Map();
+    this.providers = new Map();
+
+    this.registerProvider("openai", () => new OpenAIProvider());
+    this.registerProvider("local", () => new LocalProvider());
+    this.registerProvider("mock", () => new MockProvider());
+  }
+
+  registerProvider(name, factory) {
+    this.factories.set(name, factory);
+    this.providers.delete(name);
+  }
+
+  getProvider(name = config.LLM.PROVIDER) {
+    if (!this.providers.has(name)) {
+      const factory = this.factories.get(name);
+      if (!factory) {
+        throw new Error(`Unknown LLM provider: ${name}`);
+      }
+      this.providers.set(name, factory());
+    }
+    return this.providers.get(name);
+  }
+
+  // Provider and model for a feature, e.g. forFeature("suggestions")
+  forFeature(feature) {
+    const featureConfig = config.LLM.FEATURES[feature] || {};
+    const provider = this.getProvider(
+      featureConfig.provider || config.LLM.PROVIDER
+    );
+    const model =
+      featureConfig.model ||
+      provider.featureModels?.[feature] ||
+      provider.defaultModel;
+
+    return { provider, model };
+  }
+
+  isAvailable(feature) {
+    return this.forFeature(feature).provider.isAvailable;
+  }
+
+  async chat(feature, messages, options = {}) {
+    const { provider, model } = this.forFeature(feature);
+    return provider.chat(messages, { ...options, model: options.model || model });
+  }
+
+  async generateStructured(feature, messages, options = {}) {
+    const { provider, model } = this.forFeature(feature);
+    return provider.generateStructured(messages, {
+      ...options,
+      model: options.model || model,
+    });
+  }
+
+  async embed(feature, texts, options = {}) {
+    const { provider } = this.forFeature(feature);
+    return provider.embed(texts, options);
+  }
+
+  stream(feature, messages, options = {}) {
+    const { provider, model } = this.forFeature(feature);
+    return provider.stream(messages, { ...options, model: options.model || model });
+  }
+}
+
+const llmService = new LLMService();
+export default llmService;
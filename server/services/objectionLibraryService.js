@@ -0,0 +1,427 @@
+import config from "../config/config.js";
+import Call from "../models/Call.js";
+import Transcript from "../models/Transcript.js";
+import AISuggestion from "../models/AISuggestion.js";
+import Objection, { OBJECTION_TOPICS } from "../models/Objection.js";
+import User from "../models/User.js";
+import jobQueue from "./jobQueue.js";
+import embeddingService, { cosineSimilarity } from "./embeddingService.js";
+import transcriptEnrichmentService from "./transcriptEnrichmentService.js";
+
+// First match wins; anything else is "other"
+const TOPIC_PATTERNS = [
+  ["security", /\b(security|secure|soc ?2|gdpr|hipaa|compliance|privacy|data protection)\b/i],
+  ["pricing", /\b(price|pricing|expensive|cost|budget|afford|cheaper|discount)\b/i],
+  ["competition", /\b(competitor|already (?:use|have)|alternative|switch(?:ing)? from|compared to|vs\.?)\b/i],
+  ["integration", /\b(integrat\w*|api|migrat\w*|implementation|onboarding|set ?up|technical)\b/i],
+  ["contract", /\b(contract|terms|commitment|lock(?:ed)? in|cancel\w*|annual)\b/i],
+  ["authority", /\b(boss|manager|decision|approv\w*|sign[- ]off|procurement|legal|board)\b/i],
+  ["timing", /\b(timing|not now|right now|next (?:quarter|year|month)|later|busy|bad time)\b/i],
+  ["need", /\b(don't need|do not need|not a priority|happy with|works fine|no need)\b/i],
+];
+
+// Lines read after an objection to find the answer, and answer lines kept
+const RESPONSE_LOOKAHEAD = 3;
+const MAX_RESPONSE_LINES = 3;
+// Objection-handling suggestions this soon after an objection rate its answer
+const FEEDBACK_WINDOW_MS = 2 * 60 * 1000;
+
+// The rep's objection catalog. Mines their call transcripts for a prospect
+// objection followed by a rep answer, clusters the objections by topic and
+// meaning and ranks the answers by how the call went and how the
+// objection-handling suggestions at that moment were rated. Live
+// suggestions look up the closest catalog entry first.
+class ObjectionLibraryService {
+  constructor() {
+    this.config = config.OBJECTIONS;
+    this.timer = null;
+    this.lastCheck = null;
+  }
+
+  topicOf(text) {
+    const match = TOPIC_PATTERNS.find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : "other";
+  }
+
+  isObjection(transcript) {
+    if (transcript.intent) return transcript.intent === "objection";
+    const { intent } = transcriptEnrichmentService.annotateWithHeuristics(
+      transcript.text
+    );
+    return intent === "objection";
+  }
+
+  // Objection/answer pairs of one call's transcript (in time order). Without
+  // known rep speakers the first other speaker to reply is taken as the rep.
+  extractPairs(call, lines, repNames) {
+    const isRep = (speaker) =>
+      repNames.has((speaker || "").trim().toLowerCase());
+    const pairs = [];
+
+    lines.forEach((line, i) => {
+      if (!line.text?.trim() || !this.isObjection(line)) return;
+      if (repNames.size > 0 && isRep(line.speaker)) return;
+
+      let j = i + 1;
+      while (
+        j < lines.length &&
+        j <= i + RESPONSE_LOOKAHEAD &&
+        lines[j].speaker === line.speaker
+      ) {
+        j++;
+      }
+      if (j >= lines.length || j > i + RESPONSE_LOOKAHEAD) return;
+      const responder = lines[j].speaker;
+      if (repNames.size > 0 && !isRep(responder)) return;
+
+      const answer = [];
+      for (
+        let k = j;
+        k < lines.length &&
+        lines[k].speaker === responder &&
+        answer.length < MAX_RESPONSE_LINES;
+        k++
+      ) {
+        answer.push(lines[k]);
+      }
+
+      pairs.push({
+        call,
+        objection: line,
+        response: {
+          text: answer.map((part) => part.text.trim()).join(" "),
+          speaker: responder,
+          transcript: answer[0]._id,
+          offset: answer[0].startTime,
+          timestamp: answer[0].timestamp,
+        },
+      });
+    });
+
+    return pairs;
+  }
+
+  // 0-1 rating of an answer from the call's score and the feedback on
+  // objection-handling suggestions shown right after the objection
+  rateResponse(pair, suggestions) {
+    const score = pair.call.performanceData?.score;
+    const outcome = typeof score === "number" ? score / 100 : null;
+
+    const start = new Date(pair.objection.timestamp).getTime();
+    const ratings = suggestions
+      .filter((suggestion) => {
+        const at = new Date(suggestion.createdAt).getTime();
+        return at >= start && at - start <= FEEDBACK_WINDOW_MS;
+      })
+      .map((suggestion) => {
+        if (suggestion.feedback?.rating) {
+          return (suggestion.feedback.rating - 1) / 4;
+        }
+        return suggestion.used ? 0.75 : null;
+      })
+      .filter((rating) => rating !== null);
+    const feedback =
+      ratings.length > 0
+        ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length
+        : null;
+
+    let rated = 0.5;
+    if (outcome !== null && feedback !== null) {
+      rated = 0.6 * outcome + 0.4 * feedback;
+    } else if (outcome !== null || feedback !== null) {
+      rated = outcome ?? feedback;
+    }
+
+    return { outcome, feedback, score: rated };
+  }
+
+  // Greedy clustering within each topic: a pair joins the closest cluster
+  // when similar enough, otherwise starts a new one
+  cluster(pairs, embeddings) {
+    const clusters = [];
+
+    pairs.forEach((pair, i) => {
+      const embedding = embeddings[i];
+      const topic = this.topicOf(pair.objection.text);
+
+      let best = null;
+      let bestScore = this.config.CLUSTER_THRESHOLD;
+      clusters
+        .filter((cluster) => cluster.topic === topic)
+        .forEach((cluster) => {
+          const score = cosineSimilarity(cluster.centroid, embedding);
+          if (score >= bestScore) {
+            best = cluster;
+            bestScore = score;
+          }
+        });
+
+      if (!best) {
+        best = { topic, centroid: [...embedding], members: [] };
+        clusters.push(best);
+      } else {
+        const n = best.members.length;
+        best.centroid = best.centroid.map(
+          (value, d) => (value * n + embedding[d]) / (n + 1)
+        );
+      }
+      best.members.push({ pair, embedding });
+    });
+
+    return clusters;
+  }
+
+  // Same answers given on several calls are merged; best rated first
+  rankResponses(members) {
+    const byText = new Map();
+    members.forEach(({ pair }) => {
+      const key = pair.response.text.toLowerCase().replace(/\W+/g, " ").trim();
+      const existing = byText.get(key);
+      if (existing) {
+        existing.uses++;
+        existing.ratings.push(pair.rating);
+        return;
+      }
+      byText.set(key, {
+        ...pair.response,
+        call: pair.call._id,
+        uses: 1,
+        ratings: [pair.rating],
+      });
+    });
+
+    const average = (values) =>
+      values.length > 0
+        ? values.reduce((sum, value) => sum + value, 0) / values.length
+        : null;
+
+    return [...byText.values()]
+      .map(({ ratings, timestamp, ...response }) => {
+        const outcomes = ratings
+          .map((r) => r.outcome)
+          .filter((v) => v !== null);
+        const feedback = ratings
+          .map((r) => r.feedback)
+          .filter((v) => v !== null);
+        const score =
+          average(ratings.map((r) => r.score)) +
+          Math.min(response.uses - 1, 4) * 0.02;
+        return {
+          ...response,
+          outcome: average(outcomes),
+          feedback: average(feedback),
+          score: Number(score.toFixed(4)),
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.config.MAX_RESPONSES);
+  }
+
+  // Rebuild the user's catalog from all their calls
+  async mine(userId, { onProgress } = {}) {
+    const owner = await User.findById(userId).select("name email").lean();
+    const calls = await Call.find({ user: userId })
+      .select("_id meetingId title participants speakerMap performanceData")
+      .lean();
+
+    const callsByKey = new Map();
+    calls.forEach((call) => {
+      [call._id, call.meetingId]
+        .filter(Boolean)
+        .forEach((key) => callsByKey.set(String(key), call));
+    });
+    const keys = [...callsByKey.keys()];
+
+    const transcripts = await Transcript.find({ call: { $in: keys } })
+      .select("call speaker text intent timestamp startTime")
+      .sort({ timestamp: 1 })
+      .lean();
+    const suggestions = await AISuggestion.find({
+      call: { $in: keys },
+      type: "objection_handling",
+    })
+      .select("call used feedback createdAt")
+      .lean();
+    await onProgress?.(20);
+
+    const linesByCall = new Map();
+    transcripts.forEach((line) => {
+      const call = callsByKey.get(line.call);
+      const id = String(call._id);
+      if (!linesByCall.has(id)) linesByCall.set(id, { call, lines: [] });
+      linesByCall.get(id).lines.push(line);
+    });
+
+    const pairs = [];
+    linesByCall.forEach(({ call, lines }) => {
+      const callSuggestions = suggestions.filter(
+        (suggestion) => callsByKey.get(suggestion.call) === call
+      );
+      this.extractPairs(call, lines, Call.repSpeakers(call, owner)).forEach(
+        (pair) => {
+          pair.rating = this.rateResponse(pair, callSuggestions);
+          pairs.push(pair);
+        }
+      );
+    });
+    await onProgress?.(40);
+
+    const embeddings =
+      pairs.length > 0
+        ? await embeddingService.embedTexts(
+            pairs.map((pair) => pair.objection.text)
+          )
+        : [];
+    await onProgress?.(80);
+
+    const model = embeddingService.model;
+    const objections = this.cluster(pairs, embeddings).map((cluster) => {
+      const members = cluster.members;
+      const typical = members.reduce((best, member) =>
+        cosineSimilarity(cluster.centroid, member.embedding) >
+        cosineSimilarity(cluster.centroid, best.embedding)
+          ? member
+          : best
+      );
+      const recent = [...members].sort(
+        (a, b) =>
+          new Date(b.pair.objection.timestamp) -
+          new Date(a.pair.objection.timestamp)
+      );
+
+      return {
+        user: userId,
+        topic: cluster.topic,
+        label: typical.pair.objection.text.trim().substring(0, 500),
+        frequency: members.length,
+        callCount: new Set(members.map(({ pair }) => String(pair.call._id)))
+          .size,
+        examples: recent
+          .slice(0, this.config.MAX_EXAMPLES)
+          .map(({ pair }) => ({
+            call: pair.call._id,
+            callTitle: pair.call.title,
+            transcript: pair.objection._id,
+            speaker: pair.objection.speaker,
+            text: pair.objection.text,
+            timestamp: pair.objection.timestamp,
+            offset: pair.objection.startTime,
+          })),
+        responses: this.rankResponses(members),
+        centroid: cluster.centroid,
+        embeddingModel: model,
+        lastSeenAt: recent[0].pair.objection.timestamp,
+      };
+    });
+
+    await Objection.deleteMany({ user: userId });
+    if (objections.length > 0) await Objection.insertMany(objections);
+
+    console.log(
+      `🛡️ Mined ${objections.length} objection(s) from ${pairs.length} moment(s) for user ${userId}`
+    );
+    return {
+      objectionCount: objections.length,
+      momentCount: pairs.length,
+      callCount: linesByCall.size,
+    };
+  }
+
+  list(userId, { topic } = {}) {
+    const filter = { user: userId };
+    if (topic && OBJECTION_TOPICS.includes(topic)) filter.topic = topic;
+    return Objection.find(filter)
+      .sort({ frequency: -1, lastSeenAt: -1 })
+      .lean();
+  }
+
+  // The catalog entry closest to what the prospect just said, if any is
+  // close enough
+  async match(userId, text) {
+    if (!userId || !text?.trim()) return null;
+
+    const objections = await Objection.find({
+      user: userId,
+      embeddingModel: embeddingService.model,
+      "responses.0": { $exists: true },
+    })
+      .select("+centroid topic label frequency callCount responses")
+      .lean();
+    if (objections.length === 0) return null;
+
+    const embedding = await embeddingService.embedText(text);
+    let best = null;
+    objections.forEach((objection) => {
+      const score = cosineSimilarity(objection.centroid, embedding);
+      if (score >= this.config.MATCH_THRESHOLD && score > (best?.score ?? 0)) {
+        best = { ...objection, score };
+      }
+    });
+    if (!best) return null;
+
+    delete best.centroid;
+    return best;
+  }
+
+  // A matched catalog entry as prompt context
+  buildContext(objection) {
+    if (!objection) return "";
+    const responses = objection.responses
+      .map((response, i) => `${i + 1}. "${response.text}"`)
+      .join("\n");
+    return `Prospects raised this objection ${objection.frequency} time(s) on ${objection.callCount} past call(s), e.g. "${objection.label}". Answers that worked best, best first:\n${responses}`;
+  }
+
+  enqueueMine(userId) {
+    return jobQueue.enqueue(
+      "objections.mine",
+      { userId: String(userId) },
+      {
+        user: userId,
+        resource: { kind: "objections", id: userId },
+        dedupe: true,
+      }
+    );
+  }
+
+  // Re-mine the catalogs of users with calls completed since the last check
+  start() {
+    if (this.timer) return;
+    this.lastCheck = new Date(Date.now() - this.config.MINE_INTERVAL_MS);
+    this.timer = setInterval(
+      () => this.enqueueChanged(),
+      this.config.MINE_INTERVAL_MS
+    );
+    this.timer.unref();
+    console.log("🛡️ Objection library scheduler started");
+    this.enqueueChanged();
+  }
+
+  stop() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async enqueueChanged() {
+    try {
+      const since = this.lastCheck;
+      this.lastCheck = new Date();
+      const users = await Call.distinct("user", {
+        status: "completed",
+        updatedAt: { $gte: since },
+      });
+      for (const userId of users) {
+        await this.enqueueMine(userId);
+      }
+      if (users.length > 0) {
+        console.log(`🛡️ Queued objection mining for ${users.length} user(s)`);
+      }
+    } catch (error) {
+      console.error("Error scheduling objection mining:", error);
+    }
+  }
+}
+
+const objectionLibraryService = new ObjectionLibraryService();
+export default objectionLibraryService;
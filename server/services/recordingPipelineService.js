@@ -0,0 +1,319 @@
+import fs from "fs/promises";
+import config from "../config/config.js";
+import aiService from "./aiService.js";
+import whisperService from "./whisperService.js";
+import documentKnowledgeService from "./documentKnowledgeService.js";
+import transcriptEnrichmentService from "./transcriptEnrichmentService.js";
+import objectionLibraryService from "./objectionLibraryService.js";
+import callScoringService from "./callScoringService.js";
+import callSummaryService from "./callSummaryService.js";
+import actionItemService from "./actionItemService.js";
+import scorecardService from "./scorecardService.js";
+import searchService from "./searchService.js";
+import { NonRetryableJobError } from "./jobQueue.js";
+import Call from "../models/Call.js";
+import Transcript from "../models/Transcript.js";
+import AISuggestion from "../models/AISuggestion.js";
+
+// Pipeline stages in order, with the progress reached when each one finishes
+const STAGES = [
+  { name: "transcribing", progress: 50 },
+  { name: "saving_transcript", progress: 60 },
+  { name: "enriching", progress: 70 },
+  { name: "summarizing", progress: 80 },
+  { name: "suggestions", progress: 85 },
+  { name: "scorecard", progress: 92 },
+  { name: "scoring", progress: 100 },
+];
+
+// Lines worth a post-call suggestion, by transcript intent
+const SUGGESTION_INTENTS = [
+  "objection",
+  "pricing_inquiry",
+  "buying_signal",
+  "comparison",
+  "feature_inquiry",
+  "question",
+];
+const MIN_SUGGESTION_GAP_SECONDS = 30;
+
+// Turns an uploaded call recording into a Call with a diarized transcript,
+// then runs the post-call steps a live call gets: enrichment, summary,
+// suggestions, scorecard review and scoring. Runs as the "recording.process"
+// background job.
+class RecordingPipelineService {
+  constructor() {
+    this.config = config.RECORDINGS;
+  }
+
+  // Job handler for a recording that is already saved to disk and attached
+  // to a Call
+  async process(job, { progress }) {
+    const { callId, filePath, mimeType, speakers } = job.payload;
+    console.log(`📼 Processing recording for call ${callId}`);
+
+    const call = await Call.findById(callId);
+    if (!call) {
+      throw new NonRetryableJobError("Call was deleted before processing");
+    }
+
+    // Start over from the recording if an earlier attempt got partway
+    if (job.attempts > 1) {
+      await Transcript.deleteMany({ call: callId });
+      await AISuggestion.deleteMany({ call: callId, trigger: "post_call" });
+    }
+
+    const result = {};
+    const completeStage = (name, stageResult = {}) => {
+      Object.assign(result, stageResult);
+      const { progress: reached } = STAGES.find((stage) => stage.name === name);
+      return progress(reached);
+    };
+
+    // The rest is best effort: a failed step is reported but doesn't stop
+    // the others
+    const runStage = async (name, step) => {
+      await progress(job.progress, name);
+      try {
+        await completeStage(name, await step());
+      } catch (error) {
+        console.warn(`⚠️ Recording stage ${name} failed: ${error.message}`);
+        await completeStage(name, { [`${name}Error`]: error.message });
+      }
+    };
+
+    // Transcription and diarization are the only stages that must succeed
+    await progress(5, "transcribing");
+    const audio = await fs.readFile(filePath).catch((error) => {
+      throw new NonRetryableJobError(
+        `Recording file is unavailable: ${error.message}`
+      );
+    });
+    const transcription =
+      await whisperService.transcribeWithSpeakerDiarization(audio, {
+        mimeType,
+        speakers,
+      });
+    if (!transcription.success) {
+      throw new Error(transcription.error || "Transcription failed");
+    }
+    await completeStage("transcribing", {
+      diarization: transcription.diarization,
+      speakers: transcription.speakers,
+    });
+
+    await progress(job.progress, "saving_transcript");
+    let transcripts = await this.saveTranscript(call, transcription);
+    await completeStage("saving_transcript", {
+      transcriptCount: transcripts.length,
+    });
+
+    if (transcripts.length === 0) {
+      throw new NonRetryableJobError("No speech was found in the recording");
+    }
+
+    await runStage("enriching", async () => {
+      if (!transcriptEnrichmentService.isEnabled) return { skipped: true };
+      const { enriched } = await transcriptEnrichmentService.backfill({
+        callIds: [callId],
+      });
+      transcripts = await Transcript.find({ call: callId }).sort({
+        timestamp: 1,
+      });
+      return { enriched };
+    });
+
+    await runStage("summarizing", async () => {
+      if (!callSummaryService.isAvailable()) return { skipped: true };
+      const summary = await callSummaryService.summarize(call, transcripts, {
+        userId: job.user,
+      });
+      await call.save();
+      const actionItems = await actionItemService.syncFromSummary(call);
+      return {
+        summaryVersion: summary.version,
+        actionItemCount: actionItems.length,
+      };
+    });
+
+    await runStage("suggestions", async () => {
+      if (!aiService.llm.isAvailable("suggestions")) return { skipped: true };
+      return {
+        suggestionCount: await this.generateSuggestions(call, transcripts),
+      };
+    });
+
+    await runStage("scorecard", async () => {
+      const scorecard = await scorecardService.evaluate(call, transcripts);
+      if (!scorecard) return { skipped: true };
+      await call.save();
+      return { coverage: scorecard.coverage };
+    });
+
+    await runStage("scoring", async () => {
+      const scoring = await callScoringService.scoreCall(call, transcripts);
+      await call.save();
+      return scoring;
+    });
+
+    call.status = "completed";
+    await call.save();
+
+    // The new call may hold objections for the rep's catalog
+    await objectionLibraryService
+      .enqueueMine(call.user)
+      .catch((error) =>
+        console.warn(`⚠️ Could not queue objection mining: ${error.message}`)
+      );
+    await searchService
+      .enqueueEmbedding(call.user)
+      .catch((error) =>
+        console.warn(`⚠️ Could not queue search embedding: ${error.message}`)
+      );
+
+    console.log(`✅ Recording processed for call ${callId}`);
+    return { callId, ...result };
+  }
+
+  // Once the job is dead there is nothing more coming for the call
+  async onFailure(job, error, { willRetry }) {
+    const { callId } = job.payload;
+    console.error(
+      `❌ Recording processing failed for call ${callId}:`,
+      error.message
+    );
+    if (willRetry) return;
+
+    // Without a transcript there is nothing to show for the call
+    const transcriptCount = await Transcript.countDocuments({ call: callId });
+    await Call.findByIdAndUpdate(callId, {
+      status: transcriptCount > 0 ? "completed" : "cancelled",
+    });
+  }
+
+  // One Transcript per diarized segment, timed from the call's start
+  async saveTranscript(call, transcription) {
+    const startTime = call.startTime || new Date();
+    const segments = (transcription.segments || []).filter((segment) =>
+      segment.text?.trim()
+    );
+
+    const transcripts = await Transcript.insertMany(
+      segments.map((segment) => ({
+        call: String(call._id),
+        speaker: segment.speaker || "Speaker 1",
+        speakerLabel: segment.speaker || "Speaker 1",
+        text: segment.text.trim(),
+        confidence: Math.max(0, Math.min(1, segment.confidence ?? 0.9)),
+        timestamp: new Date(startTime.getTime() + segment.start * 1000),
+        startTime: segment.start,
+        endTime: segment.end,
+        words: segment.words || [],
+        language: transcription.language || "en",
+      }))
+    );
+
+    const duration = Math.round(
+      transcription.duration || segments[segments.length - 1]?.end || 0
+    );
+    call.duration = duration;
+    call.endTime = new Date(startTime.getTime() + duration * 1000);
+    if (call.recording) call.recording.duration = duration;
+    await call.save();
+
+    return transcripts;
+  }
+
+  // Suggestions for the moments a live assistant would have reacted to:
+  // objections, pricing and buying signals first, spread over the call
+  async generateSuggestions(call, transcripts) {
+    const weight = (intent) => SUGGESTION_INTENTS.indexOf(intent);
+    const moments = transcripts
+      .map((transcript) => ({
+        transcript,
+        intent:
+          transcript.intent ||
+          transcriptEnrichmentService.annotateWithHeuristics(transcript.text)
+            .intent,
+      }))
+      .filter(({ intent }) => weight(intent) !== -1)
+      .sort((a, b) => weight(a.intent) - weight(b.intent));
+
+    const chosen = [];
+    for (const moment of moments) {
+      if (chosen.length >= this.config.MAX_SUGGESTIONS) break;
+      const start = moment.transcript.startTime || 0;
+      const tooClose = chosen.some(
+        (other) =>
+          Math.abs((other.transcript.startTime || 0) - start) <
+          MIN_SUGGESTION_GAP_SECONDS
+      );
+      if (!tooClose) chosen.push(moment);
+    }
+
+    let created = 0;
+    for (const { transcript } of chosen) {
+      const index = transcripts.indexOf(transcript);
+      const context = transcripts
+        .slice(Math.max(0, index - 4), index + 1)
+        .map((line) => `${line.speaker}: ${line.text}`)
+        .join("\n");
+
+      const matches = await documentKnowledgeService
+        .search(String(call.user), transcript.text)
+        .catch(() => []);
+      const documentContext = documentKnowledgeService.buildContext(matches);
+
+      const suggestion = await aiService.generateValidatedSuggestion([
+        {
+          role: "user",
+          content: `You are reviewing a recorded sales call to coach the rep. Suggest what the rep should have said at this point (max 80 words), together with its labels.
+${
+  documentContext
+    ? `\nRelevant excerpts from the rep's product documents (prefer these facts over general claims):\n${documentContext}\n`
+    : ""
+}
+Conversation up to this moment:
+${context}`,
+        },
+      ]);
+      if (!suggestion) continue;
+
+      await AISuggestion.create({
+        call: String(call._id),
+        user: String(call.user),
+        type: suggestion.type,
+        text: suggestion.text,
+        confidence: suggestion.confidence,
+        reasoning: suggestion.rationale,
+        priority: suggestion.priority,
+        trigger: "post_call",
+        context: transcript.text.substring(0, 2000),
+        triggerContext: {
+          lastTranscripts: context.split("\n"),
+          detectedIntent: suggestion.intent,
+          customerSentiment: suggestion.sentiment,
+          conversationPhase: suggestion.conversationPhase,
+        },
+        metadata: {
+          modelVersion: suggestion.model,
+          documentSources: matches.map((match) => ({
+            document: match.document,
+            name: match.name,
+            chunkIndex: match.chunkIndex,
+            version: match.version,
+            score: Number(match.score.toFixed(4)),
+          })),
+        },
+        // Sits next to the moment it answers in the call log
+        createdAt: new Date(transcript.timestamp.getTime() + 1000),
+      });
+      created++;
+    }
+
+    return created;
+  }
+}
+
+const recordingPipelineService = new RecordingPipelineService();
+export default recordingPipelineService;
@@ -0,0 +1,524 @@
+import config from "../config/config.js";
+import Scorecard from "../models/Scorecard.js";
+import Team from "../models/Team.js";
+import aiService from "./aiService.js";
+
+// Built-in scorecards admins can use as they are or start from
+const TEMPLATES = {
+  meddicc: {
+    name: "MEDDICC",
+    description:
+      "Metrics, Economic buyer, Decision criteria, Decision process, Identify pain, Champion, Competition",
+    criteria: [
+      {
+        key: "metrics",
+        label: "Metrics",
+        description:
+          "Quantified the economic impact the prospect expects, e.g. hours saved, revenue gained or cost reduced",
+        keywords: [
+          "roi",
+          "save",
+          "saves",
+          "saving",
+          "hours",
+          "per month",
+          "per year",
+          "percent",
+          "revenue",
+          "reduce cost",
+        ],
+      },
+      {
+        key: "economic_buyer",
+        label: "Economic buyer",
+        description:
+          "Identified who has the budget and final say, and whether they are engaged",
+        keywords: [
+          "sign off",
+          "signs off",
+          "final say",
+          "budget holder",
+          "cfo",
+          "ceo",
+          "vp",
+          "approve",
+          "approves",
+          "who decides",
+        ],
+      },
+      {
+        key: "decision_criteria",
+        label: "Decision criteria",
+        description:
+          "Learned the technical, business and commercial criteria the solution will be judged on",
+        keywords: [
+          "criteria",
+          "requirements",
+          "must have",
+          "must-have",
+          "evaluate",
+          "evaluating",
+          "looking for in",
+          "deal breaker",
+        ],
+      },
+      {
+        key: "decision_process",
+        label: "Decision process",
+        description:
+          "Mapped the steps, people and timeline from evaluation to signature",
+        keywords: [
+          "process",
+          "next steps",
+          "timeline",
+          "procurement",
+          "legal review",
+          "security review",
+          "pilot",
+          "sign the contract",
+        ],
+      },
+      {
+        key: "identify_pain",
+        label: "Identify pain",
+        description:
+          "Uncovered the business pain driving the purchase and its consequences",
+        keywords: [
+          "problem",
+          "challenge",
+          "struggle",
+          "struggling",
+          "pain",
+          "frustrat",
+          "bottleneck",
+          "issue",
+        ],
+      },
+      {
+        key: "champion",
+        label: "Champion",
+        description:
+          "Found someone with influence who is selling the solution internally",
+        keywords: [
+          "champion",
+          "internally",
+          "my team",
+          "push for",
+          "advocate",
+          "convince",
+          "pitch it",
+        ],
+      },
+      {
+        key: "competition",
+        label: "Competition",
+        description:
+          "Learned which alternatives, including doing nothing, the prospect is considering",
+        keywords: [
+          "competitor",
+          "alternative",
+          "other vendors",
+          "also looking at",
+          "compared to",
+          "currently use",
+          "in-house",
+        ],
+      },
+    ],
+  },
+  bant: {
+    name: "BANT",
+    description: "Budget, Authority, Need, Timeline",
+    criteria: [
+      {
+        key: "budget",
+        label: "Budget",
+        description:
+          "Confirmed there is budget for the purchase and roughly how much",
+        keywords: [
+          "budget",
+          "spend",
+          "afford",
+          "allocated",
+          "price range",
+          "cost",
+        ],
+      },
+      {
+        key: "authority",
+        label: "Authority",
+        description:
+          "Established who makes the decision and who else is involved",
+        keywords: [
+          "decision maker",
+          "decide",
+          "sign off",
+          "approve",
+          "my boss",
+          "manager",
+          "final say",
+        ],
+      },
+      {
+        key: "need",
+        label: "Need",
+        description: "Confirmed a business need the product solves",
+        keywords: [
+          "need",
+          "problem",
+          "challenge",
+          "looking for",
+          "pain",
+          "struggle",
+        ],
+      },
+      {
+        key: "timeline",
+        label: "Timeline",
+        description: "Learned when the prospect wants to buy and go live",
+        keywords: [
+          "timeline",
+          "by when",
+          "this quarter",
+          "next quarter",
+          "deadline",
+          "go live",
+          "start date",
+        ],
+      },
+    ],
+  },
+  spiced: {
+    name: "SPICED",
+    description: "Situation, Pain, Impact, Critical event, Decision",
+    criteria: [
+      {
+        key: "situation",
+        label: "Situation",
+        description: "Understood the prospect's current setup, team and tools",
+        keywords: [
+          "currently",
+          "today we",
+          "our team",
+          "our setup",
+          "we use",
+          "right now",
+        ],
+      },
+      {
+        key: "pain",
+        label: "Pain",
+        description:
+          "Uncovered the problems the prospect has with their situation",
+        keywords: [
+          "problem",
+          "challenge",
+          "struggle",
+          "pain",
+          "frustrat",
+          "difficult",
+          "issue",
+        ],
+      },
+      {
+        key: "impact",
+        label: "Impact",
+        description:
+          "Quantified what the pain costs or what solving it is worth",
+        keywords: [
+          "impact",
+          "cost us",
+          "lose",
+          "losing",
+          "hours",
+          "revenue",
+          "roi",
+          "per month",
+        ],
+      },
+      {
+        key: "critical_event",
+        label: "Critical event",
+        description: "Found the deadline or event that makes solving it urgent",
+        keywords: [
+          "deadline",
+          "by the end of",
+          "launch",
+          "renewal",
+          "expires",
+          "go live",
+        ],
+      },
+      {
+        key: "decision",
+        label: "Decision",
+        description: "Learned how the decision will be made and by whom",
+        keywords: [
+          "decide",
+          "decision",
+          "sign off",
+          "approve",
+          "procurement",
+          "final say",
+        ],
+      },
+    ],
+  },
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Qualification scorecards. Each call gets a snapshot of its scorecard's
+// criteria; live transcript lines mark criteria covered by keyword, and the
+// post-call review asks the LLM which criteria the whole conversation
+// really established, with the lines that show it.
+class ScorecardService {
+  constructor() {
+    this.config = config.SCORECARDS;
+    this.patterns = new Map(); // keywords joined -> RegExp
+    this.listeners = [];
+  }
+
+  // Called with { callId, scorecard } when a call is switched to another
+  // scorecard outside the live session, e.g. to emit scorecardUpdate
+  onChanged(handler) {
+    this.listeners.push(handler);
+  }
+
+  notifyChanged(call) {
+    const change = { callId: String(call._id), scorecard: call.scorecard };
+    this.listeners.forEach((handler) => {
+      try {
+        handler(change);
+      } catch (error) {
+        console.error("Error in scorecard listener:", error);
+      }
+    });
+  }
+
+  templates() {
+    return Object.entries(TEMPLATES).map(([framework, template]) => ({
+      framework,
+      ...template,
+      criteria: template.criteria.map((criterion) => ({
+        weight: 1,
+        ...criterion,
+      })),
+    }));
+  }
+
+  template(framework) {
+    return this.templates().find(
+      (template) => template.framework === framework
+    );
+  }
+
+  // The admin's default scorecard, else the configured built-in template
+  async defaultScorecard() {
+    const scorecard = await Scorecard.findOne({ isDefault: true }).lean();
+    return scorecard || this.template(this.config.DEFAULT_TEMPLATE) || null;
+  }
+
+  // Query for the scorecards a user may pick: the default, their own and
+  // their teammates'. Admins manage, and may pick, every scorecard.
+  async accessFilter(user) {
+    if (user.role === "admin") return {};
+
+    const teams = await Team.find({ "members.user": user._id })
+      .select("members.user")
+      .lean();
+    const creators = [
+      user._id,
+      ...teams.flatMap((team) => team.members.map((member) => member.user)),
+    ];
+    return { $or: [{ isDefault: true }, { createdBy: { $in: creators } }] };
+  }
+
+  // The copy of a scorecard's criteria a call is tracked against
+  snapshot(scorecard) {
+    return {
+      scorecard: scorecard._id || null,
+      name: scorecard.name,
+      framework: scorecard.framework,
+      criteria: scorecard.criteria.map((criterion) => ({
+        key: criterion.key,
+        label: criterion.label,
+        description: criterion.description,
+        weight: criterion.weight ?? 1,
+        keywords: criterion.keywords || [],
+        covered: false,
+        evidence: [],
+      })),
+      coverage: 0,
+    };
+  }
+
+  // Give the call its scorecard snapshot if it has none yet. Returns the
+  // snapshot, or null when no scorecard applies.
+  async ensure(call) {
+    if (call.scorecard?.criteria?.length) return call.scorecard;
+
+    const scorecard = await this.defaultScorecard();
+    if (!scorecard) return null;
+    call.scorecard = this.snapshot(scorecard);
+    return call.scorecard;
+  }
+
+  // Switch the call to another scorecard and re-track what was said so far
+  assign(call, scorecard, transcripts = []) {
+    call.scorecard = this.snapshot(scorecard);
+    transcripts.forEach((transcript) => this.track(call, transcript));
+    return call.scorecard;
+  }
+
+  keywordPattern(keywords) {
+    const key = keywords.join("|");
+    if (!this.patterns.has(key)) {
+      this.patterns.set(
+        key,
+        new RegExp(`\\b(?:${keywords.map(escapeRegExp).join("|")})\\b`, "i")
+      );
+    }
+    return this.patterns.get(key);
+  }
+
+  evidenceOf(transcript) {
+    return {
+      transcript: transcript._id,
+      speaker: transcript.speaker,
+      text: transcript.text,
+      timestamp: transcript.timestamp,
+    };
+  }
+
+  // Mark criteria whose keywords the line mentions. Returns the keys of
+  // criteria the line newly covered.
+  track(call, transcript) {
+    const scorecard = call.scorecard;
+    if (!scorecard?.criteria?.length || !transcript.text?.trim()) return [];
+
+    const newlyCovered = [];
+    scorecard.criteria.forEach((criterion) => {
+      if (!criterion.keywords?.length) return;
+      if (!this.keywordPattern(criterion.keywords).test(transcript.text)) {
+        return;
+      }
+
+      if (criterion.evidence.length < this.config.MAX_EVIDENCE) {
+        criterion.evidence.push(this.evidenceOf(transcript));
+      }
+      if (!criterion.covered) {
+        criterion.covered = true;
+        criterion.source = "keyword";
+        newlyCovered.push(criterion.key);
+      }
+    });
+
+    if (newlyCovered.length > 0) this.updateCoverage(scorecard);
+    return newlyCovered;
+  }
+
+  updateCoverage(scorecard) {
+    const total = scorecard.criteria.reduce(
+      (sum, criterion) => sum + criterion.weight,
+      0
+    );
+    const covered = scorecard.criteria
+      .filter((criterion) => criterion.covered)
+      .reduce((sum, criterion) => sum + criterion.weight, 0);
+    scorecard.coverage = total > 0 ? Math.round((100 * covered) / total) : 0;
+  }
+
+  // Post-call review of the whole transcript. Keyword tracking is redone
+  // from scratch; with an LLM available its verdict replaces it.
+  async evaluate(call, transcripts) {
+    const scorecard = await this.ensure(call);
+    if (!scorecard) return null;
+
+    const lines = transcripts.filter((transcript) => transcript.text?.trim());
+    scorecard.criteria.forEach((criterion) => {
+      criterion.covered = false;
+      criterion.source = undefined;
+      criterion.evidence = [];
+    });
+    lines.forEach((line) => this.track(call, line));
+
+    if (lines.length > 0 && aiService.llm.isAvailable("analysis")) {
+      try {
+        const result = await aiService.evaluateScorecard(lines, scorecard);
+        const verdicts = new Map(
+          (result.criteria || []).map((verdict) => [verdict.key, verdict])
+        );
+        scorecard.criteria.forEach((criterion) => {
+          const verdict = verdicts.get(criterion.key);
+          if (!verdict) return;
+
+          criterion.covered = verdict.covered === true;
+          criterion.source = "llm";
+          if (!criterion.covered) {
+            criterion.evidence = [];
+            return;
+          }
+          const cited = (verdict.lines || [])
+            .filter((i) => Number.isInteger(i) && lines[i])
+            .slice(0, this.config.MAX_EVIDENCE)
+            .map((i) => this.evidenceOf(lines[i]));
+          if (cited.length > 0) criterion.evidence = cited;
+        });
+      } catch (error) {
+        console.warn(
+          `⚠️ Scorecard review failed, keeping keyword coverage: ${error.message}`
+        );
+      }
+    }
+
+    this.updateCoverage(scorecard);
+    scorecard.evaluatedAt = new Date();
+    return scorecard;
+  }
+
+  // The call's scorecard as shown to reps, without the matching keywords
+  toClient(scorecard) {
+    if (!scorecard?.criteria?.length) return null;
+    return {
+      scorecardId: scorecard.scorecard || null,
+      name: scorecard.name,
+      framework: scorecard.framework,
+      coverage: scorecard.coverage ?? 0,
+      evaluatedAt: scorecard.evaluatedAt || null,
+      criteria: scorecard.criteria.map((criterion) => ({
+        key: criterion.key,
+        label: criterion.label,
+        description: criterion.description,
+        weight: criterion.weight,
+        covered: criterion.covered,
+        source: criterion.source || null,
+        evidence: criterion.evidence.map((item) => ({
+          transcriptId: item.transcript || null,
+          speaker: item.speaker,
+          text: item.text,
+          timestamp: item.timestamp,
+        })),
+      })),
+    };
+  }
+
+  // Uncovered criteria for the live suggestion prompt
+  buildContext(scorecard) {
+    const missing = (scorecard?.criteria || []).filter(
+      (criterion) => !criterion.covered
+    );
+    if (missing.length === 0) return "";
+
+    const list = missing
+      .map(
+        (criterion) =>
+          `- ${criterion.label}: ${criterion.description || criterion.label}`
+      )
+      .join("\n");
+    return `The rep qualifies with ${scorecard.name}. Not yet covered on this call:\n${list}`;
+  }
+}
+
+const scorecardService = new ScorecardService();
+export default scorecardService;
@@ -0,0 +1,437 @@
+import config from "../config/config.js";
+import Call from "../models/Call.js";
+import Transcript from "../models/Transcript.js";
+import AISuggestion from "../models/AISuggestion.js";
+import Document from "../models/Document.js";
+import DocumentChunk from "../models/DocumentChunk.js";
+import embeddingService, { cosineSimilarity } from "./embeddingService.js";
+import documentKnowledgeService from "./documentKnowledgeService.js";
+import documentLibraryService from "./documentLibraryService.js";
+import jobQueue from "./jobQueue.js";
+
+export const SEARCH_TYPES = ["transcripts", "suggestions", "documents"];
+export const SEARCH_MODES = ["keyword", "semantic"];
+
+const SNIPPET_LENGTH = 240;
+const EMBED_BATCH_SIZE = 100;
+
+// One search box over everything a rep can read: transcript lines and AI
+// suggestions of their own and shared calls, and the text of their personal
+// and team documents. Keyword mode uses the MongoDB text indexes; semantic
+// mode ranks by embedding similarity to the query. Transcript and suggestion
+// embeddings are computed by the search.embed job, never during a search.
+class SearchService {
+  // filters: from, to (Dates), speaker, platform, tag. Speaker only applies to
+  // transcripts and platform only to calls, so those filters leave out the
+  // result types they can't apply to.
+  async search(userId, query, options = {}) {
+    const mode = options.mode || "keyword";
+    const types = options.types || SEARCH_TYPES;
+    const limit = options.limit || config.SEARCH.DEFAULT_LIMIT;
+    const filters = options.filters || {};
+
+    const wanted = {
+      transcripts: types.includes("transcripts"),
+      suggestions: types.includes("suggestions") && !filters.speaker,
+      documents:
+        types.includes("documents") && !filters.speaker && !filters.platform,
+    };
+
+    const calls =
+      wanted.transcripts || wanted.suggestions
+        ? await this.accessibleCalls(userId, filters)
+        : [];
+    const queryEmbedding =
+      mode === "semantic" ? await embeddingService.embedText(query) : null;
+    const context = {
+      userId,
+      query,
+      queryEmbedding,
+      filters,
+      calls,
+      limit,
+      capped: [], // result types with more candidates than were ranked
+    };
+
+    const [transcripts, suggestions, documents] = await Promise.all([
+      wanted.transcripts ? this.searchTranscripts(context) : [],
+      wanted.suggestions ? this.searchSuggestions(context) : [],
+      wanted.documents ? this.searchDocuments(context) : [],
+    ]);
+
+    const results = { query, mode, transcripts, suggestions, documents };
+    if (mode === "semantic") {
+      results.semantic = {
+        candidateLimit: config.SEARCH.SEMANTIC_CANDIDATES,
+        capped: context.capped,
+        // Lines and suggestions that can't match until they are embedded
+        pendingEmbeddings: await this.pendingEmbeddings(userId, calls, wanted),
+      };
+    }
+    return results;
+  }
+
+  // Count the records of the wanted types that have no embedding from the
+  // current model yet, and queue the job that embeds them
+  async pendingEmbeddings(userId, calls, wanted) {
+    const keys = [...keyCalls(calls).keys()];
+    if (keys.length === 0) return 0;
+
+    const filter = {
+      call: { $in: keys },
+      embeddingModel: { $ne: embeddingService.model },
+    };
+    const counts = await Promise.all([
+      wanted.transcripts ? Transcript.countDocuments(filter) : 0,
+      wanted.suggestions ? AISuggestion.countDocuments(filter) : 0,
+    ]);
+    const pending = counts[0] + counts[1];
+
+    if (pending > 0) {
+      await this.enqueueEmbedding(userId).catch((error) =>
+        console.warn(`⚠️ Could not queue search embedding: ${error.message}`)
+      );
+    }
+    return pending;
+  }
+
+  enqueueEmbedding(userId) {
+    return jobQueue.enqueue(
+      "search.embed",
+      { userId: String(userId) },
+      {
+        user: userId,
+        resource: { kind: "search", id: userId },
+        dedupe: true,
+      }
+    );
+  }
+
+  // Embed the transcript lines and suggestions of the user's calls that have
+  // no vector from the current model, in batches
+  async embedMissing(userId, { onProgress } = {}) {
+    const keys = [...keyCalls(await this.accessibleCalls(userId, {})).keys()];
+    const model = embeddingService.model;
+    const filter = { call: { $in: keys }, embeddingModel: { $ne: model } };
+
+    const total =
+      (await Transcript.countDocuments(filter)) +
+      (await AISuggestion.countDocuments(filter));
+    let embedded = 0;
+
+    for (const Model of [Transcript, AISuggestion]) {
+      for (;;) {
+        const batch = await Model.find(filter)
+          .select("text")
+          .limit(EMBED_BATCH_SIZE)
+          .lean();
+        if (batch.length === 0) break;
+
+        // Empty lines are marked done without a vector
+        const withText = batch.filter((item) => item.text?.trim());
+        const embeddings = await embeddingService.embedTexts(
+          withText.map((item) => item.text)
+        );
+        const vectors = new Map(
+          withText.map((item, i) => [String(item._id), embeddings[i]])
+        );
+        await Model.bulkWrite(
+          batch.map((item) => ({
+            updateOne: {
+              filter: { _id: item._id },
+              update: {
+                embedding: vectors.get(String(item._id)) || [],
+                embeddingModel: model,
+              },
+            },
+          }))
+        );
+
+        embedded += batch.length;
+        await onProgress?.({ embedded, total });
+      }
+    }
+
+    if (embedded > 0) {
+      console.log(`🔎 Embedded ${embedded} record(s) for search (${userId})`);
+    }
+    return { embedded };
+  }
+
+  // Values to offer in the filter dropdowns
+  async filterOptions(userId) {
+    const calls = await this.accessibleCalls(userId, {});
+    const documents = await Document.find(
+      await documentLibraryService.documentFilter(userId)
+    )
+      .select("tags")
+      .lean();
+
+    const platforms = new Set(calls.map((call) => call.platform));
+    const tags = new Set();
+    [...calls, ...documents].forEach((item) =>
+      (item.tags || []).forEach((tag) => tags.add(tag))
+    );
+
+    return {
+      platforms: [...platforms].filter(Boolean).sort(),
+      tags: [...tags].sort(),
+    };
+  }
+
+  // Calls the user owns or has shared with them, narrowed by platform and tag
+  accessibleCalls(userId, filters) {
+    const filter = { $or: [{ user: userId }, { "sharedWith.user": userId }] };
+    if (filters.platform) filter.platform = filters.platform;
+    if (filters.tag) filter.tags = filters.tag;
+
+    return Call.find(filter)
+      .select("_id meetingId title startTime platform tags")
+      .lean();
+  }
+
+  async searchTranscripts(context) {
+    const { userId, query, queryEmbedding, filters, calls, limit } = context;
+    if (!queryEmbedding) {
+      const transcripts = await Transcript.searchTranscripts(userId, query, {
+        calls,
+        limit,
+        from: filters.from,
+        to: filters.to,
+        speaker: filters.speaker,
+      });
+      return transcripts.map((transcript) =>
+        this.transcriptHit(transcript, transcript.callInfo, query)
+      );
+    }
+
+    const callsByKey = keyCalls(calls);
+    if (callsByKey.size === 0) return [];
+
+    const filter = { call: { $in: [...callsByKey.keys()] } };
+    const timestamp = dateRange(filters);
+    if (timestamp) filter.timestamp = timestamp;
+    if (filters.speaker) filter.speaker = filters.speaker;
+
+    const candidates = await this.semanticCandidates(
+      context,
+      "transcripts",
+      Transcript.find(filter)
+        .select("+embedding text speaker timestamp startTime endTime call")
+        .sort({ timestamp: -1 })
+    );
+
+    const ranked = this.rank(candidates, queryEmbedding, limit);
+    return ranked.map((transcript) =>
+      this.transcriptHit(transcript, callsByKey.get(transcript.call), query)
+    );
+  }
+
+  async searchSuggestions(context) {
+    const { query, queryEmbedding, filters, calls, limit } = context;
+    const callsByKey = keyCalls(calls);
+    if (callsByKey.size === 0) return [];
+
+    const filter = { call: { $in: [...callsByKey.keys()] } };
+    const createdAt = dateRange(filters);
+    if (createdAt) filter.createdAt = createdAt;
+
+    let suggestions;
+    if (queryEmbedding) {
+      const candidates = await this.semanticCandidates(
+        context,
+        "suggestions",
+        AISuggestion.find(filter)
+          .select("+embedding text type call createdAt")
+          .sort({ createdAt: -1 })
+      );
+      suggestions = this.rank(candidates, queryEmbedding, limit);
+    } else {
+      suggestions = await AISuggestion.find(
+        { ...filter, $text: { $search: query } },
+        { score: { $meta: "textScore" } }
+      )
+        .select("text type call createdAt")
+        .sort({ score: { $meta: "textScore" }, createdAt: -1 })
+        .limit(limit)
+        .lean();
+    }
+
+    return suggestions.map((suggestion) => {
+      const call = callsByKey.get(suggestion.call);
+      return {
+        type: "suggestion",
+        id: suggestion._id,
+        text: suggestion.text,
+        snippet: snippet(suggestion.text, query),
+        suggestionType: suggestion.type,
+        score: suggestion.score,
+        timestamp: suggestion.createdAt,
+        call: callSummary(call),
+        link: `/call/log/${call._id}#suggestion-${suggestion._id}`,
+      };
+    });
+  }
+
+  async searchDocuments({ userId, query, queryEmbedding, filters, limit }) {
+    const filter = {};
+    const createdAt = dateRange(filters);
+    if (createdAt) filter.createdAt = createdAt;
+    if (filters.tag) filter.tags = filters.tag;
+
+    let matches;
+    if (queryEmbedding) {
+      matches = await documentKnowledgeService.search(userId, query, {
+        topK: limit,
+        minScore: config.SEARCH.SEMANTIC_MIN_SCORE,
+        filter,
+      });
+    } else {
+      const documents = await Document.find({
+        ...(await documentLibraryService.documentFilter(userId)),
+        ...filter,
+        processed: true,
+      }).select("_id");
+      if (documents.length === 0) return [];
+
+      const chunks = await DocumentChunk.find(
+        {
+          document: { $in: documents.map((doc) => doc._id) },
+          $text: { $search: query },
+        },
+        { score: { $meta: "textScore" } }
+      )
+        .select("document index text version")
+        .sort({ score: { $meta: "textScore" } })
+        .limit(limit)
+        .lean();
+      matches = chunks.map((chunk) => ({
+        document: chunk.document,
+        chunkIndex: chunk.index,
+        version: chunk.version,
+        text: chunk.text,
+        score: chunk.score,
+      }));
+    }
+    if (matches.length === 0) return [];
+
+    const documents = await Document.find({
+      _id: { $in: matches.map((match) => match.document) },
+    })
+      .select("name type url team")
+      .lean();
+    const byId = new Map(documents.map((doc) => [String(doc._id), doc]));
+
+    return matches.map((match) => {
+      const document = byId.get(String(match.document));
+      return {
+        type: "document",
+        id: match.document,
+        name: document?.name,
+        documentType: document?.type,
+        url: document?.url,
+        team: document?.team || null,
+        chunkIndex: match.chunkIndex,
+        version: match.version,
+        snippet: snippet(match.text, query),
+        score: match.score,
+      };
+    });
+  }
+
+  // The most recent records embedded with the current model, at most
+  // SEMANTIC_CANDIDATES of them; notes the type as capped when there are more
+  async semanticCandidates(context, type, query) {
+    const max = config.SEARCH.SEMANTIC_CANDIDATES;
+    const candidates = await query
+      .where("embeddingModel")
+      .equals(embeddingService.model)
+      .limit(max + 1)
+      .lean();
+
+    if (candidates.length > max) {
+      context.capped.push(type);
+      return candidates.slice(0, max);
+    }
+    return candidates;
+  }
+
+  // Order candidates by similarity to the query
+  rank(candidates, queryEmbedding, limit) {
+    return candidates
+      .map(({ embedding, ...item }) => ({
+        ...item,
+        score: cosineSimilarity(queryEmbedding, embedding),
+      }))
+      .filter((item) => item.score >= config.SEARCH.SEMANTIC_MIN_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // A transcript line with a link that opens the call log at that line
+  transcriptHit(transcript, call, query) {
+    return {
+      type: "transcript",
+      id: transcript._id,
+      text: transcript.text,
+      snippet: snippet(transcript.text, query),
+      speaker: transcript.speaker,
+      score: transcript.score,
+      timestamp: transcript.timestamp,
+      offset: transcript.startTime ?? null, // seconds from the call's start
+      call: callSummary(call),
+      link: `/call/log/${call._id}#transcript-${transcript._id}`,
+    };
+  }
+}
+
+// Transcripts and suggestions store the call's _id or meetingId as a string
+function keyCalls(calls) {
+  const byKey = new Map();
+  calls.forEach((call) => {
+    [call._id, call.meetingId]
+      .filter(Boolean)
+      .forEach((key) => byKey.set(String(key), call));
+  });
+  return byKey;
+}
+
+function callSummary(call) {
+  return {
+    id: call._id,
+    title: call.title,
+    startTime: call.startTime,
+    platform: call.platform,
+  };
+}
+
+function dateRange({ from, to }) {
+  if (!from && !to) return null;
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return range;
+}
+
+// The part of the text around the first query term, for result lists
+function snippet(text, query) {
+  if (!text || text.length <= SNIPPET_LENGTH) return text || "";
+
+  const lower = text.toLowerCase();
+  const terms = query.toLowerCase().split(/\W+/).filter(Boolean);
+  const hits = terms
+    .map((term) => lower.indexOf(term))
+    .filter((index) => index >= 0);
+  const center = hits.length > 0 ? Math.min(...hits) : 0;
+
+  const start = Math.max(0, center - SNIPPET_LENGTH / 3);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  return (
+    (start > 0 ? "…" : "") +
+    text.slice(start, end).trim() +
+    (end < text.length ? "…" : "")
+  );
+}
+
+const searchService = new SearchService();
+export default searchService;
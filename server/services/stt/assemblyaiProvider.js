@@ -0,0 +1,78 @@
+import { AssemblyAI } from "assemblyai";
+import config from "../../config/config.js";
+
+// Batch transcription with AssemblyAI. Each window is uploaded and polled,
+// so results arrive a few seconds behind the audio.
+export default class AssemblyAISttProvider {
+  constructor() {
+    this.name = "assemblyai";
+    this.isAvailable = !!config.ASSEMBLYAI_API_KEY;
+
+    if (this.isAvailable) {
+      this.client = new AssemblyAI({ apiKey: config.ASSEMBLYAI_API_KEY });
+    }
+  }
+
+  async transcribe(audio, { language } = {}) {
+    if (!this.isAvailable) {
+      throw new Error(`STT provider "${this.name}" is not configured`);
+    }
+
+    const transcript = await this.client.transcripts.transcribe({
+      audio,
+      ...(language ? { language_code: language.split("-")[0] } : {}),
+    });
+
+    if (transcript.status === "error") {
+      throw new Error(transcript.error || "AssemblyAI transcription failed");
+    }
+
+    return {
+      text: (transcript.text || "").trim(),
+      confidence: transcript.confidence ?? 0.9,
+      // AssemblyAI reports word timings in milliseconds
+      words: (transcript.words || []).map((word) => ({
+        text: word.text,
+        start: word.start / 1000,
+        end: word.end / 1000,
+        confidence: word.confidence,
+      })),
+    };
+  }
+
+  // Whole recording with AssemblyAI's speaker labels, one segment per
+  // utterance
+  async transcribeDiarized(audio, { language, speakers } = {}) {
+    if (!this.isAvailable) {
+      throw new Error(`STT provider "${this.name}" is not configured`);
+    }
+
+    const transcript = await this.client.transcripts.transcribe({
+      audio,
+      speaker_labels: true,
+      ...(speakers ? { speakers_expected: speakers } : {}),
+      ...(language ? { language_code: language.split("-")[0] } : {}),
+    });
+
+    if (transcript.status === "error") {
+      throw new Error(transcript.error || "AssemblyAI transcription failed");
+    }
+
+    // Speakers come back as A, B, C...
+    return (transcript.utterances || []).map((utterance) => ({
+      speaker: `Speaker ${
+        utterance.speaker.charCodeAt(0) - "A".charCodeAt(0) + 1
+      }`,
+      start: utterance.start / 1000,
+      end: utterance.end / 1000,
+      text: (utterance.text || "").trim(),
+      confidence: utterance.confidence ?? 0.9,
+      words: (utterance.words || []).map((word) => ({
+        text: word.text,
+        start: word.start / 1000,
+        end: word.end / 1000,
+        confidence: word.confidence,
+      })),
+    }));
+  }
+}
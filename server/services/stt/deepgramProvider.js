@@ -0,0 +1,125 @@
+import deepgramSdk from "@deepgram/sdk";
+import config from "../../config/config.js";
+
+const { Deepgram } = deepgramSdk;
+
+// Deepgram accepts the WebM/Opus stream directly over a websocket and sends
+// interim and final results itself, so no windowing is needed.
+export default class DeepgramSttProvider {
+  constructor() {
+    this.name = "deepgram";
+    this.model = config.DEEPGRAM_MODEL;
+    this.isAvailable = !!config.DEEPGRAM_API_KEY;
+
+    if (this.isAvailable) {
+      this.client = new Deepgram(config.DEEPGRAM_API_KEY);
+    }
+  }
+
+  async transcribe(audio, { mimeType = "audio/webm", language } = {}) {
+    if (!this.isAvailable) {
+      throw new Error(`STT provider "${this.name}" is not configured`);
+    }
+
+    const response = await this.client.transcription.preRecorded(
+      { buffer: audio, mimetype: mimeType.split(";")[0] },
+      {
+        model: this.model,
+        language: language || config.DEEPGRAM_LANGUAGE,
+        punctuate: true,
+        smart_format: true,
+      }
+    );
+
+    return toResult(response.results?.channels?.[0]?.alternatives?.[0]);
+  }
+
+  // Whole recording with Deepgram's own speaker labels, one segment per
+  // utterance. Deepgram detects the number of speakers itself.
+  async transcribeDiarized(audio, { mimeType = "audio/webm", language } = {}) {
+    if (!this.isAvailable) {
+      throw new Error(`STT provider "${this.name}" is not configured`);
+    }
+
+    const response = await this.client.transcription.preRecorded(
+      { buffer: audio, mimetype: mimeType.split(";")[0] },
+      {
+        model: this.model,
+        language: language || config.DEEPGRAM_LANGUAGE,
+        punctuate: true,
+        smart_format: true,
+        diarize: true,
+        utterances: true,
+      }
+    );
+
+    return (response.results?.utterances || []).map((utterance) => ({
+      speaker: `Speaker ${(utterance.speaker ?? 0) + 1}`,
+      start: utterance.start,
+      end: utterance.end,
+      text: (utterance.transcript || "").trim(),
+      confidence: utterance.confidence ?? 0,
+      words: toResult({ words: utterance.words }).words,
+    }));
+  }
+
+  // Live websocket stream; onResult receives interim and final results
+  createLiveStream({ language, onResult, onError, onClose }) {
+    if (!this.isAvailable) {
+      throw new Error(`STT provider "${this.name}" is not configured`);
+    }
+
+    const live = this.client.transcription.live({
+      model: this.model,
+      language: language || config.DEEPGRAM_LANGUAGE,
+      punctuate: true,
+      smart_format: true,
+      interim_results: true,
+    });
+
+    let open = false;
+    const pending = [];
+
+    live.addListener("open", () => {
+      open = true;
+      pending.splice(0).forEach((chunk) => live.send(chunk));
+    });
+    live.addListener("transcriptReceived", (message) => {
+      try {
+        const data = JSON.parse(message);
+        if (data.type && data.type !== "Results") return;
+
+        const result = toResult(data.channel?.alternatives?.[0]);
+        if (result.text) {
+          onResult({ ...result, isFinal: !!data.is_final });
+        }
+      } catch (error) {
+        onError?.(error);
+      }
+    });
+    live.addListener("error", (error) => onError?.(error));
+    live.addListener("close", () => {
+      open = false;
+      onClose?.();
+    });
+
+    return {
+      // Chunks sent before the socket opens are held, not dropped
+      send: (chunk) => (open ? live.send(chunk) : pending.push(chunk)),
+      finish: () => live.finish(),
+    };
+  }
+}
+
+function toResult(alternative) {
+  return {
+    text: (alternative?.transcript || "").trim(),
+    confidence: alternative?.confidence ?? 0,
+    words: (alternative?.words || []).map((word) => ({
+      text: word.punctuated_word || word.word,
+      start: word.start,
+      end: word.end,
+      confidence: word.confidence,
+    })),
+  };
+}
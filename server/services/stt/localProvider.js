@@ -0,0 +1,15 @@
+import config from "../../config/config.js";
+import OpenAISttProvider from "./openaiProvider.js";
+
+// Self-hosted Whisper behind an OpenAI-compatible endpoint (faster-whisper
+// server, whisper.cpp, LocalAI...). Audio never leaves your infrastructure.
+export default class LocalSttProvider extends OpenAISttProvider {
+  constructor() {
+    super({
+      name: "local",
+      apiKey: config.STT.LOCAL_API_KEY,
+      baseURL: config.STT.LOCAL_BASE_URL,
+      model: config.STT.LOCAL_MODEL,
+    });
+  }
+}
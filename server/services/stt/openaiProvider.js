@@ -0,0 +1,53 @@
+import OpenAI, { toFile } from "openai";
+import config from "../../config/config.js";
+import { audioExtension } from "../../lib/audioContainer.js";
+
+// Batch transcription over the OpenAI audio API. Also the base for local
+// Whisper-compatible servers that speak the same protocol.
+export default class OpenAISttProvider {
+  constructor({
+    name = "openai",
+    apiKey = config.OPENAI_API_KEY,
+    baseURL,
+    model = config.STT.OPENAI_MODEL,
+  } = {}) {
+    this.name = name;
+    this.model = model;
+    this.isAvailable = !!apiKey;
+
+    if (this.isAvailable) {
+      this.client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+    }
+  }
+
+  async transcribe(audio, { mimeType = "audio/webm", language } = {}) {
+    if (!this.isAvailable) {
+      throw new Error(`STT provider "${this.name}" is not configured`);
+    }
+
+    // Only whisper models return word timings; the gpt-4o models answer json
+    const verbose = this.model.includes("whisper");
+    const file = await toFile(audio, `audio.${audioExtension(mimeType)}`, {
+      type: mimeType.split(";")[0],
+    });
+
+    const transcription = await this.client.audio.transcriptions.create({
+      file,
+      model: this.model,
+      ...(language ? { language: language.split("-")[0] } : {}),
+      response_format: verbose ? "verbose_json" : "json",
+      ...(verbose ? { timestamp_granularities: ["word"] } : {}),
+    });
+
+    return {
+      text: (transcription.text || "").trim(),
+      confidence: 0.9, // the API doesn't report one
+      words: (transcription.words || []).map((word) => ({
+        text: word.word,
+        start: word.start,
+        end: word.end,
+        confidence: 0.9,
+      })),
+    };
+  }
+}
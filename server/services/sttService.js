@@ -0,0 +1,39 @@
+import config from "../config/config.js";
+import OpenAISttProvider from "./stt/openaiProvider.js";
+import LocalSttProvider from "./stt/localProvider.js";
+import DeepgramSttProvider from "./stt/deepgramProvider.js";
+import AssemblyAISttProvider from "./stt/assemblyaiProvider.js";
+
+// Speech-to-text providers share one interface: transcribe(audio, options)
+// for a complete clip, plus an optional createLiveStream() for providers
+// that stream results themselves.
+class SttService {
+  constructor() {
+    this.factories = new Map();
+    this.providers = new Map();
+
+    this.registerProvider("openai", () => new OpenAISttProvider());
+    this.registerProvider("local", () => new LocalSttProvider());
+    this.registerProvider("deepgram", () => new DeepgramSttProvider());
+    this.registerProvider("assemblyai", () => new AssemblyAISttProvider());
+  }
+
+  registerProvider(name, factory) {
+    this.factories.set(name, factory);
+    this.providers.delete(name);
+  }
+
+  getProvider(name = config.TRANSCRIPTION_PROVIDER) {
+    if (!this.providers.has(name)) {
+      const factory = this.factories.get(name);
+      if (!factory) {
+        throw new Error(`Unknown STT provider: ${name}`);
+      }
+      this.providers.set(name, factory());
+    }
+    return this.providers.get(name);
+  }
+}
+
+const sttService = new SttService();
+export default sttService;
@@ -0,0 +1,184 @@
+import AISuggestion from "../models/AISuggestion.js";
+import Transcript from "../models/Transcript.js";
+
+// Labels are taken from the AISuggestion and Transcript models so the model
+// output, the stored documents and the analytics all share one vocabulary.
+export const SUGGESTION_TYPES = AISuggestion.schema.path("type").enumValues;
+export const SUGGESTION_PRIORITIES =
+  AISuggestion.schema.path("priority").enumValues;
+export const CONVERSATION_PHASES = AISuggestion.schema.path(
+  "triggerContext.conversationPhase"
+).enumValues;
+export const CUSTOMER_SENTIMENTS = AISuggestion.schema.path(
+  "triggerContext.customerSentiment"
+).enumValues;
+export const CUSTOMER_INTENTS = Transcript.schema.path("intent").enumValues;
+
+// Common near-misses models produce, mapped onto the enums
+const SYNONYMS = {
+  type: {
+    objection: "objection_handling",
+    objections: "objection_handling",
+    close: "closing",
+    questions: "question",
+    discovery: "question",
+    price: "pricing",
+    feature: "feature_highlight",
+    features: "feature_highlight",
+    value: "feature_highlight",
+    rapport: "rapport_building",
+    next_step: "next_steps",
+    followup: "follow_up",
+  },
+  priority: { critical: "urgent", normal: "medium" },
+  conversationPhase: {
+    intro: "opening",
+    introduction: "opening",
+    demo: "presentation",
+    negotiation: "closing",
+    objection_handling: "objection",
+    followup: "follow_up",
+  },
+  sentiment: { pos: "positive", neg: "negative", mixed: "neutral" },
+  intent: { buying: "buying_signal", pricing: "pricing_inquiry" },
+};
+
+// JSON schema for a suggestion; without text when labelling streamed output
+export function buildSuggestionSchema({ includeText = true } = {}) {
+  const properties = {
+    ...(includeText
+      ? {
+          text: {
+            type: "string",
+            description:
+              "The suggestion the rep can act on or say next (max 80 words)",
+          },
+        }
+      : {}),
+    type: {
+      type: "string",
+      enum: SUGGESTION_TYPES,
+      description: "What kind of help the suggestion gives",
+    },
+    priority: {
+      type: "string",
+      enum: SUGGESTION_PRIORITIES,
+      description: "How urgently the rep should act on it",
+    },
+    confidence: {
+      type: "number",
+      minimum: 0,
+      maximum: 1,
+      description: "How confident you are the suggestion fits the moment",
+    },
+    rationale: {
+      type: "string",
+      description: "One sentence on why this suggestion fits the moment",
+    },
+    sentiment: {
+      type: "string",
+      enum: CUSTOMER_SENTIMENTS,
+      description: "The prospect's current sentiment",
+    },
+    intent: {
+      type: "string",
+      enum: CUSTOMER_INTENTS,
+      description: "What the prospect is trying to do in what was just said",
+    },
+    conversationPhase: {
+      type: "string",
+      enum: CONVERSATION_PHASES,
+      description: "Current phase of the sales conversation",
+    },
+  };
+
+  return {
+    type: "object",
+    properties,
+    required: Object.keys(properties),
+  };
+}
+
+// Check a model result against the schema; returns a list of problems
+export function validateSuggestion(data, { includeText = true } = {}) {
+  const errors = [];
+
+  if (!data || typeof data !== "object") {
+    return ["output is not an object"];
+  }
+  if (includeText && (typeof data.text !== "string" || !data.text.trim())) {
+    errors.push("text must be a non-empty string");
+  }
+  if (!SUGGESTION_TYPES.includes(data.type)) {
+    errors.push(`type must be one of ${SUGGESTION_TYPES.join(", ")}`);
+  }
+  if (!SUGGESTION_PRIORITIES.includes(data.priority)) {
+    errors.push(`priority must be one of ${SUGGESTION_PRIORITIES.join(", ")}`);
+  }
+  if (
+    typeof data.confidence !== "number" ||
+    Number.isNaN(data.confidence) ||
+    data.confidence < 0 ||
+    data.confidence > 1
+  ) {
+    errors.push("confidence must be a number between 0 and 1");
+  }
+  if (typeof data.rationale !== "string" || !data.rationale.trim()) {
+    errors.push("rationale must be a non-empty string");
+  }
+  if (!CUSTOMER_SENTIMENTS.includes(data.sentiment)) {
+    errors.push(`sentiment must be one of ${CUSTOMER_SENTIMENTS.join(", ")}`);
+  }
+  if (!CUSTOMER_INTENTS.includes(data.intent)) {
+    errors.push(`intent must be one of ${CUSTOMER_INTENTS.join(", ")}`);
+  }
+  if (!CONVERSATION_PHASES.includes(data.conversationPhase)) {
+    errors.push(
+      `conversationPhase must be one of ${CONVERSATION_PHASES.join(", ")}`
+    );
+  }
+
+  return errors;
+}
+
+function normalizeEnum(value, allowed, synonyms = {}) {
+  if (typeof value !== "string") return value;
+  const key = value.trim().toLowerCase().replace(/[\s-]+/g, "_");
+  if (allowed.includes(key)) return key;
+  return synonyms[key] || value;
+}
+
+// Fix the mistakes that don't need another model call: casing, synonyms,
+// percentages instead of fractions, missing optional labels
+export function repairSuggestion(data) {
+  if (!data || typeof data !== "object") return data;
+
+  let confidence =
+    typeof data.confidence === "string"
+      ? parseFloat(data.confidence)
+      : data.confidence;
+  if (typeof confidence === "number" && confidence > 1 && confidence <= 100) {
+    confidence = confidence / 100;
+  }
+
+  return {
+    ...data,
+    text: typeof data.text === "string" ? data.text.trim() : data.text,
+    type: normalizeEnum(data.type, SUGGESTION_TYPES, SYNONYMS.type),
+    priority:
+      normalizeEnum(data.priority, SUGGESTION_PRIORITIES, SYNONYMS.priority) ??
+      "medium",
+    confidence,
+    rationale: data.rationale ?? data.reasoning,
+    sentiment:
+      normalizeEnum(data.sentiment, CUSTOMER_SENTIMENTS, SYNONYMS.sentiment) ??
+      "neutral",
+    intent:
+      normalizeEnum(data.intent, CUSTOMER_INTENTS, SYNONYMS.intent) ?? "other",
+    conversationPhase: normalizeEnum(
+      data.conversationPhase ?? data.phase,
+      CONVERSATION_PHASES,
+      SYNONYMS.conversationPhase
+    ),
+  };
+}
@@ -0,0 +1,242 @@
+import config from "../config/config.js";
+
+// Speech rate used to time lines without start/end times
+const WORDS_PER_SECOND = 2.5;
+// Silence after which the same speaker starts a new monologue
+const MONOLOGUE_PAUSE_SECONDS = 5;
+// Overlap with the previous speaker that counts as an interruption
+const INTERRUPTION_OVERLAP_SECONDS = 0.5;
+// Timed speech needed before words per minute are reported
+const MIN_PACE_SECONDS = 20;
+
+const countWords = (text) => text.trim().split(/\s+/).filter(Boolean).length;
+
+// Start/end of a transcript line in seconds from `origin` (ms). STT start and
+// end times are used when present; otherwise the line starts at its
+// timestamp and lasts as long as its words take to say. `timed` tells which.
+export function timeLine(line, origin) {
+  const hasStart = typeof line.startTime === "number";
+  const start = hasStart
+    ? line.startTime
+    : Math.max(0, (new Date(line.timestamp).getTime() - origin) / 1000);
+  const hasEnd = typeof line.endTime === "number" && line.endTime >= start;
+  const end = hasEnd
+    ? line.endTime
+    : start + countWords(line.text) / WORDS_PER_SECOND;
+  return { start, end, duration: end - start, timed: hasStart && hasEnd };
+}
+
+// Running talk-time and pace figures for one live call, updated line by
+// line. Only the rep gets alerts; `repNames` are the lowercased speaker
+// names that are the rep, and when none of them has spoken the first
+// speaker is taken as the rep.
+class TalkMetrics {
+  constructor(repNames = new Set()) {
+    this.config = config.LIVE_METRICS;
+    this.repNames = repNames;
+    this.speakers = new Map(); // lowercased name -> figures
+    this.origin = null;
+    this.firstSpeaker = null;
+    this.previous = null; // { speaker, end, timed }
+    this.run = null; // current monologue { speaker, start, end }
+    this.lastHeardAt = 0;
+    this.lastSent = null;
+  }
+
+  setRepNames(repNames) {
+    this.repNames = repNames;
+  }
+
+  add(line) {
+    if (!line.text?.trim()) return;
+
+    const now = Date.now();
+    if (this.origin === null) {
+      this.origin = new Date(line.timestamp || now).getTime();
+    }
+    const name = (line.speaker || "Unknown").trim();
+    const speaker = name.toLowerCase();
+    const { start, end, duration, timed } = timeLine(
+      { ...line, timestamp: line.timestamp || now },
+      this.origin
+    );
+
+    if (!this.speakers.has(speaker)) {
+      this.speakers.set(speaker, {
+        name,
+        seconds: 0,
+        timedSeconds: 0,
+        timedWords: 0,
+        interruptions: 0,
+      });
+    }
+    const figures = this.speakers.get(speaker);
+    figures.seconds += duration;
+    if (timed) {
+      figures.timedSeconds += duration;
+      figures.timedWords += countWords(line.text);
+    }
+    if (this.firstSpeaker === null) this.firstSpeaker = speaker;
+
+    // Estimated timings can't tell overlapping speech apart, so only lines
+    // with STT timings on both sides count as interruptions
+    const previous = this.previous;
+    if (
+      previous &&
+      previous.speaker !== speaker &&
+      timed &&
+      previous.timed &&
+      start < previous.end - INTERRUPTION_OVERLAP_SECONDS
+    ) {
+      figures.interruptions += 1;
+    }
+
+    if (
+      this.run &&
+      this.run.speaker === speaker &&
+      start - this.run.end <= MONOLOGUE_PAUSE_SECONDS
+    ) {
+      this.run.end = Math.max(this.run.end, end);
+    } else {
+      this.run = { speaker, start, end };
+    }
+
+    this.previous = { speaker, end, timed };
+    this.lastHeardAt = now;
+  }
+
+  isRep(speaker) {
+    if ([...this.speakers.keys()].some((name) => this.repNames.has(name))) {
+      return this.repNames.has(speaker);
+    }
+    return speaker === this.firstSpeaker;
+  }
+
+  // Current figures for the meter, or null before anyone has spoken
+  snapshot(now = Date.now()) {
+    if (this.speakers.size === 0) return null;
+
+    const totalSeconds = [...this.speakers.values()].reduce(
+      (sum, figures) => sum + figures.seconds,
+      0
+    );
+    const speakers = [...this.speakers.entries()].map(([key, figures]) => ({
+      speaker: figures.name,
+      isRep: this.isRep(key),
+      talkSeconds: Math.round(figures.seconds),
+      share:
+        totalSeconds > 0
+          ? Number((figures.seconds / totalSeconds).toFixed(2))
+          : 0,
+      wordsPerMinute:
+        figures.timedSeconds >= MIN_PACE_SECONDS
+          ? Math.round((figures.timedWords / figures.timedSeconds) * 60)
+          : null,
+      interruptions: figures.interruptions,
+    }));
+
+    const repFigures = [...this.speakers.entries()]
+      .filter(([key]) => this.isRep(key))
+      .map(([, figures]) => figures);
+    const repSum = (field) =>
+      repFigures.reduce((sum, figures) => sum + figures[field], 0);
+    const repSeconds = repSum("seconds");
+    const repTimedSeconds = repSum("timedSeconds");
+
+    // A monologue is over once nobody has been heard for the pause length
+    const silent = now - this.lastHeardAt > MONOLOGUE_PAUSE_SECONDS * 1000;
+    const monologue =
+      this.run && !silent
+        ? {
+            speaker: this.speakers.get(this.run.speaker).name,
+            isRep: this.isRep(this.run.speaker),
+            seconds: Math.round(this.run.end - this.run.start),
+          }
+        : null;
+
+    const rep = {
+      talkSeconds: Math.round(repSeconds),
+      talkRatio:
+        totalSeconds > 0 ? Number((repSeconds / totalSeconds).toFixed(2)) : 0,
+      wordsPerMinute:
+        repTimedSeconds >= MIN_PACE_SECONDS
+          ? Math.round((repSum("timedWords") / repTimedSeconds) * 60)
+          : null,
+      interruptions: repSum("interruptions"),
+      guessed: ![...this.speakers.keys()].some((name) =>
+        this.repNames.has(name)
+      ),
+    };
+
+    return {
+      talkSeconds: Math.round(totalSeconds),
+      speakers: speakers.sort((a, b) => b.talkSeconds - a.talkSeconds),
+      rep,
+      monologue,
+      alerts: this.alerts(rep, monologue, totalSeconds),
+    };
+  }
+
+  // Coaching nudges for the rep, each with the threshold it crossed
+  alerts(rep, monologue, totalSeconds) {
+    const {
+      MONOLOGUE_ALERT_SECONDS,
+      TALK_RATIO_ALERT,
+      TALK_RATIO_MIN_SECONDS,
+      FAST_PACE_WPM,
+      INTERRUPTIONS_ALERT,
+    } = this.config;
+    const alerts = [];
+
+    if (monologue?.isRep && monologue.seconds >= MONOLOGUE_ALERT_SECONDS) {
+      alerts.push({
+        type: "monologue",
+        message: `You've talked for ${monologue.seconds} seconds straight. Ask a question and let them talk.`,
+        value: monologue.seconds,
+        threshold: MONOLOGUE_ALERT_SECONDS,
+      });
+    }
+    if (
+      totalSeconds >= TALK_RATIO_MIN_SECONDS &&
+      rep.talkRatio > TALK_RATIO_ALERT
+    ) {
+      alerts.push({
+        type: "talk_ratio",
+        message: `You've done ${Math.round(rep.talkRatio * 100)}% of the talking. Give the prospect more room.`,
+        value: rep.talkRatio,
+        threshold: TALK_RATIO_ALERT,
+      });
+    }
+    if (rep.wordsPerMinute !== null && rep.wordsPerMinute > FAST_PACE_WPM) {
+      alerts.push({
+        type: "pace",
+        message: `You're speaking at ${rep.wordsPerMinute} words a minute. Slow down.`,
+        value: rep.wordsPerMinute,
+        threshold: FAST_PACE_WPM,
+      });
+    }
+    if (rep.interruptions >= INTERRUPTIONS_ALERT) {
+      alerts.push({
+        type: "interruptions",
+        message: `You've talked over the prospect ${rep.interruptions} times. Let them finish.`,
+        value: rep.interruptions,
+        threshold: INTERRUPTIONS_ALERT,
+      });
+    }
+
+    return alerts;
+  }
+
+  // The snapshot if it changed since the last one sent, else null
+  pending(now = Date.now()) {
+    const snapshot = this.snapshot(now);
+    if (!snapshot) return null;
+
+    const key = JSON.stringify(snapshot);
+    if (key === this.lastSent) return null;
+    this.lastSent = key;
+    return snapshot;
+  }
+}
+
+export default TalkMetrics;
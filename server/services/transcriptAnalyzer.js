@@ -1,9 +1,17 @@
+// Minimum gap between automatic suggestions for each frequency preference
+const SUGGESTION_FREQUENCY_INTERVALS = {
+  high: 30000, // 30 seconds
+  medium: 60000, // 60 seconds
+  low: 120000, // 2 minutes
+};
+
 class TranscriptAnalyzer {
-  constructor() {
+  constructor(preferences = {}) {
     this.lastSuggestionTime = 0;
     this.currentSpeaker = null;
     this.speakerTranscripts = new Map();
     this.lastTranscriptTime = 0;
+    this.lastGap = 0; // Silence before the most recent transcript
     this.allTranscripts = [];
 
     this.config = {
@@ -13,10 +21,34 @@ class TranscriptAnalyzer {
       LONG_PAUSE_THRESHOLD: 7000, // 7 seconds
       MAX_TRANSCRIPT_HISTORY: 50,
     };
+
+    this.automaticSuggestions = true;
+    this.confidenceThreshold = 0;
+    this.applyPreferences(preferences);
+  }
+
+  // Apply User.preferences (aiSuggestionFrequency, confidenceThreshold)
+  applyPreferences({ aiSuggestionFrequency, confidenceThreshold } = {}) {
+    if (aiSuggestionFrequency === "manual") {
+      this.automaticSuggestions = false;
+    } else if (SUGGESTION_FREQUENCY_INTERVALS[aiSuggestionFrequency]) {
+      this.automaticSuggestions = true;
+      this.config.MIN_TIME_BETWEEN_SUGGESTIONS =
+        SUGGESTION_FREQUENCY_INTERVALS[aiSuggestionFrequency];
+    }
+
+    if (typeof confidenceThreshold === "number") {
+      this.confidenceThreshold = confidenceThreshold;
+    }
+  }
+
+  meetsConfidenceThreshold(confidence) {
+    return (confidence ?? 0) >= this.confidenceThreshold;
   }
 
   addTranscript(transcriptData) {
     const now = Date.now();
+    this.lastGap = this.lastTranscriptTime ? now - this.lastTranscriptTime : 0;
     this.lastTranscriptTime = now;
 
     // Store transcript
@@ -54,7 +86,18 @@ class TranscriptAnalyzer {
   shouldGenerateSuggestion(transcriptData) {
     const now = Date.now();
     const timeSinceLastSuggestion = now - this.lastSuggestionTime;
-    const timeSinceLastTranscript = now - this.lastTranscriptTime;
+    const previousSpeaker = this.currentSpeaker;
+
+    // Track the speaker even when there isn't enough content to analyze yet
+    const speakerChanged = this.detectSpeakerChange(transcriptData.speaker);
+
+    // Manual mode, or still inside the user's suggestion frequency window
+    if (
+      !this.automaticSuggestions ||
+      timeSinceLastSuggestion < this.config.MIN_TIME_BETWEEN_SUGGESTIONS
+    ) {
+      return null;
+    }
 
     // Get recent context
     const recentContext = this.getRecentContext();
@@ -67,27 +110,21 @@ class TranscriptAnalyzer {
     }
 
     // Priority 1: Speaker change detection
-    if (
-      this.detectSpeakerChange(transcriptData.speaker) &&
-      timeSinceLastSuggestion >= this.config.MIN_TIME_BETWEEN_SUGGESTIONS
-    ) {
+    if (speakerChanged) {
       return {
         trigger: "speaker_change",
         context: recentContext,
-        previousSpeaker: this.currentSpeaker,
+        previousSpeaker,
         currentSpeaker: transcriptData.speaker,
       };
     }
 
-    // Priority 2: Long pause with content
-    if (
-      timeSinceLastTranscript >= this.config.LONG_PAUSE_THRESHOLD &&
-      timeSinceLastSuggestion >= this.config.MIN_TIME_BETWEEN_SUGGESTIONS
-    ) {
+    // Priority 2: Long pause before this transcript
+    if (this.lastGap >= this.config.LONG_PAUSE_THRESHOLD) {
       return {
         trigger: "long_pause",
         context: recentContext,
-        pauseDuration: timeSinceLastTranscript,
+        pauseDuration: this.lastGap,
       };
     }
 
@@ -112,6 +149,43 @@ class TranscriptAnalyzer {
     return null;
   }
 
+  // Timer-driven check for a pause that is still going on
+  checkLongPause(now = Date.now()) {
+    // Manual mode, or nothing new since the last suggestion
+    if (
+      !this.automaticSuggestions ||
+      !this.lastTranscriptTime ||
+      this.lastSuggestionTime >= this.lastTranscriptTime
+    ) {
+      return null;
+    }
+
+    const pauseDuration = now - this.lastTranscriptTime;
+    const timeSinceLastSuggestion = now - this.lastSuggestionTime;
+
+    if (
+      pauseDuration < this.config.LONG_PAUSE_THRESHOLD ||
+      timeSinceLastSuggestion < this.config.MIN_TIME_BETWEEN_SUGGESTIONS
+    ) {
+      return null;
+    }
+
+    const recentContext = this.getRecentContext();
+    const wordCount = recentContext
+      .split(" ")
+      .filter((word) => word.length > 0).length;
+
+    if (wordCount < this.config.MIN_WORDS_FOR_ANALYSIS) {
+      return null;
+    }
+
+    return {
+      trigger: "long_pause",
+      context: recentContext,
+      pauseDuration,
+    };
+  }
+
   detectSpeakerChange(newSpeaker) {
     const changed = this.currentSpeaker && this.currentSpeaker !== newSpeaker;
     this.currentSpeaker = newSpeaker;
@@ -132,6 +206,10 @@ class TranscriptAnalyzer {
     return contextText;
   }
 
+  getRecentTranscripts(count = 5) {
+    return this.allTranscripts.slice(-count);
+  }
+
   markSuggestionGenerated() {
     this.lastSuggestionTime = Date.now();
   }
@@ -0,0 +1,355 @@
+import config from "../config/config.js";
+import llmService from "./llmService.js";
+import Transcript from "../models/Transcript.js";
+
+export const TRANSCRIPT_SENTIMENTS =
+  Transcript.schema.path("sentiment").enumValues;
+export const TRANSCRIPT_INTENTS = Transcript.schema.path("intent").enumValues;
+export const ENTITY_LABELS = [
+  "company",
+  "product",
+  "competitor",
+  "amount",
+  "date",
+];
+
+// Small lexicons for the offline fallback when no LLM is configured
+const POSITIVE_WORDS = [
+  "great",
+  "good",
+  "love",
+  "like",
+  "excellent",
+  "perfect",
+  "helpful",
+  "interested",
+  "excited",
+  "awesome",
+  "impressive",
+  "sounds good",
+  "makes sense",
+];
+const NEGATIVE_WORDS = [
+  "expensive",
+  "concern",
+  "worried",
+  "problem",
+  "issue",
+  "difficult",
+  "not sure",
+  "don't think",
+  "too much",
+  "frustrated",
+  "disappointed",
+  "unfortunately",
+  "hate",
+];
+const INTENT_PATTERNS = [
+  ["pricing_inquiry", /\b(price|pricing|cost|how much|budget|discount)\b/i],
+  ["buying_signal", /\b(sign|contract|next steps?|get started|purchase|onboard)\b/i],
+  ["objection", /\b(too expensive|concern|worried|not sure|but we|already use|no budget)\b/i],
+  ["comparison", /\b(compared to|versus|vs\.?|competitor|alternative)\b/i],
+  ["scheduling", /\b(schedule|calendar|meeting|next week|tomorrow|follow up)\b/i],
+  ["feature_inquiry", /\b(does it|can it|integrat\w*|feature|support)\b/i],
+  ["small_talk", /\b(how are you|weekend|weather|nice to meet)\b/i],
+];
+const AMOUNT_PATTERN =
+  /(?:[$€£]\s?\d[\d,]*(?:\.\d+)?\s?(?:k|m|million|thousand)?|\b\d[\d,]*(?:\.\d+)?\s?(?:dollars|euros|pounds|usd|per (?:month|year|seat|user))\b)/gi;
+const DATE_PATTERN =
+  /\b(?:today|tomorrow|yesterday|next (?:week|month|quarter|year)|end of (?:the )?(?:week|month|quarter|year)|q[1-4]|(?:mon|tues|wednes|thurs|fri|satur|sun)day|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.? \d{1,2}(?:st|nd|rd|th)?)\b/gi;
+
+// Annotates persisted Transcript lines with sentiment, entities and intent.
+// Live lines are queued and enriched in small batches in the background;
+// backfill() walks historical calls the same way.
+class TranscriptEnrichmentService {
+  constructor() {
+    this.queue = [];
+    this.processing = false;
+    this.listeners = [];
+
+    this.config = {
+      BATCH_SIZE: 10,
+      MAX_QUEUE: 1000,
+      BATCH_DELAY: 500, // let a few lines accumulate before each batch
+    };
+  }
+
+  get isEnabled() {
+    return config.FEATURES.TRANSCRIPT_ENRICHMENT;
+  }
+
+  // Called with each enrichment result, e.g. to emit transcriptEnriched
+  onEnriched(handler) {
+    this.listeners.push(handler);
+  }
+
+  // Queue a saved transcript for background enrichment
+  enqueue(transcript) {
+    if (!this.isEnabled || !transcript?._id) return;
+
+    if (this.queue.length >= this.config.MAX_QUEUE) {
+      // Drop the oldest; the backfill picks up whatever stays unprocessed
+      this.queue.shift();
+    }
+    this.queue.push(transcript._id);
+
+    if (!this.processing) {
+      this.processing = true;
+      setTimeout(() => this.drain(), this.config.BATCH_DELAY);
+    }
+  }
+
+  async drain() {
+    while (this.queue.length > 0) {
+      const ids = this.queue.splice(0, this.config.BATCH_SIZE);
+      try {
+        const transcripts = await Transcript.find({
+          _id: { $in: ids },
+          processed: { $ne: true },
+        }).sort({ timestamp: 1 });
+
+        if (transcripts.length > 0) {
+          await this.enrichTranscripts(transcripts);
+        }
+      } catch (error) {
+        // The lines stay unprocessed, so a later backfill retries them
+        console.error("❌ Transcript enrichment failed:", error);
+      }
+    }
+    this.processing = false;
+  }
+
+  // Enrich and persist a batch of Transcript documents
+  async enrichTranscripts(transcripts, { notify = true } = {}) {
+    const annotations = await this.annotate(transcripts);
+    const enrichedAt = new Date();
+
+    await Transcript.bulkWrite(
+      transcripts.map((transcript, index) => ({
+        updateOne: {
+          filter: { _id: transcript._id },
+          update: {
+            $set: { ...annotations[index], processed: true, enrichedAt },
+          },
+        },
+      }))
+    );
+
+    const results = transcripts.map((transcript, index) => ({
+      transcriptId: String(transcript._id),
+      callId: String(transcript.call),
+      ...annotations[index],
+    }));
+
+    if (notify) {
+      for (const result of results) {
+        this.listeners.forEach((handler) => {
+          try {
+            handler(result);
+          } catch (error) {
+            console.error("Error in transcript enrichment listener:", error);
+          }
+        });
+      }
+    }
+
+    return results;
+  }
+
+  // Sentiment, entities and intent for each line; falls back to heuristics
+  // when the LLM is unavailable or returns something unusable
+  async annotate(transcripts) {
+    if (llmService.isAvailable("enrichment")) {
+      try {
+        return await this.annotateWithLLM(transcripts);
+      } catch (error) {
+        console.warn(
+          `⚠️ LLM transcript enrichment failed, using heuristics: ${error.message}`
+        );
+      }
+    }
+    return transcripts.map((transcript) =>
+      this.annotateWithHeuristics(transcript.text)
+    );
+  }
+
+  async annotateWithLLM(transcripts) {
+    const lines = transcripts
+      .map((t, index) => `[${index}] ${t.speaker}: ${t.text}`)
+      .join("\n");
+
+    const { data } = await llmService.generateStructured(
+      "enrichment",
+      [
+        {
+          role: "system",
+          content:
+            "You annotate lines from a sales call transcript. For every line give the speaker's sentiment, a sentiment score from -1 (very negative) to 1 (very positive), what the speaker is trying to do, and the named entities it mentions: companies, products, competitors of the seller, monetary amounts and dates. Only list entities that literally appear in the line.",
+        },
+        { role: "user", content: lines },
+      ],
+      {
+        name: "annotate_transcript_lines",
+        description: "Annotations for each numbered transcript line",
+        schema: {
+          type: "object",
+          properties: {
+            lines: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  index: { type: "integer" },
+                  sentiment: { type: "string", enum: TRANSCRIPT_SENTIMENTS },
+                  sentimentScore: { type: "number", minimum: -1, maximum: 1 },
+                  intent: { type: "string", enum: TRANSCRIPT_INTENTS },
+                  entities: {
+                    type: "array",
+                    items: {
+                      type: "object",
+                      properties: {
+                        text: { type: "string" },
+                        label: { type: "string", enum: ENTITY_LABELS },
+                        confidence: { type: "number", minimum: 0, maximum: 1 },
+                      },
+                      required: ["text", "label"],
+                    },
+                  },
+                },
+                required: ["index", "sentiment", "sentimentScore", "intent"],
+              },
+            },
+          },
+          required: ["lines"],
+        },
+        temperature: 0,
+        maxTokens: 150 + transcripts.length * 120,
+      }
+    );
+
+    const byIndex = new Map(
+      (Array.isArray(data?.lines) ? data.lines : []).map((line) => [
+        Number(line.index),
+        line,
+      ])
+    );
+
+    // Anything missing or off-vocabulary gets the heuristic value instead
+    return transcripts.map((transcript, index) => {
+      const fallback = this.annotateWithHeuristics(transcript.text);
+      const line = byIndex.get(index);
+      if (!line) return fallback;
+
+      const score = Number(line.sentimentScore);
+      return {
+        sentiment: TRANSCRIPT_SENTIMENTS.includes(line.sentiment)
+          ? line.sentiment
+          : fallback.sentiment,
+        sentimentScore: Number.isFinite(score)
+          ? Math.max(-1, Math.min(1, score))
+          : fallback.sentimentScore,
+        intent: TRANSCRIPT_INTENTS.includes(line.intent)
+          ? line.intent
+          : fallback.intent,
+        entities: Array.isArray(line.entities)
+          ? line.entities
+              .filter(
+                (entity) =>
+                  typeof entity?.text === "string" &&
+                  entity.text.trim() &&
+                  ENTITY_LABELS.includes(entity.label)
+              )
+              .map((entity) => ({
+                text: entity.text.trim(),
+                label: entity.label,
+                confidence:
+                  typeof entity.confidence === "number"
+                    ? entity.confidence
+                    : 0.8,
+              }))
+          : fallback.entities,
+      };
+    });
+  }
+
+  annotateWithHeuristics(text = "") {
+    const lower = text.toLowerCase();
+    const countMatches = (words) =>
+      words.filter((word) => lower.includes(word)).length;
+
+    const positive = countMatches(POSITIVE_WORDS);
+    const negative = countMatches(NEGATIVE_WORDS);
+    const sentimentScore =
+      positive + negative === 0
+        ? 0
+        : Number(((positive - negative) / (positive + negative)).toFixed(2));
+
+    let intent = INTENT_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0];
+    if (!intent) intent = text.trim().endsWith("?") ? "question" : "other";
+
+    const entities = [
+      ...[...text.matchAll(AMOUNT_PATTERN)].map((match) => ({
+        text: match[0].trim(),
+        label: "amount",
+        confidence: 0.6,
+      })),
+      ...[...text.matchAll(DATE_PATTERN)].map((match) => ({
+        text: match[0].trim(),
+        label: "date",
+        confidence: 0.6,
+      })),
+    ];
+
+    return {
+      sentiment:
+        sentimentScore > 0.2
+          ? "positive"
+          : sentimentScore < -0.2
+          ? "negative"
+          : "neutral",
+      sentimentScore,
+      intent,
+      entities,
+    };
+  }
+
+  // Enrich historical lines that were never processed, oldest first.
+  // Pass callIds to limit the backfill to specific calls.
+  async backfill({ callIds, limit = Infinity, onProgress } = {}) {
+    const filter = { processed: { $ne: true } };
+    if (callIds?.length) filter.call = { $in: callIds.map(String) };
+
+    const total = Math.min(await Transcript.countDocuments(filter), limit);
+    let enriched = 0;
+    let lastId = null;
+
+    while (enriched < total) {
+      const batch = await Transcript.find(
+        lastId ? { ...filter, _id: { $gt: lastId } } : filter
+      )
+        .sort({ _id: 1 })
+        .limit(Math.min(this.config.BATCH_SIZE, total - enriched));
+      if (batch.length === 0) break;
+
+      // Keep each LLM batch within a single call so lines give each other context
+      const byCall = new Map();
+      batch.forEach((transcript) => {
+        const key = String(transcript.call);
+        if (!byCall.has(key)) byCall.set(key, []);
+        byCall.get(key).push(transcript);
+      });
+      for (const transcripts of byCall.values()) {
+        await this.enrichTranscripts(transcripts, { notify: false });
+      }
+
+      enriched += batch.length;
+      lastId = batch[batch.length - 1]._id;
+      onProgress?.({ enriched, total });
+    }
+
+    return { enriched, total };
+  }
+}
+
+const transcriptEnrichmentService = new TranscriptEnrichmentService();
+export default transcriptEnrichmentService;
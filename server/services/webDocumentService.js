@@ -0,0 +1,183 @@
+import crypto from "crypto";
+import config from "../config/config.js";
+import Document from "../models/Document.js";
+import jobQueue from "./jobQueue.js";
+import { crawl } from "../lib/webFetcher.js";
+import { diffLines, formatUnifiedDiff } from "../lib/textDiff.js";
+
+// Lines of unified diff stored per detected change
+const MAX_DIFF_LINES = 400;
+
+// URL documents: fetches the page (and, with a crawl depth, the pages it
+// links to on the same site), keeps a history of content changes and
+// schedules re-fetches. Fetching runs inside the "document.process" job.
+class WebDocumentService {
+  constructor() {
+    this.config = config.WEB_FETCH;
+    this.timer = null;
+  }
+
+  // Readable text of the document's page(s)
+  async fetch(document) {
+    const { crawlDepth = 0, maxPages } = document.web || {};
+    const { pages, skipped } = await crawl(document.url, {
+      depth: Math.min(crawlDepth, this.config.MAX_DEPTH),
+      maxPages:
+        crawlDepth > 0
+          ? Math.min(maxPages || this.config.MAX_PAGES, this.config.MAX_PAGES)
+          : 1,
+      userAgent: this.config.USER_AGENT,
+      timeoutMs: this.config.TIMEOUT_MS,
+      maxBytes: this.config.MAX_BYTES,
+      delayMs: this.config.DELAY_MS,
+      allowPrivateNetwork: this.config.ALLOW_PRIVATE_NETWORK,
+    });
+
+    // Each crawled page starts with its title and address so extracted
+    // items can be traced back to it
+    const text =
+      pages.length === 1
+        ? [pages[0].title, pages[0].text].filter(Boolean).join("\n\n")
+        : pages
+            .map((page) =>
+              [`# ${page.title || page.url}`, `Source: ${page.url}`, page.text]
+                .filter(Boolean)
+                .join("\n\n")
+            )
+            .join("\n\n");
+
+    return { text, pages, skipped };
+  }
+
+  // Store the fetch on the document (not saved) and record a change when
+  // the text differs from the previous fetch. Returns { changed, firstFetch }.
+  recordFetch(document, text, { pages, skipped }, previousText) {
+    const now = new Date();
+    const hash = crypto.createHash("sha256").update(text).digest("hex");
+    const previousHash = document.web?.contentHash;
+    const changed = hash !== previousHash;
+
+    if (changed && previousHash && previousText) {
+      const { added, removed, hunks } = diffLines(previousText, text);
+      // Whitespace-only changes alter the hash but not the lines
+      if (added > 0 || removed > 0) {
+        const changes = [
+          ...(document.web.changes || []),
+          {
+            detectedAt: now,
+            added,
+            removed,
+            diff: formatUnifiedDiff(hunks, { maxLines: MAX_DIFF_LINES }),
+          },
+        ];
+        document.set("web.changes", changes.slice(-this.config.MAX_CHANGES));
+        document.set("web.lastChangedAt", now);
+        console.log(
+          `🌐 ${document.url} changed (+${added} -${removed} lines)`
+        );
+      }
+    }
+
+    document.set("web.contentHash", hash);
+    document.set("web.lastFetchedAt", now);
+    document.set("web.nextFetchAt", this.nextFetchAt(document, now));
+    document.set("web.lastError", undefined);
+    document.set(
+      "web.pages",
+      pages.map(({ url, title }) => ({ url, title }))
+    );
+    document.set("web.skipped", skipped.slice(0, 50));
+
+    return { changed, firstFetch: !previousHash };
+  }
+
+  // A failed fetch keeps the last good content and waits for the next
+  // scheduled refresh. Other document types are ignored.
+  async recordFailure(documentId, error) {
+    const document = await Document.findOne({
+      _id: documentId,
+      type: "url",
+    }).select("web");
+    if (!document) return;
+
+    await Document.updateOne(
+      { _id: documentId },
+      {
+        "web.lastError": error.message,
+        "web.nextFetchAt": this.nextFetchAt(document),
+      }
+    );
+  }
+
+  nextFetchAt(document, from = new Date()) {
+    const hours = document.web?.refreshIntervalHours;
+    return hours > 0 ? new Date(from.getTime() + hours * 3600000) : undefined;
+  }
+
+  // Periodically queue re-fetches of URL documents that are due
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(
+      () => this.enqueueDue(),
+      this.config.REFRESH_CHECK_INTERVAL_MS
+    );
+    this.timer.unref();
+    console.log("🌐 URL document refresh scheduler started");
+    this.enqueueDue();
+  }
+
+  stop() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async enqueueDue() {
+    try {
+      const now = new Date();
+      const due = await Document.find({
+        type: "url",
+        "web.refreshIntervalHours": { $gt: 0 },
+        "web.nextFetchAt": { $lte: now },
+      })
+        .select("user web.refreshIntervalHours")
+        .limit(100);
+
+      for (const document of due) {
+        const job = await this.enqueueRefresh(document);
+        // Not due again until the next interval, whatever the job's outcome
+        await Document.updateOne(
+          { _id: document._id },
+          {
+            processingJob: job._id,
+            "web.nextFetchAt": this.nextFetchAt(document, now),
+          }
+        );
+      }
+
+      if (due.length > 0) {
+        console.log(`🌐 Queued ${due.length} URL document refresh(es)`);
+      }
+    } catch (error) {
+      console.error("Error scheduling URL document refreshes:", error);
+    }
+  }
+
+  // Re-fetch a URL document; the AI context is only rebuilt when the
+  // content changed
+  enqueueRefresh(document) {
+    return jobQueue.enqueue(
+      "document.process",
+      { documentId: String(document._id), refresh: true },
+      {
+        user: document.user,
+        resource: { kind: "document", id: document._id },
+        dedupe: true,
+      }
+    );
+  }
+}
+
+const webDocumentService = new WebDocumentService();
+export default webDocumentService;
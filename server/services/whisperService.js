@@ -1,25 +1,43 @@
-const OpenAI = require('openai');
-const config = require('../config/config.js');
+import OpenAI, { toFile } from 'openai';
+import config from '../config/config.js';
+import sttService from './sttService.js';
+import diarizationService from './diarizationService.js';
+import { audioExtension } from '../lib/audioContainer.js';
+
+const WHISPER_MODEL = 'whisper-1'; // the only model that returns segment and word timings
 
 class TranscriptionService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: config.OPENAI_API_KEY
+    this.openai = config.OPENAI_API_KEY
+      ? new OpenAI({ apiKey: config.OPENAI_API_KEY })
+      : null;
+  }
+
+  async createTranscription(audioBuffer, options = {}) {
+    if (!this.openai) {
+      throw new Error('OPENAI_API_KEY is not configured');
+    }
+
+    const mimeType = options.mimeType || 'audio/webm';
+    const file = await toFile(audioBuffer, `audio.${audioExtension(mimeType)}`, {
+      type: mimeType.split(';')[0]
+    });
+
+    return this.openai.audio.transcriptions.create({
+      file,
+      model: WHISPER_MODEL,
+      ...(options.language ? { language: options.language.split('-')[0] } : {}),
+      ...(options.prompt ? { prompt: options.prompt } : {}),
+      response_format: 'verbose_json',
+      timestamp_granularities: ['segment', 'word']
     });
   }
 
   async transcribeAudio(audioBuffer, options = {}) {
     try {
-      // Convert audio buffer to base64 for GPT-4o-transcribe
-      const audioData = audioBuffer.toString('base64');
-      
-      const transcription = await this.openai.audio.transcriptions.create({
-        file: Buffer.from(audioData, 'base64'),
-        model: "gpt-4o-transcribe",
-        language: options.language || 'en',
-        response_format: "verbose_json",
-        timestamp_granularities: ["word"],
-        ...options
+      const transcription = await this.createTranscription(audioBuffer, {
+        ...options,
+        language: options.language || 'en'
       });
 
       return {
@@ -28,10 +46,11 @@ class TranscriptionService {
         language: transcription.language,
         duration: transcription.duration,
         segments: transcription.segments,
+        words: transcription.words || [],
         confidence: this.calculateConfidence(transcription.segments)
       };
     } catch (error) {
-      console.error('GPT-4o-transcribe error:', error);
+      console.error('Whisper transcription error:', error);
       return {
         success: false,
         error: error.message
@@ -40,51 +59,27 @@ class TranscriptionService {
   }
 
   async transcribeStream(audioStream, options = {}) {
-    try {
-      const transcription = await this.openai.audio.transcriptions.create({
-        file: audioStream,
-        model: "gpt-4o-transcribe",
-        language: options.language || 'en',
-        response_format: "verbose_json",
-        timestamp_granularities: ["word"],
-        ...options
-      });
-
-      return {
-        success: true,
-        text: transcription.text,
-        language: transcription.language,
-        duration: transcription.duration,
-        segments: transcription.segments,
-        confidence: this.calculateConfidence(transcription.segments)
-      };
-    } catch (error) {
-      console.error('GPT-4o-transcribe stream error:', error);
-      return {
-        success: false,
-        error: error.message
-      };
+    const chunks = [];
+    for await (const chunk of audioStream) {
+      chunks.push(Buffer.from(chunk));
     }
+    return this.transcribeAudio(Buffer.concat(chunks), options);
   }
 
   calculateConfidence(segments) {
     if (!segments || segments.length === 0) return 0;
-    
+
     const totalConfidence = segments.reduce((sum, segment) => {
       return sum + (segment.avg_logprob || 0);
     }, 0);
-    
+
     return Math.exp(totalConfidence / segments.length);
   }
 
-  async detectLanguage(audioBuffer) {
+  async detectLanguage(audioBuffer, options = {}) {
     try {
-      const audioData = audioBuffer.toString('base64');
-      
-      const transcription = await this.openai.audio.transcriptions.create({
-        file: Buffer.from(audioData, 'base64'),
-        model: "gpt-4o-transcribe",
-        response_format: "verbose_json"
+      const transcription = await this.createTranscription(audioBuffer, {
+        mimeType: options.mimeType
       });
 
       return {
@@ -93,7 +88,7 @@ class TranscriptionService {
         confidence: transcription.language_probability || 0
       };
     } catch (error) {
-      console.error('GPT-4o-transcribe language detection error:', error);
+      console.error('Whisper language detection error:', error);
       return {
         success: false,
         error: error.message
@@ -101,26 +96,75 @@ class TranscriptionService {
     }
   }
 
-  async transcribeWithSpeakerDiarization(audioBuffer, speakers = 2) {
+  // Transcribe a whole recording and label every segment with a speaker.
+  // Uses the STT provider's own diarization when it has one; otherwise
+  // Whisper segments are clustered by voice. `diarization` in the result
+  // says which method produced the labels.
+  async transcribeWithSpeakerDiarization(audioBuffer, options = {}) {
+    const { speakers, mimeType, language } = options;
+
     try {
-      // This would require additional processing for speaker diarization
-      // For now, we'll use a simplified approach
-      const transcription = await this.transcribeAudio(audioBuffer);
-      
-      if (transcription.success) {
-        // Simple speaker assignment based on silence gaps
-        const segments = this.assignSpeakers(transcription.segments, speakers);
-        
+      const provider = sttService.getProvider();
+      if (provider.isAvailable && provider.transcribeDiarized) {
+        const segments = await provider.transcribeDiarized(audioBuffer, {
+          mimeType,
+          language,
+          speakers
+        });
+
+        return {
+          success: true,
+          text: segments.map(segment => segment.text).join(' '),
+          duration: segments.length ? segments[segments.length - 1].end : 0,
+          segments,
+          speakers: new Set(segments.map(segment => segment.speaker)).size,
+          diarization: provider.name
+        };
+      }
+
+      const transcription = await this.transcribeAudio(audioBuffer, { mimeType, language });
+      if (!transcription.success) return transcription;
+
+      // Word timings come back for the whole file; hand each segment its own
+      const timed = (transcription.segments || []).map(segment => ({
+        start: segment.start,
+        end: segment.end,
+        text: segment.text.trim(),
+        confidence: Math.exp(segment.avg_logprob || 0),
+        words: transcription.words
+          .filter(word => word.start >= segment.start && word.start < segment.end)
+          .map(word => ({
+            text: word.word,
+            start: word.start,
+            end: word.end,
+            confidence: Math.exp(segment.avg_logprob || 0)
+          }))
+      }));
+
+      try {
+        const segments = await diarizationService.diarize(audioBuffer, timed, {
+          mimeType,
+          speakers
+        });
+
         return {
           ...transcription,
           segments,
-          speakers: speakers
+          speakers: new Set(segments.map(segment => segment.speaker)).size,
+          diarization: 'clustering'
+        };
+      } catch (error) {
+        // Still worth returning the words without speakers
+        console.warn(`⚠️ Speaker clustering failed: ${error.message}`);
+        return {
+          ...transcription,
+          segments: timed.map(segment => ({ ...segment, speaker: 'Speaker 1' })),
+          speakers: 1,
+          diarization: 'none'
         };
       }
-      
-      return transcription;
     } catch (error) {
-      console.error('GPT-4o-transcribe speaker diarization error:', error);
+      console.error('Speaker diarization error:', error);
       return {
         success: false,
         error: error.message
@@ -128,39 +172,17 @@ class TranscriptionService {
     }
   }
 
-  assignSpeakers(segments, speakerCount) {
-    if (!segments || segments.length === 0) return segments;
-    
-    let currentSpeaker = 0;
-    const silenceThreshold = 1.0; // seconds
-    
-    return segments.map((segment, index) => {
-      // Check for silence gap between segments
-      if (index > 0) {
-        const gap = segment.start - segments[index - 1].end;
-        if (gap > silenceThreshold) {
-          currentSpeaker = (currentSpeaker + 1) % speakerCount;
-        }
-      }
-      
-      return {
-        ...segment,
-        speaker: `Speaker ${currentSpeaker + 1}`
-      };
-    });
-  }
-
   async processRealTimeAudio(audioChunks, callId) {
     try {
       // Combine audio chunks into a single buffer
       const audioBuffer = Buffer.concat(audioChunks);
-      
+
       // Transcribe the audio
       const result = await this.transcribeAudio(audioBuffer, {
         language: 'en',
         prompt: 'This is a sales conversation. Focus on business terminology and sales context.'
       });
-      
+
       if (result.success) {
         // Store in database
         const Transcript = (await import('../models/Transcript.js')).default;
@@ -173,13 +195,13 @@ class TranscriptionService {
           language: result.language,
           duration: result.duration
         });
-        
+
         return result;
       }
-      
+
       return result;
     } catch (error) {
-      console.error('GPT-4o-transcribe real-time processing error:', error);
+      console.error('Whisper real-time processing error:', error);
       return {
         success: false,
         error: error.message
@@ -188,4 +210,5 @@ class TranscriptionService {
   }
 }
 
-module.exports = new TranscriptionService(); 
\ No newline at end of file
+const transcriptionService = new TranscriptionService();
+export default transcriptionService;
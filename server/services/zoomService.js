@@ -3,6 +3,7 @@ import crypto from "crypto";
 import jwt from "jsonwebtoken";
 import config from "../config/config.js";
 import zoomRTMSService from "./zoomRTMSService.js";
+import { callRoom } from "./callSessionRegistry.js";
 
 class ZoomService {
   constructor() {
@@ -486,19 +487,27 @@ class ZoomService {
     // Register webhook handlers for this meeting
     this.onWebhookEvent("meeting.started", (payload) => {
       if (payload.object.id === meetingId) {
-        io.emit("meetingStarted", { callId, meetingId, platform: "zoom" });
+        io.to(callRoom(callId)).emit("meetingStarted", {
+          callId,
+          meetingId,
+          platform: "zoom",
+        });
       }
     });
 
     this.onWebhookEvent("meeting.ended", (payload) => {
       if (payload.object.id === meetingId) {
-        io.emit("meetingEnded", { callId, meetingId, platform: "zoom" });
+        io.to(callRoom(callId)).emit("meetingEnded", {
+          callId,
+          meetingId,
+          platform: "zoom",
+        });
       }
     });
 
     this.onWebhookEvent("meeting.participant_joined", (payload) => {
       if (payload.object.id === meetingId) {
-        io.emit("participantJoined", {
+        io.to(callRoom(callId)).emit("participantJoined", {
           callId,
           meetingId,
           platform: "zoom",
@@ -509,7 +518,7 @@ class ZoomService {
 
     this.onWebhookEvent("meeting.participant_left", (payload) => {
       if (payload.object.id === meetingId) {
-        io.emit("participantLeft", {
+        io.to(callRoom(callId)).emit("participantLeft", {
           callId,
           meetingId,
           platform: "zoom",
@@ -520,7 +529,7 @@ class ZoomService {
 
     this.onWebhookEvent("recording.completed", (payload) => {
       if (payload.object.id === meetingId) {
-        io.emit("recordingCompleted", {
+        io.to(callRoom(callId)).emit("recordingCompleted", {
           callId,
           meetingId,
           platform: "zoom",
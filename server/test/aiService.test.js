@@ -0,0 +1,105 @@
+import { test, before, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+let aiService;
+let config;
+
+before(async () => {
+  process.env.MONGODB_URI ||= "mongodb://localhost/test";
+  process.env.JWT_SECRET ||= "test";
+  config = (await import("../config/config.js")).default;
+  config.LLM.PROVIDER = "mock";
+  aiService = (await import("../services/aiService.js")).default;
+});
+
+afterEach(() => {
+  config.LLM.FEATURES.suggestions = {};
+});
+
+// Streams a reply in the label-line format, split mid-line like real deltas
+function useLabelledStream(labels, text) {
+  aiService.llm.registerProvider("labelled", () => ({
+    name: "labelled",
+    defaultModel: "labelled-1",
+    isAvailable: true,
+    async *stream() {
+      const reply = `${JSON.stringify(labels)}\n${text}`;
+      for (let i = 0; i < reply.length; i += 7) yield reply.slice(i, i + 7);
+    },
+  }));
+  config.LLM.FEATURES.suggestions = { provider: "labelled" };
+}
+
+const LABELS = {
+  type: "pricing",
+  priority: "high",
+  confidence: 0.9,
+  rationale: "The prospect pushed back on price",
+  sentiment: "negative",
+  intent: "objection",
+  conversationPhase: "objection",
+};
+
+test("the mock provider produces a valid structured suggestion", async () => {
+  const suggestion = await aiService.generateValidatedSuggestion([
+    { role: "user", content: "The prospect says the price is too high." },
+  ]);
+
+  assert.ok(suggestion, "expected a suggestion");
+  assert.equal(suggestion.model, "mock-1");
+  assert.equal(typeof suggestion.text, "string");
+});
+
+test("streamed suggestions from the mock provider are labelled", async () => {
+  const deltas = [];
+  const suggestion = await aiService.streamValidatedSuggestion(
+    "The prospect says the price is too high.",
+    { onDelta: (delta) => deltas.push(delta) }
+  );
+
+  assert.ok(suggestion, "expected a suggestion");
+  assert.equal(suggestion.model, "mock-1");
+  assert.equal(typeof suggestion.confidence, "number");
+  assert.equal(deltas.join(""), suggestion.text);
+});
+
+test("a rejected streamed suggestion sends no text", async () => {
+  const deltas = [];
+  const suggestion = await aiService.streamValidatedSuggestion(
+    "The prospect asks about onboarding.",
+    { onDelta: (delta) => deltas.push(delta), accept: () => false }
+  );
+
+  assert.equal(suggestion, null);
+  assert.deepEqual(deltas, []);
+});
+
+test("a labelled stream sends only the suggestion text", async () => {
+  useLabelledStream(LABELS, "Ask what budget they had in mind.");
+  const deltas = [];
+  let accepted = null;
+  const suggestion = await aiService.streamValidatedSuggestion("Prompt", {
+    onDelta: (delta) => deltas.push(delta),
+    accept: (labels) => {
+      accepted = labels;
+      return true;
+    },
+  });
+
+  assert.equal(accepted.type, "pricing");
+  assert.equal(deltas.join(""), "Ask what budget they had in mind.");
+  assert.equal(suggestion.text, "Ask what budget they had in mind.");
+  assert.equal(suggestion.model, "labelled-1");
+});
+
+test("a labelled stream below the threshold sends no text", async () => {
+  useLabelledStream(LABELS, "Ask what budget they had in mind.");
+  const deltas = [];
+  const suggestion = await aiService.streamValidatedSuggestion("Prompt", {
+    onDelta: (delta) => deltas.push(delta),
+    accept: (labels) => labels.confidence >= 0.95,
+  });
+
+  assert.equal(suggestion, null);
+  assert.deepEqual(deltas, []);
+});
@@ -0,0 +1,96 @@
+import { test, before, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+let config;
+let llmService;
+let MockProvider;
+
+before(async () => {
+  process.env.MONGODB_URI ||= "mongodb://localhost/test";
+  process.env.JWT_SECRET ||= "test";
+  config = (await import("../config/config.js")).default;
+  config.LLM.PROVIDER = "mock";
+  llmService = (await import("../services/llmService.js")).default;
+  MockProvider = (await import("../services/llm/mockProvider.js")).default;
+});
+
+afterEach(() => {
+  config.LLM.FEATURES.summaries = {};
+  llmService.registerProvider("mock", () => new MockProvider());
+});
+
+test("features use the default provider and its model", () => {
+  const { provider, model } = llmService.forFeature("summaries");
+  assert.equal(provider.name, "mock");
+  assert.equal(model, "mock-1");
+  assert.equal(llmService.isAvailable("summaries"), true);
+});
+
+test("a feature can be routed to its own provider and model", async () => {
+  const calls = [];
+  llmService.registerProvider("recording", () => ({
+    name: "recording",
+    defaultModel: "recording-1",
+    isAvailable: true,
+    chat: async (messages, options) => {
+      calls.push(options.model);
+      return { content: "ok", model: options.model };
+    },
+  }));
+  config.LLM.FEATURES.summaries = { provider: "recording", model: "big" };
+
+  const result = await llmService.chat("summaries", [
+    { role: "user", content: "Summarize" },
+  ]);
+
+  assert.equal(result.content, "ok");
+  assert.deepEqual(calls, ["big"]);
+  assert.equal(llmService.forFeature("suggestions").provider.name, "mock");
+});
+
+test("a provider's per-feature model is used when none is configured", () => {
+  llmService.registerProvider("mock", () => {
+    const provider = new MockProvider();
+    provider.featureModels = { summaries: "mock-summaries" };
+    return provider;
+  });
+
+  assert.equal(llmService.forFeature("summaries").model, "mock-summaries");
+  assert.equal(llmService.forFeature("suggestions").model, "mock-1");
+});
+
+test("unknown providers are rejected", () => {
+  config.LLM.FEATURES.summaries = { provider: "nope" };
+  assert.throws(() => llmService.forFeature("summaries"), /Unknown LLM provider/);
+});
+
+test("the mock provider is deterministic", async () => {
+  const messages = [{ role: "user", content: "Hello   there" }];
+  const first = await llmService.chat("suggestions", messages);
+  const second = await llmService.chat("suggestions", messages);
+  assert.equal(first.content, "Mock response to: Hello there");
+  assert.deepEqual(first, second);
+
+  let streamed = "";
+  for await (const delta of llmService.stream("suggestions", messages)) {
+    streamed += delta;
+  }
+  assert.equal(streamed, first.content);
+
+  const [a, b] = await llmService.embed("documents", ["same", "same"]);
+  assert.deepEqual(a, b);
+});
+
+test("the mock provider fills structured output from the schema", async () => {
+  const { data } = await llmService.generateStructured("analysis", [], {
+    schema: {
+      type: "object",
+      properties: {
+        label: { type: "string", enum: ["a", "b"] },
+        score: { type: "number", minimum: 0, maximum: 1 },
+        tags: { type: "array", items: { type: "string" } },
+      },
+    },
+  });
+  assert.deepEqual(data, { label: "a", score: 0.5, tags: ["mock tags"] });
+});
@@ -11,6 +11,9 @@ import { Sidebar } from "./components/layout/Sidebar";
 import { Dashboard } from "./pages/Dashboard";
 import { CallPage } from "./pages/CallPage";
 import { DocumentsPage } from "./pages/DocumentsPage";
+import { SearchPage } from "./pages/SearchPage";
+import { ObjectionsPage } from "./pages/ObjectionsPage";
+import { ScorecardsPage } from "./pages/ScorecardsPage";
 import { AnalyticsPage } from "./pages/AnalyticsPage";
 import { SettingsPage } from "./pages/SettingsPage";
 import SignInPage from "./pages/SignInPage";
@@ -104,6 +107,30 @@ const App: React.FC = () => {
                 </AppLayout>
               }
             />
+            <Route
+              path="/search"
+              element={
+                <AppLayout>
+                  <SearchPage />
+                </AppLayout>
+              }
+            />
+            <Route
+              path="/objections"
+              element={
+                <AppLayout>
+                  <ObjectionsPage />
+                </AppLayout>
+              }
+            />
+            <Route
+              path="/scorecards"
+              element={
+                <AppLayout>
+                  <ScorecardsPage />
+                </AppLayout>
+              }
+            />
             <Route
               path="/analytics"
               element={
@@ -91,7 +91,7 @@ export const AISuggestionPanel: React.FC<AISuggestionPanelProps> = ({
                   <div className="flex-1 min-w-0">
                     <div className="flex items-center justify-between mb-2">
                       <span className="text-xs font-medium text-gray-600 uppercase tracking-wide">
-                        {suggestion.type.replace('_', ' ')}
+                        {suggestion.streaming ? 'thinking' : suggestion.type.replace('_', ' ')}
                       </span>
                       <div className="flex items-center text-xs text-gray-500">
                         <Clock className="h-3 w-3 mr-1" />
@@ -100,15 +100,26 @@ export const AISuggestionPanel: React.FC<AISuggestionPanelProps> = ({
                     </div>
                     <p className="text-sm text-gray-800 leading-relaxed mb-3">
                       {suggestion.text}
+                      {suggestion.streaming && (
+                        <span className="inline-block w-1.5 h-4 ml-0.5 align-text-bottom bg-primary-500 animate-pulse" />
+                      )}
                     </p>
+                    {suggestion.objection && (
+                      <p className="text-xs text-primary-700 mb-3" title={suggestion.objection.label}>
+                        From your objection library · raised {suggestion.objection.frequency}× before
+                      </p>
+                    )}
                     <div className="flex items-center justify-between">
                       <span className="text-xs text-gray-500">
-                        Confidence: {Math.round(suggestion.confidence * 100)}%
+                        {suggestion.streaming
+                          ? 'Generating...'
+                          : `Confidence: ${Math.round(suggestion.confidence * 100)}%`}
                       </span>
                       <Button
                         size="sm"
                         onClick={() => onUseSuggestion(suggestion.id)}
                         className="text-xs"
+                        disabled={suggestion.streaming}
                       >
                         Use Suggestion
                       </Button>
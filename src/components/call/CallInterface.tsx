@@ -3,6 +3,7 @@ import { Video, MessageSquare, Brain } from "lucide-react";
 
 import { ZoomIntegration } from "../integrations/ZoomIntegration";
 import { useWebSocket } from "../../hooks/useWebSocket";
+import { TalkTimeMeter } from "./TalkTimeMeter";
 
 interface TranscriptEntry {
   id: string;
@@ -41,6 +42,7 @@ export const CallInterface: React.FC<CallInterfaceProps> = ({
   const {
     transcript,
     suggestions,
+    metrics,
     isConnected,
     joinCall,
     leaveCall,
@@ -116,6 +118,11 @@ export const CallInterface: React.FC<CallInterfaceProps> = ({
         </div>
       </div>
 
+      {/* Talk time and pace */}
+      <div className="flex-shrink-0">
+        <TalkTimeMeter metrics={metrics} />
+      </div>
+
       {/* Main Content */}
       <div className="flex-1 flex min-h-0 max-h-full">
         {/* Left Panel - Video/Meeting Area */}
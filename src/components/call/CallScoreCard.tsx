@@ -0,0 +1,147 @@
+import React, { useState } from "react";
+import { Award, RefreshCw } from "lucide-react";
+import { APIService } from "../../lib/api";
+import { CallPerformance, ScoreCriterion } from "../../types";
+
+interface CallScoreCardProps {
+  callId: string;
+  performance?: Partial<CallPerformance>;
+  onScored: () => void;
+}
+
+const scoreColor = (score: number) =>
+  score >= 80
+    ? "bg-success-500"
+    : score >= 60
+    ? "bg-warning-500"
+    : "bg-error-500";
+
+const CriterionRow: React.FC<{ criterion: ScoreCriterion }> = ({
+  criterion,
+}) => (
+  <li>
+    <div className="flex justify-between text-sm">
+      <span className="text-gray-700">{criterion.label}</span>
+      <span className="font-medium text-gray-900">
+        {criterion.score === null ? "–" : criterion.score}
+      </span>
+    </div>
+    {criterion.score !== null && (
+      <div className="w-full bg-gray-200 rounded-full h-1.5 mt-1">
+        <div
+          className={`${scoreColor(criterion.score)} h-1.5 rounded-full`}
+          style={{ width: `${criterion.score}%` }}
+        />
+      </div>
+    )}
+    {criterion.note && (
+      <p className="text-xs text-gray-500 mt-1">{criterion.note}</p>
+    )}
+  </li>
+);
+
+// The call's score from the post-call scoring engine with the per-criterion
+// breakdown: LLM rubric grades and measured conversation metrics
+export const CallScoreCard: React.FC<CallScoreCardProps> = ({
+  callId,
+  performance,
+  onScored,
+}) => {
+  const [scoring, setScoring] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const breakdown = performance?.breakdown || [];
+  const rubric = breakdown.filter((criterion) => criterion.source === "rubric");
+  const metrics = breakdown.filter((criterion) => criterion.source === "metric");
+  const scored = typeof performance?.score === "number";
+
+  const handleScore = async () => {
+    try {
+      setScoring(true);
+      setError(null);
+      const { data: job } = await APIService.scoreCall(callId);
+      const finished = await APIService.waitForJob(job.id);
+      if (finished.status === "dead") {
+        setError(finished.error || "Scoring the call failed.");
+        return;
+      }
+      onScored();
+    } catch (err) {
+      console.error("Error scoring call:", err);
+      setError("Scoring the call failed.");
+    } finally {
+      setScoring(false);
+    }
+  };
+
+  return (
+    <div className="mt-4 p-4 bg-white border border-gray-200 rounded-lg">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <Award className="h-5 w-5 mr-2 text-primary-600" />
+          <h3 className="text-sm font-semibold text-gray-900">Call score</h3>
+          {scored && (
+            <span className="ml-3 text-2xl font-bold text-gray-900">
+              {performance?.score}
+              <span className="text-sm font-normal text-gray-500">/100</span>
+            </span>
+          )}
+        </div>
+        <button
+          onClick={handleScore}
+          disabled={scoring}
+          className="text-sm text-primary-600 hover:underline disabled:text-gray-400 flex items-center"
+        >
+          <RefreshCw
+            className={`h-4 w-4 mr-1 ${scoring ? "animate-spin" : ""}`}
+          />
+          {scoring ? "Scoring..." : scored ? "Re-score" : "Score call"}
+        </button>
+      </div>
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+
+      {!scored ? (
+        <p className="mt-2 text-sm text-gray-500">
+          {performance?.scoredAt
+            ? "There was no transcript to score."
+            : "This call has not been scored yet."}
+        </p>
+      ) : (
+        <>
+          <p className="mt-1 text-xs text-gray-500">
+            {performance?.methodology === "metrics"
+              ? "Scored from conversation metrics only (no AI grading available)."
+              : `Graded against the ${performance?.methodology} methodology and conversation metrics.`}
+            {performance?.repSpeakerGuessed &&
+              " The rep was not identified among the speakers, so the first speaker was assumed to be the rep."}
+          </p>
+          <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-6">
+            {rubric.length > 0 && (
+              <div>
+                <h4 className="text-xs font-semibold uppercase text-gray-500 mb-2">
+                  Methodology
+                </h4>
+                <ul className="space-y-3">
+                  {rubric.map((criterion) => (
+                    <CriterionRow key={criterion.key} criterion={criterion} />
+                  ))}
+                </ul>
+              </div>
+            )}
+            <div>
+              <h4 className="text-xs font-semibold uppercase text-gray-500 mb-2">
+                Conversation metrics
+              </h4>
+              <ul className="space-y-3">
+                {metrics.map((criterion) => (
+                  <CriterionRow key={criterion.key} criterion={criterion} />
+                ))}
+              </ul>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
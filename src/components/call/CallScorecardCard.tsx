@@ -0,0 +1,152 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { CheckCircle2, Circle, ClipboardList } from "lucide-react";
+import { APIService } from "../../lib/api";
+import { CallScorecard, Scorecard, ScorecardTemplate } from "../../types";
+
+interface CallScorecardCardProps {
+  callId: string;
+}
+
+// After the call: every scorecard criterion as covered or missing, with the
+// transcript lines that show it
+export const CallScorecardCard: React.FC<CallScorecardCardProps> = ({
+  callId,
+}) => {
+  const [scorecard, setScorecard] = useState<CallScorecard | null>(null);
+  const [scorecards, setScorecards] = useState<Scorecard[]>([]);
+  const [templates, setTemplates] = useState<ScorecardTemplate[]>([]);
+  const [switching, setSwitching] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchScorecard = async () => {
+    try {
+      const response = await APIService.getCallScorecard(callId);
+      setScorecard(response.data);
+    } catch (err) {
+      console.error("Error fetching call scorecard:", err);
+    }
+  };
+
+  useEffect(() => {
+    fetchScorecard();
+    APIService.getScorecards()
+      .then((response) => {
+        setScorecards(response.data.scorecards);
+        setTemplates(response.data.templates);
+      })
+      .catch((err) => console.error("Error fetching scorecards:", err));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [callId]);
+
+  // Options are "id:<scorecardId>" or "template:<framework>"
+  const handleSwitch = async (value: string) => {
+    const [kind, id] = value.split(":");
+    try {
+      setSwitching(true);
+      setError(null);
+      const response = await APIService.setCallScorecard(
+        callId,
+        kind === "id" ? { scorecardId: id } : { template: id }
+      );
+      setScorecard(response.data.scorecard);
+      if (response.data.job) {
+        await APIService.waitForJob(response.data.job.id);
+        await fetchScorecard();
+      }
+    } catch (err) {
+      console.error("Error changing scorecard:", err);
+      setError("Changing the scorecard failed.");
+    } finally {
+      setSwitching(false);
+    }
+  };
+
+  if (!scorecard) return null;
+
+  const selected = scorecard.scorecardId
+    ? `id:${scorecard.scorecardId}`
+    : `template:${scorecard.framework}`;
+  const covered = scorecard.criteria.filter((criterion) => criterion.covered);
+
+  return (
+    <div className="mt-4 p-4 bg-white border border-gray-200 rounded-lg">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <ClipboardList className="h-5 w-5 mr-2 text-primary-600" />
+          <h3 className="text-sm font-semibold text-gray-900">
+            {scorecard.name} scorecard
+          </h3>
+          <span className="ml-3 text-sm text-gray-600">
+            {covered.length}/{scorecard.criteria.length} covered ·{" "}
+            {scorecard.coverage}%
+          </span>
+        </div>
+        <select
+          value={selected}
+          disabled={switching}
+          onChange={(e) => handleSwitch(e.target.value)}
+          className="text-sm px-2 py-1 border border-gray-300 rounded-md"
+        >
+          {scorecards.map((option) => (
+            <option key={option.id} value={`id:${option.id}`}>
+              {option.name}
+            </option>
+          ))}
+          {templates.map((template) => (
+            <option
+              key={template.framework}
+              value={`template:${template.framework}`}
+            >
+              {template.name} (built-in)
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+      <p className="mt-1 text-xs text-gray-500">
+        {switching
+          ? "Reviewing the call against the new scorecard..."
+          : scorecard.evaluatedAt
+          ? "Reviewed after the call."
+          : "Tracked live from keywords; the full review runs after the call."}
+      </p>
+
+      <ul className="mt-4 space-y-3">
+        {scorecard.criteria.map((criterion) => (
+          <li key={criterion.key} className="flex items-start">
+            {criterion.covered ? (
+              <CheckCircle2 className="h-4 w-4 mr-2 mt-0.5 text-success-600 flex-shrink-0" />
+            ) : (
+              <Circle className="h-4 w-4 mr-2 mt-0.5 text-gray-400 flex-shrink-0" />
+            )}
+            <div className="min-w-0">
+              <p className="text-sm text-gray-900">
+                {criterion.label}
+                {!criterion.covered && (
+                  <span className="ml-2 text-xs text-error-600">Missing</span>
+                )}
+              </p>
+              {criterion.description && (
+                <p className="text-xs text-gray-500">{criterion.description}</p>
+              )}
+              {criterion.evidence.map((item, index) => (
+                <Link
+                  key={index}
+                  to={
+                    item.transcriptId ? `#transcript-${item.transcriptId}` : "#"
+                  }
+                  className="block mt-1 text-xs text-gray-700 hover:text-primary-600"
+                >
+                  <span className="font-medium">{item.speaker}: </span>
+                  {`"${item.text}"`}
+                </Link>
+              ))}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
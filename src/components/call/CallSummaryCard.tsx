@@ -0,0 +1,125 @@
+import React from "react";
+import { FileText } from "lucide-react";
+import { CallSummary, CallSummaryVersion } from "../../types";
+
+interface CallSummaryCardProps {
+  summary: CallSummary;
+  versions: CallSummaryVersion[];
+  onSelectVersion: (version: number) => void;
+}
+
+// Due dates are calendar days stored at midnight UTC
+const formatDate = (value: string, timeZone?: string) =>
+  new Date(value).toLocaleDateString([], {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    timeZone,
+  });
+
+const Section: React.FC<{ title: string; items: string[] }> = ({
+  title,
+  items,
+}) =>
+  items.length > 0 ? (
+    <div>
+      <h4 className="text-xs font-semibold uppercase text-blue-800 mb-1">
+        {title}
+      </h4>
+      <ul className="list-disc ml-5 space-y-0.5 text-sm text-blue-900">
+        {items.map((item, index) => (
+          <li key={index}>{item}</li>
+        ))}
+      </ul>
+    </div>
+  ) : null;
+
+// The structured post-call summary, one section per part, with a picker for
+// earlier versions
+export const CallSummaryCard: React.FC<CallSummaryCardProps> = ({
+  summary,
+  versions,
+  onSelectVersion,
+}) => (
+  <div className="mt-4 p-4 bg-blue-50 border border-blue-200 rounded-lg space-y-4">
+    <div className="flex items-center justify-between">
+      <h3 className="flex items-center text-sm font-semibold text-blue-800">
+        <FileText className="h-4 w-4 mr-2" />
+        Call Summary
+      </h3>
+      {versions.length > 1 && summary.version !== null && (
+        <select
+          value={summary.version}
+          onChange={(e) => onSelectVersion(Number(e.target.value))}
+          className="text-sm px-2 py-1 border border-blue-200 rounded-md bg-white"
+        >
+          {versions.map((entry) => (
+            <option key={entry.version} value={entry.version}>
+              Version {entry.version} · {formatDate(entry.generatedAt)}
+            </option>
+          ))}
+        </select>
+      )}
+    </div>
+
+    {summary.executiveSummary && (
+      <p className="text-sm text-blue-900">{summary.executiveSummary}</p>
+    )}
+
+    {summary.actionItems.length > 0 && (
+      <div>
+        <h4 className="text-xs font-semibold uppercase text-blue-800 mb-1">
+          Action items
+        </h4>
+        <table className="w-full text-sm text-blue-900">
+          <thead>
+            <tr className="text-left text-xs text-blue-700">
+              <th className="font-medium py-1">Task</th>
+              <th className="font-medium py-1">Owner</th>
+              <th className="font-medium py-1">Due</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.actionItems.map((item, index) => (
+              <tr key={index} className="border-t border-blue-100 align-top">
+                <td className="py-1 pr-4">
+                  {item.transcriptId ? (
+                    <a
+                      href={`#transcript-${item.transcriptId}`}
+                      className="hover:underline"
+                      title="Where it was agreed"
+                    >
+                      {item.task}
+                    </a>
+                  ) : (
+                    item.task
+                  )}
+                </td>
+                <td className="py-1 pr-4">{item.owner || "–"}</td>
+                <td className="py-1">
+                  {item.dueDate
+                    ? formatDate(item.dueDate, "UTC")
+                    : item.due || "–"}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    )}
+
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <Section title="Decisions" items={summary.decisions} />
+      <Section title="Risks" items={summary.risks} />
+      <Section title="Next steps" items={summary.nextSteps} />
+      <Section title="Key points" items={summary.keyPoints} />
+    </div>
+
+    {summary.generatedAt && (
+      <p className="text-xs text-blue-700">
+        Generated {formatDate(summary.generatedAt)} from{" "}
+        {summary.transcriptCount} transcript lines
+      </p>
+    )}
+  </div>
+);
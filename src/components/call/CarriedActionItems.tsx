@@ -0,0 +1,101 @@
+import React, { useState } from "react";
+import { ChevronDown, ChevronUp, ListChecks, Square } from "lucide-react";
+import { APIService } from "../../lib/api";
+import { actionItemLink, formatDue } from "../../lib/actionItems";
+import { ActionItem } from "../../types";
+
+interface CarriedActionItemsProps {
+  items: ActionItem[];
+}
+
+// Open action items from earlier calls with this account, so the rep can
+// follow up on them live and tick them off
+export const CarriedActionItems: React.FC<CarriedActionItemsProps> = ({
+  items,
+}) => {
+  const [isOpen, setIsOpen] = useState(true);
+  const [doneIds, setDoneIds] = useState<string[]>([]);
+
+  const open = items.filter((item) => !doneIds.includes(item.id));
+  if (open.length === 0) return null;
+
+  const complete = async (item: ActionItem) => {
+    setDoneIds((prev) => [...prev, item.id]);
+    try {
+      await APIService.updateActionItem(item.id, { status: "done" });
+    } catch (error) {
+      console.error("Failed to complete action item:", error);
+      setDoneIds((prev) => prev.filter((id) => id !== item.id));
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 px-6 py-3 border-b border-gray-700">
+      <button
+        className="w-full flex items-center justify-between text-sm"
+        onClick={() => setIsOpen(!isOpen)}
+      >
+        <span className="flex items-center text-gray-200 font-medium">
+          <ListChecks className="h-4 w-4 mr-2 text-blue-400" />
+          Open from earlier calls
+          <span className="ml-2 text-gray-400 font-normal">{open.length}</span>
+        </span>
+        {isOpen ? (
+          <ChevronUp className="h-4 w-4 text-gray-400" />
+        ) : (
+          <ChevronDown className="h-4 w-4 text-gray-400" />
+        )}
+      </button>
+
+      {isOpen && (
+        <ul className="mt-3 space-y-2">
+          {open.map((item) => {
+            const link = actionItemLink(item);
+            const due = formatDue(item);
+            return (
+              <li key={item.id} className="flex items-start text-sm">
+                <button
+                  className="mt-0.5 mr-2 text-gray-500 hover:text-green-400"
+                  onClick={() => complete(item)}
+                  title="Mark as done"
+                >
+                  <Square className="h-4 w-4" />
+                </button>
+                <div className="flex-1 min-w-0">
+                  <p className="text-gray-300">{item.task}</p>
+                  <p className="text-xs text-gray-500">
+                    {item.owner && `${item.owner} · `}
+                    {link ? (
+                      <a
+                        href={link}
+                        target="_blank"
+                        rel="noreferrer"
+                        className="hover:text-blue-400"
+                      >
+                        {item.callTitle || "Earlier call"}
+                      </a>
+                    ) : (
+                      "Added by hand"
+                    )}
+                  </p>
+                </div>
+                {due && (
+                  <span
+                    className={`ml-3 text-xs whitespace-nowrap ${
+                      item.isOverdue
+                        ? "text-red-400 font-medium"
+                        : "text-gray-400"
+                    }`}
+                  >
+                    {item.isOverdue && "Overdue · "}
+                    {due}
+                  </span>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,117 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { ListChecks, Square } from "lucide-react";
+import { APIService } from "../../lib/api";
+import { actionItemLink, formatDue } from "../../lib/actionItems";
+import { ActionItem } from "../../types";
+
+// Open action items across the user's calls, soonest due first, with
+// overdue ones highlighted
+export const MyActionItems: React.FC = () => {
+  const [items, setItems] = useState<ActionItem[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    APIService.getActionItems({ status: "open" })
+      .then((response) => setItems(response.data || []))
+      .catch((error) => console.error("Failed to load action items:", error))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const complete = async (item: ActionItem) => {
+    setItems((prev) => prev.filter((entry) => entry.id !== item.id));
+    try {
+      await APIService.updateActionItem(item.id, { status: "done" });
+    } catch (error) {
+      console.error("Failed to complete action item:", error);
+      setItems((prev) => [...prev, item]);
+    }
+  };
+
+  const overdue = items.filter((item) => item.isOverdue).length;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm overflow-hidden mb-6">
+      <div className="flex items-center justify-between p-6 border-b border-gray-100">
+        <h2 className="flex items-center text-xl font-semibold text-gray-800">
+          <ListChecks className="h-5 w-5 mr-2 text-blue-500" />
+          My Action Items
+        </h2>
+        {overdue > 0 && (
+          <span className="text-sm font-medium text-red-600">
+            {overdue} overdue
+          </span>
+        )}
+      </div>
+
+      <div className="p-6">
+        {loading ? (
+          <div className="space-y-3">
+            {[...Array(3)].map((_, i) => (
+              <div
+                key={`loading-action-item-${i}`}
+                className="h-4 bg-gray-200 rounded animate-pulse w-3/4"
+              />
+            ))}
+          </div>
+        ) : items.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            No open action items. Follow-ups from your call summaries show up
+            here.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {items.map((item) => {
+              const link = actionItemLink(item);
+              return (
+                <li
+                  key={item.id}
+                  className={`flex items-start py-3 px-2 -mx-2 rounded-lg ${
+                    item.isOverdue ? "bg-red-50" : ""
+                  }`}
+                >
+                  <button
+                    className="mt-0.5 mr-3 text-gray-400 hover:text-green-600"
+                    onClick={() => complete(item)}
+                    title="Mark as done"
+                  >
+                    <Square className="h-4 w-4" />
+                  </button>
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm text-gray-800">{item.task}</p>
+                    <p className="text-xs text-gray-500 mt-0.5">
+                      {item.owner && (
+                        <>
+                          {item.owner}
+                          {item.ownerType === "prospect" && " (prospect)"}
+                          {" · "}
+                        </>
+                      )}
+                      {link ? (
+                        <Link to={link} className="hover:text-blue-600">
+                          {item.callTitle || "View call"}
+                        </Link>
+                      ) : (
+                        "Added by hand"
+                      )}
+                    </p>
+                  </div>
+                  <span
+                    className={`ml-3 text-xs whitespace-nowrap ${
+                      item.isOverdue
+                        ? "text-red-600 font-medium"
+                        : "text-gray-500"
+                    }`}
+                  >
+                    {item.isOverdue && "Overdue · "}
+                    {formatDue(item) || "No due date"}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -1,6 +1,16 @@
 import React, { useState, useEffect, useRef } from "react";
 import { X, Mic, MicOff, StopCircle, RotateCcw } from "lucide-react";
 import { useWebSocket } from "../../hooks/useWebSocket";
+import { ScorecardChecklist } from "./ScorecardChecklist";
+import { TalkTimeMeter } from "./TalkTimeMeter";
+import { CarriedActionItems } from "./CarriedActionItems";
+
+// Badge colours for enriched transcript lines
+const SENTIMENT_BADGES: Record<string, string> = {
+  positive: "bg-green-900 text-green-300",
+  neutral: "bg-gray-700 text-gray-300",
+  negative: "bg-red-900 text-red-300",
+};
 
 interface PopupInterfaceProps {
   callId: string;
@@ -21,6 +31,10 @@ export const PopupInterface: React.FC<PopupInterfaceProps> = ({
   const {
     transcript,
     suggestions,
+    interimTranscript,
+    scorecard,
+    metrics,
+    openActionItems,
     isConnected,
     joinCall,
     leaveCall,
@@ -33,7 +47,7 @@ export const PopupInterface: React.FC<PopupInterfaceProps> = ({
     if (chatEndRef.current) {
       chatEndRef.current.scrollIntoView({ behavior: "smooth" });
     }
-  }, [transcript, suggestions]);
+  }, [transcript, suggestions, interimTranscript]);
 
 
   // Auto-join the call when component mounts
@@ -180,6 +194,15 @@ export const PopupInterface: React.FC<PopupInterfaceProps> = ({
           </div>
         </div>
 
+        {/* Talk time and pace */}
+        <TalkTimeMeter metrics={metrics} theme="dark" />
+
+        {/* Open action items from earlier calls with this account */}
+        <CarriedActionItems items={openActionItems} />
+
+        {/* Qualification checklist */}
+        <ScorecardChecklist scorecard={scorecard} />
+
         {/* Main Content Area */}
         <div className="flex-1 overflow-hidden bg-gray-900">
           {transcript.length === 0 && suggestions.length === 0 ? (
@@ -216,7 +239,12 @@ export const PopupInterface: React.FC<PopupInterfaceProps> = ({
 
                   return allMessages.map((message, index) => {
                     if (message.type === "transcript") {
-                      const transcriptMessage = message as typeof message & { speaker: string };
+                      const transcriptMessage = message as typeof message & {
+                        speaker: string;
+                        sentiment?: string;
+                        intent?: string;
+                        entities?: Array<{ text: string; label: string }>;
+                      };
                       return (
                         <div key={`transcript-${index}`} className="flex justify-start">
                           <div className="flex space-x-4 max-w-2xl">
@@ -240,6 +268,30 @@ export const PopupInterface: React.FC<PopupInterfaceProps> = ({
                                     minute: "2-digit",
                                   })}
                                 </span>
+                                {transcriptMessage.sentiment && (
+                                  <span
+                                    className={`text-xs px-2 py-0.5 rounded ${
+                                      SENTIMENT_BADGES[transcriptMessage.sentiment]
+                                    }`}
+                                  >
+                                    {transcriptMessage.sentiment}
+                                  </span>
+                                )}
+                                {transcriptMessage.intent &&
+                                  transcriptMessage.intent !== "other" && (
+                                    <span className="text-xs px-2 py-0.5 rounded bg-blue-900 text-blue-300">
+                                      {transcriptMessage.intent.replace(/_/g, " ")}
+                                    </span>
+                                  )}
+                                {transcriptMessage.entities?.map((entity) => (
+                                  <span
+                                    key={`${entity.label}-${entity.text}`}
+                                    title={entity.label}
+                                    className="text-xs px-2 py-0.5 rounded bg-purple-900 text-purple-300"
+                                  >
+                                    {entity.text}
+                                  </span>
+                                ))}
                               </div>
                             </div>
                           </div>
@@ -286,6 +338,18 @@ export const PopupInterface: React.FC<PopupInterfaceProps> = ({
                     }
                   });
                 })()}
+                {interimTranscript && (
+                  <div className="flex justify-start">
+                    <div className="max-w-2xl pl-14">
+                      <p className="text-gray-400 italic text-base leading-relaxed">
+                        <span className="font-medium not-italic">
+                          {interimTranscript.speaker}:
+                        </span>{" "}
+                        {interimTranscript.text}
+                      </p>
+                    </div>
+                  </div>
+                )}
                 <div ref={chatEndRef} />
               </div>
             </div>
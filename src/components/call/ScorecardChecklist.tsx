@@ -0,0 +1,110 @@
+import React, { useState } from "react";
+import {
+  CheckCircle2,
+  Circle,
+  ChevronDown,
+  ChevronUp,
+  ClipboardList,
+} from "lucide-react";
+import { CallScorecard } from "../../types";
+
+interface ScorecardChecklistProps {
+  scorecard: CallScorecard | null;
+}
+
+// Live qualification checklist: the criteria still to cover on this call,
+// with the covered ones folded away
+export const ScorecardChecklist: React.FC<ScorecardChecklistProps> = ({
+  scorecard,
+}) => {
+  const [isOpen, setIsOpen] = useState(true);
+  const [showCovered, setShowCovered] = useState(false);
+
+  if (!scorecard) return null;
+
+  const missing = scorecard.criteria.filter((criterion) => !criterion.covered);
+  const covered = scorecard.criteria.filter((criterion) => criterion.covered);
+
+  return (
+    <div className="bg-gray-800 px-6 py-3 border-b border-gray-700">
+      <button
+        className="w-full flex items-center justify-between text-sm"
+        onClick={() => setIsOpen(!isOpen)}
+      >
+        <span className="flex items-center text-gray-200 font-medium">
+          <ClipboardList className="h-4 w-4 mr-2 text-blue-400" />
+          {scorecard.name}
+          <span className="ml-2 text-gray-400 font-normal">
+            {covered.length}/{scorecard.criteria.length} covered
+          </span>
+        </span>
+        {isOpen ? (
+          <ChevronUp className="h-4 w-4 text-gray-400" />
+        ) : (
+          <ChevronDown className="h-4 w-4 text-gray-400" />
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="mt-3">
+          {missing.length === 0 ? (
+            <p className="text-sm text-green-400">
+              Every criterion has been covered.
+            </p>
+          ) : (
+            <ul className="grid grid-cols-1 md:grid-cols-2 gap-2">
+              {missing.map((criterion) => (
+                <li
+                  key={criterion.key}
+                  className="flex items-start text-sm text-gray-300"
+                  title={criterion.description}
+                >
+                  <Circle className="h-4 w-4 mr-2 mt-0.5 text-gray-500 flex-shrink-0" />
+                  <span>
+                    {criterion.label}
+                    {criterion.description && (
+                      <span className="block text-xs text-gray-500">
+                        {criterion.description}
+                      </span>
+                    )}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {covered.length > 0 && (
+            <div className="mt-2">
+              <button
+                className="text-xs text-gray-400 hover:text-gray-200"
+                onClick={() => setShowCovered(!showCovered)}
+              >
+                {showCovered ? "Hide" : "Show"} covered ({covered.length})
+              </button>
+              {showCovered && (
+                <ul className="mt-2 space-y-1">
+                  {covered.map((criterion) => (
+                    <li
+                      key={criterion.key}
+                      className="flex items-start text-sm text-gray-400"
+                    >
+                      <CheckCircle2 className="h-4 w-4 mr-2 mt-0.5 text-green-400 flex-shrink-0" />
+                      <span>
+                        {criterion.label}
+                        {criterion.evidence[0] && (
+                          <span className="block text-xs text-gray-500 italic">
+                            "{criterion.evidence[0].text}"
+                          </span>
+                        )}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
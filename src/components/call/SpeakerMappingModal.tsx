@@ -0,0 +1,248 @@
+import React, { useEffect, useState } from "react";
+import { Modal } from "../ui/Modal";
+import { APIService } from "../../lib/api";
+
+interface Participant {
+  _id: string;
+  name: string;
+  email?: string;
+}
+
+interface SpeakerSummary {
+  label: string;
+  speaker: string;
+  lineCount: number;
+  talkTime: number;
+  samples: string[];
+  mapping: {
+    participantId: string | null;
+    name: string | null;
+    email: string | null;
+    confidence: number;
+    confirmed: boolean;
+    reason?: string;
+  };
+}
+
+// What the user picked for one speaker label
+interface Choice {
+  participantId: string; // "" = unmapped, "new" = add a participant
+  name: string;
+  email: string;
+}
+
+interface SpeakerMappingModalProps {
+  callId: string;
+  isOpen: boolean;
+  onClose: () => void;
+  onSaved: () => void;
+}
+
+export const SpeakerMappingModal: React.FC<SpeakerMappingModalProps> = ({
+  callId,
+  isOpen,
+  onClose,
+  onSaved,
+}) => {
+  const [participants, setParticipants] = useState<Participant[]>([]);
+  const [speakers, setSpeakers] = useState<SpeakerSummary[]>([]);
+  const [choices, setChoices] = useState<Record<string, Choice>>({});
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadSpeakers();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isOpen, callId]);
+
+  const loadSpeakers = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await APIService.getCallSpeakers(callId);
+      const data = res.data || {};
+      setParticipants(data.participants || []);
+      setSpeakers(data.speakers || []);
+
+      // Start from the confirmed or suggested mapping for each label
+      const initial: Record<string, Choice> = {};
+      (data.speakers || []).forEach((speaker: SpeakerSummary) => {
+        initial[speaker.label] = {
+          participantId: speaker.mapping.participantId || "",
+          name: "",
+          email: "",
+        };
+      });
+      setChoices(initial);
+    } catch (err) {
+      console.error("Error loading speakers:", err);
+      setError("Failed to load speakers for this call.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateChoice = (label: string, updates: Partial<Choice>) => {
+    setChoices((prev) => ({
+      ...prev,
+      [label]: { ...prev[label], ...updates },
+    }));
+  };
+
+  const saveMapping = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const mappings = speakers.map(({ label }) => {
+        const choice = choices[label];
+        if (choice?.participantId === "new") {
+          return {
+            label,
+            name: choice.name.trim(),
+            email: choice.email.trim() || undefined,
+          };
+        }
+        return { label, participantId: choice?.participantId || null };
+      });
+
+      if (mappings.some((mapping) => "name" in mapping && !mapping.name)) {
+        setError("Enter a name for each new participant.");
+        return;
+      }
+
+      await APIService.updateCallSpeakers(callId, mappings);
+      onSaved();
+      onClose();
+    } catch (err) {
+      console.error("Error saving speaker mapping:", err);
+      setError("Failed to save the speaker mapping.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Confirm speakers" size="lg">
+      {loading ? (
+        <div className="text-sm text-gray-500">Loading speakers...</div>
+      ) : speakers.length === 0 ? (
+        <div className="text-sm text-gray-500">
+          This call has no transcript yet.
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {speakers.map((speaker) => {
+            const choice = choices[speaker.label];
+            return (
+              <div
+                key={speaker.label}
+                className="border border-gray-200 rounded-lg p-4"
+              >
+                <div className="flex items-center justify-between mb-2">
+                  <div>
+                    <span className="text-sm font-semibold text-gray-900">
+                      {speaker.label}
+                    </span>
+                    <span className="ml-2 text-xs text-gray-500">
+                      {speaker.lineCount} lines
+                      {speaker.talkTime > 0 &&
+                        ` • ${Math.round(speaker.talkTime)}s talk time`}
+                    </span>
+                  </div>
+                  {speaker.mapping.confirmed ? (
+                    <span className="text-xs px-2 py-0.5 rounded-full bg-green-100 text-green-700">
+                      Confirmed
+                    </span>
+                  ) : (
+                    speaker.mapping.participantId && (
+                      <span
+                        className="text-xs px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-700"
+                        title={speaker.mapping.reason}
+                      >
+                        Suggested
+                      </span>
+                    )
+                  )}
+                </div>
+
+                {speaker.samples.map((sample, index) => (
+                  <p
+                    key={index}
+                    className="text-xs text-gray-600 italic truncate"
+                  >
+                    "{sample}"
+                  </p>
+                ))}
+
+                <select
+                  value={choice?.participantId || ""}
+                  onChange={(e) =>
+                    updateChoice(speaker.label, {
+                      participantId: e.target.value,
+                    })
+                  }
+                  className="mt-3 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                >
+                  <option value="">Keep as "{speaker.label}"</option>
+                  {participants.map((participant) => (
+                    <option key={participant._id} value={participant._id}>
+                      {participant.name}
+                      {participant.email ? ` (${participant.email})` : ""}
+                    </option>
+                  ))}
+                  <option value="new">Someone else...</option>
+                </select>
+
+                {choice?.participantId === "new" && (
+                  <div className="mt-2 grid grid-cols-2 gap-2">
+                    <input
+                      type="text"
+                      placeholder="Name"
+                      value={choice.name}
+                      onChange={(e) =>
+                        updateChoice(speaker.label, { name: e.target.value })
+                      }
+                      className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                    />
+                    <input
+                      type="email"
+                      placeholder="Email (optional)"
+                      value={choice.email}
+                      onChange={(e) =>
+                        updateChoice(speaker.label, { email: e.target.value })
+                      }
+                      className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                    />
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {error && <div className="mt-4 text-sm text-red-600">{error}</div>}
+
+      <div className="mt-6 flex justify-end space-x-3">
+        <button
+          onClick={onClose}
+          className="px-4 py-2 rounded-lg text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={saveMapping}
+          disabled={saving || loading || speakers.length === 0}
+          className="bg-blue-500 hover:bg-blue-600 disabled:bg-gray-300 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+        >
+          {saving ? "Saving..." : "Confirm speakers"}
+        </button>
+      </div>
+    </Modal>
+  );
+};
+
+export default SpeakerMappingModal;
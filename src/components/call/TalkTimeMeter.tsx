@@ -0,0 +1,110 @@
+import React from "react";
+import { AlertTriangle, Gauge } from "lucide-react";
+import { CallMetrics } from "../../types";
+
+interface TalkTimeMeterProps {
+  metrics: CallMetrics | null;
+  theme?: "light" | "dark";
+}
+
+const THEMES = {
+  light: {
+    container: "bg-white border-b border-slate-200",
+    title: "text-slate-700",
+    text: "text-slate-600",
+    muted: "text-slate-400",
+    track: "bg-slate-200",
+    other: "bg-slate-400",
+    alert: "bg-amber-50 text-amber-800 border border-amber-200",
+  },
+  dark: {
+    container: "bg-gray-800 border-b border-gray-700",
+    title: "text-gray-200",
+    text: "text-gray-300",
+    muted: "text-gray-500",
+    track: "bg-gray-700",
+    other: "bg-gray-500",
+    alert: "bg-amber-900/40 text-amber-200 border border-amber-700",
+  },
+};
+
+const formatSeconds = (seconds: number) =>
+  seconds < 60
+    ? `${seconds}s`
+    : `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, "0")}s`;
+
+// Live talk-time split, pace and monologue length, with the rep's alerts
+export const TalkTimeMeter: React.FC<TalkTimeMeterProps> = ({
+  metrics,
+  theme = "light",
+}) => {
+  if (!metrics) return null;
+
+  const colors = THEMES[theme];
+  const repPercent = Math.round(metrics.rep.talkRatio * 100);
+  const monologue = metrics.monologue;
+
+  return (
+    <div className={`px-6 py-3 ${colors.container}`}>
+      <div className="flex items-center justify-between text-sm">
+        <span className={`flex items-center font-medium ${colors.title}`}>
+          <Gauge className="h-4 w-4 mr-2 text-blue-500" />
+          You {repPercent}% · Others {100 - repPercent}%
+          {metrics.rep.guessed && (
+            <span className={`ml-2 text-xs font-normal ${colors.muted}`}>
+              (assuming you spoke first)
+            </span>
+          )}
+        </span>
+        <span className={`text-xs ${colors.muted}`}>
+          {formatSeconds(metrics.talkSeconds)} of speech
+        </span>
+      </div>
+
+      <div
+        className={`mt-2 h-2 w-full rounded-full overflow-hidden flex ${colors.track}`}
+      >
+        {metrics.speakers.map((speaker) => (
+          <div
+            key={speaker.speaker}
+            title={`${speaker.speaker}: ${Math.round(speaker.share * 100)}%`}
+            className={speaker.isRep ? "bg-blue-500" : colors.other}
+            style={{ width: `${speaker.share * 100}%` }}
+          />
+        ))}
+      </div>
+
+      <div className={`mt-2 flex flex-wrap gap-x-6 gap-y-1 text-xs ${colors.text}`}>
+        <span>
+          Pace:{" "}
+          {metrics.rep.wordsPerMinute !== null
+            ? `${metrics.rep.wordsPerMinute} wpm`
+            : "–"}
+        </span>
+        <span>Interruptions: {metrics.rep.interruptions}</span>
+        <span>
+          Talking now:{" "}
+          {monologue
+            ? `${monologue.isRep ? "You" : monologue.speaker}, ${formatSeconds(
+                monologue.seconds
+              )}`
+            : "–"}
+        </span>
+      </div>
+
+      {metrics.alerts.length > 0 && (
+        <ul className="mt-2 space-y-1">
+          {metrics.alerts.map((alert) => (
+            <li
+              key={alert.type}
+              className={`flex items-start px-3 py-1.5 rounded-md text-xs ${colors.alert}`}
+            >
+              <AlertTriangle className="h-3.5 w-3.5 mr-2 mt-0.5 flex-shrink-0" />
+              {alert.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,285 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Modal } from "../ui/Modal";
+import { APIService } from "../../lib/api";
+import { Job } from "../../types";
+
+interface UploadRecordingModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  onCompleted?: (callId: string) => void;
+}
+
+// resource is the Call the recording was attached to
+type RecordingJob = Job<{
+  transcriptCount?: number;
+  speakers?: number;
+  diarization?: string;
+}>;
+
+const STAGE_LABELS: Record<string, string> = {
+  transcribing: "Transcribing and separating speakers",
+  saving_transcript: "Saving transcript",
+  enriching: "Analyzing transcript lines",
+  summarizing: "Writing summary",
+  suggestions: "Generating coaching suggestions",
+  scorecard: "Reviewing the scorecard",
+  scoring: "Scoring the call",
+};
+
+const POLL_INTERVAL_MS = 2000;
+
+// "Jane Doe <jane@acme.com>, Sam" -> [{ name, email }]
+const parseParticipants = (value: string) =>
+  value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const match = entry.match(/^(.*?)\s*<([^>]+)>$/);
+      return match
+        ? { name: match[1].trim() || match[2], email: match[2].trim() }
+        : { name: entry };
+    });
+
+export const UploadRecordingModal: React.FC<UploadRecordingModalProps> = ({
+  isOpen,
+  onClose,
+  onCompleted,
+}) => {
+  const [file, setFile] = useState<File | null>(null);
+  const [title, setTitle] = useState("");
+  const [participants, setParticipants] = useState("");
+  const [speakers, setSpeakers] = useState("");
+  const [uploadProgress, setUploadProgress] = useState<number | null>(null);
+  const [job, setJob] = useState<RecordingJob | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const pollRef = useRef<ReturnType<typeof setInterval> | null>(null);
+
+  const stopPolling = () => {
+    if (pollRef.current) {
+      clearInterval(pollRef.current);
+      pollRef.current = null;
+    }
+  };
+
+  useEffect(() => stopPolling, []);
+
+  const reset = () => {
+    stopPolling();
+    setFile(null);
+    setTitle("");
+    setParticipants("");
+    setSpeakers("");
+    setUploadProgress(null);
+    setJob(null);
+    setError(null);
+  };
+
+  const handleClose = () => {
+    // Processing carries on server-side; the call shows up when it's done
+    reset();
+    onClose();
+  };
+
+  const pollJob = (jobId: string) => {
+    stopPolling();
+    pollRef.current = setInterval(async () => {
+      try {
+        const res = await APIService.getJob(jobId);
+        const current: RecordingJob = res.data;
+        setJob(current);
+
+        if (current.status === "completed") {
+          stopPolling();
+          if (current.resource) onCompleted?.(current.resource.id);
+        } else if (current.status === "dead") {
+          stopPolling();
+          setError(current.error || "Processing failed");
+        }
+      } catch (err) {
+        console.error("Error polling recording job:", err);
+        stopPolling();
+        setError("Lost track of the processing job.");
+      }
+    }, POLL_INTERVAL_MS);
+  };
+
+  const handleUpload = async () => {
+    if (!file) {
+      setError("Choose a recording to upload.");
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append("file", file);
+    if (title.trim()) formData.append("title", title.trim());
+    formData.append(
+      "participants",
+      JSON.stringify(parseParticipants(participants))
+    );
+    if (speakers) formData.append("speakers", speakers);
+
+    setError(null);
+    setUploadProgress(0);
+    try {
+      const res = await APIService.uploadRecording(formData, setUploadProgress);
+      const queued = await APIService.getJob(res.data.jobId);
+      setJob(queued.data);
+      pollJob(res.data.jobId);
+    } catch (err) {
+      console.error("Error uploading recording:", err);
+      const message = (err as { response?: { data?: { message?: string } } })
+        .response?.data?.message;
+      setError(message || "Failed to upload recording.");
+      setUploadProgress(null);
+    }
+  };
+
+  // Dead jobs keep their error; retrying starts the pipeline over
+  const handleRetry = async () => {
+    if (!job) return;
+    setError(null);
+    try {
+      const res = await APIService.retryJob(job.id);
+      setJob(res.data);
+      pollJob(job.id);
+    } catch (err) {
+      console.error("Error retrying recording job:", err);
+      setError("Failed to retry processing.");
+    }
+  };
+
+  const uploading = uploadProgress !== null && !job;
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Upload a recorded call">
+      {!job ? (
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Recording (audio or video)
+            </label>
+            <input
+              type="file"
+              accept="audio/*,video/*"
+              onChange={(e) => setFile(e.target.files?.[0] || null)}
+              className="w-full text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Title
+            </label>
+            <input
+              type="text"
+              value={title}
+              placeholder={file?.name || "Discovery call with Acme"}
+              onChange={(e) => setTitle(e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Participants
+            </label>
+            <input
+              type="text"
+              value={participants}
+              placeholder="Jane Doe <jane@acme.com>, Sam Lee"
+              onChange={(e) => setParticipants(e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Number of speakers
+            </label>
+            <input
+              type="number"
+              min={1}
+              max={10}
+              value={speakers}
+              placeholder="Detect automatically"
+              onChange={(e) => setSpeakers(e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            />
+          </div>
+
+          {uploading && (
+            <div className="text-sm text-gray-600">
+              Uploading... {uploadProgress}%
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="space-y-3">
+          <div className="flex items-center justify-between text-sm">
+            <span className="text-gray-700">
+              {job.status === "completed"
+                ? "Done"
+                : job.status === "dead"
+                ? "Processing failed"
+                : job.status === "queued" && job.attempts > 0
+                ? `Retrying (attempt ${job.attempts + 1} of ${job.maxAttempts})...`
+                : STAGE_LABELS[job.stage || ""] || "Waiting to start..."}
+            </span>
+            <span className="text-gray-500">{job.progress}%</span>
+          </div>
+          <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className={`h-full transition-all ${
+                job.status === "dead" ? "bg-red-500" : "bg-blue-500"
+              }`}
+              style={{ width: `${job.progress}%` }}
+            />
+          </div>
+          {job.status === "completed" && (
+            <p className="text-sm text-gray-600">
+              {job.result.transcriptCount} transcript lines from{" "}
+              {job.result.speakers} speaker(s). Confirm who is who under{" "}
+              <strong>Speakers</strong> in the call log.
+            </p>
+          )}
+        </div>
+      )}
+
+      {error && <div className="mt-4 text-sm text-red-600">{error}</div>}
+
+      <div className="mt-6 flex justify-end space-x-3">
+        <button
+          onClick={handleClose}
+          className="px-4 py-2 rounded-lg text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200"
+        >
+          {job ? "Close" : "Cancel"}
+        </button>
+        {!job ? (
+          <button
+            onClick={handleUpload}
+            disabled={!file || uploading}
+            className="bg-blue-500 hover:bg-blue-600 disabled:bg-gray-300 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+          >
+            Upload and process
+          </button>
+        ) : job.status === "dead" ? (
+          <button
+            onClick={handleRetry}
+            className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+          >
+            Retry
+          </button>
+        ) : (
+          job.status === "completed" && (
+            <button
+              onClick={() => (window.location.href = `/call/log/${job.resource?.id}`)}
+              className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+            >
+              Open call log
+            </button>
+          )
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default UploadRecordingModal;
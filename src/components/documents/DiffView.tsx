@@ -0,0 +1,28 @@
+import React from "react";
+
+// Unified diff with additions in green and removals in red
+export const DiffView: React.FC<{ diff: string; className?: string }> = ({
+  diff,
+  className = "max-h-60",
+}) => (
+  <pre
+    className={`${className} overflow-auto rounded bg-gray-50 p-2 text-xs whitespace-pre-wrap`}
+  >
+    {diff.split("\n").map((line, index) => (
+      <div
+        key={index}
+        className={
+          line.startsWith("+")
+            ? "text-green-700"
+            : line.startsWith("-")
+            ? "text-red-700"
+            : line.startsWith("@@")
+            ? "text-gray-400"
+            : "text-gray-600"
+        }
+      >
+        {line}
+      </div>
+    ))}
+  </pre>
+);
@@ -0,0 +1,283 @@
+import React, { useEffect, useState } from "react";
+import { Upload, RotateCcw, GitCompare } from "lucide-react";
+import { Modal } from "../ui/Modal";
+import { Button } from "../ui/Button";
+import { DiffView } from "./DiffView";
+import { APIService } from "../../lib/api";
+import { Document, DocumentVersion, DocumentVersionDiff } from "../../types";
+
+interface DocumentVersionsModalProps {
+  document: Document | null;
+  onClose: () => void;
+  onUpdated: (document: Document) => void;
+  // Viewers of a shared library can compare but not change versions
+  readOnly?: boolean;
+}
+
+const REASON_LABELS: Record<DocumentVersion["reason"], string> = {
+  created: "First version",
+  new_file: "New file uploaded",
+  reprocess: "Processed again",
+  content_changed: "Page changed",
+  rollback: "Restored",
+};
+
+const FIELD_LABELS: Record<string, string> = {
+  keyFeatures: "Key features",
+  benefits: "Benefits",
+  pricingInfo: "Pricing",
+  useCases: "Use cases",
+  competitiveAdvantages: "Competitive advantages",
+  targetAudience: "Target audience",
+  successStories: "Success stories",
+  objectionResponses: "Objection responses",
+  detailedSummary: "Summary",
+};
+
+const errorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { message?: string } } }).response?.data
+    ?.message || fallback;
+
+// Version history of a document: upload a replacement file, compare a
+// version with the one before it and restore an earlier version
+export const DocumentVersionsModal: React.FC<DocumentVersionsModalProps> = ({
+  document,
+  onClose,
+  onUpdated,
+  readOnly = false,
+}) => {
+  const [versions, setVersions] = useState<DocumentVersion[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [diff, setDiff] = useState<DocumentVersionDiff | null>(null);
+  const [file, setFile] = useState<File | null>(null);
+  const [note, setNote] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const documentId = document?._id;
+  const busyProcessing =
+    document?.processingStatus === "pending" ||
+    document?.processingStatus === "processing";
+
+  useEffect(() => {
+    if (!documentId) return;
+
+    setLoading(true);
+    setDiff(null);
+    setError(null);
+    APIService.getDocumentVersions(documentId)
+      .then((data) => setVersions(data.versions))
+      .catch((err) =>
+        setError(errorMessage(err, "Failed to load the version history"))
+      )
+      .finally(() => setLoading(false));
+  }, [documentId, document?.currentVersion]);
+
+  const handleClose = () => {
+    setFile(null);
+    setNote("");
+    setDiff(null);
+    setError(null);
+    onClose();
+  };
+
+  const handleCompare = async (version: number) => {
+    if (!documentId) return;
+    try {
+      setError(null);
+      setDiff(
+        await APIService.getDocumentVersionDiff(documentId, version - 1, version)
+      );
+    } catch (err) {
+      setError(errorMessage(err, "Failed to compare versions"));
+    }
+  };
+
+  const handleRollback = async (version: number) => {
+    if (!documentId) return;
+    if (!window.confirm(`Restore version ${version}? It becomes a new version.`)) {
+      return;
+    }
+
+    setBusy(true);
+    try {
+      setError(null);
+      onUpdated(await APIService.rollbackDocumentVersion(documentId, version));
+    } catch (err) {
+      setError(errorMessage(err, "Failed to restore the version"));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleUpload = async (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    if (!documentId || !file) return;
+
+    setBusy(true);
+    try {
+      setError(null);
+      onUpdated(await APIService.uploadDocumentVersion(documentId, file, note));
+      handleClose();
+    } catch (err) {
+      setError(errorMessage(err, "Failed to upload the new version"));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={Boolean(document)}
+      onClose={handleClose}
+      title={document ? `Versions of ${document.name}` : "Versions"}
+      size="xl"
+    >
+      <div className="space-y-6">
+        {error && (
+          <div className="rounded-md bg-red-50 p-3 text-sm text-red-700">
+            {error}
+          </div>
+        )}
+
+        {!readOnly && document?.type !== "url" && (
+          <form onSubmit={handleUpload} className="flex items-end space-x-3">
+            <div className="flex-1">
+              <label
+                htmlFor="version-file"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Upload a new version
+              </label>
+              <input
+                id="version-file"
+                type="file"
+                className="block w-full text-sm text-gray-600"
+                onChange={(e) => setFile(e.target.files?.[0] || null)}
+              />
+            </div>
+            <div className="flex-1">
+              <label
+                htmlFor="version-note"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                What changed
+              </label>
+              <input
+                id="version-note"
+                type="text"
+                value={note}
+                maxLength={500}
+                onChange={(e) => setNote(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+                placeholder="e.g. Q3 pricing"
+              />
+            </div>
+            <Button type="submit" disabled={!file || busy || busyProcessing}>
+              <Upload className="h-4 w-4 mr-1" />
+              Upload
+            </Button>
+          </form>
+        )}
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading versions...</p>
+        ) : versions.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            Versions are recorded each time the document is processed.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {versions.map((version) => {
+              const current = version.version === document?.currentVersion;
+              return (
+                <li
+                  key={version._id}
+                  className="flex items-center justify-between py-3"
+                >
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900">
+                      Version {version.version}
+                      {current && (
+                        <span className="ml-2 rounded-full bg-green-100 px-2 py-0.5 text-xs text-green-800">
+                          Current
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500 truncate">
+                      {new Date(version.createdAt).toLocaleString()} •{" "}
+                      {REASON_LABELS[version.reason]}
+                      {version.restoredFrom &&
+                        ` from version ${version.restoredFrom}`}
+                      {version.fileName && ` • ${version.fileName}`}
+                      {version.note && ` • ${version.note}`}
+                    </p>
+                  </div>
+                  <div className="flex space-x-2">
+                    {version.version > 1 && (
+                      <Button
+                        variant="secondary"
+                        size="sm"
+                        title="Compare with the previous version"
+                        onClick={() => handleCompare(version.version)}
+                      >
+                        <GitCompare className="h-3 w-3" />
+                      </Button>
+                    )}
+                    {!current && !readOnly && (
+                      <Button
+                        variant="secondary"
+                        size="sm"
+                        title="Restore this version"
+                        disabled={busy || busyProcessing}
+                        onClick={() => handleRollback(version.version)}
+                      >
+                        <RotateCcw className="h-3 w-3" />
+                      </Button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        {diff && (
+          <div className="space-y-3">
+            <h4 className="font-medium text-gray-900">
+              Version {diff.from} → {diff.to}{" "}
+              <span className="text-sm font-normal text-gray-500">
+                +{diff.added} −{diff.removed} lines
+              </span>
+            </h4>
+            {Object.entries(diff.aiContext).map(([field, change]) => (
+              <div key={field} className="text-sm">
+                <p className="font-medium text-gray-700">
+                  {FIELD_LABELS[field] || field}
+                </p>
+                {change.removed?.map((text, index) => (
+                  <p key={`r${index}`} className="text-red-700">
+                    − {text}
+                  </p>
+                ))}
+                {change.added?.map((text, index) => (
+                  <p key={`a${index}`} className="text-green-700">
+                    + {text}
+                  </p>
+                ))}
+                {change.after !== undefined && (
+                  <p className="text-gray-600">{change.after}</p>
+                )}
+              </div>
+            ))}
+            {diff.diff ? (
+              <DiffView diff={diff.diff} className="max-h-96" />
+            ) : (
+              <p className="text-sm text-gray-500">The text is unchanged.</p>
+            )}
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
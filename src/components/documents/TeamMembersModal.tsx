@@ -0,0 +1,177 @@
+import React, { useState } from "react";
+import { UserPlus, Trash2 } from "lucide-react";
+import { Modal } from "../ui/Modal";
+import { Button } from "../ui/Button";
+import { APIService } from "../../lib/api";
+import { Team, TeamRole } from "../../types";
+
+interface TeamMembersModalProps {
+  team: Team | null;
+  currentUserId?: string;
+  onClose: () => void;
+  // null when the signed-in user left the team
+  onChanged: (team: Team | null) => void;
+}
+
+const ROLE_LABELS: Record<TeamRole, string> = {
+  viewer: "Viewer — reads the library",
+  editor: "Editor — adds and organizes documents",
+  owner: "Owner — also manages members",
+};
+
+const errorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { message?: string } } }).response?.data
+    ?.message || fallback;
+
+// Members of a team library and their access levels
+export const TeamMembersModal: React.FC<TeamMembersModalProps> = ({
+  team,
+  currentUserId,
+  onClose,
+  onChanged,
+}) => {
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState<TeamRole>("viewer");
+  const [error, setError] = useState<string | null>(null);
+
+  const teamId = team?.id || "";
+  const isOwner = team?.role === "owner";
+
+  const run = async (action: () => Promise<{ data: Team | null }>) => {
+    try {
+      setError(null);
+      const result = await action();
+      onChanged(result.data);
+      return true;
+    } catch (err) {
+      setError(errorMessage(err, "The change could not be saved"));
+      return false;
+    }
+  };
+
+  const handleAdd = async (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    if (!team || !email.trim()) return;
+    if (await run(() => APIService.addTeamMember(team.id, email.trim(), role))) {
+      setEmail("");
+    }
+  };
+
+  const handleLeave = async () => {
+    if (!team || !currentUserId) return;
+    if (!window.confirm(`Leave ${team.name}? You lose access to its library.`)) {
+      return;
+    }
+    if (await run(() => APIService.removeTeamMember(team.id, currentUserId))) {
+      onClose();
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={Boolean(team)}
+      onClose={onClose}
+      title={team ? `${team.name} members` : "Members"}
+      size="lg"
+    >
+      <div className="space-y-6">
+        {error && (
+          <div className="rounded-md bg-red-50 p-3 text-sm text-red-700">
+            {error}
+          </div>
+        )}
+
+        <ul className="divide-y divide-gray-200">
+          {team?.members.map((member) => (
+            <li
+              key={member.user}
+              className="flex items-center justify-between py-3"
+            >
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900 truncate">
+                  {member.name || member.email}
+                  {member.user === currentUserId && " (you)"}
+                </p>
+                <p className="text-xs text-gray-500 truncate">{member.email}</p>
+              </div>
+              <div className="flex items-center space-x-2">
+                {isOwner ? (
+                  <select
+                    value={member.role}
+                    onChange={(e) =>
+                      run(() =>
+                        APIService.updateTeamMember(
+                          teamId,
+                          member.user,
+                          e.target.value
+                        )
+                      )
+                    }
+                    className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                  >
+                    {(Object.keys(ROLE_LABELS) as TeamRole[]).map((value) => (
+                      <option key={value} value={value}>
+                        {value}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <span className="text-sm text-gray-600">{member.role}</span>
+                )}
+                {isOwner && member.user !== currentUserId && (
+                  <Button
+                    variant="secondary"
+                    size="sm"
+                    title="Remove from team"
+                    onClick={() =>
+                      run(() => APIService.removeTeamMember(teamId, member.user))
+                    }
+                  >
+                    <Trash2 className="h-3 w-3" />
+                  </Button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        {isOwner && (
+          <form onSubmit={handleAdd} className="space-y-3">
+            <h4 className="font-medium text-gray-900">Add a member</h4>
+            <div className="flex space-x-2">
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+                placeholder="colleague@company.com"
+                required
+              />
+              <select
+                value={role}
+                onChange={(e) => setRole(e.target.value as TeamRole)}
+                className="px-3 py-2 border border-gray-300 rounded-md"
+              >
+                {(Object.keys(ROLE_LABELS) as TeamRole[]).map((value) => (
+                  <option key={value} value={value}>
+                    {ROLE_LABELS[value]}
+                  </option>
+                ))}
+              </select>
+              <Button type="submit">
+                <UserPlus className="h-4 w-4 mr-1" />
+                Add
+              </Button>
+            </div>
+          </form>
+        )}
+
+        <div className="border-t border-gray-200 pt-4">
+          <Button variant="secondary" size="sm" onClick={handleLeave}>
+            Leave team
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
@@ -69,28 +69,27 @@ export const ZoomIntegration: React.FC<ZoomIntegrationProps> = ({
     markSuggestionUsed,
     requestSuggestion,
     sendAudioData,
+    endAudioStream,
     sendDurationUpdate,
     sendMeetingStart,
     sendMeetingEnd,
   } = useWebSocket(callId, localStorage.getItem("userId") || undefined);
 
-  // Audio capture for transcription
-  const handleAudioData = useCallback(
-    (audioData: string) => {
-      if (wsConnected) {
-        sendAudioData(audioData);
-      }
-    },
-    [wsConnected, sendAudioData]
-  );
-
+  // Audio capture for transcription. Chunks are queued while the socket is
+  // reconnecting, so the first one with the WebM header is never lost.
   const {
     isRecording: isAudioRecording,
     isSupported: isAudioSupported,
     error: audioError,
     startRecording: startAudioRecording,
-    stopRecording: stopAudioRecording,
-  } = useAudioCapture(handleAudioData);
+    stopRecording: stopRecordingAudio,
+  } = useAudioCapture(sendAudioData);
+
+  // Stop the microphone and let the server finalize the buffered audio
+  const stopAudioRecording = useCallback(() => {
+    stopRecordingAudio();
+    endAudioStream();
+  }, [stopRecordingAudio, endAudioStream]);
 
   useEffect(() => {
     // Load Zoom Web SDK
@@ -682,15 +681,7 @@ export const ZoomIntegration: React.FC<ZoomIntegrationProps> = ({
 
         if (duration % 30 === 0 && wsConnected) {
           try {
-            const durationUpdateEvent = {
-              type: "duration_update",
-              data: {
-                callId: callId,
-                duration: duration,
-                timestamp: new Date().toISOString(),
-              },
-            };
-            sendAudioData(JSON.stringify(durationUpdateEvent));
+            sendDurationUpdate(duration);
           } catch (error) {
             console.error("Failed to sync duration after recovery:", error);
           }
@@ -700,7 +691,7 @@ export const ZoomIntegration: React.FC<ZoomIntegrationProps> = ({
       setTimerInterval(interval);
       console.log("✅ Meeting timer recovered after page refresh");
     }
-  }, [callId, isTimerActive, wsConnected, sendAudioData]);
+  }, [callId, isTimerActive, wsConnected, sendDurationUpdate]);
 
   // NEW: Handle page unload with beacon API for reliable duration saving
   useEffect(() => {
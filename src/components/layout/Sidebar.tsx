@@ -10,7 +10,10 @@ import {
   LogOut,
   Bot,
   User,
-  MessageSquareText
+  MessageSquareText,
+  Search,
+  ShieldAlert,
+  ClipboardList
 } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
 
@@ -18,6 +21,9 @@ const navigation = [
   { name: 'Dashboard', href: '/', icon: LayoutDashboard },
   { name: 'Active Call', href: '/call', icon: Phone },
   { name: 'Knowledge Base', href: '/documents', icon: FileText },
+  { name: 'Search', href: '/search', icon: Search },
+  { name: 'Objections', href: '/objections', icon: ShieldAlert },
+  { name: 'Scorecards', href: '/scorecards', icon: ClipboardList },
   { name: 'Text Processor', href: '/text-processor', icon: MessageSquareText },
   { name: 'Analytics', href: '/analytics', icon: BarChart3 },
   { name: 'Settings', href: '/settings', icon: Settings },
@@ -1,14 +1,38 @@
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
 import { io, Socket } from "socket.io-client";
+import { ActionItem, CallMetrics, CallScorecard } from "../types";
+
+interface TranscriptEntity {
+  text: string;
+  label: "company" | "product" | "competitor" | "amount" | "date";
+  confidence?: number;
+}
 
 interface TranscriptEntry {
   id: string;
+  _id?: string;
   speaker: string;
   text: string;
   confidence: number;
   timestamp: Date;
   isFinal?: boolean;
   callId: string;
+  seq?: number;
+  // Filled in by transcriptEnriched shortly after the line arrives
+  sentiment?: "positive" | "neutral" | "negative";
+  sentimentScore?: number;
+  intent?: string;
+  entities?: TranscriptEntity[];
+}
+
+interface TranscriptEnrichment {
+  transcriptId: string;
+  callId: string;
+  sentiment: TranscriptEntry["sentiment"];
+  sentimentScore: number;
+  intent: string;
+  entities: TranscriptEntity[];
+  seq?: number;
 }
 
 interface AISuggestion {
@@ -18,23 +42,71 @@ interface AISuggestion {
   confidence: number;
   reasoning?: string;
   priority: string;
+  customerSentiment?: string;
+  intent?: string;
+  conversationPhase?: string;
   used: boolean;
   timestamp: Date;
+  seq?: number;
+  // True while tokens are still arriving over suggestionDelta
+  streaming?: boolean;
+}
+
+interface SuggestionEnd extends Partial<AISuggestion> {
+  suggestionId: string;
+  discarded?: boolean;
+}
+
+interface InterimTranscript {
+  callId: string;
+  speaker: string;
+  text: string;
+  timestamp: Date;
+}
+
+interface AudioAck {
+  accepted: boolean;
+  buffered?: number;
+  dropped?: number;
 }
 
 interface WebSocketData {
   transcript: TranscriptEntry[];
   suggestions: AISuggestion[];
   isConnected: boolean;
+  // Words still being recognized from sendAudioData; replaced by the final line
+  interimTranscript: InterimTranscript | null;
+  // Qualification checklist, updated as criteria get covered
+  scorecard: CallScorecard | null;
+  // Talk-time and pace meter with alerts for the rep
+  metrics: CallMetrics | null;
+  // Open action items from earlier calls with the same account
+  openActionItems: ActionItem[];
 }
 
+// Audio backpressure: chunks awaiting a server ack, and chunks held locally
+const MAX_AUDIO_IN_FLIGHT = 3;
+const MAX_AUDIO_QUEUE = 30;
+
 export const useWebSocket = (callId: string, userId?: string) => {
   const [socket, setSocket] = useState<Socket | null>(null);
   const [data, setData] = useState<WebSocketData>({
     transcript: [],
     suggestions: [],
     isConnected: false,
+    interimTranscript: null,
+    scorecard: null,
+    metrics: null,
+    openActionItems: [],
   });
+  // Highest room event seq received, used for acks and replay after a rejoin
+  const lastSeqRef = useRef(0);
+  const audioQueueRef = useRef<string[]>([]);
+  const audioInFlightRef = useRef(0);
+  // The first chunk of a recording carries the WebM header the server needs
+  // to decode the rest, so it is never dropped from the queue
+  const audioStartedRef = useRef(false);
+  const audioHeaderQueuedRef = useRef(false);
 
   const connect = useCallback(() => {
     if (!callId || !userId) {
@@ -87,10 +159,15 @@ export const useWebSocket = (callId: string, userId?: string) => {
     if (socket) {
       socket.disconnect();
       setSocket(null);
+      lastSeqRef.current = 0;
       setData({
         transcript: [],
         suggestions: [],
         isConnected: false,
+        interimTranscript: null,
+        scorecard: null,
+        metrics: null,
+        openActionItems: [],
       });
     }
   }, [socket]);
@@ -108,6 +185,7 @@ export const useWebSocket = (callId: string, userId?: string) => {
           callId,
           userId,
           platform: platform || "unknown",
+          lastSeq: lastSeqRef.current,
         });
       } else {
         console.log("❌ Socket not connected, cannot join call");
@@ -146,6 +224,7 @@ export const useWebSocket = (callId: string, userId?: string) => {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
+          Authorization: `Bearer ${localStorage.getItem("authToken")}`,
         },
         body: JSON.stringify({
           callId,
@@ -170,8 +249,21 @@ export const useWebSocket = (callId: string, userId?: string) => {
       return;
     }
 
+    // Track room event seqs: acknowledge delivery and ask for a replay on gaps
+    const trackSeq = (seq?: number) => {
+      if (typeof seq !== "number" || seq <= lastSeqRef.current) return;
+
+      if (seq > lastSeqRef.current + 1) {
+        socket.emit("replayEvents", { callId, sinceSeq: lastSeqRef.current });
+      }
+
+      lastSeqRef.current = seq;
+      socket.emit("ackEvents", { callId, seq });
+    };
+
     // Real-time transcript events with deduplication
     socket.on("newTranscript", (transcript: TranscriptEntry) => {
+      trackSeq(transcript.seq);
       setData((prev) => {
         // Check for duplicates by text and timestamp to prevent multiple entries
         const isDuplicate = prev.transcript.some(
@@ -191,12 +283,51 @@ export const useWebSocket = (callId: string, userId?: string) => {
         return {
           ...prev,
           transcript: [...prev.transcript.slice(-50), transcript],
+          interimTranscript: null,
         };
       });
     });
 
+    socket.on("interimTranscript", (interim: InterimTranscript) => {
+      setData((prev) => ({ ...prev, interimTranscript: interim }));
+    });
+
+    socket.on(
+      "scorecardUpdate",
+      ({ scorecard, seq }: { scorecard: CallScorecard | null; seq?: number }) => {
+        trackSeq(seq);
+        setData((prev) => ({ ...prev, scorecard }));
+      }
+    );
+
+    // Not seq-stamped: each update replaces the last
+    socket.on("callMetrics", (metrics: CallMetrics) => {
+      setData((prev) => ({ ...prev, metrics }));
+    });
+
+    // Sent once on join
+    socket.on("openActionItems", ({ items }: { items: ActionItem[] }) => {
+      setData((prev) => ({ ...prev, openActionItems: items }));
+    });
+
+    // Sentiment, intent and entities for a line already in the transcript
+    socket.on("transcriptEnriched", (enrichment: TranscriptEnrichment) => {
+      trackSeq(enrichment.seq);
+      const { transcriptId, sentiment, sentimentScore, intent, entities } =
+        enrichment;
+      setData((prev) => ({
+        ...prev,
+        transcript: prev.transcript.map((entry) =>
+          entry._id === transcriptId || entry.id === transcriptId
+            ? { ...entry, sentiment, sentimentScore, intent, entities }
+            : entry
+        ),
+      }));
+    });
+
     // AI suggestion events
     socket.on("newSuggestion", (suggestion: AISuggestion) => {
+      trackSeq(suggestion.seq);
       setData((prev) => {
         // Check for duplicates based on text and timestamp
         const isDuplicate = prev.suggestions.some(
@@ -220,10 +351,96 @@ export const useWebSocket = (callId: string, userId?: string) => {
       });
     });
 
+    // Streaming suggestion events: start a placeholder, append tokens,
+    // then replace it with the persisted suggestion
+    socket.on(
+      "suggestionStart",
+      ({
+        suggestionId,
+        timestamp,
+      }: {
+        suggestionId: string;
+        timestamp: Date;
+      }) => {
+        setData((prev) => {
+          if (prev.suggestions.some((s) => s.id === suggestionId)) {
+            return prev;
+          }
+
+          const placeholder: AISuggestion = {
+            id: suggestionId,
+            type: "general",
+            text: "",
+            confidence: 0,
+            priority: "medium",
+            used: false,
+            timestamp,
+            streaming: true,
+          };
+          return {
+            ...prev,
+            suggestions: [...prev.suggestions.slice(-10), placeholder],
+          };
+        });
+      }
+    );
+
+    socket.on(
+      "suggestionDelta",
+      ({ suggestionId, delta }: { suggestionId: string; delta: string }) => {
+        setData((prev) => ({
+          ...prev,
+          suggestions: prev.suggestions.map((s) =>
+            s.id === suggestionId && s.streaming
+              ? { ...s, text: s.text + delta }
+              : s
+          ),
+        }));
+      }
+    );
+
+    socket.on("suggestionEnd", (end: SuggestionEnd) => {
+      trackSeq(end.seq);
+      setData((prev) => {
+        const { suggestionId, discarded, ...final } = end;
+
+        if (discarded) {
+          return {
+            ...prev,
+            suggestions: prev.suggestions.filter(
+              (s) => s.id !== suggestionId
+            ),
+          };
+        }
+
+        const completed = {
+          ...final,
+          id: suggestionId,
+          streaming: false,
+        } as AISuggestion;
+
+        // Replayed ends may arrive without a matching start
+        if (!prev.suggestions.some((s) => s.id === suggestionId)) {
+          return {
+            ...prev,
+            suggestions: [...prev.suggestions.slice(-10), completed],
+          };
+        }
+
+        return {
+          ...prev,
+          suggestions: prev.suggestions.map((s) =>
+            s.id === suggestionId ? completed : s
+          ),
+        };
+      });
+    });
+
     // Suggestion usage events
     socket.on(
       "suggestionUsed",
-      ({ suggestionId }: { suggestionId: string }) => {
+      ({ suggestionId, seq }: { suggestionId: string; seq?: number }) => {
+        trackSeq(seq);
         setData((prev) => ({
           ...prev,
           suggestions: prev.suggestions.map((s) =>
@@ -259,8 +476,21 @@ export const useWebSocket = (callId: string, userId?: string) => {
     // Call events
     socket.on(
       "callJoined",
-      ({ callId, platform }: { callId: string; platform: string }) => {
+      ({
+        callId,
+        platform,
+        lastSeq,
+      }: {
+        callId: string;
+        platform: string;
+        lastSeq?: number;
+      }) => {
         console.log(`✅ Successfully joined call ${callId} on ${platform}`);
+
+        // The server started a fresh session for this call; restart seqs
+        if (typeof lastSeq === "number" && lastSeq < lastSeqRef.current) {
+          lastSeqRef.current = lastSeq;
+        }
       }
     );
 
@@ -284,7 +514,15 @@ export const useWebSocket = (callId: string, userId?: string) => {
     // Cleanup event listeners
     return () => {
       socket.off("newTranscript");
+      socket.off("interimTranscript");
+      socket.off("transcriptEnriched");
+      socket.off("scorecardUpdate");
+      socket.off("callMetrics");
+      socket.off("openActionItems");
       socket.off("newSuggestion");
+      socket.off("suggestionStart");
+      socket.off("suggestionDelta");
+      socket.off("suggestionEnd");
       socket.off("suggestionUsed");
       socket.off("meetingStarted");
       socket.off("meetingEnded");
@@ -296,7 +534,7 @@ export const useWebSocket = (callId: string, userId?: string) => {
       socket.off("suggestionError");
       socket.off("error");
     };
-  }, [socket, connect]);
+  }, [socket, connect, callId]);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -305,18 +543,63 @@ export const useWebSocket = (callId: string, userId?: string) => {
     };
   }, [disconnect]);
 
+  // Send queued audio while fewer than MAX_AUDIO_IN_FLIGHT chunks are unacked;
+  // the server holds its ack while it is behind, which pauses this loop
+  const flushAudioQueue = useCallback(() => {
+    while (
+      socket &&
+      socket.connected &&
+      audioInFlightRef.current < MAX_AUDIO_IN_FLIGHT &&
+      audioQueueRef.current.length > 0
+    ) {
+      const audioData = audioQueueRef.current.shift();
+      audioHeaderQueuedRef.current = false;
+      audioInFlightRef.current += 1;
+
+      socket
+        .timeout(10000)
+        .emit(
+          "audioData",
+          { callId, audioData, mimeType: "audio/webm" },
+          (err: Error | null, ack?: AudioAck) => {
+            audioInFlightRef.current -= 1;
+            if (err) {
+              console.warn("⚠️ Audio chunk not acknowledged:", err.message);
+            } else if (ack?.dropped) {
+              console.warn(`⚠️ Server dropped ${ack.dropped} audio chunk(s)`);
+            }
+            flushAudioQueue();
+          }
+        );
+    }
+  }, [socket, callId]);
+
   const sendAudioData = useCallback(
     (audioData: string) => {
-      if (socket && socket.connected) {
-        socket.emit("audioData", {
-          callId,
-          audioData,
-        });
+      if (!audioStartedRef.current) {
+        audioStartedRef.current = true;
+        audioHeaderQueuedRef.current = true;
       }
+      audioQueueRef.current.push(audioData);
+      if (audioQueueRef.current.length > MAX_AUDIO_QUEUE) {
+        // Keep the newest audio when the connection can't keep up
+        audioQueueRef.current.splice(audioHeaderQueuedRef.current ? 1 : 0, 1);
+      }
+      flushAudioQueue();
     },
-    [socket, callId]
+    [flushAudioQueue]
   );
 
+  // Tell the server capture stopped so it finalizes the last words
+  const endAudioStream = useCallback(() => {
+    audioQueueRef.current = [];
+    audioStartedRef.current = false;
+    audioHeaderQueuedRef.current = false;
+    if (socket && socket.connected) {
+      socket.emit("audioEnd", { callId });
+    }
+  }, [socket, callId]);
+
   // NEW: Send meeting duration update
   const sendDurationUpdate = useCallback(
     (duration: number) => {
@@ -370,6 +653,7 @@ export const useWebSocket = (callId: string, userId?: string) => {
     requestSuggestion,
     socket,
     sendAudioData,
+    endAudioStream,
     sendDurationUpdate,
     sendMeetingStart,
     sendMeetingEnd,
@@ -0,0 +1,20 @@
+import { ActionItem } from "../types";
+
+// The transcript line the item was agreed on, else the call
+export const actionItemLink = (item: ActionItem) =>
+  item.callId
+    ? `/call/log/${item.callId}${
+        item.transcriptId ? `#transcript-${item.transcriptId}` : ""
+      }`
+    : null;
+
+// The due date, or the deadline as said. Due dates are calendar days stored
+// at midnight UTC.
+export const formatDue = (item: ActionItem) =>
+  item.dueDate
+    ? new Date(item.dueDate).toLocaleDateString([], {
+        month: "short",
+        day: "numeric",
+        timeZone: "UTC",
+      })
+    : item.due;
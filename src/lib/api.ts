@@ -1,4 +1,5 @@
 import axios from "axios";
+import { Job, SearchParams } from "../types";
 
 // Use environment variable or fallback to default
 const API_BASE_URL =
@@ -169,11 +170,107 @@ export class APIService {
     return response.data;
   }
 
+  // Queues a new summary version; it also arrives in the job result
   static async generateCallSummary(id: string) {
     const response = await apiClient.post(`/calls/${id}/summary`);
     return response.data;
   }
 
+  // The call's current summary (or an earlier version) and its versions
+  static async getCallSummary(id: string, version?: number) {
+    const response = await apiClient.get(`/calls/${id}/summary`, {
+      params: version ? { version } : undefined,
+    });
+    return response.data;
+  }
+
+  // Qualification checklist of a call
+  static async getCallScorecard(id: string) {
+    const response = await apiClient.get(`/calls/${id}/scorecard`);
+    return response.data;
+  }
+
+  // Track a call against another scorecard or built-in template
+  static async setCallScorecard(
+    id: string,
+    selection: { scorecardId?: string; template?: string }
+  ) {
+    const response = await apiClient.put(`/calls/${id}/scorecard`, selection);
+    return response.data;
+  }
+
+  // Queues (re-)scoring of a call; returns the job to poll
+  static async scoreCall(id: string) {
+    const response = await apiClient.post(`/calls/${id}/score`);
+    return response.data;
+  }
+
+  // Background jobs
+  static async getJob(jobId: string) {
+    const response = await apiClient.get(`/jobs/${jobId}`);
+    return response.data;
+  }
+
+  static async retryJob(jobId: string) {
+    const response = await apiClient.post(`/jobs/${jobId}/retry`);
+    return response.data;
+  }
+
+  // Poll a job until it completes or dies; resolves with the final job
+  static async waitForJob(
+    jobId: string,
+    {
+      intervalMs = 2000,
+      onUpdate,
+    }: { intervalMs?: number; onUpdate?: (job: Job) => void } = {}
+  ): Promise<Job> {
+    for (;;) {
+      const { data: job } = await APIService.getJob(jobId);
+      onUpdate?.(job);
+      if (job.status === "completed" || job.status === "dead") return job;
+      await new Promise((resolve) => setTimeout(resolve, intervalMs));
+    }
+  }
+
+  // Recorded calls: upload returns a job to poll while it is processed
+  static async uploadRecording(
+    formData: FormData,
+    onUploadProgress?: (percent: number) => void
+  ) {
+    const response = await apiClient.post("/recordings", formData, {
+      headers: {
+        "Content-Type": "multipart/form-data",
+      },
+      timeout: 10 * 60 * 1000, // large recordings take a while to upload
+      onUploadProgress: (event) => {
+        if (onUploadProgress && event.total) {
+          onUploadProgress(Math.round((event.loaded / event.total) * 100));
+        }
+      },
+    });
+    return response.data;
+  }
+
+  static async getCallSpeakers(id: string) {
+    const response = await apiClient.get(`/calls/${id}/speakers`);
+    return response.data;
+  }
+
+  static async updateCallSpeakers(
+    id: string,
+    mappings: Array<{
+      label: string;
+      participantId?: string | null;
+      name?: string;
+      email?: string;
+    }>
+  ) {
+    const response = await apiClient.put(`/calls/${id}/speakers`, {
+      mappings,
+    });
+    return response.data;
+  }
+
   static async updateCall(id: string, updates: any) {
     try {
       console.log(`📝 API: Updating call ${id} with:`, updates);
@@ -293,7 +390,9 @@ export class APIService {
   }
 
   // Documents
-  static async getDocuments(params?: any) {
+  // params: team for a team's library (personal otherwise), folder to
+  // narrow to one folder ("root" for the top level)
+  static async getDocuments(params?: { team?: string; folder?: string }) {
     try {
       const response = await apiClient.get("/documents", { params });
       return response.data;
@@ -367,6 +466,11 @@ export class APIService {
     name: string;
     url: string;
     tags?: string[];
+    crawlDepth?: number;
+    maxPages?: number;
+    refreshIntervalHours?: number;
+    team?: string;
+    folder?: string;
   }) {
     try {
       const response = await apiClient.post("/documents/url", documentData);
@@ -433,6 +537,188 @@ export class APIService {
     }
   }
 
+  // Re-run extraction and AI processing; returns the document with a jobId
+  static async reprocessDocument(id: string) {
+    const response = await apiClient.post(`/documents/${id}/reprocess`);
+    return response.data;
+  }
+
+  // Fetch a URL document again now; returns the document with a jobId
+  static async refreshDocument(id: string) {
+    const response = await apiClient.post(`/documents/${id}/refresh`);
+    return response.data;
+  }
+
+  static async getFolders(team?: string) {
+    const response = await apiClient.get("/documents/folders", {
+      params: { team },
+    });
+    return response.data;
+  }
+
+  static async createFolder(folder: {
+    name: string;
+    team?: string;
+    parent?: string;
+  }) {
+    const response = await apiClient.post("/documents/folders", folder);
+    return response.data;
+  }
+
+  static async updateFolder(
+    id: string,
+    updates: { name?: string; parent?: string | null }
+  ) {
+    const response = await apiClient.patch(`/documents/folders/${id}`, updates);
+    return response.data;
+  }
+
+  // Documents and subfolders move up to the deleted folder's parent
+  static async deleteFolder(id: string) {
+    const response = await apiClient.delete(`/documents/folders/${id}`);
+    return response.data;
+  }
+
+  static async getTeams() {
+    const response = await apiClient.get("/teams");
+    return response.data;
+  }
+
+  static async createTeam(team: { name: string; description?: string }) {
+    const response = await apiClient.post("/teams", team);
+    return response.data;
+  }
+
+  static async addTeamMember(teamId: string, email: string, role: string) {
+    const response = await apiClient.post(`/teams/${teamId}/members`, {
+      email,
+      role,
+    });
+    return response.data;
+  }
+
+  static async updateTeamMember(teamId: string, userId: string, role: string) {
+    const response = await apiClient.patch(
+      `/teams/${teamId}/members/${userId}`,
+      { role }
+    );
+    return response.data;
+  }
+
+  static async removeTeamMember(teamId: string, userId: string) {
+    const response = await apiClient.delete(
+      `/teams/${teamId}/members/${userId}`
+    );
+    return response.data;
+  }
+
+  // Search transcripts, AI suggestions and documents; dates are YYYY-MM-DD
+  static async search(params: SearchParams) {
+    const response = await apiClient.get("/search", {
+      params: { ...params, types: params.types?.join(",") },
+    });
+    return response.data;
+  }
+
+  static async getSearchFilters() {
+    const response = await apiClient.get("/search/filters");
+    return response.data;
+  }
+
+  // Objection catalog mined from past calls, most frequent first
+  static async getObjections(topic?: string) {
+    const response = await apiClient.get("/objections", {
+      params: { topic },
+    });
+    return response.data;
+  }
+
+  // Queues a rebuild of the catalog; returns the job to poll
+  static async mineObjections() {
+    const response = await apiClient.post("/objections/mine");
+    return response.data;
+  }
+
+  // Scorecards, built-in templates and the template used without a default
+  static async getScorecards() {
+    const response = await apiClient.get("/scorecards");
+    return response.data;
+  }
+
+  static async createScorecard(scorecard: Record<string, unknown>) {
+    const response = await apiClient.post("/scorecards", scorecard);
+    return response.data;
+  }
+
+  static async updateScorecard(id: string, scorecard: Record<string, unknown>) {
+    const response = await apiClient.put(`/scorecards/${id}`, scorecard);
+    return response.data;
+  }
+
+  static async setDefaultScorecard(id: string) {
+    const response = await apiClient.post(`/scorecards/${id}/default`);
+    return response.data;
+  }
+
+  static async deleteScorecard(id: string) {
+    const response = await apiClient.delete(`/scorecards/${id}`);
+    return response.data;
+  }
+
+  // The user's action items, soonest due first
+  static async getActionItems(params?: { status?: string; call?: string }) {
+    const response = await apiClient.get("/action-items", { params });
+    return response.data;
+  }
+
+  static async createActionItem(item: Record<string, unknown>) {
+    const response = await apiClient.post("/action-items", item);
+    return response.data;
+  }
+
+  static async updateActionItem(id: string, changes: Record<string, unknown>) {
+    const response = await apiClient.patch(`/action-items/${id}`, changes);
+    return response.data;
+  }
+
+  static async deleteActionItem(id: string) {
+    const response = await apiClient.delete(`/action-items/${id}`);
+    return response.data;
+  }
+
+  // Version history of a document, newest first
+  static async getDocumentVersions(id: string) {
+    const response = await apiClient.get(`/documents/${id}/versions`);
+    return response.data;
+  }
+
+  // Replace the document's file; it's processed into the next version
+  static async uploadDocumentVersion(id: string, file: File, note?: string) {
+    const formData = new FormData();
+    formData.append("file", file);
+    if (note) formData.append("note", note);
+    const response = await apiClient.post(
+      `/documents/${id}/versions`,
+      formData,
+      { headers: { "Content-Type": "multipart/form-data" } }
+    );
+    return response.data;
+  }
+
+  static async getDocumentVersionDiff(id: string, from: number, to: number) {
+    const response = await apiClient.get(`/documents/${id}/versions/diff`, {
+      params: { from, to },
+    });
+    return response.data;
+  }
+
+  static async rollbackDocumentVersion(id: string, version: number) {
+    const response = await apiClient.post(
+      `/documents/${id}/versions/${version}/rollback`
+    );
+    return response.data;
+  }
+
   static async getDocumentAISuggestion(id: string) {
     try {
       const response = await apiClient.get(`/documents/${id}/ai-suggestion`);
@@ -28,11 +28,20 @@ import { Button } from '../components/ui/Button';
 import { APIService } from '../lib/api';
 
 // Define interfaces for our data types
-interface AnalyticsData {
+interface PeriodSummary {
   totalCalls: number;
-  successRate: number;
+  completedCalls: number;
+  successRate: number | null; // null until a completed call has been scored
+  scoredCalls: number;
+  averageScore: number | null;
   averageDuration: number;
+  totalSuggestions: number;
   aiSuggestionsUsedRate: number;
+}
+
+interface AnalyticsData extends PeriodSummary {
+  previousPeriod: PeriodSummary; // the same length of time before this one
+  suggestionsUsedByType: { type: string; count: number }[];
   dailyCallData: DailyCallData[];
   recentCalls: RecentCall[];
 }
@@ -40,6 +49,8 @@ interface AnalyticsData {
 interface DailyCallData {
   date: string;
   calls: number;
+  scoredCalls: number;
+  successfulCalls: number;
   successRate: number;
 }
 
@@ -48,14 +59,15 @@ interface RecentCall {
   title: string;
   duration: number;
   status: string;
-  score: number;
+  score: number | null;
   createdAt: string;
 }
 
 interface PerformanceData {
   period: string;
   callCount: number;
-  averageScore: number;
+  scoredCount: number;
+  averageScore: number | null;
   averageDuration: number;
 }
 
@@ -65,19 +77,23 @@ interface SuggestionType {
   color: string;
 }
 
+const SUGGESTION_TYPES: Record<string, { name: string; color: string }> = {
+  objection_handling: { name: 'Objection Handling', color: '#3b82f6' },
+  closing: { name: 'Closing', color: '#10b981' },
+  question: { name: 'Questions', color: '#f59e0b' },
+  pricing: { name: 'Pricing', color: '#ef4444' },
+  feature_highlight: { name: 'Features', color: '#8b5cf6' },
+  rapport_building: { name: 'Rapport', color: '#ec4899' },
+  next_steps: { name: 'Next Steps', color: '#14b8a6' },
+  follow_up: { name: 'Follow-up', color: '#6b7280' },
+};
+
 export const AnalyticsPage: React.FC = () => {
   const [timeRange, setTimeRange] = useState<'7d' | '30d' | '3m'>('30d');
   const [loading, setLoading] = useState<boolean>(true);
   const [analyticsData, setAnalyticsData] = useState<AnalyticsData | null>(null);
   const [performanceData, setPerformanceData] = useState<PerformanceData[]>([]);
   const [callsData, setCallsData] = useState<any[]>([]);
-  const [suggestionData, setSuggestionData] = useState<SuggestionType[]>([
-    { name: 'Objection Handling', value: 0, color: '#3b82f6' },
-    { name: 'Closing', value: 0, color: '#10b981' },
-    { name: 'Questions', value: 0, color: '#f59e0b' },
-    { name: 'Pricing', value: 0, color: '#ef4444' },
-    { name: 'Features', value: 0, color: '#8b5cf6' },
-  ]);
   
   // Format duration in minutes and seconds
   const formatDuration = (seconds: number): string => {
@@ -86,13 +102,23 @@ export const AnalyticsPage: React.FC = () => {
     return `${minutes}m ${remainingSeconds}s`;
   };
 
-  // Calculate percentage change
-  const calculateChange = (current: number, previous: number): string => {
-    if (previous === 0) return '+0%';
+  // Calculate percentage change; null when there is nothing to compare with
+  const calculateChange = (current: number, previous: number): string | null => {
+    if (previous === 0) return null;
     const change = ((current - previous) / previous) * 100;
     return `${change > 0 ? '+' : ''}${change.toFixed(1)}%`;
   };
 
+  // Change between two percentages, in percentage points
+  const calculatePointChange = (current: number | null, previous: number | null): string | null => {
+    if (current === null || previous === null) return null;
+    const change = current - previous;
+    return `${change > 0 ? '+' : ''}${change} pts`;
+  };
+
+  const formatDurationChange = (change: number): string =>
+    `${change < 0 ? '-' : '+'}${formatDuration(Math.abs(change))}`;
+
   // Fetch analytics data
   useEffect(() => {
     fetchAnalyticsData();
@@ -112,7 +138,7 @@ export const AnalyticsPage: React.FC = () => {
           return {
             name: date.toLocaleDateString('en-US', { weekday: 'short' }),
             calls: day.calls,
-            successful: Math.round(day.calls * day.successRate / 100),
+            successful: day.successfulCalls,
             fullDate: day.date
           };
         });
@@ -124,17 +150,6 @@ export const AnalyticsPage: React.FC = () => {
       if (performanceResponse.success) {
         setPerformanceData(performanceResponse.data.performanceData);
       }
-
-      // In a real app, you would fetch suggestion data from an API endpoint
-      // For now, we'll simulate it with random data based on the timeRange
-      const mockSuggestionData = [
-        { name: 'Objection Handling', value: Math.floor(Math.random() * 20) + 25, color: '#3b82f6' },
-        { name: 'Closing', value: Math.floor(Math.random() * 15) + 20, color: '#10b981' },
-        { name: 'Questions', value: Math.floor(Math.random() * 10) + 15, color: '#f59e0b' },
-        { name: 'Pricing', value: Math.floor(Math.random() * 10) + 10, color: '#ef4444' },
-        { name: 'Features', value: Math.floor(Math.random() * 5) + 5, color: '#8b5cf6' },
-      ];
-      setSuggestionData(mockSuggestionData);
     } catch (error) {
       console.error('Error fetching analytics data:', error);
     } finally {
@@ -142,38 +157,53 @@ export const AnalyticsPage: React.FC = () => {
     }
   };
 
-  // Prepare metrics data
-  const metrics = analyticsData ? [
+  // Prepare metrics data, each compared with the previous period
+  const previous = analyticsData?.previousPeriod;
+  const metrics = analyticsData && previous ? [
     {
       title: 'Total Calls',
       value: analyticsData.totalCalls.toString(),
-      change: '+12%', // This would ideally be calculated from previous period
-      positive: true,
+      change: calculateChange(analyticsData.totalCalls, previous.totalCalls),
+      positive: analyticsData.totalCalls >= previous.totalCalls,
       icon: MessageCircle,
     },
     {
       title: 'Success Rate',
-      value: `${analyticsData.successRate}%`,
-      change: '+5.1%', // This would ideally be calculated from previous period
-      positive: true,
+      value: analyticsData.successRate === null ? '–' : `${analyticsData.successRate}%`,
+      change: calculatePointChange(analyticsData.successRate, previous.successRate),
+      positive: (analyticsData.successRate ?? 0) >= (previous.successRate ?? 0),
       icon: Target,
     },
     {
       title: 'Avg Duration',
       value: formatDuration(analyticsData.averageDuration),
-      change: '-1m 32s', // This would ideally be calculated from previous period
-      positive: false,
+      change: analyticsData.completedCalls > 0 && previous.completedCalls > 0
+        ? formatDurationChange(analyticsData.averageDuration - previous.averageDuration)
+        : null,
+      positive: analyticsData.averageDuration >= previous.averageDuration,
       icon: Clock,
     },
     {
       title: 'AI Effectiveness',
       value: `${analyticsData.aiSuggestionsUsedRate}%`,
-      change: '+7.8%', // This would ideally be calculated from previous period
-      positive: true,
+      change: analyticsData.totalSuggestions > 0 && previous.totalSuggestions > 0
+        ? calculatePointChange(analyticsData.aiSuggestionsUsedRate, previous.aiSuggestionsUsedRate)
+        : null,
+      positive: analyticsData.aiSuggestionsUsedRate >= previous.aiSuggestionsUsedRate,
       icon: Award,
     },
   ] : [];
 
+  // Share of the used suggestions of each type
+  const usedSuggestions = (analyticsData?.suggestionsUsedByType || [])
+    .reduce((acc, entry) => acc + entry.count, 0);
+  const suggestionData: SuggestionType[] = (analyticsData?.suggestionsUsedByType || [])
+    .map((entry) => ({
+      name: SUGGESTION_TYPES[entry.type]?.name || entry.type,
+      value: Math.round((entry.count / usedSuggestions) * 100),
+      color: SUGGESTION_TYPES[entry.type]?.color || '#9ca3af',
+    }));
+
   return (
     <div className="space-y-6 p-6">
       {/* Header */}
@@ -222,13 +252,15 @@ export const AnalyticsPage: React.FC = () => {
                     <p className="text-sm font-medium text-gray-600">{metric.title}</p>
                     <div className="flex items-baseline">
                       <p className="text-2xl font-semibold text-gray-900">{metric.value}</p>
-                      <span className={`
-                        ml-2 text-sm font-medium flex items-center
-                        ${metric.positive ? 'text-success-600' : 'text-error-600'}
-                      `}>
-                        {metric.positive ? <TrendingUp className="h-3 w-3 mr-1" /> : <TrendingDown className="h-3 w-3 mr-1" />}
-                        {metric.change}
-                      </span>
+                      {metric.change && (
+                        <span className={`
+                          ml-2 text-sm font-medium flex items-center
+                          ${metric.positive ? 'text-success-600' : 'text-error-600'}
+                        `}>
+                          {metric.positive ? <TrendingUp className="h-3 w-3 mr-1" /> : <TrendingDown className="h-3 w-3 mr-1" />}
+                          {metric.change}
+                        </span>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -275,7 +307,7 @@ export const AnalyticsPage: React.FC = () => {
                 <LineChart data={performanceData}>
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis dataKey="period" />
-                  <YAxis domain={[60, 100]} />
+                  <YAxis domain={[0, 100]} />
                   <Tooltip />
                   <Line 
                     type="monotone" 
@@ -293,38 +325,46 @@ export const AnalyticsPage: React.FC = () => {
             {/* AI Suggestions Breakdown */}
             <Card>
               <h3 className="text-lg font-semibold text-gray-900 mb-6">AI Suggestions Used</h3>
-              <ResponsiveContainer width="100%" height={250}>
-                <PieChart>
-                  <Pie
-                    data={suggestionData}
-                    cx="50%"
-                    cy="50%"
-                    innerRadius={60}
-                    outerRadius={100}
-                    paddingAngle={5}
-                    dataKey="value"
-                  >
-                    {suggestionData.map((entry, index) => (
-                      <Cell key={`cell-${index}`} fill={entry.color} />
+              {suggestionData.length > 0 ? (
+                <>
+                  <ResponsiveContainer width="100%" height={250}>
+                    <PieChart>
+                      <Pie
+                        data={suggestionData}
+                        cx="50%"
+                        cy="50%"
+                        innerRadius={60}
+                        outerRadius={100}
+                        paddingAngle={5}
+                        dataKey="value"
+                      >
+                        {suggestionData.map((entry, index) => (
+                          <Cell key={`cell-${index}`} fill={entry.color} />
+                        ))}
+                      </Pie>
+                      <Tooltip />
+                    </PieChart>
+                  </ResponsiveContainer>
+                  <div className="mt-4 space-y-2">
+                    {suggestionData.map((item) => (
+                      <div key={item.name} className="flex items-center justify-between text-sm">
+                        <div className="flex items-center">
+                          <div 
+                            className="w-3 h-3 rounded-full mr-2"
+                            style={{ backgroundColor: item.color }}
+                          />
+                          {item.name}
+                        </div>
+                        <span className="font-medium">{item.value}%</span>
+                      </div>
                     ))}
-                  </Pie>
-                  <Tooltip />
-                </PieChart>
-              </ResponsiveContainer>
-              <div className="mt-4 space-y-2">
-                {suggestionData.map((item) => (
-                  <div key={item.name} className="flex items-center justify-between text-sm">
-                    <div className="flex items-center">
-                      <div 
-                        className="w-3 h-3 rounded-full mr-2"
-                        style={{ backgroundColor: item.color }}
-                      />
-                      {item.name}
-                    </div>
-                    <span className="font-medium">{item.value}%</span>
                   </div>
-                ))}
-              </div>
+                </>
+              ) : (
+                <div className="text-center py-8 text-gray-500">
+                  No suggestions used in this period
+                </div>
+              )}
             </Card>
 
             {/* Top Performers */}
@@ -356,16 +396,18 @@ export const AnalyticsPage: React.FC = () => {
                           </div>
                           <div className="flex items-center space-x-6">
                             <div className="text-right">
-                              <p className="font-medium text-gray-900">{call.score}%</p>
-                              <p className="text-sm text-gray-600">Score</p>
-                            </div>
-                            <div className={`
-                              flex items-center text-sm font-medium
-                              ${call.score >= 75 ? 'text-success-600' : 'text-error-600'}
-                            `}>
-                              {call.score >= 75 ? <TrendingUp className="h-3 w-3 mr-1" /> : <TrendingDown className="h-3 w-3 mr-1" />}
-                              {call.score >= 75 ? '+' : '-'}{Math.abs(call.score - 75)}%
+                              <p className="font-medium text-gray-900">{call.score === null ? '–' : `${call.score}%`}</p>
+                              <p className="text-sm text-gray-600">{call.score === null ? 'Not scored' : 'Score'}</p>
                             </div>
+                            {call.score !== null && (
+                              <div className={`
+                                flex items-center text-sm font-medium
+                                ${call.score >= 75 ? 'text-success-600' : 'text-error-600'}
+                              `}>
+                                {call.score >= 75 ? <TrendingUp className="h-3 w-3 mr-1" /> : <TrendingDown className="h-3 w-3 mr-1" />}
+                                {call.score >= 75 ? '+' : '-'}{Math.abs(call.score - 75)}%
+                              </div>
+                            )}
                           </div>
                         </div>
                       );
@@ -1,6 +1,11 @@
 import React, { useEffect, useState } from "react";
-import { useParams } from "react-router-dom";
+import { useLocation, useParams } from "react-router-dom";
 import { APIService } from "../lib/api";
+import { SpeakerMappingModal } from "../components/call/SpeakerMappingModal";
+import { CallScoreCard } from "../components/call/CallScoreCard";
+import { CallScorecardCard } from "../components/call/CallScorecardCard";
+import { CallSummaryCard } from "../components/call/CallSummaryCard";
+import { CallPerformance, CallSummary, CallSummaryVersion } from "../types";
 
 interface TranscriptItem {
   _id?: string;
@@ -21,14 +26,74 @@ interface SuggestionItem {
   createdAt?: string;
 }
 
+const escapeHtml = (value: string) =>
+  value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// The structured summary as printable HTML sections
+const summaryToHtml = (summary: CallSummary) => {
+  const list = (title: string, items: string[]) =>
+    items.length
+      ? `<h3>${title}</h3><ul>${items
+          .map((item) => `<li>${escapeHtml(item)}</li>`)
+          .join("")}</ul>`
+      : "";
+  const actionItems = summary.actionItems.length
+    ? `<h3>Action Items</h3><ul>${summary.actionItems
+        .map((item) => {
+          const due = item.dueDate
+            ? new Date(item.dueDate).toLocaleDateString([], {
+                timeZone: "UTC",
+              })
+            : item.due;
+          const details = [item.owner, due && `due ${due}`]
+            .filter(Boolean)
+            .map((detail) => escapeHtml(detail as string))
+            .join(", ");
+          return `<li>${escapeHtml(item.task)}${
+            details ? ` <strong>(${details})</strong>` : ""
+          }</li>`;
+        })
+        .join("")}</ul>`
+    : "";
+
+  return [
+    summary.executiveSummary
+      ? `<h3>Executive Summary</h3><p>${escapeHtml(
+          summary.executiveSummary
+        )}</p>`
+      : "",
+    list("Decisions", summary.decisions),
+    actionItems,
+    list("Risks", summary.risks),
+    list("Next Steps", summary.nextSteps),
+    list("Key Points", summary.keyPoints),
+  ].join("");
+};
+
 export const CallLog: React.FC = () => {
   const { id } = useParams<{ id: string }>();
+  // Search results link to a line as #transcript-<id> or #suggestion-<id>
+  const { hash } = useLocation();
+  const highlightedId = hash.slice(1);
   const [transcripts, setTranscripts] = useState<TranscriptItem[]>([]);
   const [suggestions, setSuggestions] = useState<SuggestionItem[]>([]);
   const [callTitle, setCallTitle] = useState<string>("Call Log");
   const [loading, setLoading] = useState(true);
-  const [summary, setSummary] = useState<string>("");
+  const [summary, setSummary] = useState<CallSummary | null>(null);
+  const [summaryVersions, setSummaryVersions] = useState<
+    CallSummaryVersion[]
+  >([]);
   const [generatingSummary, setGeneratingSummary] = useState(false);
+  const [showSpeakers, setShowSpeakers] = useState(false);
+  // The Call document's id; the route id may be a meeting id
+  const [callDocId, setCallDocId] = useState<string | null>(null);
+  const [performance, setPerformance] = useState<
+    Partial<CallPerformance> | undefined
+  >();
 
   useEffect(() => {
     if (id) {
@@ -37,6 +102,13 @@ export const CallLog: React.FC = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [id]);
 
+  useEffect(() => {
+    if (loading || !highlightedId) return;
+    document
+      .getElementById(highlightedId)
+      ?.scrollIntoView({ behavior: "smooth", block: "center" });
+  }, [loading, highlightedId]);
+
   const fetchCall = async () => {
     if (!id) return;
     setLoading(true);
@@ -70,6 +142,9 @@ export const CallLog: React.FC = () => {
       if (res && res.success) {
         const call = res.data.call || null;
         setCallTitle(call?.title || `Call ${id}`);
+        setCallDocId(call?._id || null);
+        setPerformance(call?.performanceData);
+        if (call?._id) fetchSummary(call._id);
         setTranscripts(res.data.transcripts || res.data.transcript || []);
         setSuggestions(res.data.suggestions || res.data.aiSuggestions || []);
       } else {
@@ -96,6 +171,16 @@ export const CallLog: React.FC = () => {
     }
   };
 
+  const fetchSummary = async (callId: string, version?: number) => {
+    try {
+      const response = await APIService.getCallSummary(callId, version);
+      setSummary(response.data.summary);
+      setSummaryVersions(response.data.versions);
+    } catch (err) {
+      console.error("Error fetching call summary:", err);
+    }
+  };
+
   const generateSummary = async () => {
     if (!transcripts.length) {
       alert("No transcripts available to summarize.");
@@ -132,12 +217,18 @@ export const CallLog: React.FC = () => {
         res = await response.json();
       }
 
-      if (res && res.success && res.data && res.data.summary) {
-        setSummary(res.data.summary);
+      if (!res || !res.success || !res.data?.jobId) {
+        throw new Error(res?.message || "Failed to queue summary generation");
+      }
+
+      // The summary is written by a background job on the server
+      const job = await APIService.waitForJob(res.data.jobId);
+      if (job.status === "completed" && job.result?.summary) {
+        setSummary(job.result.summary as CallSummary);
+        if (callDocId) fetchSummary(callDocId);
       } else {
         throw new Error(
-          res?.message ||
-            "Failed to generate summary - no summary data received"
+          job.error || "Failed to generate summary - no summary data received"
         );
       }
     } catch (error) {
@@ -330,113 +421,7 @@ export const CallLog: React.FC = () => {
           </div>
           
           <div class="content">
-            ${(() => {
-              // Process the summary to create structured HTML
-              let processedSummary = summary;
-
-              // Convert **SECTION HEADERS** to proper headings
-              processedSummary = processedSummary.replace(
-                /\*\*(.*?)\*\*/g,
-                "<h3>$1</h3>"
-              );
-
-              // Split into sections for better processing
-              const sections = processedSummary.split(/(?=<h3>)/);
-
-              return sections
-                .map((section) => {
-                  if (!section.trim()) return "";
-
-                  // Process bullet points (lines starting with -)
-                  let processed = section.replace(
-                    /(^|\n)- (.*?)(?=\n|$)/g,
-                    (_, prefix, content) => {
-                      return `${prefix}<li>${content.trim()}</li>`;
-                    }
-                  );
-
-                  // Wrap consecutive <li> elements in <ul>
-                  processed = processed.replace(
-                    /(<li>.*?<\/li>)(\s*<li>.*?<\/li>)*/gs,
-                    (match) => {
-                      return `<ul>${match}</ul>`;
-                    }
-                  );
-
-                  // Process numbered lists (lines starting with numbers)
-                  processed = processed.replace(
-                    /(^|\n)(\d+\.\s)(.*?)(?=\n|$)/g,
-                    (_, prefix, __, content) => {
-                      return `${prefix}<li>${content.trim()}</li>`;
-                    }
-                  );
-
-                  // Wrap consecutive numbered <li> elements in <ol>
-                  processed = processed.replace(
-                    /(<li>.*?<\/li>)(\s*<li>.*?<\/li>)*/gs,
-                    (match) => {
-                      // Only convert to <ol> if it doesn't already have <ul> wrapper
-                      if (!match.includes("<ul>")) {
-                        return `<ol>${match}</ol>`;
-                      }
-                      return match;
-                    }
-                  );
-
-                  // Convert remaining line breaks to paragraphs
-                  const lines = processed.split("\n");
-                  let result = "";
-                  let currentParagraph = "";
-
-                  for (let line of lines) {
-                    line = line.trim();
-                    if (!line) {
-                      if (currentParagraph) {
-                        // Don't wrap headings, lists in paragraphs
-                        if (
-                          !currentParagraph.includes("<h3>") &&
-                          !currentParagraph.includes("<ul>") &&
-                          !currentParagraph.includes("<ol>") &&
-                          !currentParagraph.includes("<li>")
-                        ) {
-                          result += `<p>${currentParagraph}</p>`;
-                        } else {
-                          result += currentParagraph;
-                        }
-                        currentParagraph = "";
-                      }
-                    } else if (
-                      line.includes("<h3>") ||
-                      line.includes("<ul>") ||
-                      line.includes("<ol>")
-                    ) {
-                      if (currentParagraph) {
-                        result += `<p>${currentParagraph}</p>`;
-                        currentParagraph = "";
-                      }
-                      result += line;
-                    } else {
-                      currentParagraph += (currentParagraph ? " " : "") + line;
-                    }
-                  }
-
-                  // Handle remaining paragraph
-                  if (currentParagraph) {
-                    if (
-                      !currentParagraph.includes("<h3>") &&
-                      !currentParagraph.includes("<ul>") &&
-                      !currentParagraph.includes("<ol>")
-                    ) {
-                      result += `<p>${currentParagraph}</p>`;
-                    } else {
-                      result += currentParagraph;
-                    }
-                  }
-
-                  return result;
-                })
-                .join("");
-            })()}
+            ${summaryToHtml(summary)}
           </div>
         </div>
       </div>
@@ -549,10 +534,30 @@ export const CallLog: React.FC = () => {
                       d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
                     />
                   </svg>
-                  Generate Summary
+                  {summary ? "Regenerate Summary" : "Generate Summary"}
                 </>
               )}
             </button>
+            <button
+              onClick={() => setShowSpeakers(true)}
+              disabled={!transcripts.length}
+              className="bg-gray-100 hover:bg-gray-200 disabled:bg-gray-300 text-gray-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center"
+            >
+              <svg
+                className="w-4 h-4 mr-2"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0z"
+                />
+              </svg>
+              Speakers
+            </button>
             <button
               onClick={generatePDF}
               disabled={!summary}
@@ -576,15 +581,22 @@ export const CallLog: React.FC = () => {
           </div>
         </div>
         {summary && (
-          <div className="mt-4 p-4 bg-blue-50 border border-blue-200 rounded-lg">
-            <h3 className="text-sm font-semibold text-blue-800 mb-2">
-              AI Generated Summary
-            </h3>
-            <p className="text-sm text-blue-700 whitespace-pre-wrap">
-              {summary}
-            </p>
-          </div>
+          <CallSummaryCard
+            summary={summary}
+            versions={summaryVersions}
+            onSelectVersion={(version) =>
+              callDocId && fetchSummary(callDocId, version)
+            }
+          />
+        )}
+        {!loading && transcripts.length > 0 && callDocId && (
+          <CallScoreCard
+            callId={callDocId}
+            performance={performance}
+            onScored={fetchCall}
+          />
         )}
+        {!loading && callDocId && <CallScorecardCard callId={callDocId} />}
       </div>
 
       {/* Chat Container */}
@@ -601,6 +613,7 @@ export const CallLog: React.FC = () => {
                 return (
                   <div
                     key={transcript._id || transcript.timestamp + index}
+                    id={transcript._id && `transcript-${transcript._id}`}
                     className="flex justify-start items-end"
                   >
                     <div className="max-w-xs lg:max-w-md">
@@ -609,7 +622,13 @@ export const CallLog: React.FC = () => {
                         {transcript.speaker}
                       </div>
                       {/* Message bubble - iPhone style gray */}
-                      <div className="bg-gray-300 text-black rounded-3xl px-4 py-3 shadow-sm relative">
+                      <div
+                        className={`bg-gray-300 text-black rounded-3xl px-4 py-3 shadow-sm relative ${
+                          highlightedId === `transcript-${transcript._id}`
+                            ? "ring-2 ring-yellow-400"
+                            : ""
+                        }`}
+                      >
                         <div className="text-sm leading-relaxed">
                           {transcript.text}
                         </div>
@@ -629,6 +648,7 @@ export const CallLog: React.FC = () => {
                 return (
                   <div
                     key={suggestion._id || index}
+                    id={suggestion._id && `suggestion-${suggestion._id}`}
                     className="flex justify-end items-end"
                   >
                     <div className="max-w-xs lg:max-w-md">
@@ -637,7 +657,13 @@ export const CallLog: React.FC = () => {
                         AI Assistant • {suggestion.type}
                       </div>
                       {/* Message bubble - iPhone style blue */}
-                      <div className="bg-blue-500 text-white rounded-3xl px-4 py-3 shadow-sm relative">
+                      <div
+                        className={`bg-blue-500 text-white rounded-3xl px-4 py-3 shadow-sm relative ${
+                          highlightedId === `suggestion-${suggestion._id}`
+                            ? "ring-2 ring-yellow-400"
+                            : ""
+                        }`}
+                      >
                         <div className="text-sm leading-relaxed">
                           {suggestion.text}
                         </div>
@@ -677,6 +703,15 @@ export const CallLog: React.FC = () => {
           </div>
         )}
       </div>
+
+      {id && (
+        <SpeakerMappingModal
+          callId={id}
+          isOpen={showSpeakers}
+          onClose={() => setShowSpeakers(false)}
+          onSaved={fetchCall}
+        />
+      )}
     </div>
   );
 };
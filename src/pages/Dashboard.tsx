@@ -12,11 +12,14 @@ import {
   X,
   Chrome,
   Download,
+  Upload,
 } from "lucide-react";
 import { Card } from "../components/ui/Card";
 import { Button } from "../components/ui/Button";
 import { useAuth } from "../contexts/AuthContext";
 import { APIService } from "../lib/api";
+import { UploadRecordingModal } from "../components/call/UploadRecordingModal";
+import { MyActionItems } from "../components/call/MyActionItems";
 
 interface Call {
   _id: string;
@@ -26,12 +29,12 @@ interface Call {
   status: string;
   createdAt: string;
   performanceData: any;
-  score?: number;
+  score?: number | null;
 }
 
 interface AnalyticsData {
   totalCalls: number;
-  successRate: number;
+  successRate: number | null; // percent; null until a call has been scored
   averageDuration: number;
   aiSuggestionsUsedRate: number;
   dailyCallData: any[];
@@ -46,6 +49,7 @@ export const Dashboard: React.FC = () => {
   );
   const [loading, setLoading] = useState(true);
   const [showExtensionModal, setShowExtensionModal] = useState(false);
+  const [showRecordingModal, setShowRecordingModal] = useState(false);
 
   useEffect(() => {
     fetchDashboardData();
@@ -88,13 +92,16 @@ export const Dashboard: React.FC = () => {
     }
   };
 
-  const getCallScore = (performanceData: any) => {
-    if (!performanceData || typeof performanceData !== "object") {
-      return Math.floor(Math.random() * 30) + 70;
-    }
-    return performanceData.score || Math.floor(Math.random() * 30) + 70;
+  // Score from the post-call scoring engine; null until the call is scored
+  const getCallScore = (call: Call): number | null => {
+    if (typeof call.score === "number") return call.score;
+    const score = call.performanceData?.score;
+    return typeof score === "number" ? score : null;
   };
 
+  const formatRate = (rate: number | null | undefined) =>
+    typeof rate === "number" ? `${Math.round(rate)}%` : "–";
+
   const formatDuration = (duration: number): string => {
     if (duration < 60) {
       return `${duration}s`;
@@ -221,7 +228,7 @@ export const Dashboard: React.FC = () => {
                   {loading ? (
                     <div className="h-8 w-16 bg-gray-200 animate-pulse rounded"></div>
                   ) : (
-                    `${Math.round((analyticsData?.successRate || 0) * 100)}%`
+                    formatRate(analyticsData?.successRate)
                   )}
                 </h3>
               </div>
@@ -305,6 +312,14 @@ export const Dashboard: React.FC = () => {
                 <Phone className="h-5 w-5 mr-2" />
                 Start Call
               </Button>
+              <Button
+                variant="primary"
+                className="w-full justify-center bg-sky-500 hover:bg-sky-600 text-white shadow-md"
+                onClick={() => setShowRecordingModal(true)}
+              >
+                <Upload className="h-5 w-5 mr-2" />
+                Upload Recording
+              </Button>
               <Button
                 variant="primary"
                 className="w-full justify-center bg-green-500 hover:bg-green-600 text-white shadow-md"
@@ -398,14 +413,14 @@ export const Dashboard: React.FC = () => {
                     <div className="flex justify-between text-sm mb-1">
                       <span className="text-gray-600">Success Rate</span>
                       <span className="font-medium">
-                        {Math.round((analyticsData?.successRate || 0) * 100)}%
+                        {formatRate(analyticsData?.successRate)}
                       </span>
                     </div>
                     <div className="w-full bg-gray-200 rounded-full h-2">
                       <div
                         className="bg-accent-600 h-2 rounded-full"
                         style={{
-                          width: `${(analyticsData?.successRate || 0) * 100}%`,
+                          width: `${analyticsData?.successRate || 0}%`,
                         }}
                       />
                     </div>
@@ -416,8 +431,10 @@ export const Dashboard: React.FC = () => {
           </div>
         </div>
 
-        {/* Right Column - Recent Calls */}
+        {/* Right Column - Action Items and Recent Calls */}
         <div className="lg:col-span-2">
+          <MyActionItems />
+
           <div className="bg-white rounded-xl shadow-sm overflow-hidden">
             <div className="flex items-center justify-between p-6 border-b border-gray-100">
               <h2 className="text-xl font-semibold text-gray-800">
@@ -481,18 +498,22 @@ export const Dashboard: React.FC = () => {
                               className={`
                               px-3 py-1 rounded-full text-sm font-medium
                               ${
-                                (call.score ||
-                                  getCallScore(call.performanceData)) >= 80
+                                getCallScore(call) === null
+                                  ? "bg-gray-100 text-gray-500"
+                                  : (getCallScore(call) as number) >= 80
                                   ? "bg-success-100 text-success-600"
-                                  : (call.score ||
-                                      getCallScore(call.performanceData)) >= 70
+                                  : (getCallScore(call) as number) >= 70
                                   ? "bg-warning-100 text-warning-600"
                                   : "bg-error-100 text-error-600"
                               }
                             `}
+                              title={
+                                getCallScore(call) === null
+                                  ? "Not scored yet"
+                                  : "Call score"
+                              }
                             >
-                              {call.score || getCallScore(call.performanceData)}
-                              %
+                              {formatRate(getCallScore(call))}
                             </div>
                             <span className="px-2 py-1 bg-green-100 text-green-600 rounded-full text-xs font-medium">
                               {call.status}
@@ -748,6 +769,12 @@ export const Dashboard: React.FC = () => {
           </div>
         </motion.div>
       )}
+
+      <UploadRecordingModal
+        isOpen={showRecordingModal}
+        onClose={() => setShowRecordingModal(false)}
+        onCompleted={fetchDashboardData}
+      />
     </div>
   );
 };
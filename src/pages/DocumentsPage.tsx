@@ -11,16 +11,94 @@ import {
   Trash2,
   CheckCircle,
   Clock,
-  AlertCircle
+  AlertCircle,
+  RefreshCw,
+  Presentation,
+  FileSpreadsheet,
+  FileCode,
+  ImageIcon,
+  History,
+  Layers,
+  Folder,
+  FolderPlus,
+  Users,
+  ChevronRight
 } from 'lucide-react';
 import { Card } from '../components/ui/Card';
 import { Button } from '../components/ui/Button';
 import { Modal } from '../components/ui/Modal';
-import { Document } from '../types';
+import { DiffView } from '../components/documents/DiffView';
+import { DocumentVersionsModal } from '../components/documents/DocumentVersionsModal';
+import { TeamMembersModal } from '../components/documents/TeamMembersModal';
+import { CitedItem, Document, DocumentFolder, Team, WebContentChange } from '../types';
 import { APIService } from '../lib/api';
+import { useAuth } from '../contexts/AuthContext';
 // Using browser's built-in alert instead of toast
 // import { toast } from 'react-hot-toast';
 
+const DOCUMENT_POLL_INTERVAL_MS = 3000;
+
+// Keep in sync with getDocumentType in server/lib/fileUtils.js
+const ACCEPTED_EXTENSIONS = [
+  '.pdf', '.doc', '.docx', '.pptx', '.xlsx', '.csv', '.tsv', '.txt', '.html', '.htm', '.md', '.markdown',
+  '.png', '.jpg', '.jpeg', '.gif', '.tif', '.tiff', '.bmp', '.webp'
+];
+
+type AIContext = NonNullable<Document['aiContext']>;
+type ObjectionResponse = AIContext['objectionResponses'][number];
+
+const AI_CONTEXT_SECTIONS: Array<{ key: keyof AIContext; title: string }> = [
+  { key: 'keyFeatures', title: 'Key Features' },
+  { key: 'benefits', title: 'Benefits' },
+  { key: 'useCases', title: 'Use Cases' },
+  { key: 'pricingInfo', title: 'Pricing Information' },
+  { key: 'competitiveAdvantages', title: 'Competitive Advantages' },
+  { key: 'targetAudience', title: 'Target Audience' },
+  { key: 'successStories', title: 'Success Stories' }
+];
+
+// Where an extracted item came from: "p. 12" for PDFs, "part 3" otherwise
+const Citation: React.FC<{ item: { pages?: number[]; chunks?: number[] } | string }> = ({ item }) => {
+  if (typeof item === 'string') return null;
+  const label = item.pages?.length
+    ? `${item.pages.length > 1 ? 'pp.' : 'p.'} ${item.pages.join(', ')}`
+    : item.chunks?.length
+    ? `part ${item.chunks.map((chunk) => chunk + 1).join(', ')}`
+    : null;
+  return label ? <span className="ml-1 text-xs text-gray-400">({label})</span> : null;
+};
+
+// Crawl depth and refresh choices offered for URL documents
+const CRAWL_DEPTH_OPTIONS = [
+  { value: 0, label: 'This page only' },
+  { value: 1, label: 'Pages it links to on the same site' },
+  { value: 2, label: 'Two levels of links' }
+];
+
+const REFRESH_OPTIONS = [
+  { value: 0, label: 'Never' },
+  { value: 24, label: 'Daily' },
+  { value: 168, label: 'Weekly' },
+  { value: 720, label: 'Monthly' }
+];
+
+// A change detected when a URL document was re-fetched
+const ChangeDiff: React.FC<{ change: WebContentChange }> = ({ change }) => (
+  <div className="mt-2">
+    <p className="text-xs text-gray-500 mb-1">
+      {new Date(change.detectedAt).toLocaleString()} • +{change.added} −{change.removed} lines
+    </p>
+    <DiffView diff={change.diff} />
+  </div>
+);
+
+const STATUS_LABELS: Record<Document['processingStatus'], string> = {
+  pending: 'Queued',
+  processing: 'Processing',
+  completed: 'Processed',
+  failed: 'Failed'
+};
+
 export const DocumentsPage: React.FC = () => {
   const [documents, setDocuments] = useState<Document[]>([]);
   const [loading, setLoading] = useState<boolean>(true);
@@ -32,14 +110,47 @@ export const DocumentsPage: React.FC = () => {
   const [aiSuggestions, setAISuggestions] = useState<{ [id: string]: any }>({});
   const [aiLoading, setAILoading] = useState<{ [id: string]: boolean }>({});
   const [showSuggestion, setShowSuggestion] = useState<{ [id: string]: boolean }>({});
-  
-  // Fetch documents when component mounts
+  const [showChanges, setShowChanges] = useState<{ [id: string]: boolean }>({});
+  const [versionsDocument, setVersionsDocument] = useState<Document | null>(null);
+  // Library shown: the user's personal one ('') or a team's id
+  const [library, setLibrary] = useState('');
+  const [folderId, setFolderId] = useState<string | null>(null);
+  const [folders, setFolders] = useState<DocumentFolder[]>([]);
+  const [teams, setTeams] = useState<Team[]>([]);
+  const [membersTeam, setMembersTeam] = useState<Team | null>(null);
+  const { user } = useAuth();
+
+  const currentTeam = teams.find(team => team.id === library);
+  const canEdit = !currentTeam || currentTeam.role !== 'viewer';
+  const subfolders = folders.filter(folder => (folder.parent || null) === folderId);
+  // Folder path from the library's top level to the open folder
+  const folderPath: DocumentFolder[] = [];
+  for (let id = folderId; id; ) {
+    const folder = folders.find(f => f._id === id);
+    if (!folder) break;
+    folderPath.unshift(folder);
+    id = folder.parent;
+  }
+
+  useEffect(() => {
+    if (!localStorage.getItem('authToken')) return;
+    APIService.getTeams()
+      .then(response => setTeams(response.data))
+      .catch(err => console.error('Error fetching teams:', err));
+  }, []);
+
+  // Fetch the open folder's documents when the library or folder changes
   useEffect(() => {
     const fetchDocuments = async () => {
       try {
         setLoading(true);
-        const data = await APIService.getDocuments();
+        const team = library || undefined;
+        const [data, folderList] = await Promise.all([
+          APIService.getDocuments({ team, folder: folderId || 'root' }),
+          APIService.getFolders(team)
+        ]);
         setDocuments(data);
+        setFolders(folderList);
         setError(null);
       } catch (err) {
         console.error('Error fetching documents:', err);
@@ -74,15 +185,98 @@ export const DocumentsPage: React.FC = () => {
     };
     
     checkAuthAndFetch();
-  }, []);
+  }, [library, folderId]);
+
+  const handleLibraryChange = (value: string) => {
+    setLibrary(value);
+    setFolderId(null);
+  };
+
+  const handleCreateTeam = async () => {
+    const name = window.prompt('Team name');
+    if (!name?.trim()) return;
+    try {
+      const response = await APIService.createTeam({ name: name.trim() });
+      setTeams(prev => [...prev, response.data]);
+      handleLibraryChange(response.data.id);
+    } catch (err) {
+      console.error('Error creating team:', err);
+      alert('Failed to create team');
+    }
+  };
+
+  const handleTeamChanged = (team: Team | null) => {
+    if (!team) {
+      // Left the team
+      setTeams(prev => prev.filter(t => t.id !== membersTeam?.id));
+      handleLibraryChange('');
+      return;
+    }
+    setTeams(prev => prev.map(t => t.id === team.id ? team : t));
+    setMembersTeam(team);
+  };
+
+  const handleCreateFolder = async () => {
+    const name = window.prompt('Folder name');
+    if (!name?.trim()) return;
+    try {
+      const folder = await APIService.createFolder({
+        name: name.trim(),
+        team: library || undefined,
+        parent: folderId || undefined
+      });
+      setFolders(prev => [...prev, folder]);
+    } catch (err) {
+      console.error('Error creating folder:', err);
+      const message = (err as { response?: { data?: { message?: string } } })
+        .response?.data?.message;
+      alert(message || 'Failed to create folder');
+    }
+  };
+
+  const handleDeleteFolder = async (folder: DocumentFolder) => {
+    if (!window.confirm(`Delete "${folder.name}"? Its documents move up one level.`)) return;
+    try {
+      await APIService.deleteFolder(folder._id);
+      setFolders(prev => prev
+        .filter(f => f._id !== folder._id)
+        .map(f => f.parent === folder._id ? { ...f, parent: folder.parent } : f));
+      // Its documents now sit in the open folder
+      const data = await APIService.getDocuments({ team: library || undefined, folder: folderId || 'root' });
+      setDocuments(data);
+    } catch (err) {
+      console.error('Error deleting folder:', err);
+      alert('Failed to delete folder');
+    }
+  };
+
+  // Documents are processed by a background job; refresh the ones still in
+  // flight until they finish
+  const inFlightIds = documents
+    .filter(doc => doc.processingStatus === 'pending' || doc.processingStatus === 'processing')
+    .map(doc => doc._id)
+    .join(',');
+
+  useEffect(() => {
+    if (!inFlightIds) return;
+
+    const timer = setInterval(async () => {
+      const updated = await Promise.all(
+        inFlightIds.split(',').map(id => APIService.getDocument(id).catch(() => null))
+      );
+      setDocuments(prev => prev.map(doc => updated.find(u => u?._id === doc._id) || doc));
+    }, DOCUMENT_POLL_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }, [inFlightIds]);
 
   const filteredDocuments = documents.filter(doc => {
     const matchesSearch = doc.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
                          doc.tags.some(tag => tag.toLowerCase().includes(searchTerm.toLowerCase()));
     
     const matchesFilter = selectedFilter === 'all' || 
-                         (selectedFilter === 'processed' && doc.processed) ||
-                         (selectedFilter === 'pending' && !doc.processed);
+                         (selectedFilter === 'processed' && doc.processingStatus === 'completed') ||
+                         (selectedFilter === 'pending' && doc.processingStatus !== 'completed');
     
     return matchesSearch && matchesFilter;
   });
@@ -93,19 +287,31 @@ export const DocumentsPage: React.FC = () => {
         return FileText;
       case 'url':
         return Link;
+      case 'pptx':
+        return Presentation;
+      case 'xlsx':
+      case 'csv':
+        return FileSpreadsheet;
+      case 'html':
+      case 'markdown':
+        return FileCode;
+      case 'image':
+        return ImageIcon;
       default:
         return FileText;
     }
   };
 
-  const getStatusIcon = (processed: boolean) => {
-    return processed ? CheckCircle : Clock;
+  const getStatusIcon = (status: Document['processingStatus']) => {
+    if (status === 'completed') return CheckCircle;
+    if (status === 'failed') return AlertCircle;
+    return Clock;
   };
 
-  const getStatusColor = (processed: boolean) => {
-    return processed 
-      ? 'text-success-600 bg-success-100' 
-      : 'text-warning-600 bg-warning-100';
+  const getStatusColor = (status: Document['processingStatus']) => {
+    if (status === 'completed') return 'text-success-600 bg-success-100';
+    if (status === 'failed') return 'text-red-600 bg-red-100';
+    return 'text-warning-600 bg-warning-100';
   };
 
   // Handle file selection
@@ -127,6 +333,9 @@ export const DocumentsPage: React.FC = () => {
   const handleFileUpload = async (event: React.FormEvent<HTMLFormElement>) => {
     event.preventDefault();
     const formData = new FormData(event.currentTarget);
+    // Into the open library and folder
+    if (library) formData.append('team', library);
+    if (folderId) formData.append('folder', folderId);
     
     try {
       setIsUploadModalOpen(false);
@@ -136,7 +345,7 @@ export const DocumentsPage: React.FC = () => {
       setDocuments(prev => [newDocument, ...prev]);
       setSelectedFile(null); // Reset selected file after successful upload
       
-      alert('Document uploaded successfully');
+      alert('Document uploaded. It will be processed in the background.');
     } catch (err) {
       console.error('Error uploading document:', err);
       
@@ -159,12 +368,22 @@ export const DocumentsPage: React.FC = () => {
     const url = (form.elements.namedItem('url') as HTMLInputElement).value;
     const tagsInput = (form.elements.namedItem('tags') as HTMLInputElement).value;
     const tags = tagsInput ? tagsInput.split(',').map(tag => tag.trim()) : [];
+    const crawlDepth = Number((form.elements.namedItem('crawlDepth') as HTMLSelectElement).value);
+    const refreshIntervalHours = Number((form.elements.namedItem('refreshIntervalHours') as HTMLSelectElement).value);
     
     try {
       setIsUploadModalOpen(false);
       alert('Adding URL document...');
       
-      const newDocument = await APIService.createUrlDocument({ name, url, tags });
+      const newDocument = await APIService.createUrlDocument({
+        name,
+        url,
+        tags,
+        crawlDepth,
+        refreshIntervalHours,
+        team: library || undefined,
+        folder: folderId || undefined
+      });
       setDocuments(prev => [newDocument, ...prev]);
       
       alert('URL document added successfully');
@@ -205,6 +424,33 @@ export const DocumentsPage: React.FC = () => {
     }
   };
 
+  // Run extraction and AI processing again, e.g. after a failed upload
+  const handleReprocessDocument = async (id: string) => {
+    try {
+      const updated = await APIService.reprocessDocument(id);
+      setDocuments(prev => prev.map(doc => doc._id === id ? { ...doc, ...updated } : doc));
+    } catch (err) {
+      console.error('Error reprocessing document:', err);
+      const message = (err as { response?: { data?: { message?: string } } })
+        .response?.data?.message;
+      alert(message || 'Failed to reprocess document');
+    }
+  };
+
+  // Fetch a URL document again now; its content only changes if the page did
+  const handleRefreshDocument = async (id: string) => {
+    try {
+      const updated = await APIService.refreshDocument(id);
+      setDocuments(prev => prev.map(doc => doc._id === id ? { ...doc, ...updated } : doc));
+      alert('Checking the page for changes...');
+    } catch (err) {
+      console.error('Error refreshing document:', err);
+      const message = (err as { response?: { data?: { message?: string } } })
+        .response?.data?.message;
+      alert(message || 'Failed to refresh document');
+    }
+  };
+
   const handleAISuggestion = async (id: string) => {
     setAILoading(prev => ({ ...prev, [id]: true }));
     try {
@@ -228,14 +474,16 @@ export const DocumentsPage: React.FC = () => {
             Manage your knowledge base for AI-powered call assistance.
           </p>
         </div>
-        <Button 
-          variant="primary" 
-          size="lg"
-          onClick={() => setIsUploadModalOpen(true)}
-        >
-          <Upload className="h-5 w-5 mr-2" />
-          Upload Document
-        </Button>
+        {canEdit && (
+          <Button 
+            variant="primary" 
+            size="lg"
+            onClick={() => setIsUploadModalOpen(true)}
+          >
+            <Upload className="h-5 w-5 mr-2" />
+            Upload Document
+          </Button>
+        )}
       </div>
       
       {/* Error Message */}
@@ -269,6 +517,97 @@ export const DocumentsPage: React.FC = () => {
         </div>
       )}
 
+      {/* Library and folders */}
+      <Card>
+        <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+          <div className="inline-flex rounded-lg border border-gray-300 p-1">
+            <button
+              className={`px-3 py-1 rounded-md text-sm ${!library ? 'bg-primary-600 text-white' : 'text-gray-600'}`}
+              onClick={() => handleLibraryChange('')}
+            >
+              Personal
+            </button>
+            <button
+              className={`px-3 py-1 rounded-md text-sm ${library ? 'bg-primary-600 text-white' : 'text-gray-600'}`}
+              onClick={() => teams.length > 0 ? handleLibraryChange(library || teams[0].id) : handleCreateTeam()}
+            >
+              Shared
+            </button>
+          </div>
+          {library && (
+            <select
+              value={library}
+              onChange={(e) => handleLibraryChange(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg"
+            >
+              {teams.map(team => (
+                <option key={team.id} value={team.id}>{team.name} ({team.role})</option>
+              ))}
+            </select>
+          )}
+          <div className="flex gap-2 sm:ml-auto">
+            {currentTeam && (
+              <Button variant="secondary" size="sm" onClick={() => setMembersTeam(currentTeam)}>
+                <Users className="h-4 w-4 mr-1" />
+                Members
+              </Button>
+            )}
+            <Button variant="secondary" size="sm" onClick={handleCreateTeam}>
+              New team
+            </Button>
+            {canEdit && (
+              <Button variant="secondary" size="sm" onClick={handleCreateFolder}>
+                <FolderPlus className="h-4 w-4 mr-1" />
+                New folder
+              </Button>
+            )}
+          </div>
+        </div>
+
+        <div className="flex items-center flex-wrap gap-1 mt-4 text-sm">
+          <button className="text-primary-600 hover:underline" onClick={() => setFolderId(null)}>
+            {currentTeam ? currentTeam.name : 'My documents'}
+          </button>
+          {folderPath.map(folder => (
+            <React.Fragment key={folder._id}>
+              <ChevronRight className="h-4 w-4 text-gray-400" />
+              <button className="text-primary-600 hover:underline" onClick={() => setFolderId(folder._id)}>
+                {folder.name}
+              </button>
+            </React.Fragment>
+          ))}
+        </div>
+
+        {subfolders.length > 0 && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-4">
+            {subfolders.map(folder => (
+              <div
+                key={folder._id}
+                className="flex items-center justify-between rounded-lg border border-gray-200 px-3 py-2 hover:bg-gray-50 cursor-pointer"
+                onClick={() => setFolderId(folder._id)}
+              >
+                <span className="flex items-center min-w-0 text-sm text-gray-700">
+                  <Folder className="h-4 w-4 mr-2 text-primary-500 flex-shrink-0" />
+                  <span className="truncate">{folder.name}</span>
+                </span>
+                {canEdit && (
+                  <button
+                    className="text-gray-400 hover:text-red-600"
+                    title="Delete folder"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleDeleteFolder(folder);
+                    }}
+                  >
+                    <Trash2 className="h-3 w-3" />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </Card>
+
       {/* Search and Filter */}
       <Card>
         <div className="flex flex-col sm:flex-row gap-4">
@@ -315,7 +654,7 @@ export const DocumentsPage: React.FC = () => {
           <AnimatePresence>
             {filteredDocuments.map((document, index) => {
               const Icon = getDocumentIcon(document.type);
-              const StatusIcon = getStatusIcon(document.processed);
+              const StatusIcon = getStatusIcon(document.processingStatus);
               const uploadDate = new Date(document.uploadDate);
               
               return (
@@ -343,21 +682,52 @@ export const DocumentsPage: React.FC = () => {
                         </h3>
                         <p className="text-sm text-gray-600 mt-1">
                           {document.type.toUpperCase()} • {uploadDate.toLocaleDateString()}
+                          {document.currentVersion && ` • v${document.currentVersion}`}
                         </p>
                       </div>
                     </div>
 
                     <div className="mt-4">
                       <div className="flex items-center justify-between mb-3">
-                        <div className={`
+                        <div title={document.processingError} className={`
                           inline-flex items-center px-2 py-1 rounded-full text-xs font-medium
-                          ${getStatusColor(document.processed)}
+                          ${getStatusColor(document.processingStatus)}
                         `}>
                           <StatusIcon className="h-3 w-3 mr-1" />
-                          {document.processed ? 'Processed' : 'Processing'}
+                          {STATUS_LABELS[document.processingStatus]}
                         </div>
                       </div>
 
+                      {document.web && (
+                        <div className="mb-3 text-xs text-gray-500 space-y-1">
+                          {document.web.lastFetchedAt && (
+                            <p>
+                              Fetched {new Date(document.web.lastFetchedAt).toLocaleString()}
+                              {document.web.pages.length > 1 && ` • ${document.web.pages.length} pages`}
+                            </p>
+                          )}
+                          {document.web.lastChangedAt && (
+                            <p>Changed {new Date(document.web.lastChangedAt).toLocaleString()}</p>
+                          )}
+                          {document.web.lastError && (
+                            <p className="text-red-600">Last fetch failed: {document.web.lastError}</p>
+                          )}
+                          {document.web.changes.length > 0 && (
+                            <button
+                              className="inline-flex items-center text-primary-600 hover:text-primary-700"
+                              onClick={() => setShowChanges(prev => ({ ...prev, [document._id]: !prev[document._id] }))}
+                            >
+                              <History className="h-3 w-3 mr-1" />
+                              {showChanges[document._id] ? 'Hide' : 'Show'} changes ({document.web.changes.length})
+                            </button>
+                          )}
+                          {showChanges[document._id] &&
+                            [...document.web.changes].reverse().map((change, index) => (
+                              <ChangeDiff key={change._id || index} change={change} />
+                            ))}
+                        </div>
+                      )}
+
                       <div className="flex flex-wrap gap-1 mb-4">
                         {document.tags.map((tag) => (
                           <span
@@ -379,13 +749,47 @@ export const DocumentsPage: React.FC = () => {
                           <Download className="h-3 w-3 mr-1" />
                           Download
                         </Button>
-                        <Button 
-                          variant="secondary" 
+                        {document.access !== 'viewer' && document.type === 'url' && document.processed && (
+                          <Button
+                            variant="secondary"
+                            size="sm"
+                            title="Check the page for changes"
+                            onClick={() => handleRefreshDocument(document._id)}
+                          >
+                            <Link className="h-3 w-3" />
+                          </Button>
+                        )}
+                        {document.access !== 'viewer' && (document.filePath || document.type === 'url') && (
+                          <Button
+                            variant="secondary"
+                            size="sm"
+                            title="Process again"
+                            disabled={
+                              document.processingStatus === 'pending' ||
+                              document.processingStatus === 'processing'
+                            }
+                            onClick={() => handleReprocessDocument(document._id)}
+                          >
+                            <RefreshCw className="h-3 w-3" />
+                          </Button>
+                        )}
+                        <Button
+                          variant="secondary"
                           size="sm"
-                          onClick={() => handleDeleteDocument(document._id)}
+                          title="Versions"
+                          onClick={() => setVersionsDocument(document)}
                         >
-                          <Trash2 className="h-3 w-3" />
+                          <Layers className="h-3 w-3" />
                         </Button>
+                        {document.access !== 'viewer' && (
+                          <Button 
+                            variant="secondary" 
+                            size="sm"
+                            onClick={() => handleDeleteDocument(document._id)}
+                          >
+                            <Trash2 className="h-3 w-3" />
+                          </Button>
+                        )}
                       </div>
                     </div>
 
@@ -404,83 +808,30 @@ export const DocumentsPage: React.FC = () => {
                             <p className="text-gray-600">{aiSuggestions[document._id].suggestion.detailedSummary}</p>
                           </div>
                         )}
-                        {aiSuggestions[document._id].suggestion.keyFeatures?.length > 0 && (
-                          <div className="p-3 bg-white rounded-lg shadow-sm border border-gray-200">
-                            <h4 className="font-medium text-gray-900 mb-2">Key Features</h4>
-                            <ul className="list-disc pl-5 space-y-1">
-                              {aiSuggestions[document._id].suggestion.keyFeatures.map((feature: string, index: number) => (
-                                <li key={index} className="text-gray-600">{feature}</li>
-                              ))}
-                            </ul>
-                          </div>
-                        )}
-                        {aiSuggestions[document._id].suggestion.benefits?.length > 0 && (
-                          <div className="p-3 bg-white rounded-lg shadow-sm border border-gray-200">
-                            <h4 className="font-medium text-gray-900 mb-2">Benefits</h4>
-                            <ul className="list-disc pl-5 space-y-1">
-                              {aiSuggestions[document._id].suggestion.benefits.map((benefit: string, index: number) => (
-                                <li key={index} className="text-gray-600">{benefit}</li>
-                              ))}
-                            </ul>
-                          </div>
-                        )}
-                        {aiSuggestions[document._id].suggestion.useCases?.length > 0 && (
-                          <div className="p-3 bg-white rounded-lg shadow-sm border border-gray-200">
-                            <h4 className="font-medium text-gray-900 mb-2">Use Cases</h4>
-                            <ul className="list-disc pl-5 space-y-1">
-                              {aiSuggestions[document._id].suggestion.useCases.map((useCase: string, index: number) => (
-                                <li key={index} className="text-gray-600">{useCase}</li>
-                              ))}
-                            </ul>
-                          </div>
-                        )}
-                        {aiSuggestions[document._id].suggestion.pricing_info?.length > 0 && (
-                          <div className="p-3 bg-white rounded-lg shadow-sm border border-gray-200">
-                            <h4 className="font-medium text-gray-900 mb-2">Pricing Information</h4>
-                            <ul className="list-disc pl-5 space-y-1">
-                              {aiSuggestions[document._id].suggestion.pricing_info.map((info: string, index: number) => (
-                                <li key={index} className="text-gray-600">{info}</li>
-                              ))}
-                            </ul>
-                          </div>
-                        )}
-                        {aiSuggestions[document._id].suggestion.competitive_advantages?.length > 0 && (
-                          <div className="p-3 bg-white rounded-lg shadow-sm border border-gray-200">
-                            <h4 className="font-medium text-gray-900 mb-2">Competitive Advantages</h4>
-                            <ul className="list-disc pl-5 space-y-1">
-                              {aiSuggestions[document._id].suggestion.competitive_advantages.map((advantage: string, index: number) => (
-                                <li key={index} className="text-gray-600">{advantage}</li>
-                              ))}
-                            </ul>
-                          </div>
-                        )}
-                        {aiSuggestions[document._id].suggestion.target_audience?.length > 0 && (
-                          <div className="p-3 bg-white rounded-lg shadow-sm border border-gray-200">
-                            <h4 className="font-medium text-gray-900 mb-2">Target Audience</h4>
-                            <ul className="list-disc pl-5 space-y-1">
-                              {aiSuggestions[document._id].suggestion.target_audience.map((audience: string, index: number) => (
-                                <li key={index} className="text-gray-600">{audience}</li>
-                              ))}
-                            </ul>
-                          </div>
-                        )}
-                        {aiSuggestions[document._id].suggestion.success_stories?.length > 0 && (
-                          <div className="p-3 bg-white rounded-lg shadow-sm border border-gray-200">
-                            <h4 className="font-medium text-gray-900 mb-2">Success Stories</h4>
-                            <ul className="list-disc pl-5 space-y-1">
-                              {aiSuggestions[document._id].suggestion.success_stories.map((story: string, index: number) => (
-                                <li key={index} className="text-gray-600">{story}</li>
-                              ))}
-                            </ul>
-                          </div>
-                        )}
-                        {aiSuggestions[document._id].suggestion.objection_responses?.length > 0 && (
+                        {AI_CONTEXT_SECTIONS.map(({ key, title }) => {
+                          const items: Array<CitedItem | string> = aiSuggestions[document._id].suggestion[key] || [];
+                          return items.length > 0 && (
+                            <div key={key} className="p-3 bg-white rounded-lg shadow-sm border border-gray-200">
+                              <h4 className="font-medium text-gray-900 mb-2">{title}</h4>
+                              <ul className="list-disc pl-5 space-y-1">
+                                {items.map((item, index) => (
+                                  <li key={index} className="text-gray-600">
+                                    {typeof item === 'string' ? item : item.text}
+                                    <Citation item={item} />
+                                  </li>
+                                ))}
+                              </ul>
+                            </div>
+                          );
+                        })}
+                        {aiSuggestions[document._id].suggestion.objectionResponses?.length > 0 && (
                           <div className="p-3 bg-white rounded-lg shadow-sm border border-gray-200">
                             <h4 className="font-medium text-gray-900 mb-2">Objection Responses</h4>
                             <ul className="list-disc pl-5 space-y-1">
-                              {aiSuggestions[document._id].suggestion.objection_responses.map((item: any, index: number) => (
+                              {aiSuggestions[document._id].suggestion.objectionResponses.map((item: ObjectionResponse, index: number) => (
                                 <li key={index} className="text-gray-600">
                                   <span className="font-medium">{item.objection}:</span> {item.response}
+                                  <Citation item={item} />
                                 </li>
                               ))}
                             </ul>
@@ -515,6 +866,24 @@ export const DocumentsPage: React.FC = () => {
         </Card>
       )}
 
+      <DocumentVersionsModal
+        document={versionsDocument}
+        readOnly={versionsDocument?.access === 'viewer'}
+        onClose={() => setVersionsDocument(null)}
+        onUpdated={(updated) => {
+          const merged = { ...versionsDocument, ...updated };
+          setDocuments(prev => prev.map(doc => doc._id === updated._id ? merged : doc));
+          setVersionsDocument(merged);
+        }}
+      />
+
+      <TeamMembersModal
+        team={membersTeam}
+        currentUserId={user?._id}
+        onClose={() => setMembersTeam(null)}
+        onChanged={handleTeamChanged}
+      />
+
       {/* Upload Modal */}
       <Modal
         isOpen={isUploadModalOpen}
@@ -557,10 +926,9 @@ export const DocumentsPage: React.FC = () => {
                   if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
                     const file = e.dataTransfer.files[0];
                     // Check if file type is acceptable
-                    const acceptedTypes = ['.pdf', '.docx', '.txt', 'application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'text/plain'];
-                    const fileType = file.type || file.name.split('.').pop();
+                    const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
                     
-                    if (acceptedTypes.some(type => fileType.includes(type))) {
+                    if (ACCEPTED_EXTENSIONS.includes(extension)) {
                       // Update the file input
                       const fileInput = document.getElementById('file-upload') as HTMLInputElement;
                       if (fileInput) {
@@ -574,14 +942,14 @@ export const DocumentsPage: React.FC = () => {
                         fileInput.dispatchEvent(event);
                       }
                     } else {
-                      alert('Invalid file type. Please upload PDF, DOCX, or TXT files only.');
+                      alert('Invalid file type. Please upload a PDF, Word, PowerPoint, Excel, CSV, text, HTML, Markdown or image file.');
                     }
                   }
                 }}
               >
                 <Upload className={`h-8 w-8 ${selectedFile ? 'text-primary-500' : 'text-gray-400'} mx-auto mb-2`} />
                 <p className="text-sm text-gray-600 mb-2">Drag and drop your file here, or click to browse</p>
-                <p className="text-xs text-gray-500">PDF, DOCX, TXT (Max 10MB)</p>
+                <p className="text-xs text-gray-500">PDF, DOCX, PPTX, XLSX, CSV, TXT, HTML, Markdown, images (Max 10MB)</p>
                 <input 
                   type="file" 
                   name="file"
@@ -589,7 +957,7 @@ export const DocumentsPage: React.FC = () => {
                   id="file-upload" 
                   required 
                   onChange={handleFileSelect}
-                  accept=".pdf,.docx,.txt"
+                  accept={ACCEPTED_EXTENSIONS.join(',')}
                 />
                 {selectedFile ? (
                   <div className="mt-4">
@@ -696,6 +1064,38 @@ export const DocumentsPage: React.FC = () => {
                   placeholder="e.g. website, reference"
                 />
               </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="url-crawl-depth" className="block text-sm font-medium text-gray-700 mb-1">
+                    Include
+                  </label>
+                  <select
+                    id="url-crawl-depth"
+                    name="crawlDepth"
+                    defaultValue={0}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+                  >
+                    {CRAWL_DEPTH_OPTIONS.map(({ value, label }) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="url-refresh" className="block text-sm font-medium text-gray-700 mb-1">
+                    Check for changes
+                  </label>
+                  <select
+                    id="url-refresh"
+                    name="refreshIntervalHours"
+                    defaultValue={168}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+                  >
+                    {REFRESH_OPTIONS.map(({ value, label }) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
               <Button type="submit" className="w-full">Add URL</Button>
             </form>
           </div>
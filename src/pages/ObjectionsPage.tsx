@@ -0,0 +1,210 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { RefreshCw, ShieldAlert, ChevronDown, ChevronUp } from 'lucide-react';
+import { Card } from '../components/ui/Card';
+import { Button } from '../components/ui/Button';
+import { APIService } from '../lib/api';
+import { Objection, ObjectionTopic } from '../types';
+
+const TOPICS: ObjectionTopic[] = [
+  'pricing',
+  'competition',
+  'timing',
+  'authority',
+  'need',
+  'security',
+  'integration',
+  'contract',
+  'other'
+];
+
+const percent = (value: number | null) =>
+  value === null ? '–' : `${Math.round(value * 100)}%`;
+
+// Seconds from the call's start as m:ss
+const formatOffset = (seconds: number) =>
+  `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+
+export const ObjectionsPage: React.FC = () => {
+  const [objections, setObjections] = useState<Objection[]>([]);
+  const [topic, setTopic] = useState<ObjectionTopic | ''>('');
+  const [expanded, setExpanded] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [mining, setMining] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchObjections = async () => {
+    try {
+      setLoading(true);
+      const response = await APIService.getObjections(topic || undefined);
+      setObjections(response.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching objections:', err);
+      setError('Failed to load the objection library.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchObjections();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [topic]);
+
+  const handleMine = async () => {
+    try {
+      setMining(true);
+      const { data: job } = await APIService.mineObjections();
+      const finished = await APIService.waitForJob(job.id);
+      if (finished.status === 'dead') {
+        setError(finished.error || 'Mining your calls failed.');
+        return;
+      }
+      await fetchObjections();
+    } catch (err) {
+      console.error('Error mining objections:', err);
+      setError('Mining your calls failed.');
+    } finally {
+      setMining(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6 p-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Objection Library</h1>
+          <p className="text-gray-600 mt-1">
+            Objections prospects raised on your calls and the answers that worked best. Live suggestions draw on it first.
+          </p>
+        </div>
+        <Button variant="primary" onClick={handleMine} disabled={mining}>
+          <RefreshCw className={`h-4 w-4 mr-2 ${mining ? 'animate-spin' : ''}`} />
+          {mining ? 'Analyzing calls...' : 'Rebuild from calls'}
+        </Button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 p-4 text-sm text-red-700">{error}</div>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          className={`px-3 py-1 rounded-full text-sm ${topic === '' ? 'bg-primary-600 text-white' : 'bg-gray-100 text-gray-700'}`}
+          onClick={() => setTopic('')}
+        >
+          All topics
+        </button>
+        {TOPICS.map(value => (
+          <button
+            key={value}
+            className={`px-3 py-1 rounded-full text-sm capitalize ${topic === value ? 'bg-primary-600 text-white' : 'bg-gray-100 text-gray-700'}`}
+            onClick={() => setTopic(value)}
+          >
+            {value}
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-primary-600"></div>
+        </div>
+      ) : objections.length === 0 ? (
+        <Card>
+          <div className="text-center py-8 text-gray-500">
+            <ShieldAlert className="h-10 w-10 mx-auto mb-3 text-gray-400" />
+            No objections found yet. They are collected from your completed calls; rebuild to analyze them now.
+          </div>
+        </Card>
+      ) : (
+        <div className="space-y-4">
+          {objections.map(objection => {
+            const isOpen = expanded === objection.id;
+            return (
+              <Card key={objection.id}>
+                <button
+                  className="w-full text-left"
+                  onClick={() => setExpanded(isOpen ? null : objection.id)}
+                >
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <span className="inline-block px-2 py-0.5 mb-2 bg-gray-100 text-gray-600 text-xs rounded-md capitalize">
+                        {objection.topic}
+                      </span>
+                      <p className="text-gray-900 font-medium">"{objection.label}"</p>
+                    </div>
+                    <div className="flex items-center gap-4 flex-shrink-0 text-sm text-gray-600">
+                      <span>
+                        <span className="font-semibold text-gray-900">{objection.frequency}</span> times
+                      </span>
+                      <span>
+                        <span className="font-semibold text-gray-900">{objection.callCount}</span> calls
+                      </span>
+                      {isOpen ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+                    </div>
+                  </div>
+                </button>
+
+                {isOpen && (
+                  <div className="mt-4 grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    <div>
+                      <h3 className="text-sm font-semibold text-gray-900 mb-2">Best answers</h3>
+                      {objection.responses.length === 0 ? (
+                        <p className="text-sm text-gray-500">No answers recorded.</p>
+                      ) : (
+                        <ol className="space-y-3">
+                          {objection.responses.map((response, index) => (
+                            <li key={index} className="rounded-lg border border-gray-200 p-3">
+                              <p className="text-sm text-gray-800">{response.text}</p>
+                              <div className="flex items-center justify-between mt-2 text-xs text-gray-500">
+                                <span>
+                                  {response.speaker}
+                                  {response.uses > 1 && ` · used ${response.uses}×`}
+                                  {' · '}call score {percent(response.outcome)}
+                                  {' · '}feedback {percent(response.feedback)}
+                                </span>
+                                <Link to={response.link} className="text-primary-600 hover:underline">
+                                  Listen in context
+                                </Link>
+                              </div>
+                            </li>
+                          ))}
+                        </ol>
+                      )}
+                    </div>
+                    <div>
+                      <h3 className="text-sm font-semibold text-gray-900 mb-2">Example moments</h3>
+                      <ul className="space-y-2">
+                        {objection.examples.map((example, index) => (
+                          <li key={index}>
+                            <Link
+                              to={example.link}
+                              className="block rounded-lg hover:bg-gray-50 -mx-2 px-2 py-1"
+                            >
+                              <div className="text-xs text-gray-500">
+                                <span className="font-medium text-gray-700">{example.callTitle}</span>
+                                {' · '}{new Date(example.timestamp).toLocaleDateString()}
+                                {example.offset !== null && ` · ${formatOffset(example.offset)}`}
+                              </div>
+                              <p className="text-sm text-gray-800">
+                                <span className="font-medium">{example.speaker}: </span>
+                                {example.text}
+                              </p>
+                            </Link>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  </div>
+                )}
+              </Card>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,410 @@
+import React, { useEffect, useState } from 'react';
+import { ClipboardList, Plus, Trash2, Star, Pencil } from 'lucide-react';
+import { Card } from '../components/ui/Card';
+import { Button } from '../components/ui/Button';
+import { Modal } from '../components/ui/Modal';
+import { APIService } from '../lib/api';
+import { useAuth } from '../contexts/AuthContext';
+import { Scorecard, ScorecardFramework, ScorecardTemplate } from '../types';
+
+interface CriterionDraft {
+  key: string;
+  label: string;
+  description: string;
+  weight: number;
+  keywords: string; // comma separated while editing
+}
+
+interface ScorecardDraft {
+  id: string | null;
+  name: string;
+  description: string;
+  framework: ScorecardFramework;
+  criteria: CriterionDraft[];
+}
+
+// Criterion keys are snake_case and stay fixed once saved, so evidence on
+// earlier calls still lines up
+const toKey = (label: string) =>
+  label
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+const toDraft = (scorecard: Scorecard | ScorecardTemplate, id: string | null): ScorecardDraft => ({
+  id,
+  name: scorecard.name,
+  description: scorecard.description || '',
+  framework: scorecard.framework,
+  criteria: scorecard.criteria.map(criterion => ({
+    key: criterion.key,
+    label: criterion.label,
+    description: criterion.description || '',
+    weight: criterion.weight,
+    keywords: (criterion.keywords || []).join(', ')
+  }))
+});
+
+const emptyDraft = (): ScorecardDraft => ({
+  id: null,
+  name: '',
+  description: '',
+  framework: 'custom',
+  criteria: [{ key: '', label: '', description: '', weight: 1, keywords: '' }]
+});
+
+export const ScorecardsPage: React.FC = () => {
+  const { profile } = useAuth();
+  const isAdmin = profile?.role === 'admin';
+
+  const [scorecards, setScorecards] = useState<Scorecard[]>([]);
+  const [templates, setTemplates] = useState<ScorecardTemplate[]>([]);
+  const [defaultTemplate, setDefaultTemplate] = useState<string>('none');
+  const [draft, setDraft] = useState<ScorecardDraft | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchScorecards = async () => {
+    try {
+      setLoading(true);
+      const response = await APIService.getScorecards();
+      setScorecards(response.data.scorecards);
+      setTemplates(response.data.templates);
+      setDefaultTemplate(response.data.defaultTemplate);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching scorecards:', err);
+      setError('Failed to load scorecards.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchScorecards();
+  }, []);
+
+  const updateCriterion = (index: number, changes: Partial<CriterionDraft>) => {
+    if (!draft) return;
+    setDraft({
+      ...draft,
+      criteria: draft.criteria.map((criterion, i) =>
+        i === index ? { ...criterion, ...changes } : criterion
+      )
+    });
+  };
+
+  const handleSave = async () => {
+    if (!draft) return;
+    const payload = {
+      name: draft.name.trim(),
+      description: draft.description.trim(),
+      framework: draft.framework,
+      criteria: draft.criteria
+        .filter(criterion => criterion.label.trim())
+        .map(criterion => ({
+          key: criterion.key || toKey(criterion.label),
+          label: criterion.label.trim(),
+          description: criterion.description.trim(),
+          weight: Number(criterion.weight) || 1,
+          keywords: criterion.keywords
+            .split(',')
+            .map(keyword => keyword.trim().toLowerCase())
+            .filter(Boolean)
+        }))
+    };
+
+    try {
+      setSaving(true);
+      if (draft.id) {
+        await APIService.updateScorecard(draft.id, payload);
+      } else {
+        await APIService.createScorecard(payload);
+      }
+      setDraft(null);
+      await fetchScorecards();
+    } catch (err) {
+      console.error('Error saving scorecard:', err);
+      const message = (err as { response?: { data?: { message?: string } } }).response?.data?.message;
+      setError(message || 'Saving the scorecard failed.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSetDefault = async (scorecard: Scorecard) => {
+    try {
+      await APIService.setDefaultScorecard(scorecard.id);
+      await fetchScorecards();
+    } catch (err) {
+      console.error('Error setting the default scorecard:', err);
+      setError('Setting the default scorecard failed.');
+    }
+  };
+
+  const handleDelete = async (scorecard: Scorecard) => {
+    if (!window.confirm(`Delete the "${scorecard.name}" scorecard? Calls already tracked keep their results.`)) {
+      return;
+    }
+    try {
+      await APIService.deleteScorecard(scorecard.id);
+      await fetchScorecards();
+    } catch (err) {
+      console.error('Error deleting scorecard:', err);
+      setError('Deleting the scorecard failed.');
+    }
+  };
+
+  const defaultScorecard = scorecards.find(scorecard => scorecard.isDefault);
+  const fallbackTemplate = templates.find(template => template.framework === defaultTemplate);
+
+  return (
+    <div className="space-y-6 p-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Scorecards</h1>
+          <p className="text-gray-600 mt-1">
+            The qualification checklist reps see during calls. New calls are tracked against{' '}
+            {defaultScorecard
+              ? `"${defaultScorecard.name}"`
+              : fallbackTemplate
+              ? `the built-in ${fallbackTemplate.name} template`
+              : 'no scorecard'}
+            .
+          </p>
+        </div>
+        {isAdmin && (
+          <Button variant="primary" onClick={() => setDraft(emptyDraft())}>
+            <Plus className="h-4 w-4 mr-2" />
+            New scorecard
+          </Button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 p-4 text-sm text-red-700">{error}</div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-primary-600"></div>
+        </div>
+      ) : (
+        <>
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 mb-3">Your scorecards</h2>
+            {scorecards.length === 0 ? (
+              <Card>
+                <div className="text-center py-8 text-gray-500">
+                  <ClipboardList className="h-10 w-10 mx-auto mb-3 text-gray-400" />
+                  No scorecards yet.{' '}
+                  {isAdmin ? 'Start from a template below or build your own.' : 'An admin can set them up.'}
+                </div>
+              </Card>
+            ) : (
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                {scorecards.map(scorecard => (
+                  <Card key={scorecard.id}>
+                    <div className="flex items-start justify-between">
+                      <div>
+                        <h3 className="font-semibold text-gray-900">
+                          {scorecard.name}
+                          {scorecard.isDefault && (
+                            <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-primary-100 text-primary-700">
+                              Default
+                            </span>
+                          )}
+                        </h3>
+                        <p className="text-xs text-gray-500 uppercase mt-0.5">{scorecard.framework}</p>
+                      </div>
+                      {isAdmin && (
+                        <div className="flex items-center space-x-2">
+                          {!scorecard.isDefault && (
+                            <button
+                              className="text-gray-400 hover:text-primary-600"
+                              title="Make default"
+                              onClick={() => handleSetDefault(scorecard)}
+                            >
+                              <Star className="h-4 w-4" />
+                            </button>
+                          )}
+                          <button
+                            className="text-gray-400 hover:text-primary-600"
+                            title="Edit"
+                            onClick={() => setDraft(toDraft(scorecard, scorecard.id))}
+                          >
+                            <Pencil className="h-4 w-4" />
+                          </button>
+                          <button
+                            className="text-gray-400 hover:text-red-600"
+                            title="Delete"
+                            onClick={() => handleDelete(scorecard)}
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                    {scorecard.description && (
+                      <p className="text-sm text-gray-600 mt-2">{scorecard.description}</p>
+                    )}
+                    <ul className="mt-3 space-y-1">
+                      {scorecard.criteria.map(criterion => (
+                        <li key={criterion.key} className="text-sm text-gray-700">
+                          • {criterion.label}
+                          {criterion.weight !== 1 && (
+                            <span className="ml-1 text-xs text-gray-500">×{criterion.weight}</span>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </Card>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 mb-3">Built-in templates</h2>
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+              {templates.map(template => (
+                <Card key={template.framework}>
+                  <div className="flex items-start justify-between">
+                    <h3 className="font-semibold text-gray-900">{template.name}</h3>
+                    {isAdmin && (
+                      <Button
+                        variant="secondary"
+                        size="sm"
+                        onClick={() => setDraft(toDraft(template, null))}
+                      >
+                        Use template
+                      </Button>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-600 mt-2">{template.description}</p>
+                  <ul className="mt-3 space-y-1">
+                    {template.criteria.map(criterion => (
+                      <li key={criterion.key} className="text-sm text-gray-700" title={criterion.description}>
+                        • {criterion.label}
+                      </li>
+                    ))}
+                  </ul>
+                </Card>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+
+      <Modal
+        isOpen={draft !== null}
+        onClose={() => setDraft(null)}
+        title={draft?.id ? 'Edit scorecard' : 'New scorecard'}
+        size="xl"
+      >
+        {draft && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input
+                  value={draft.name}
+                  onChange={e => setDraft({ ...draft, name: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <input
+                  value={draft.description}
+                  onChange={e => setDraft({ ...draft, description: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+              </div>
+            </div>
+
+            <div>
+              <p className="text-sm font-medium text-gray-700 mb-1">Criteria</p>
+              <p className="text-xs text-gray-500 mb-2">
+                Keywords mark a criterion covered while the call is live; the full review after the call decides from the whole conversation.
+              </p>
+              <div className="space-y-3 max-h-96 overflow-y-auto">
+                {draft.criteria.map((criterion, index) => (
+                  <div key={index} className="p-3 border border-gray-200 rounded-lg space-y-2">
+                    <div className="flex items-center space-x-2">
+                      <input
+                        placeholder="Label"
+                        value={criterion.label}
+                        onChange={e => updateCriterion(index, { label: e.target.value })}
+                        className="flex-1 px-3 py-1.5 border border-gray-300 rounded-md text-sm"
+                      />
+                      <input
+                        type="number"
+                        min={0}
+                        step={0.5}
+                        title="Weight"
+                        value={criterion.weight}
+                        onChange={e => updateCriterion(index, { weight: Number(e.target.value) })}
+                        className="w-20 px-3 py-1.5 border border-gray-300 rounded-md text-sm"
+                      />
+                      <button
+                        className="text-gray-400 hover:text-red-600"
+                        title="Remove"
+                        onClick={() =>
+                          setDraft({ ...draft, criteria: draft.criteria.filter((_, i) => i !== index) })
+                        }
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                    <input
+                      placeholder="What the rep should establish"
+                      value={criterion.description}
+                      onChange={e => updateCriterion(index, { description: e.target.value })}
+                      className="w-full px-3 py-1.5 border border-gray-300 rounded-md text-sm"
+                    />
+                    <input
+                      placeholder="Keywords, comma separated"
+                      value={criterion.keywords}
+                      onChange={e => updateCriterion(index, { keywords: e.target.value })}
+                      className="w-full px-3 py-1.5 border border-gray-300 rounded-md text-sm"
+                    />
+                  </div>
+                ))}
+              </div>
+              <Button
+                variant="secondary"
+                size="sm"
+                className="mt-2"
+                onClick={() =>
+                  setDraft({
+                    ...draft,
+                    criteria: [...draft.criteria, { key: '', label: '', description: '', weight: 1, keywords: '' }]
+                  })
+                }
+              >
+                <Plus className="h-4 w-4 mr-1" />
+                Add criterion
+              </Button>
+            </div>
+
+            <div className="flex justify-end space-x-3 pt-2">
+              <Button variant="secondary" onClick={() => setDraft(null)}>
+                Cancel
+              </Button>
+              <Button
+                variant="primary"
+                onClick={handleSave}
+                disabled={saving || !draft.name.trim() || !draft.criteria.some(criterion => criterion.label.trim())}
+              >
+                {saving ? 'Saving...' : 'Save scorecard'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+};
@@ -0,0 +1,352 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Search, MessageSquare, Bot, FileText, ExternalLink } from 'lucide-react';
+import { Card } from '../components/ui/Card';
+import { Button } from '../components/ui/Button';
+import { APIService } from '../lib/api';
+import { SearchMode, SearchResultType, SearchResults } from '../types';
+
+const RESULT_TYPES: { value: SearchResultType; label: string }[] = [
+  { value: 'transcripts', label: 'Transcripts' },
+  { value: 'suggestions', label: 'AI suggestions' },
+  { value: 'documents', label: 'Documents' }
+];
+
+// Seconds from the call's start as m:ss
+const formatOffset = (seconds: number) =>
+  `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+
+const escapeRegExp = (value: string) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Marks the query's words in a result snippet
+const Highlighted: React.FC<{ text: string; query: string }> = ({ text, query }) => {
+  const terms = query.split(/\s+/).filter(term => term.length > 1).map(escapeRegExp);
+  if (terms.length === 0) return <>{text}</>;
+
+  const pattern = new RegExp(`(${terms.join('|')})`, 'gi');
+  return (
+    <>
+      {text.split(pattern).map((part, index) =>
+        index % 2 === 1 ? (
+          <mark key={index} className="bg-yellow-200 rounded px-0.5">{part}</mark>
+        ) : (
+          <React.Fragment key={index}>{part}</React.Fragment>
+        )
+      )}
+    </>
+  );
+};
+
+export const SearchPage: React.FC = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [query, setQuery] = useState(searchParams.get('q') || '');
+  const [mode, setMode] = useState<SearchMode>(
+    searchParams.get('mode') === 'semantic' ? 'semantic' : 'keyword'
+  );
+  const [types, setTypes] = useState<SearchResultType[]>(RESULT_TYPES.map(type => type.value));
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [speaker, setSpeaker] = useState('');
+  const [platform, setPlatform] = useState('');
+  const [tag, setTag] = useState('');
+  const [filterOptions, setFilterOptions] = useState<{ platforms: string[]; tags: string[] }>({
+    platforms: [],
+    tags: []
+  });
+  const [results, setResults] = useState<SearchResults | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    APIService.getSearchFilters()
+      .then(response => setFilterOptions(response.data))
+      .catch(err => console.error('Error fetching search filters:', err));
+  }, []);
+
+  const runSearch = async (q: string) => {
+    if (!q.trim()) return;
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await APIService.search({
+        q: q.trim(),
+        mode,
+        types,
+        from: from || undefined,
+        to: to || undefined,
+        speaker: speaker.trim() || undefined,
+        platform: platform || undefined,
+        tag: tag || undefined
+      });
+      setResults(response.data);
+    } catch (err) {
+      console.error('Search failed:', err);
+      const message = (err as { response?: { data?: { message?: string } } })
+        .response?.data?.message;
+      setError(message || 'Search failed. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run the search from a shared link
+  useEffect(() => {
+    const initial = searchParams.get('q');
+    if (initial) runSearch(initial);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const handleSubmit = (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    setSearchParams(query.trim() ? { q: query.trim(), mode } : {});
+    runSearch(query);
+  };
+
+  const toggleType = (type: SearchResultType) => {
+    setTypes(prev =>
+      prev.includes(type) ? prev.filter(t => t !== type) : [...prev, type]
+    );
+  };
+
+  const total = results
+    ? results.transcripts.length + results.suggestions.length + results.documents.length
+    : 0;
+  const highlight = results?.mode === 'keyword' ? results.query : '';
+
+  return (
+    <div className="space-y-6 p-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Search</h1>
+        <p className="text-gray-600 mt-1">
+          Find what was said on your calls, what the assistant suggested and what your documents say.
+        </p>
+      </div>
+
+      <Card>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="flex gap-3">
+            <div className="relative flex-1">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+              <input
+                type="text"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder='e.g. "SOC2" or "concerns about onboarding time"'
+                className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              />
+            </div>
+            <div className="inline-flex rounded-lg border border-gray-300 p-1">
+              {(['keyword', 'semantic'] as SearchMode[]).map(value => (
+                <button
+                  key={value}
+                  type="button"
+                  className={`px-3 py-1 rounded-md text-sm capitalize ${mode === value ? 'bg-primary-600 text-white' : 'text-gray-600'}`}
+                  title={value === 'keyword' ? 'Match the exact words' : 'Match the meaning'}
+                  onClick={() => setMode(value)}
+                >
+                  {value}
+                </button>
+              ))}
+            </div>
+            <Button type="submit" disabled={loading || !query.trim() || types.length === 0}>
+              {loading ? 'Searching...' : 'Search'}
+            </Button>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-4 text-sm">
+            {RESULT_TYPES.map(type => (
+              <label key={type.value} className="flex items-center gap-1 text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={types.includes(type.value)}
+                  onChange={() => toggleType(type.value)}
+                />
+                {type.label}
+              </label>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3 text-sm">
+            <label className="text-gray-600">
+              From
+              <input
+                type="date"
+                value={from}
+                onChange={(e) => setFrom(e.target.value)}
+                className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-md"
+              />
+            </label>
+            <label className="text-gray-600">
+              To
+              <input
+                type="date"
+                value={to}
+                onChange={(e) => setTo(e.target.value)}
+                className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-md"
+              />
+            </label>
+            <label className="text-gray-600">
+              Speaker
+              <input
+                type="text"
+                value={speaker}
+                onChange={(e) => setSpeaker(e.target.value)}
+                placeholder="Any"
+                className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-md"
+              />
+            </label>
+            <label className="text-gray-600">
+              Platform
+              <select
+                value={platform}
+                onChange={(e) => setPlatform(e.target.value)}
+                className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-md"
+              >
+                <option value="">Any</option>
+                {filterOptions.platforms.map(value => (
+                  <option key={value} value={value}>{value}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-gray-600">
+              Tag
+              <select
+                value={tag}
+                onChange={(e) => setTag(e.target.value)}
+                className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-md"
+              >
+                <option value="">Any</option>
+                {filterOptions.tags.map(value => (
+                  <option key={value} value={value}>{value}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          {(speaker.trim() || platform) && (
+            <p className="text-xs text-gray-500">
+              {speaker.trim() ? 'Speaker' : 'Platform'} filters only apply to calls, so documents
+              {speaker.trim() ? ' and AI suggestions' : ''} are left out.
+            </p>
+          )}
+        </form>
+      </Card>
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 p-4 text-sm text-red-700">{error}</div>
+      )}
+
+      {results && !loading && (
+        <div className="space-y-6">
+          <p className="text-sm text-gray-600">
+            {total === 0
+              ? `No results for "${results.query}".`
+              : `${total} result${total === 1 ? '' : 's'} for "${results.query}"`}
+          </p>
+          {results.semantic && results.semantic.capped.length > 0 && (
+            <p className="text-xs text-gray-500">
+              Only the {results.semantic.candidateLimit} most recent {results.semantic.capped.join(' and ')} were
+              ranked. Narrow the dates or filters to reach older calls.
+            </p>
+          )}
+          {results.semantic && results.semantic.pendingEmbeddings > 0 && (
+            <p className="text-xs text-gray-500">
+              {results.semantic.pendingEmbeddings} transcript line(s) and suggestion(s) are still being indexed
+              and aren&apos;t included yet.
+            </p>
+          )}
+
+          {results.transcripts.length > 0 && (
+            <Card>
+              <h2 className="flex items-center text-lg font-semibold text-gray-900 mb-4">
+                <MessageSquare className="h-5 w-5 mr-2 text-primary-600" />
+                Transcripts
+              </h2>
+              <ul className="divide-y divide-gray-100">
+                {results.transcripts.map(hit => (
+                  <li key={hit.id} className="py-3">
+                    <Link to={hit.link} className="block hover:bg-gray-50 rounded-lg -mx-2 px-2 py-1">
+                      <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
+                        <span>
+                          <span className="font-medium text-gray-700">{hit.call.title}</span>
+                          {hit.call.platform && ` · ${hit.call.platform}`}
+                          {' · '}{new Date(hit.timestamp).toLocaleString()}
+                        </span>
+                        {hit.offset !== null && (
+                          <span className="font-mono">{formatOffset(hit.offset)}</span>
+                        )}
+                      </div>
+                      <p className="text-sm text-gray-800">
+                        <span className="font-medium">{hit.speaker}: </span>
+                        <Highlighted text={hit.snippet} query={highlight} />
+                      </p>
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            </Card>
+          )}
+
+          {results.suggestions.length > 0 && (
+            <Card>
+              <h2 className="flex items-center text-lg font-semibold text-gray-900 mb-4">
+                <Bot className="h-5 w-5 mr-2 text-primary-600" />
+                AI suggestions
+              </h2>
+              <ul className="divide-y divide-gray-100">
+                {results.suggestions.map(hit => (
+                  <li key={hit.id} className="py-3">
+                    <Link to={hit.link} className="block hover:bg-gray-50 rounded-lg -mx-2 px-2 py-1">
+                      <div className="text-xs text-gray-500 mb-1">
+                        <span className="font-medium text-gray-700">{hit.call.title}</span>
+                        {' · '}{hit.suggestionType.replace(/_/g, ' ')}
+                        {' · '}{new Date(hit.timestamp).toLocaleString()}
+                      </div>
+                      <p className="text-sm text-gray-800">
+                        <Highlighted text={hit.snippet} query={highlight} />
+                      </p>
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            </Card>
+          )}
+
+          {results.documents.length > 0 && (
+            <Card>
+              <h2 className="flex items-center text-lg font-semibold text-gray-900 mb-4">
+                <FileText className="h-5 w-5 mr-2 text-primary-600" />
+                Documents
+              </h2>
+              <ul className="divide-y divide-gray-100">
+                {results.documents.map(hit => (
+                  <li key={`${hit.id}-${hit.chunkIndex}`} className="py-3">
+                    <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
+                      <span>
+                        <span className="font-medium text-gray-700">{hit.name}</span>
+                        {hit.version && ` · v${hit.version}`}
+                        {hit.team && ' · shared'}
+                      </span>
+                      <a
+                        href={hit.documentType === 'url' && hit.url ? hit.url : APIService.getDocumentDownloadUrl(hit.id)}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="flex items-center text-primary-600 hover:underline"
+                      >
+                        Open
+                        <ExternalLink className="h-3 w-3 ml-1" />
+                      </a>
+                    </div>
+                    <p className="text-sm text-gray-800">
+                      <Highlighted text={hit.snippet} query={highlight} />
+                    </p>
+                  </li>
+                ))}
+              </ul>
+            </Card>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
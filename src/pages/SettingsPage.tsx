@@ -15,10 +15,40 @@ import {
 import { Card } from '../components/ui/Card';
 import { Button } from '../components/ui/Button';
 import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+
+type SuggestionFrequency = 'high' | 'medium' | 'low' | 'manual';
 
 export const SettingsPage: React.FC = () => {
-  const { user } = useAuth();
+  const { user, updateProfile } = useAuth();
+  const { showToast } = useToast();
   const [activeTab, setActiveTab] = useState<'profile' | 'ai' | 'audio' | 'notifications' | 'security'>('profile');
+  const [suggestionFrequency, setSuggestionFrequency] = useState<SuggestionFrequency>(
+    user?.preferences?.aiSuggestionFrequency || 'medium'
+  );
+  // Stored as 0.5–0.95 on the user, shown as a percentage
+  const [confidenceThreshold, setConfidenceThreshold] = useState<number>(
+    Math.round((user?.preferences?.confidenceThreshold ?? 0.8) * 100)
+  );
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await updateProfile({
+        preferences: {
+          aiSuggestionFrequency: suggestionFrequency,
+          confidenceThreshold: confidenceThreshold / 100,
+        },
+      });
+      showToast('Settings saved', 'success');
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+      showToast(error instanceof Error ? error.message : 'Failed to save settings', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
 
   const tabs = [
     { id: 'profile', name: 'Profile', icon: User },
@@ -128,11 +158,15 @@ export const SettingsPage: React.FC = () => {
                   <label className="block text-sm font-medium text-gray-700 mb-2">
                     Suggestion Frequency
                   </label>
-                  <select className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500 focus:border-transparent">
-                    <option>High - Every 30 seconds</option>
-                    <option>Medium - Every 60 seconds</option>
-                    <option>Low - Every 2 minutes</option>
-                    <option>Manual - On demand only</option>
+                  <select
+                    value={suggestionFrequency}
+                    onChange={(e) => setSuggestionFrequency(e.target.value as SuggestionFrequency)}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  >
+                    <option value="high">High - Every 30 seconds</option>
+                    <option value="medium">Medium - Every 60 seconds</option>
+                    <option value="low">Low - Every 2 minutes</option>
+                    <option value="manual">Manual - On demand only</option>
                   </select>
                 </div>
 
@@ -145,10 +179,11 @@ export const SettingsPage: React.FC = () => {
                       type="range"
                       min="50"
                       max="95"
-                      defaultValue="80"
+                      value={confidenceThreshold}
+                      onChange={(e) => setConfidenceThreshold(Number(e.target.value))}
                       className="flex-1 h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
                     />
-                    <span className="text-sm font-medium text-gray-700 w-12">80%</span>
+                    <span className="text-sm font-medium text-gray-700 w-12">{confidenceThreshold}%</span>
                   </div>
                   <p className="text-xs text-gray-500 mt-1">
                     Only show suggestions with confidence above this threshold
@@ -410,7 +445,7 @@ export const SettingsPage: React.FC = () => {
             </motion.div>
 
             <div className="flex justify-end pt-6 mt-6 border-t border-gray-200">
-              <Button variant="primary">
+              <Button variant="primary" onClick={handleSave} loading={saving}>
                 <Save className="h-4 w-4 mr-2" />
                 Save Changes
               </Button>
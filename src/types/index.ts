@@ -70,48 +70,88 @@ export interface AISuggestion {
   context: string;
   reasoning?: string;
   priority?: 'low' | 'medium' | 'high' | 'urgent';
+  customerSentiment?: 'positive' | 'neutral' | 'negative';
+  intent?: string;
+  conversationPhase?: string;
   timestamp: Date;
   used: boolean;
   usedAt?: Date;
+  // True while the suggestion text is still streaming in
+  streaming?: boolean;
+  // Objection catalog entry whose proven answers grounded the suggestion
+  objection?: { id: string; label: string; frequency: number } | null;
   feedback?: {
     rating: number;
     comment: string;
   };
 }
 
+// Item extracted from a document, with the pages (PDFs) or chunks it came from
+export interface CitedItem {
+  text: string;
+  pages?: number[];
+  chunks?: number[];
+}
+
 export interface Document {
   _id: string;
   name: string;
-  type: 'pdf' | 'url' | 'text' | 'doc' | 'docx' | 'image';
+  team?: string | null; // shared library; personal when unset
+  folder?: string | null;
+  access?: TeamRole; // the signed-in user's access
+  type: 'pdf' | 'url' | 'text' | 'doc' | 'docx' | 'pptx' | 'xlsx' | 'csv' | 'html' | 'markdown' | 'image';
   url?: string;
   filePath?: string;
   content?: string;
   extractedText?: string;
   processed: boolean;
   processingStatus: 'pending' | 'processing' | 'completed' | 'failed';
+  processingError?: string;
+  processingJob?: string;
   tags: string[];
   fileSize?: number;
   mimeType?: string;
+  fileName?: string;
+  currentVersion?: number;
   metadata?: {
     pageCount?: number;
+    sheetCount?: number;
     wordCount?: number;
+    ocr?: boolean;
     language?: string;
     author?: string;
     createdDate?: Date;
   };
   aiContext?: {
-    keyFeatures: string[];
-    benefits: string[];
-    pricingInfo: string[];
-    useCases: string[];
-    competitiveAdvantages: string[];
+    keyFeatures: CitedItem[];
+    benefits: CitedItem[];
+    pricingInfo: CitedItem[];
+    useCases: CitedItem[];
+    competitiveAdvantages: CitedItem[];
     objectionResponses: Array<{
       objection: string;
       response: string;
+      pages?: number[];
+      chunks?: number[];
     }>;
     detailedSummary?: string;
-    targetAudience?: string[];
-    successStories?: string[];
+    targetAudience?: CitedItem[];
+    successStories?: CitedItem[];
+    chunkCount?: number;
+    chunksProcessed?: number;
+    extractedAt?: string;
+  };
+  web?: {
+    crawlDepth: number;
+    maxPages?: number;
+    refreshIntervalHours: number;
+    lastFetchedAt?: string;
+    nextFetchAt?: string;
+    lastChangedAt?: string;
+    lastError?: string;
+    pages: Array<{ url: string; title?: string }>;
+    skipped: Array<{ url: string; reason: string }>;
+    changes: WebContentChange[];
   };
   accessCount: number;
   lastAccessed?: Date;
@@ -119,6 +159,347 @@ export interface Document {
   updatedAt: string;
 }
 
+// Change detected when a URL document was re-fetched; diff is a unified diff
+export interface WebContentChange {
+  _id?: string;
+  detectedAt: string;
+  added: number;
+  removed: number;
+  diff: string;
+}
+
+// Access levels in a team library, lowest first
+export type TeamRole = 'viewer' | 'editor' | 'owner';
+
+export interface TeamMember {
+  user: string;
+  name?: string;
+  email?: string;
+  avatarUrl?: string;
+  role: TeamRole;
+  addedAt: string;
+}
+
+export interface Team {
+  id: string;
+  name: string;
+  description?: string;
+  role: TeamRole; // the signed-in user's role
+  members: TeamMember[];
+  createdAt: string;
+}
+
+export interface DocumentFolder {
+  _id: string;
+  name: string;
+  team: string | null;
+  parent: string | null;
+}
+
+// Snapshot of a document after a processing run (without its text)
+export interface DocumentVersion {
+  _id: string;
+  document: string;
+  version: number;
+  reason: 'created' | 'new_file' | 'reprocess' | 'content_changed' | 'rollback';
+  restoredFrom?: number;
+  note?: string;
+  type: Document['type'];
+  fileName?: string;
+  fileSize?: number;
+  url?: string;
+  metadata?: { pageCount?: number; sheetCount?: number; wordCount?: number; ocr?: boolean };
+  createdAt: string;
+}
+
+// Changes between two versions: unified diff of the text and aiContext items
+export interface DocumentVersionDiff {
+  from: number;
+  to: number;
+  added: number;
+  removed: number;
+  diff: string;
+  aiContext: Record<string, { added?: string[]; removed?: string[]; before?: string; after?: string }>;
+}
+
+// Background job (document processing, summaries, enrichment, recordings)
+export interface Job<Result = Record<string, unknown>> {
+  id: string;
+  type: string;
+  resource: { kind: string; id: string } | null;
+  status: 'queued' | 'running' | 'completed' | 'dead';
+  stage: string | null;
+  progress: number;
+  attempts: number;
+  maxAttempts: number;
+  runAt: string;
+  error: string | null;
+  result: Result;
+  createdAt: string;
+  startedAt?: string;
+  finishedAt?: string;
+}
+
+export type ObjectionTopic =
+  | 'pricing'
+  | 'competition'
+  | 'timing'
+  | 'authority'
+  | 'need'
+  | 'security'
+  | 'integration'
+  | 'contract'
+  | 'other';
+
+export interface ObjectionResponse {
+  text: string;
+  speaker: string;
+  uses: number;
+  outcome: number | null;
+  feedback: number | null;
+  score: number;
+  link: string;
+}
+
+export interface ObjectionExample {
+  callTitle: string;
+  speaker: string;
+  text: string;
+  timestamp: string;
+  offset: number | null;
+  link: string;
+}
+
+export interface Objection {
+  id: string;
+  topic: ObjectionTopic;
+  label: string;
+  frequency: number;
+  callCount: number;
+  lastSeenAt: string;
+  responses: ObjectionResponse[];
+  examples: ObjectionExample[];
+  updatedAt: string;
+}
+
+export type SearchMode = 'keyword' | 'semantic';
+export type SearchResultType = 'transcripts' | 'suggestions' | 'documents';
+
+export interface SearchParams {
+  q: string;
+  mode?: SearchMode;
+  types?: SearchResultType[];
+  from?: string;
+  to?: string;
+  speaker?: string;
+  platform?: string;
+  tag?: string;
+  limit?: number;
+}
+
+export interface SearchCallRef {
+  id: string;
+  title: string;
+  startTime?: string;
+  platform?: string;
+}
+
+export interface TranscriptSearchHit {
+  type: 'transcript';
+  id: string;
+  text: string;
+  snippet: string;
+  speaker: string;
+  score?: number;
+  timestamp: string;
+  offset: number | null;
+  call: SearchCallRef;
+  link: string;
+}
+
+export interface SuggestionSearchHit {
+  type: 'suggestion';
+  id: string;
+  text: string;
+  snippet: string;
+  suggestionType: string;
+  score?: number;
+  timestamp: string;
+  call: SearchCallRef;
+  link: string;
+}
+
+export interface DocumentSearchHit {
+  type: 'document';
+  id: string;
+  name?: string;
+  documentType?: Document['type'];
+  url?: string;
+  team: string | null;
+  chunkIndex: number;
+  version?: number;
+  snippet: string;
+  score?: number;
+}
+
+export interface SearchResults {
+  query: string;
+  mode: SearchMode;
+  transcripts: TranscriptSearchHit[];
+  suggestions: SuggestionSearchHit[];
+  documents: DocumentSearchHit[];
+  // Semantic mode only
+  semantic?: {
+    candidateLimit: number;
+    capped: ('transcripts' | 'suggestions')[]; // more records than were ranked
+    pendingEmbeddings: number; // not searchable until embedded
+  };
+}
+
+export type ScorecardFramework = 'meddicc' | 'bant' | 'spiced' | 'custom';
+
+export interface ScorecardCriterion {
+  key: string;
+  label: string;
+  description?: string;
+  weight: number;
+  keywords?: string[]; // mark the criterion covered while the call is live
+}
+
+export interface Scorecard {
+  id: string;
+  name: string;
+  description?: string;
+  framework: ScorecardFramework;
+  criteria: ScorecardCriterion[];
+  isDefault: boolean;
+  updatedAt: string;
+}
+
+export interface ScorecardTemplate {
+  framework: ScorecardFramework;
+  name: string;
+  description: string;
+  criteria: ScorecardCriterion[];
+}
+
+export interface ScorecardEvidence {
+  transcriptId: string | null;
+  speaker: string;
+  text: string;
+  timestamp: string;
+}
+
+// A call's checklist: each criterion covered or missing, with evidence
+export interface CallScorecard {
+  scorecardId: string | null; // null for a built-in template
+  name: string;
+  framework: ScorecardFramework;
+  coverage: number; // weighted share covered, 0-100
+  evaluatedAt: string | null; // set once the whole call has been reviewed
+  criteria: (ScorecardCriterion & {
+    covered: boolean;
+    source: 'keyword' | 'llm' | null;
+    evidence: ScorecardEvidence[];
+  })[];
+}
+
+export interface SummaryActionItem {
+  task: string;
+  owner: string | null;
+  ownerType: 'rep' | 'prospect' | null;
+  dueDate: string | null; // set when the call agreed on a date
+  due: string | null; // the deadline as said
+  transcriptId: string | null; // line the item was agreed on
+  timestamp: string | null;
+}
+
+// Structured post-call summary; regenerating adds a new version
+export interface CallSummary {
+  version: number | null; // null when the call has no Call record to keep it
+  executiveSummary: string;
+  keyPoints: string[];
+  decisions: string[];
+  actionItems: SummaryActionItem[];
+  risks: string[];
+  nextSteps: string[];
+  topics: string[];
+  sentiment: {
+    overall?: string;
+    interestLevel?: string;
+    likelihoodToClose?: string;
+  } | null;
+  transcriptCount: number;
+  generatedAt: string | null;
+}
+
+export interface CallSummaryVersion {
+  version: number;
+  generatedAt: string;
+}
+
+// Follow-up tracked across calls, from a call summary or added by hand
+export interface ActionItem {
+  id: string;
+  callId: string | null;
+  callTitle: string | null;
+  account: string | null; // open items carry over between calls with it
+  task: string;
+  owner: string | null;
+  ownerType: 'rep' | 'prospect' | null;
+  dueDate: string | null;
+  due: string | null;
+  status: 'open' | 'done' | 'cancelled';
+  isOverdue: boolean;
+  completedAt: string | null;
+  transcriptId: string | null;
+  timestamp: string | null;
+  source: 'summary' | 'manual';
+  createdAt: string;
+}
+
+// Live talk-time and pace meter, pushed as "callMetrics" during a call
+export interface SpeakerTalkMetrics {
+  speaker: string;
+  isRep: boolean;
+  talkSeconds: number;
+  share: number; // of all talk time, 0-1
+  wordsPerMinute: number | null; // null until there is enough timed speech
+  interruptions: number; // times they talked over the previous speaker
+}
+
+export interface TalkAlert {
+  type: 'monologue' | 'talk_ratio' | 'pace' | 'interruptions';
+  message: string;
+  value: number;
+  threshold: number;
+}
+
+export interface CallMetrics {
+  callId: string;
+  talkSeconds: number;
+  speakers: SpeakerTalkMetrics[];
+  rep: {
+    talkSeconds: number;
+    talkRatio: number;
+    wordsPerMinute: number | null;
+    interruptions: number;
+    guessed: boolean; // the rep was taken to be the first speaker
+  };
+  monologue: { speaker: string; isRep: boolean; seconds: number } | null;
+  alerts: TalkAlert[];
+}
+
+export interface ScoreCriterion {
+  key: string;
+  label: string;
+  source: 'metric' | 'rubric';
+  score: number | null; // 0-100; null when there was nothing to judge
+  weight: number; // share of the final score
+  value?: number | null;
+  note?: string;
+}
+
 export interface CallPerformance {
   score?: number;
   talkTimeRatio: number;
@@ -128,6 +509,12 @@ export interface CallPerformance {
   sentimentScore: number;
   keywordsMentioned: string[];
   engagementLevel?: number;
+  longestMonologue?: number; // seconds
+  objectionsRaised?: number;
+  methodology?: string;
+  breakdown?: ScoreCriterion[];
+  repSpeakerGuessed?: boolean;
+  scoredAt?: string;
 }
 
 export interface Analytics {